@@ -21,6 +21,8 @@ const ModelRepository = require('./repositories/ModelRepository');
 const ModelLoaderFactory = require('./factories/ModelLoaderFactory');
 const WebhookNotifierFactory = require('./factories/WebhookNotifierFactory');
 const WebhookNotifier = require('./services/webhookNotifier');
+const ModelCache = require('./services/modelCache');
+const { hasModelChanges } = require('./utils/modelDiff');
 const TaskDetectorService = require('./services/taskDetectorService');
 const createDetector = require('./detectors/createDetector');
 const detectorRegistry = require('./detectors/detectorRegistry');
@@ -32,6 +34,8 @@ const detectorRegistry = require('./detectors/detectorRegistry');
  * - Orchestrate application startup
  * - Wire dependencies together
  * - Setup model watching
+ * - Start from the model cache if the model source is unavailable
+ * - Optionally load models in the background with retries (MODELS_BACKGROUND_LOAD)
  * - Handle shutdown
  * - Coordinate loader + notifier interactions
  *
@@ -47,6 +51,9 @@ class Bootstrap {
     this.modelRepository = new ModelRepository();
     this.modelLoader = ModelLoaderFactory.createModelLoader();
     this.webhookNotifier = WebhookNotifierFactory.createWebhookNotifier();
+    this.modelCache = this.config.modelsCacheFile
+      ? new ModelCache(this.config.modelsCacheFile)
+      : null;
 
     // Setup task detector if enabled
     this.taskDetectorService = null;
@@ -58,6 +65,18 @@ class Bootstrap {
     // Promise that tracks model loading status
     // Server MUST wait for this promise to resolve before accepting requests
     this.loadingPromise = null;
+
+    // Degraded state while serving cached models: { reason, cachedAt, since } or null
+    this.degraded = null;
+
+    // Background loading: true until the first model set (source or cache) is available
+    this.modelsPending = false;
+
+    // Load retry state (degraded or background loading)
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.loadAttempts = 0;
+    this.closed = false;
   }
 
   /**
@@ -83,42 +102,374 @@ class Bootstrap {
   /**
    * Initialize the application
    * Loads models asynchronously and sets up watchers
+   *
+   * If loading fails and MODELS_CACHE_FILE holds a snapshot, the application
+   * starts degraded from the cached models and retries the loader in the
+   * background. Without a snapshot the error is propagated.
+   *
+   * With MODELS_BACKGROUND_LOAD=true this resolves immediately with zero
+   * models and loading is retried with exponential backoff until it succeeds.
+   *
    * @returns {Promise<void>}
    */
   async initialize() {
+    if (this.config.modelsBackgroundLoad) {
+      console.log('Background model loading enabled, starting without models');
+      this.modelsPending = true;
+      this.loadingPromise = this.retryLoad();
+      return;
+    }
+
     this.loadingPromise = this.modelLoader
       .load()
       .then((models) => {
-        this.modelRepository.updateModels(models);
-
-        // Notify webhook on startup if enabled
-        if (this.webhookNotifier.enabled && this.webhookNotifier.notifyOnStartup) {
-          const payload = WebhookNotifier.createPayload(
-            models,
-            this.modelLoader.constructor.name,
-            WebhookNotifier.EventType.MODELS_LOADED,
-          );
-          this.webhookNotifier.notify(payload).catch(() => {
-            console.warn(
-              `[${new Date().toISOString()}] Webhook notification on startup failed, but models loaded successfully`,
-            );
-          });
-        }
-
+        this.applyLoadedModels(models);
         return models;
       })
       .catch((error) => {
         console.error('Failed to load models:', error.message);
-        throw error; // Propagate error to server startup
+
+        const snapshot = this.readModelCache();
+        if (!snapshot) {
+          throw error; // Propagate error to server startup
+        }
+
+        this.startDegraded(error, snapshot);
+        this.scheduleLoadRetry();
+        return snapshot.models;
       });
 
     // Wait for models to load
     await this.loadingPromise;
 
-    // Setup model watcher after initial load
+    // Setup model watcher after initial load (degraded mode sets it up after recovery)
+    if (!this.degraded) {
+      this.setupModelWatcher();
+    }
+  }
+
+  /**
+   * Apply models loaded from the real source
+   * Updates the repository, refreshes the cache and sends the startup notification
+   * @param {Object} models - Loaded models
+   * @private
+   */
+  applyLoadedModels(models) {
+    this.modelRepository.updateModels(models);
+    this.saveModelCache(models);
+
+    // Notify webhook on startup if enabled
+    if (this.webhookNotifier.enabled && this.webhookNotifier.notifyOnStartup) {
+      const payload = WebhookNotifier.createPayload(
+        models,
+        this.modelLoader.constructor.name,
+        WebhookNotifier.EventType.MODELS_LOADED,
+      );
+      this.webhookNotifier.notify(payload).catch(() => {
+        console.warn(
+          `[${new Date().toISOString()}] Webhook notification on startup failed, but models loaded successfully`,
+        );
+      });
+    }
+  }
+
+  /**
+   * Persist models to the cache file (if configured)
+   * Failures are logged, never thrown
+   * @param {Object} models - Models to persist
+   * @private
+   */
+  saveModelCache(models) {
+    if (!this.modelCache) {
+      return;
+    }
+
+    try {
+      this.modelCache.save(models, this.modelLoader.constructor.name);
+    } catch (error) {
+      console.warn(`Could not write models cache ${this.modelCache.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the last snapshot from the cache file (if configured)
+   * @returns {Object|null} Snapshot, or null if unavailable
+   * @private
+   */
+  readModelCache() {
+    if (!this.modelCache) {
+      return null;
+    }
+
+    try {
+      return this.modelCache.load();
+    } catch (error) {
+      console.error(`Could not read models cache ${this.modelCache.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start serving cached models while the loader is retried
+   * @param {Error} error - Load error
+   * @param {Object} snapshot - Cache snapshot
+   * @private
+   */
+  startDegraded(error, snapshot) {
+    this.modelRepository.updateModels(snapshot.models);
+    this.modelsPending = false;
+    this.degraded = {
+      reason: error.message,
+      cachedAt: snapshot.savedAt,
+      since: new Date().toISOString(),
+    };
+
+    console.warn(
+      `Starting degraded with ${Object.keys(snapshot.models).length} cached models from ${snapshot.savedAt}, retrying the loader in the background`,
+    );
+  }
+
+  /**
+   * Get the delay before the next load attempt
+   *
+   * Background loading doubles the delay after each failure (1s, 2s, 4s, ...)
+   * up to MODELS_LOAD_RETRY_MAX_DELAY. Otherwise (degraded from cache) the
+   * fixed MODELS_CACHE_RETRY_INTERVAL is used.
+   *
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  getLoadRetryDelay() {
+    if (!this.config.modelsBackgroundLoad) {
+      return this.config.modelsCacheRetryInterval;
+    }
+
+    const delay = 1000 * 2 ** Math.max(this.loadAttempts - 1, 0);
+    return Math.min(delay, this.config.modelsLoadRetryMaxDelay);
+  }
+
+  /**
+   * Seconds until the next load attempt, for Retry-After headers
+   * @returns {number} Seconds (at least 1)
+   */
+  getRetryAfterSeconds() {
+    if (!this.nextRetryAt) {
+      return 1;
+    }
+    return Math.max(1, Math.ceil((this.nextRetryAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Schedule the next background load attempt
+   * @private
+   */
+  scheduleLoadRetry() {
+    const delay = this.getLoadRetryDelay();
+    this.nextRetryAt = Date.now() + delay;
+    this.retryTimer = setTimeout(() => this.retryLoad(), delay);
+  }
+
+  /**
+   * Load models from the real source in the background
+   *
+   * Used while degraded (serving cached models) and for background loading.
+   * On success: leave degraded/pending state and start watching.
+   * On failure: fall back to the cache if nothing is served yet, then reschedule.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async retryLoad() {
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+
+    try {
+      const models = await this.modelLoader.load();
+
+      // close() was called or a manual reload succeeded meanwhile
+      if (this.closed || !this.isLoadRetryActive()) {
+        return;
+      }
+
+      const recovered = this.degraded !== null;
+      this.degraded = null;
+      this.modelsPending = false;
+      this.loadAttempts = 0;
+      this.applyLoadedModels(models);
+
+      const count = this.modelRepository.getModelCount();
+      if (recovered) {
+        console.log(`Model source recovered, ${count} models loaded`);
+      } else {
+        console.log(`Models loaded in background: ${count} available`);
+      }
+
+      this.setupModelWatcher();
+    } catch (error) {
+      if (this.closed || !this.isLoadRetryActive()) {
+        return;
+      }
+
+      this.loadAttempts++;
+
+      if (this.degraded) {
+        this.degraded.reason = error.message;
+        console.warn(`Model source still unavailable: ${error.message}`);
+      } else {
+        const snapshot = this.readModelCache();
+        if (snapshot) {
+          this.startDegraded(error, snapshot);
+        } else {
+          console.warn(
+            `Model loading failed (attempt ${this.loadAttempts}), retrying in ${this.getLoadRetryDelay() / 1000}s: ${error.message}`,
+          );
+        }
+      }
+
+      this.scheduleLoadRetry();
+    }
+  }
+
+  /**
+   * Whether models are still retried in the background (pending or degraded)
+   * @returns {boolean} True while retryLoad() is responsible for loading
+   * @private
+   */
+  isLoadRetryActive() {
+    return this.modelsPending || Boolean(this.degraded);
+  }
+
+  /**
+   * Stop background loading after the source was loaded elsewhere
+   *
+   * A successful POST /admin/reload or /admin/models change has the same
+   * effect as a successful retryLoad(): routes stop answering 503, the
+   * degraded state is cleared, the pending retry is cancelled and the
+   * watcher starts.
+   *
+   * @private
+   */
+  finishLoadRetry() {
+    if (!this.isLoadRetryActive()) {
+      return;
+    }
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.loadAttempts = 0;
+    this.modelsPending = false;
+    this.degraded = null;
+
+    console.log(`Models loaded manually: ${this.modelRepository.getModelCount()} available`);
     this.setupModelWatcher();
   }
 
+  /**
+   * Validate a single model entry the same way loaded models are validated
+   * @param {string} modelId - Model ID
+   * @param {string|Object} entry - Raw model entry (may contain ${VAR} placeholders)
+   * @returns {string|Object|null} Validated entry, or null if the entry is invalid
+   */
+  validateModelEntry(modelId, entry) {
+    const models = this.modelLoader.interpolateModels({ [modelId]: entry });
+    return this.modelLoader.validateModels(models)[modelId] ?? null;
+  }
+
+  /**
+   * Add, replace or remove a single model at runtime (used by /admin/models)
+   *
+   * Writable loaders (JsonFileModelLoader with a single file) persist the raw
+   * entry to their source. For read-only loaders the validated entry is kept
+   * as a runtime overlay in ModelRepository, which survives reloads but not
+   * restarts. Subscribers are notified with MODELS_CHANGED either way.
+   *
+   * The entry must already have passed ModelLoader.validateModels().
+   *
+   * @param {string} modelId - Model ID
+   * @param {string|Object|null} entry - Raw model entry, or null to remove the model
+   * @param {string|Object|null} validatedEntry - Validated entry, or null to remove the model
+   * @returns {Promise<string>} Where the change was stored: "source" or "overlay"
+   */
+  async changeModel(modelId, entry, validatedEntry) {
+    let storage;
+    let changes;
+
+    if (this.modelLoader.isWritable()) {
+      const models = await this.modelLoader.saveModelEntry(modelId, entry);
+      changes = this.modelRepository.updateModels(models);
+      this.saveModelCache(models);
+      this.finishLoadRetry();
+      storage = 'source';
+    } else {
+      changes = this.modelRepository.setOverlayEntry(modelId, validatedEntry);
+      storage = 'overlay';
+    }
+
+    const action = entry === null ? 'removed' : 'saved';
+    console.log(`Model "${modelId}" ${action} via admin API (${storage})`);
+
+    this.notifyModelsChanged(this.modelRepository.models, changes, `model was ${action}`);
+
+    return storage;
+  }
+
+  /**
+   * Reload models from the loader (used by /admin/reload)
+   *
+   * With dryRun the loader runs but nothing is applied: the result shows what
+   * a real reload would change. A real reload updates the repository and the
+   * cache, ends background loading (see finishLoadRetry) and notifies
+   * subscribers if any model changed.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only compute the changes
+   * @returns {Promise<{models: Object, changes: Object}>} Resulting models and changes
+   */
+  async reloadModels({ dryRun = false } = {}) {
+    const loadedModels = await this.modelLoader.load();
+
+    if (dryRun) {
+      return this.modelRepository.previewModels(loadedModels);
+    }
+
+    const changes = this.modelRepository.updateModels(loadedModels);
+    this.saveModelCache(loadedModels);
+    this.finishLoadRetry();
+
+    if (hasModelChanges(changes)) {
+      this.notifyModelsChanged(
+        this.modelRepository.models,
+        changes,
+        'models reloaded successfully',
+      );
+    }
+
+    return { models: this.modelRepository.models, changes };
+  }
+
+  /**
+   * Send a MODELS_CHANGED notification
+   * Failures are logged, never thrown
+   * @param {Object} models - Models after the change
+   * @param {Object} [changes] - Added, removed and changed models
+   * @param {string} outcome - What succeeded despite a failed notification (for the log)
+   * @private
+   */
+  notifyModelsChanged(models, changes, outcome) {
+    const payload = WebhookNotifier.createPayload(
+      models,
+      this.modelLoader.constructor.name,
+      WebhookNotifier.EventType.MODELS_CHANGED,
+      changes,
+    );
+    this.webhookNotifier.notify(payload).catch(() => {
+      console.warn(
+        `[${new Date().toISOString()}] Webhook notification on model change failed, but ${outcome}`,
+      );
+    });
+  }
+
   /**
    * Setup model watcher for hot-reload
    * Watches for model changes and updates repository
@@ -127,28 +478,32 @@ class Bootstrap {
   setupModelWatcher() {
     this.modelLoader.watch((newModels) => {
       console.log('Models changed, reloading...');
-      this.modelRepository.updateModels(newModels);
+      const changes = this.modelRepository.updateModels(newModels);
+      this.saveModelCache(newModels);
       console.log(`Models reloaded successfully (${this.modelRepository.getModelCount()} models)`);
 
       // Notify webhook subscribers about model changes
-      const payload = WebhookNotifier.createPayload(
-        newModels,
-        this.modelLoader.constructor.name,
-        WebhookNotifier.EventType.MODELS_CHANGED,
-      );
-      this.webhookNotifier.notify(payload).catch(() => {
-        console.warn(
-          `[${new Date().toISOString()}] Webhook notification on model change failed, but models reloaded successfully`,
+      if (hasModelChanges(changes)) {
+        this.notifyModelsChanged(
+          this.modelRepository.models,
+          changes,
+          'models reloaded successfully',
         );
-      });
+      }
     });
   }
 
   /**
    * Cleanup resources on shutdown
-   * Stops model loader watching
+   * Stops model loader watching and background load retries
    */
   close() {
+    this.closed = true;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
     if (this.modelLoader) {
       this.modelLoader.stopWatching();
     }
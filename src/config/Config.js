@@ -38,9 +38,21 @@ class Config {
     this.port = process.env.PORT || 3333;
     this.bearerToken = process.env.BEARER_TOKEN || '';
     this.n8nWebhookBearerToken = this.resolveN8nWebhookBearerToken();
+    this.n8nWebhookBasicAuth = process.env.N8N_WEBHOOK_BASIC_AUTH || '';
     this.logRequests = process.env.LOG_REQUESTS === 'true';
     this.requestBodyLimit = process.env.REQUEST_BODY_LIMIT || '50mb';
 
+    // Model cache configuration (last-known-good snapshot, disabled if empty)
+    this.modelsCacheFile = process.env.MODELS_CACHE_FILE || '';
+    this.modelsCacheRetryInterval = this.parseTimeout('MODELS_CACHE_RETRY_INTERVAL', 30000);
+
+    // Background model loading (start with zero models, retry with backoff)
+    this.modelsBackgroundLoad = process.env.MODELS_BACKGROUND_LOAD === 'true';
+    this.modelsLoadRetryMaxDelay = this.parseTimeout('MODELS_LOAD_RETRY_MAX_DELAY', 60000);
+
+    // List model aliases in /v1/models and /api/tags
+    this.modelsListAliases = process.env.MODELS_LIST_ALIASES === 'true';
+
     // Task detection configuration
     this.enableTaskDetection = process.env.ENABLE_TASK_DETECTION === 'true';
 
@@ -0,0 +1,31 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Load balancing strategies for models with several webhook URLs
+ *
+ * Used by N8nClient to pick the upstream of a request when a model's
+ * webhookUrl is an array (e.g. several n8n workers serving one workflow).
+ */
+const LoadBalancing = Object.freeze({
+  ROUND_ROBIN: 'round-robin',
+  WEIGHTED: 'weighted',
+  LEAST_IN_FLIGHT: 'least-in-flight',
+});
+
+module.exports = LoadBalancing;
@@ -0,0 +1,33 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Webhook authentication constants for model configuration entries
+ *
+ * Describes how the n8n webhook of a model is protected, so the bridge can
+ * send matching credentials. Mirrors the authentication options of n8n's
+ * Webhook and Chat Trigger nodes.
+ */
+const WebhookAuth = Object.freeze({
+  NONE: 'none',
+  HEADER: 'header',
+  BASIC: 'basic',
+  JWT: 'jwt',
+});
+
+module.exports = WebhookAuth;
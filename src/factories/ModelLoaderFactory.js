@@ -18,8 +18,10 @@
 
 const JsonFileModelLoader = require('../loaders/JsonFileModelLoader');
 const N8nApiModelLoader = require('../loaders/N8nApiModelLoader');
+const N8nInstancesModelLoader = require('../loaders/N8nInstancesModelLoader');
 const JsonHttpModelLoader = require('../loaders/JsonHttpModelLoader');
 const StaticModelLoader = require('../loaders/StaticModelLoader');
+const CompositeModelLoader = require('../loaders/CompositeModelLoader');
 
 /**
  * ModelLoaderFactory - Factory for creating ModelLoader instances
@@ -42,8 +44,10 @@ class ModelLoaderFactory {
   static MODEL_LOADERS = [
     JsonFileModelLoader,
     N8nApiModelLoader,
+    N8nInstancesModelLoader,
     JsonHttpModelLoader,
     StaticModelLoader,
+    CompositeModelLoader,
   ];
 
   /**
@@ -126,8 +130,64 @@ class ModelLoaderFactory {
     // Validate env vars and pass to constructor
     // Loader is responsible for extracting and mapping ENV var values
     const envValues = ModelLoaderFactory.validateEnvVars(LoaderClass);
+
+    if (LoaderClass === CompositeModelLoader) {
+      return ModelLoaderFactory.createCompositeModelLoader(envValues);
+    }
+
     return new LoaderClass(envValues);
   }
+
+  /**
+   * Create a CompositeModelLoader with its child loaders
+   *
+   * Child loaders are resolved from COMPOSITE_LOADERS (in order) using the
+   * same registry and ENV validation as top-level loaders. Nesting composite
+   * loaders and listing the same loader type twice are rejected.
+   *
+   * @param {Object} envValues Validated ENV values for CompositeModelLoader
+   * @returns {CompositeModelLoader} Composite loader wrapping the child loaders
+   * @throws {Error} If COMPOSITE_LOADERS is empty, contains unknown, duplicate
+   *                 or nested composite types, or child ENV vars are missing
+   */
+  static createCompositeModelLoader(envValues) {
+    const childTypes = CompositeModelLoader.parseLoaderTypes(envValues.COMPOSITE_LOADERS);
+
+    if (childTypes.length === 0) {
+      throw new Error('COMPOSITE_LOADERS must list at least one loader type');
+    }
+
+    const children = childTypes.map((childType, index) => {
+      if (childType === CompositeModelLoader.TYPE) {
+        throw new Error('COMPOSITE_LOADERS cannot contain "composite"');
+      }
+
+      if (childTypes.indexOf(childType) !== index) {
+        throw new Error(`COMPOSITE_LOADERS contains "${childType}" more than once`);
+      }
+
+      const ChildClass = ModelLoaderFactory.MODEL_LOADERS.find(
+        (loader) => loader.TYPE === childType,
+      );
+
+      if (!ChildClass) {
+        const availableTypes = ModelLoaderFactory.MODEL_LOADERS.map((l) => l.TYPE)
+          .filter((type) => type !== CompositeModelLoader.TYPE)
+          .join(', ');
+        throw new Error(
+          `Invalid loader type in COMPOSITE_LOADERS: "${childType}". Available types: ${availableTypes}`,
+        );
+      }
+
+      return new ChildClass(ModelLoaderFactory.validateEnvVars(ChildClass));
+    });
+
+    console.log(
+      `Composite Loaders: ${childTypes.join(', ')} (conflict policy: ${envValues.COMPOSITE_CONFLICT_POLICY})`,
+    );
+
+    return new CompositeModelLoader(envValues, children);
+  }
 }
 
 module.exports = ModelLoaderFactory;
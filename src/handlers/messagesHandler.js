@@ -0,0 +1,161 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  createMessageObject,
+  formatAnthropicEvent,
+  createAnthropicErrorResponse,
+} = require('../utils/anthropicMessages');
+
+/**
+ * Handles streaming Anthropic Messages API requests
+ *
+ * Emits message_start, content_block_start, content_block_delta,
+ * content_block_stop, message_delta and message_stop events. Errors after the
+ * stream started are reported as an error event.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Anthropic request
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {string} messageId - Anthropic message identifier
+ * @param {string} model - Model identifier
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleMessagesStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  messageId,
+  model,
+  config,
+  options = {},
+) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  res.write(
+    formatAnthropicEvent('message_start', {
+      message: createMessageObject(messageId, model, null),
+    }),
+  );
+  res.write(
+    formatAnthropicEvent('content_block_start', {
+      index: 0,
+      content_block: { type: 'text', text: '' },
+    }),
+  );
+
+  try {
+    const streamGenerator = n8nClient.streamCompletion(
+      webhookUrl,
+      messages,
+      sessionId,
+      userContext,
+      options,
+    );
+
+    for await (const item of streamGenerator) {
+      // Tool calls are not supported on this endpoint
+      if (typeof item !== 'string') {
+        continue;
+      }
+
+      res.write(
+        formatAnthropicEvent('content_block_delta', {
+          index: 0,
+          delta: { type: 'text_delta', text: item },
+        }),
+      );
+    }
+
+    res.write(formatAnthropicEvent('content_block_stop', { index: 0 }));
+    res.write(
+      formatAnthropicEvent('message_delta', {
+        delta: { stop_reason: 'end_turn', stop_sequence: null },
+        usage: { output_tokens: 0 },
+      }),
+    );
+    res.write(formatAnthropicEvent('message_stop'));
+    res.end();
+
+    if (config.logRequests) {
+      console.log(`Messages streaming completed for session: ${sessionId}`);
+    }
+  } catch (streamError) {
+    console.error('Stream error:', streamError);
+    const { error } = createAnthropicErrorResponse('Error during streaming');
+    res.write(formatAnthropicEvent('error', { error }));
+    res.end();
+  }
+}
+
+/**
+ * Handles non-streaming Anthropic Messages API requests
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Anthropic request
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {string} messageId - Anthropic message identifier
+ * @param {string} model - Model identifier
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleMessagesNonStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  messageId,
+  model,
+  config,
+  options = {},
+) {
+  const result = await n8nClient.nonStreamingCompletion(
+    webhookUrl,
+    messages,
+    sessionId,
+    userContext,
+    options,
+  );
+
+  // Tool calls are not supported on this endpoint, only their text is kept
+  const text = typeof result === 'string' ? result : result.content;
+
+  if (config.logRequests) {
+    console.log(`Messages non-streaming completed for session: ${sessionId}`);
+  }
+
+  res.json(createMessageObject(messageId, model, text));
+}
+
+module.exports = { handleMessagesStreaming, handleMessagesNonStreaming };
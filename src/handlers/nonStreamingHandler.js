@@ -29,6 +29,7 @@ const { createCompletionResponse } = require('../utils/openaiResponse');
  * @param {Object} userContext - User context data
  * @param {string} model - Model identifier
  * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Optional request fields forwarded to n8n (tools, toolChoice, settings)
  * @returns {Promise<void>}
  */
 async function handleNonStreaming(
@@ -40,15 +41,21 @@ async function handleNonStreaming(
   userContext,
   model,
   config,
+  options = {},
 ) {
-  const content = await n8nClient.nonStreamingCompletion(
+  const result = await n8nClient.nonStreamingCompletion(
     webhookUrl,
     messages,
     sessionId,
     userContext,
+    options,
   );
 
-  const response = createCompletionResponse(model, content);
+  // Tool calls are returned as { content, toolCalls }, plain responses as string
+  const response =
+    typeof result === 'string'
+      ? createCompletionResponse(model, result)
+      : createCompletionResponse(model, result.content, result.toolCalls);
 
   if (config.logRequests) {
     console.log(`Non-streaming completed for session: ${sessionId}`);
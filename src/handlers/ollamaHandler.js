@@ -0,0 +1,132 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { formatNdjsonLine } = require('../utils/ollamaApi');
+
+/**
+ * Handles streaming Ollama /api/chat and /api/generate requests
+ *
+ * Writes one JSON object per line (application/x-ndjson) and a final chunk
+ * with done=true. Errors after the stream started are reported as an
+ * {"error": "..."} line.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Ollama request
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {string} model - Model identifier
+ * @param {Function} createChunk - Chunk factory (model, text, done) => Object
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleOllamaStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  model,
+  createChunk,
+  config,
+  options = {},
+) {
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  try {
+    const streamGenerator = n8nClient.streamCompletion(
+      webhookUrl,
+      messages,
+      sessionId,
+      userContext,
+      options,
+    );
+
+    for await (const item of streamGenerator) {
+      // Tool calls are not supported on this endpoint
+      if (typeof item !== 'string') {
+        continue;
+      }
+
+      res.write(formatNdjsonLine(createChunk(model, item, false)));
+    }
+
+    res.write(formatNdjsonLine(createChunk(model, '', true)));
+    res.end();
+
+    if (config.logRequests) {
+      console.log(`Ollama streaming completed for session: ${sessionId}`);
+    }
+  } catch (streamError) {
+    console.error('Stream error:', streamError);
+    res.write(formatNdjsonLine({ error: 'Error during streaming' }));
+    res.end();
+  }
+}
+
+/**
+ * Handles non-streaming Ollama /api/chat and /api/generate requests
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Ollama request
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {string} model - Model identifier
+ * @param {Function} createChunk - Chunk factory (model, text, done) => Object
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleOllamaNonStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  model,
+  createChunk,
+  config,
+  options = {},
+) {
+  const result = await n8nClient.nonStreamingCompletion(
+    webhookUrl,
+    messages,
+    sessionId,
+    userContext,
+    options,
+  );
+
+  // Tool calls are not supported on this endpoint, only their text is kept
+  const text = typeof result === 'string' ? result : result.content;
+
+  if (config.logRequests) {
+    console.log(`Ollama non-streaming completed for session: ${sessionId}`);
+  }
+
+  res.json(createChunk(model, text, true));
+}
+
+module.exports = { handleOllamaStreaming, handleOllamaNonStreaming };
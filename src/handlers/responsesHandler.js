@@ -0,0 +1,167 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createResponseObject, formatResponseEvent } = require('../utils/responsesApi');
+
+/**
+ * Handles streaming Responses API requests
+ *
+ * Emits response.created, response.output_text.delta, response.output_text.done
+ * and response.completed events. Errors after the stream started are reported
+ * as a response.failed event.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Responses input
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {Object} responseParams - Response parameters (id, model, instructions, previousResponseId)
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleResponsesStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  responseParams,
+  config,
+  options = {},
+) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const messageId = `msg_${uuidv4()}`;
+  let sequenceNumber = 0;
+
+  res.write(
+    formatResponseEvent('response.created', sequenceNumber++, {
+      response: createResponseObject({ ...responseParams, status: 'in_progress' }),
+    }),
+  );
+
+  try {
+    const streamGenerator = n8nClient.streamCompletion(
+      webhookUrl,
+      messages,
+      sessionId,
+      userContext,
+      options,
+    );
+
+    let text = '';
+
+    for await (const item of streamGenerator) {
+      // Tool calls are not supported on this endpoint
+      if (typeof item !== 'string') {
+        continue;
+      }
+
+      text += item;
+      res.write(
+        formatResponseEvent('response.output_text.delta', sequenceNumber++, {
+          item_id: messageId,
+          output_index: 0,
+          content_index: 0,
+          delta: item,
+        }),
+      );
+    }
+
+    res.write(
+      formatResponseEvent('response.output_text.done', sequenceNumber++, {
+        item_id: messageId,
+        output_index: 0,
+        content_index: 0,
+        text,
+      }),
+    );
+    res.write(
+      formatResponseEvent('response.completed', sequenceNumber++, {
+        response: createResponseObject({
+          ...responseParams,
+          status: 'completed',
+          text,
+          messageId,
+        }),
+      }),
+    );
+    res.end();
+
+    if (config.logRequests) {
+      console.log(`Responses streaming completed for session: ${sessionId}`);
+    }
+  } catch (streamError) {
+    console.error('Stream error:', streamError);
+    const failed = createResponseObject({ ...responseParams, status: 'failed' });
+    failed.error = { code: 'server_error', message: 'Error during streaming' };
+    res.write(formatResponseEvent('response.failed', sequenceNumber++, { response: failed }));
+    res.end();
+  }
+}
+
+/**
+ * Handles non-streaming Responses API requests
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} n8nClient - N8N client instance
+ * @param {string} webhookUrl - Webhook URL for the model
+ * @param {Array<Object>} messages - Chat messages converted from the Responses input
+ * @param {string} sessionId - Session identifier
+ * @param {Object} userContext - User context data
+ * @param {Object} responseParams - Response parameters (id, model, instructions, previousResponseId)
+ * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Request options forwarded to n8nClient (per-model settings)
+ * @returns {Promise<void>}
+ */
+async function handleResponsesNonStreaming(
+  res,
+  n8nClient,
+  webhookUrl,
+  messages,
+  sessionId,
+  userContext,
+  responseParams,
+  config,
+  options = {},
+) {
+  const result = await n8nClient.nonStreamingCompletion(
+    webhookUrl,
+    messages,
+    sessionId,
+    userContext,
+    options,
+  );
+
+  // Tool calls are not supported on this endpoint, only their text is kept
+  const text = typeof result === 'string' ? result : result.content;
+
+  if (config.logRequests) {
+    console.log(`Responses non-streaming completed for session: ${sessionId}`);
+  }
+
+  res.json(createResponseObject({ ...responseParams, status: 'completed', text }));
+}
+
+module.exports = { handleResponsesStreaming, handleResponsesNonStreaming };
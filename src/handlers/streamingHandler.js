@@ -16,7 +16,7 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
-const { createStreamingChunk } = require('../utils/openaiResponse');
+const { createStreamingChunk, createToolCallChunk } = require('../utils/openaiResponse');
 const { createErrorResponse } = require('../utils/errorResponse');
 
 /**
@@ -30,6 +30,7 @@ const { createErrorResponse } = require('../utils/errorResponse');
  * @param {Object} userContext - User context data
  * @param {string} model - Model identifier
  * @param {Object} config - Configuration object
+ * @param {Object} [options={}] - Optional request fields forwarded to n8n (tools, toolChoice, settings)
  * @returns {Promise<void>}
  */
 async function handleStreaming(
@@ -41,6 +42,7 @@ async function handleStreaming(
   userContext,
   model,
   config,
+  options = {},
 ) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -52,15 +54,22 @@ async function handleStreaming(
       messages,
       sessionId,
       userContext,
+      options,
     );
 
-    for await (const content of streamGenerator) {
-      const chunk = createStreamingChunk(model, content, null);
+    let toolCallCount = 0;
+
+    for await (const item of streamGenerator) {
+      const chunk =
+        typeof item === 'string'
+          ? createStreamingChunk(model, item, null)
+          : createToolCallChunk(model, item, toolCallCount++);
       res.write(`data: ${JSON.stringify(chunk)}\n\n`);
     }
 
     // Send final chunk
-    const finalChunk = createStreamingChunk(model, null, 'stop');
+    const finishReason = toolCallCount > 0 ? 'tool_calls' : 'stop';
+    const finalChunk = createStreamingChunk(model, null, finishReason);
     res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
     res.write('data: [DONE]\n\n');
     res.end();
@@ -0,0 +1,249 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const ModelLoader = require('./ModelLoader');
+
+/**
+ * Composite model loader
+ *
+ * Combines several child loaders (e.g. auto-discovered n8n workflows plus a
+ * hand-written JSON file) into a single model set.
+ *
+ * Child loaders are created by ModelLoaderFactory from COMPOSITE_LOADERS and
+ * injected in declaration order. That order defines precedence when two
+ * loaders provide the same model ID:
+ * - first: the loader listed first wins
+ * - last: the loader listed last wins
+ * - error: duplicate IDs fail the load
+ *
+ * Watching subscribes to every child and emits one combined callback whenever
+ * the merged result changes.
+ */
+class CompositeModelLoader extends ModelLoader {
+  /**
+   * Loader type identifier for MODEL_LOADER_TYPE env var
+   */
+  static TYPE = 'composite';
+
+  /**
+   * Supported conflict policies for duplicate model IDs
+   */
+  static CONFLICT_POLICIES = ['first', 'last', 'error'];
+
+  /**
+   * Get required environment variables for this loader
+   *
+   * @returns {Array<{name: string, description: string, required: boolean, defaultValue?: string}>}
+   */
+  static getRequiredEnvVars() {
+    return [
+      {
+        name: 'COMPOSITE_LOADERS',
+        description: 'Comma-separated list of loader types to combine (e.g. "n8n-api,file")',
+        required: true,
+      },
+      {
+        name: 'COMPOSITE_CONFLICT_POLICY',
+        description: 'How to resolve duplicate model IDs: first, last or error',
+        required: false,
+        defaultValue: 'first',
+      },
+    ];
+  }
+
+  /**
+   * Parse the COMPOSITE_LOADERS value into a list of loader types
+   *
+   * @param {string} value Comma-separated loader types
+   * @returns {Array<string>} Lowercased, trimmed loader types without empty entries
+   */
+  static parseLoaderTypes(value) {
+    return (value || '')
+      .split(',')
+      .map((type) => type.trim().toLowerCase())
+      .filter((type) => type.length > 0);
+  }
+
+  /**
+   * Constructor
+   *
+   * @param {Object} envValues Environment values object with ENV var names as keys
+   * @param {Array<ModelLoader>} loaders Child loader instances in precedence order
+   * @throws {Error} If no child loaders are given or the conflict policy is invalid
+   */
+  constructor(envValues, loaders) {
+    super();
+
+    if (!Array.isArray(loaders) || loaders.length === 0) {
+      throw new Error('CompositeModelLoader requires at least one child loader');
+    }
+
+    const policy = (envValues.COMPOSITE_CONFLICT_POLICY || 'first').toLowerCase();
+    if (!CompositeModelLoader.CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(
+        `Invalid COMPOSITE_CONFLICT_POLICY: "${policy}". Must be one of: ${CompositeModelLoader.CONFLICT_POLICIES.join(', ')}`,
+      );
+    }
+
+    this.loaders = loaders;
+    this.conflictPolicy = policy;
+    // Latest models per child, indexed like this.loaders
+    this.childModels = loaders.map(() => ({}));
+    this.watchCallback = null;
+  }
+
+  /**
+   * Get a readable name for a child loader, used in log and error messages
+   *
+   * @param {number} index Child loader index
+   * @returns {string} Loader type (or class name if no TYPE is defined)
+   * @protected
+   */
+  getLoaderName(index) {
+    const loader = this.loaders[index];
+    return loader.constructor.TYPE || loader.constructor.name;
+  }
+
+  /**
+   * Prepare models of a child loader before merging
+   *
+   * Identity by default. Subclasses can override this to rewrite the
+   * models of a child (e.g. prefix model IDs).
+   *
+   * @param {number} _index Child loader index
+   * @param {Object} models Models returned by the child loader
+   * @returns {Object} Models to merge
+   * @protected
+   */
+  prepareChildModels(_index, models) {
+    return models;
+  }
+
+  /**
+   * Merge child model sets according to the conflict policy
+   *
+   * @param {Array<Object>} modelSets Models per child loader, in precedence order
+   * @returns {Object} Merged models object
+   * @throws {Error} If the policy is "error" and a model ID is provided more than once
+   */
+  mergeModels(modelSets) {
+    const merged = {};
+    const owners = {};
+
+    modelSets.forEach((models, index) => {
+      for (const [modelId, entry] of Object.entries(models || {})) {
+        if (!Object.prototype.hasOwnProperty.call(merged, modelId)) {
+          merged[modelId] = entry;
+          owners[modelId] = index;
+          continue;
+        }
+
+        const existing = this.getLoaderName(owners[modelId]);
+        const current = this.getLoaderName(index);
+
+        if (this.conflictPolicy === 'error') {
+          throw new Error(
+            `Model ID conflict: "${modelId}" is provided by both "${existing}" and "${current}"`,
+          );
+        }
+
+        if (this.conflictPolicy === 'last') {
+          merged[modelId] = entry;
+          owners[modelId] = index;
+          console.warn(`Model "${modelId}" from "${existing}" overridden by "${current}"`);
+        } else {
+          console.warn(
+            `Model "${modelId}" from "${current}" ignored, already provided by "${existing}"`,
+          );
+        }
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Load models from all child loaders and merge them
+   *
+   * Children are loaded in parallel. A failing child fails the whole load,
+   * matching the behaviour of a single loader at startup.
+   *
+   * @returns {Promise<Object>} Merged models object
+   * @throws {Error} If any child fails or the conflict policy rejects duplicates
+   */
+  async load() {
+    const results = await Promise.all(this.loaders.map((loader) => loader.load()));
+    const modelSets = results.map((models, index) => this.prepareChildModels(index, models));
+    const merged = this.mergeModels(modelSets);
+
+    this.childModels = modelSets;
+    this.lastHash = this.getModelsHash(merged);
+
+    return merged;
+  }
+
+  /**
+   * Watch all child loaders and emit a single combined callback
+   *
+   * Each child callback replaces that child's cached models, the full set is
+   * re-merged and the callback fires only if the merged result changed.
+   * Merge errors (policy "error") are logged and the previous models are kept.
+   *
+   * @param {Function} callback Function to call when merged models change
+   *                            Signature: (models: Object) => void
+   */
+  watch(callback) {
+    this.watchCallback = callback;
+
+    this.loaders.forEach((loader, index) => {
+      loader.watch((models) => {
+        this.childModels[index] = this.prepareChildModels(index, models);
+
+        let merged;
+        try {
+          merged = this.mergeModels(this.childModels);
+        } catch (error) {
+          console.error(`Composite reload failed: ${error.message}`);
+          return;
+        }
+
+        const currentHash = this.getModelsHash(merged);
+        if (currentHash !== this.lastHash) {
+          this.lastHash = currentHash;
+
+          if (this.watchCallback) {
+            this.watchCallback(merged);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop watching all child loaders
+   *
+   * Safe to call multiple times (idempotent).
+   */
+  stopWatching() {
+    this.loaders.forEach((loader) => loader.stopWatching());
+    this.watchCallback = null;
+    this.lastHash = null;
+  }
+}
+
+module.exports = CompositeModelLoader;
@@ -21,12 +21,18 @@ const path = require('path');
 const ModelLoader = require('./ModelLoader');
 
 /**
- * Loads models from a JSON file
+ * Loads models from a JSON file or a directory of JSON files
  *
  * This is the default and recommended model loader. It reads models from a JSON
  * configuration file (typically models.json) and supports hot-reload via file
  * watching.
  *
+ * Directory Mode:
+ * If MODELS_CONFIG_FILE points to a directory (e.g. models.d/), every *.json
+ * file inside is loaded in alphabetical order and merged. Duplicate model IDs
+ * keep the first definition and are reported by filename. A broken file is
+ * skipped (or keeps its last valid models) without affecting the other files.
+ *
  * File Format Example:
  * ```json
  * {
@@ -37,8 +43,8 @@ const ModelLoader = require('./ModelLoader');
  *
  * Lifecycle:
  * 1. Startup: loadSync() called by config, blocks until file is read
- * 2. Hot-reload: watch() sets up file system watcher
- * 3. File change detected → 100ms debounce → reload() → callback fired
+ * 2. Hot-reload: watch() polls the file, or uses fs.watch() (MODELS_WATCH_MODE=event)
+ * 3. Change detected (event mode: 100ms debounce) → reload → callback fired
  * 4. Shutdown: stopWatching() cleans up watcher and timers
  *
  * Error Handling Strategy:
@@ -50,7 +56,7 @@ const ModelLoader = require('./ModelLoader');
  * Performance Considerations:
  * - loadSync() is blocking (OK for startup, small files)
  * - Suitable for files < 10MB (typical models.json is < 1KB)
- * - watch() uses fs.watch() which is efficient and cross-platform
+ * - Event mode uses fs.watch() which avoids re-reading the file every interval
  * - Debounce delay (100ms) prevents reload storms on rapid file changes
  */
 class JsonFileModelLoader extends ModelLoader {
@@ -59,6 +65,16 @@ class JsonFileModelLoader extends ModelLoader {
    */
   static TYPE = 'file';
 
+  /**
+   * Supported watch modes for MODELS_WATCH_MODE
+   */
+  static WATCH_MODES = ['poll', 'event'];
+
+  /**
+   * Debounce delay for file system events in milliseconds
+   */
+  static WATCH_DEBOUNCE_MS = 100;
+
   /**
    * Get required environment variables for this loader
    *
@@ -68,7 +84,7 @@ class JsonFileModelLoader extends ModelLoader {
     return [
       {
         name: 'MODELS_CONFIG_FILE',
-        description: 'Path to models.json file',
+        description: 'Path to models.json file or directory of *.json files',
         required: false,
         defaultValue: './models.json',
       },
@@ -84,6 +100,12 @@ class JsonFileModelLoader extends ModelLoader {
         required: false,
         defaultValue: '1',
       },
+      {
+        name: 'MODELS_WATCH_MODE',
+        description: 'How to detect changes: poll (default) or event (fs.watch, polling fallback)',
+        required: false,
+        defaultValue: 'poll',
+      },
     ];
   }
 
@@ -107,22 +129,67 @@ class JsonFileModelLoader extends ModelLoader {
     this.filePath = path.resolve(filePath);
     this.pollingInterval = null;
     this.watchCallback = null;
+    this.watcher = null;
+    this.debounceTimer = null;
+
+    // Last valid models per file in directory mode (filename -> models)
+    this.fileModels = new Map();
+
+    // YAML files in directory mode that were already reported as ignored
+    this.ignoredYamlFiles = new Set();
 
     // Watch interval from env or default (in seconds, convert to milliseconds)
     const watchIntervalEnv = envValues.MODELS_POLL_INTERVAL || '1';
     this.watchInterval = parseInt(watchIntervalEnv, 10) * 1000;
 
+    const watchMode = envValues.MODELS_WATCH_MODE || 'poll';
+    if (!JsonFileModelLoader.WATCH_MODES.includes(watchMode)) {
+      throw new Error(
+        `Invalid MODELS_WATCH_MODE: "${watchMode}". Must be one of: ${JsonFileModelLoader.WATCH_MODES.join(', ')}`,
+      );
+    }
+    this.watchMode = watchMode;
+
     console.log(`JsonFileModelLoader: Using file ${this.filePath}`);
   }
 
   /**
-   * Load models from the JSON file synchronously
+   * Check whether the configured path is a directory
+   *
+   * @returns {boolean} True if the path exists and is a directory
+   * @private
+   */
+  isDirectory() {
+    try {
+      return fs.statSync(this.filePath).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Load models synchronously from the configured file or directory
+   *
+   * @returns {Object} Object with model_id -> webhook_url mapping
+   * @throws {Error} If file not found or JSON is invalid
+   */
+  loadSync() {
+    if (this.isDirectory()) {
+      return this.loadDirectorySync();
+    }
+
+    return this.readModelsFile(this.filePath);
+  }
+
+  /**
+   * Read and validate a single JSON models file synchronously
    *
    * Implementation Flow:
    * 1. Read file synchronously (blocks execution)
    * 2. Parse JSON (throws if invalid)
-   * 3. Call validateModels() to filter/validate entries
-   * 4. Return validated models object
+   * 3. Interpolate ${VAR} / ${VAR:-default} placeholders
+   * 4. Call validateModels() to filter/validate entries
+   * 5. Return validated models object
    *
    * Error Handling:
    * - File not found (ENOENT): Throw descriptive error
@@ -130,27 +197,29 @@ class JsonFileModelLoader extends ModelLoader {
    * - Invalid models: Not thrown here, validateModels() filters gracefully
    * - Permission denied: Let error bubble up (file system issue, not model issue)
    *
+   * @param {string} filePath Absolute path to the JSON file
    * @returns {Object} Object with model_id -> webhook_url mapping
    * @throws {Error} If file not found or JSON is invalid
+   * @private
    */
-  loadSync() {
+  readModelsFile(filePath) {
     try {
       // Read file synchronously - blocks until complete
       // Note: For startup, this is acceptable. For large files, consider async load()
-      const data = fs.readFileSync(this.filePath, 'utf8');
+      const data = fs.readFileSync(filePath, 'utf8');
 
       // Parse JSON - throws SyntaxError if invalid
       const models = JSON.parse(data);
 
       // Validate and filter models (graceful degradation)
       // Invalid entries logged as warnings, not thrown
-      const validatedModels = this.validateModels(models);
+      const validatedModels = this.validateModels(this.interpolateModels(models));
 
       return validatedModels;
     } catch (error) {
       // Specific error handling for common issues
       if (error.code === 'ENOENT') {
-        throw new Error(`Models file not found: ${this.filePath}`);
+        throw new Error(`Models file not found: ${filePath}`);
       } else if (error instanceof SyntaxError) {
         // Include original error message to help debugging
         throw new Error(`Invalid JSON in models file: ${error.message}`);
@@ -160,6 +229,119 @@ class JsonFileModelLoader extends ModelLoader {
     }
   }
 
+  /**
+   * Load and merge all *.json files of the configured directory
+   *
+   * Files are processed in alphabetical order, so the first definition of a
+   * model ID wins. A file that cannot be read or parsed keeps its last valid
+   * models (if any) and never drops models provided by the other files.
+   *
+   * Only JSON is supported. *.yaml / *.yml files are ignored with a warning
+   * (once per file), so a misplaced YAML file does not go unnoticed.
+   *
+   * @returns {Object} Merged object with model_id -> webhook_url mapping
+   * @private
+   */
+  loadDirectorySync() {
+    const names = fs.readdirSync(this.filePath).filter((name) => !name.startsWith('.'));
+    const files = names.filter((name) => name.toLowerCase().endsWith('.json')).sort();
+
+    for (const name of names) {
+      if (/\.ya?ml$/i.test(name) && !this.ignoredYamlFiles.has(name)) {
+        this.ignoredYamlFiles.add(name);
+        console.warn(`Ignoring models file ${name}: only *.json files are supported`);
+      }
+    }
+
+    const models = {};
+    const sources = {};
+    const fileModels = new Map();
+
+    for (const file of files) {
+      let entries;
+      try {
+        entries = this.readModelsFile(path.join(this.filePath, file));
+      } catch (error) {
+        if (!this.fileModels.has(file)) {
+          console.error(`Skipping models file ${file}: ${error.message}`);
+          continue;
+        }
+        console.error(`Keeping previous models of ${file}: ${error.message}`);
+        entries = this.fileModels.get(file);
+      }
+
+      fileModels.set(file, entries);
+
+      for (const [modelId, entry] of Object.entries(entries)) {
+        if (sources[modelId]) {
+          console.warn(
+            `Model "${modelId}" in ${file} ignored, already defined in ${sources[modelId]}`,
+          );
+          continue;
+        }
+        models[modelId] = entry;
+        sources[modelId] = file;
+      }
+    }
+
+    this.fileModels = fileModels;
+
+    return models;
+  }
+
+  /**
+   * Whether /admin/models changes can be written back
+   *
+   * Single files are writable, directories are read-only (changes are kept
+   * as a runtime overlay, since no file owns a new model).
+   *
+   * @returns {boolean} True if the configured path is a file
+   */
+  isWritable() {
+    return !this.isDirectory();
+  }
+
+  /**
+   * Add, replace or remove a single model in the JSON file
+   *
+   * Works on the raw file content, so ${VAR} placeholders and entries of
+   * other models are preserved. The file is replaced atomically (temp file +
+   * rename) and the new hash is remembered, so the watcher does not report
+   * the change a second time.
+   *
+   * @param {string} modelId Model ID
+   * @param {string|Object|null} entry Raw model entry, or null to remove the model
+   * @returns {Promise<Object>} Validated models after the change
+   * @throws {Error} If the file cannot be read, parsed or written
+   */
+  async saveModelEntry(modelId, entry) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new Error(`Invalid JSON in models file: ${error.message}`);
+      }
+      throw error;
+    }
+
+    if (entry === null) {
+      delete raw[modelId];
+    } else {
+      raw[modelId] = entry;
+    }
+
+    // Keep the permissions of the original file
+    const { mode } = fs.statSync(this.filePath);
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(raw, null, 2)}\n`, { mode });
+    fs.renameSync(tempPath, this.filePath);
+
+    const models = this.loadSync();
+    this.lastHash = this.getModelsHash(models);
+    return models;
+  }
+
   /**
    * Load models from the JSON file (async wrapper)
    *
@@ -176,81 +358,163 @@ class JsonFileModelLoader extends ModelLoader {
   }
 
   /**
-   * Watch the JSON file for changes and reload automatically
+   * Watch the JSON file (or directory) for changes and reload automatically
    *
    * This enables hot-reload: changes to models.json are automatically detected
    * and loaded without restarting the application.
    *
-   * Watch Flow:
-   * 1. Poll file at configured interval (default: 1s)
-   * 2. Load and parse models
-   * 3. Calculate hash of models and compare with previous
-   * 4. If different: notify callback with new models
-   * 5. Update hash and continue polling
+   * Watch Modes (MODELS_WATCH_MODE):
+   * - poll (default): Re-read at configured interval (default: 1s)
+   * - event: fs.watch() on the containing directory, debounced by 100ms.
+   *   Falls back to polling if the watcher cannot be set up or fails.
    *
    * Change Detection:
    * - Uses hash-based comparison (consistent with N8nApiModelLoader)
    * - Only fires callback when models actually change
    * - Formatting changes (whitespace) do not trigger reload
    *
-   * Why Simple Hash-Based Polling?
-   * - fs.watch() is unreliable in Docker/CI environments
-   * - fs.watchFile() has internal Node.js complexity
+   * Why Polling by Default?
+   * - fs.watch() is unreliable in Docker/CI environments and network filesystems
    * - Simple hash comparison is deterministic and works everywhere
-   * - No timing issues, no file system events needed
+   * - Event mode is available where file system events are reliable
    *
    * Error Handling:
    * - Invalid models (bad URL, etc): Logged as warnings, not thrown
    * - File read errors: Logged, no callback fired
    * - Parse errors: Logged, no callback fired
    *
-   * Platform Notes:
-   * - Works reliably in all environments (Docker, CI, network filesystems)
-   * - Reload latency: ~watchInterval seconds after file change
-   *
    * @param {Function} callback Function to call when models change
    *                            Signature: (models: Object) => void
    *                            Receives new models object
    */
   watch(callback) {
     // Prevent double-watch
-    if (this.pollingInterval) {
+    if (this.pollingInterval || this.watcher) {
       console.warn(`Already watching ${this.filePath}`);
       return;
     }
 
     this.watchCallback = callback;
 
+    if (this.watchMode === 'event') {
+      try {
+        this.startFileWatcher();
+        return;
+      } catch (error) {
+        console.warn(
+          `Could not watch ${this.filePath} (${error.message}), falling back to polling`,
+        );
+      }
+    }
+
+    this.startPolling();
+  }
+
+  /**
+   * Start polling the file at the configured interval
+   *
+   * @private
+   */
+  startPolling() {
     console.log(
       `Watching ${this.filePath} for changes (polling every ${this.watchInterval / 1000}s)...`,
     );
 
-    // Start polling
-    this.pollingInterval = setInterval(async () => {
+    this.pollingInterval = setInterval(() => {
       console.log('Polling for model changes...');
-      try {
-        // Load and validate new models
-        const models = await this.load();
+      this.checkForChanges();
+    }, this.watchInterval);
+  }
+
+  /**
+   * Start an fs.watch() watcher with debouncing
+   *
+   * Watches the containing directory rather than the file itself, so editors
+   * that save by replacing the file (new inode) keep triggering events.
+   *
+   * @throws {Error} If the path does not exist or cannot be watched
+   * @private
+   */
+  startFileWatcher() {
+    const isDirectory = this.isDirectory();
+    const watchDir = isDirectory ? this.filePath : path.dirname(this.filePath);
+    const fileName = path.basename(this.filePath);
 
-        // Calculate hash of current models
-        const currentHash = this.getModelsHash(models);
+    // Throws ENOENT for a missing file, handled by watch() as polling fallback
+    fs.statSync(this.filePath);
+
+    this.watcher = fs.watch(watchDir, (_eventType, changed) => {
+      // Some platforms do not report the filename, reload to be safe
+      const relevant = isDirectory
+        ? !changed || changed.toLowerCase().endsWith('.json')
+        : !changed || changed === fileName;
+      if (!relevant) {
+        return;
+      }
 
-        // Check if models changed
-        if (currentHash !== this.lastHash) {
-          // Update hash
-          this.lastHash = currentHash;
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => {
+        this.debounceTimer = null;
+        this.checkForChanges();
+      }, JsonFileModelLoader.WATCH_DEBOUNCE_MS);
+    });
 
-          // Notify config about the change
-          if (this.watchCallback) {
-            this.watchCallback(models);
-          }
+    this.watcher.on('error', (error) => {
+      console.warn(
+        `File watcher error for ${this.filePath} (${error.message}), falling back to polling`,
+      );
+      this.closeFileWatcher();
+      if (this.watchCallback) {
+        this.startPolling();
+      }
+    });
+
+    console.log(`Watching ${this.filePath} for changes (file system events)...`);
+  }
+
+  /**
+   * Close the fs.watch() watcher and pending debounce timer
+   *
+   * @private
+   */
+  closeFileWatcher() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Reload models and notify the callback if they changed
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async checkForChanges() {
+    try {
+      // Load and validate new models
+      const models = await this.load();
+
+      // Calculate hash of current models
+      const currentHash = this.getModelsHash(models);
+
+      // Check if models changed
+      if (currentHash !== this.lastHash) {
+        // Update hash
+        this.lastHash = currentHash;
+
+        // Notify config about the change
+        if (this.watchCallback) {
+          this.watchCallback(models);
         }
-      } catch (error) {
-        // Log error but don't throw - watcher continues running
-        // This allows fixing the file and it will reload on next save
-        console.error(`Error reloading models: ${error.message}`);
       }
-    }, this.watchInterval);
+    } catch (error) {
+      // Log error but don't throw - watcher continues running
+      // This allows fixing the file and it will reload on next save
+      console.error(`Error reloading models: ${error.message}`);
+    }
   }
 
   /**
@@ -259,16 +523,16 @@ class JsonFileModelLoader extends ModelLoader {
    * Called during application shutdown to cleanup resources.
    *
    * Cleanup Steps:
-   * 1. Clear polling interval
+   * 1. Clear polling interval or close file system watcher
    * 2. Nullify all references
    *
    * Safe to call multiple times (idempotent).
    */
   stopWatching() {
-    // Stop polling interval if active
-    if (this.pollingInterval) {
+    if (this.pollingInterval || this.watcher) {
       clearInterval(this.pollingInterval);
       this.pollingInterval = null;
+      this.closeFileWatcher();
       this.watchCallback = null;
       this.lastHash = null;
       console.log(`Stopped watching ${this.filePath}`);
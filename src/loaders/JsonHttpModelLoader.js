@@ -27,8 +27,9 @@ const ModelLoader = require('./ModelLoader');
  *
  * Features:
  * - HTTP(S) endpoint fetching with configurable timeout
- * - No authentication support (starts without auth, future enhancement)
- * - Polling mechanism for auto-reload
+ * - Bearer, basic and custom header authentication
+ * - Conditional requests (ETag / Last-Modified), 304 skips parsing and hashing
+ * - Polling mechanism for auto-reload with exponential backoff on failures
  * - Hash-based change detection
  *
  * Architecture:
@@ -45,15 +46,12 @@ const ModelLoader = require('./ModelLoader');
  *
  * Error Handling:
  * - Startup errors: Propagated to caller (server won't start)
- * - Polling errors: Logged but don't stop polling
+ * - Polling errors: Logged, polling continues with backoff after repeated failures
  * - Invalid models: Filtered out with warnings (graceful degradation)
  * - Network errors: Detailed error messages with context
  *
  * Future Enhancements:
- * - Bearer token authentication
- * - Custom headers support
  * - Request/response transformation
- * - Rate limiting on polling
  */
 class JsonHttpModelLoader extends ModelLoader {
   /**
@@ -85,6 +83,30 @@ class JsonHttpModelLoader extends ModelLoader {
         required: false,
         defaultValue: '10000',
       },
+      {
+        name: 'JSON_HTTP_BEARER_TOKEN',
+        description: 'Bearer token sent as Authorization header',
+        required: false,
+        defaultValue: '',
+      },
+      {
+        name: 'JSON_HTTP_BASIC_AUTH',
+        description: 'Basic auth credentials as user:password',
+        required: false,
+        defaultValue: '',
+      },
+      {
+        name: 'JSON_HTTP_HEADERS',
+        description: 'JSON object with additional request headers',
+        required: false,
+        defaultValue: '{}',
+      },
+      {
+        name: 'JSON_HTTP_MAX_BACKOFF',
+        description: 'Maximum polling backoff in seconds after repeated failures',
+        required: false,
+        defaultValue: '3600',
+      },
     ];
   }
 
@@ -132,6 +154,15 @@ class JsonHttpModelLoader extends ModelLoader {
       this.pollingInterval = pollingInterval;
     }
 
+    // Parse maximum backoff (seconds)
+    const maxBackoff = parseInt(envValues.JSON_HTTP_MAX_BACKOFF || '3600', 10);
+    if (isNaN(maxBackoff) || maxBackoff < 60) {
+      throw new Error('JSON_HTTP_MAX_BACKOFF must be >= 60 seconds');
+    }
+    this.maxBackoff = maxBackoff;
+
+    this.headers = this.buildAuthHeaders(envValues);
+
     console.log(
       `JsonHttpModelLoader: Fetching from ${this.endpoint} (timeout: ${this.timeout}ms, poll: ${this.pollingInterval}s)`,
     );
@@ -139,6 +170,16 @@ class JsonHttpModelLoader extends ModelLoader {
     // Polling state
     this.pollingTimer = null;
     this.watchCallback = null;
+    this.consecutiveFailures = 0;
+
+    // Incremented by watch() and stopWatching(), so a poll still in flight
+    // from an earlier watch() does not reschedule or notify
+    this.pollGeneration = 0;
+
+    // Conditional request state (from the last successful response)
+    this.etag = null;
+    this.lastModified = null;
+    this.lastModels = null;
 
     // Configure axios instance for HTTP endpoint
     this.axiosInstance = axios.create({
@@ -146,22 +187,110 @@ class JsonHttpModelLoader extends ModelLoader {
     });
   }
 
+  /**
+   * Build static request headers from auth settings
+   *
+   * Custom headers (JSON_HTTP_HEADERS) are applied first, so an explicit
+   * bearer token or basic auth always sets the Authorization header.
+   *
+   * @param {Object} envValues Object with environment variable values
+   * @returns {Object<string, string>} Request headers
+   * @throws {Error} If JSON_HTTP_HEADERS or JSON_HTTP_BASIC_AUTH is invalid
+   * @private
+   */
+  buildAuthHeaders(envValues) {
+    let headers;
+    try {
+      headers = JSON.parse(envValues.JSON_HTTP_HEADERS || '{}');
+    } catch (error) {
+      throw new Error(`Invalid JSON in JSON_HTTP_HEADERS: ${error.message}`);
+    }
+
+    const isValid =
+      headers !== null &&
+      typeof headers === 'object' &&
+      !Array.isArray(headers) &&
+      Object.values(headers).every((value) => typeof value === 'string');
+    if (!isValid) {
+      throw new Error('JSON_HTTP_HEADERS must be a JSON object with string values');
+    }
+
+    const bearerToken = envValues.JSON_HTTP_BEARER_TOKEN;
+    const basicAuth = envValues.JSON_HTTP_BASIC_AUTH;
+
+    if (bearerToken && basicAuth) {
+      throw new Error('Set either JSON_HTTP_BEARER_TOKEN or JSON_HTTP_BASIC_AUTH, not both');
+    }
+
+    if (bearerToken) {
+      headers.Authorization = `Bearer ${bearerToken}`;
+    } else if (basicAuth) {
+      if (!basicAuth.includes(':')) {
+        throw new Error('JSON_HTTP_BASIC_AUTH must use the format user:password');
+      }
+      headers.Authorization = `Basic ${Buffer.from(basicAuth).toString('base64')}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build headers for the next request
+   *
+   * Adds If-None-Match / If-Modified-Since from the last successful response,
+   * but only once models are cached, so a 304 can always be answered.
+   *
+   * @returns {Object<string, string>} Request headers
+   * @private
+   */
+  getRequestHeaders() {
+    const headers = { ...this.headers };
+
+    if (this.lastModels) {
+      if (this.etag) {
+        headers['If-None-Match'] = this.etag;
+      }
+      if (this.lastModified) {
+        headers['If-Modified-Since'] = this.lastModified;
+      }
+    }
+
+    return headers;
+  }
+
   /**
    * Load models from HTTP endpoint
    *
-   * Implementation Flow:
-   * 1. Fetch JSON from HTTP endpoint
-   * 2. Validate response is a JSON object
-   * 3. Validate models using base class
-   * 4. Return validated models
+   * Returns the cached models if the endpoint answers 304 Not Modified.
    *
    * @returns {Promise<Object>} Object with model_id -> webhook_url mapping
    * @throws {Error} If HTTP request fails or response is invalid
    */
   async load() {
+    const models = await this.fetchModels();
+    return models ?? this.lastModels;
+  }
+
+  /**
+   * Fetch models from HTTP endpoint
+   *
+   * Implementation Flow:
+   * 1. Fetch JSON from HTTP endpoint (conditional if cached)
+   * 2. On 304 Not Modified: return null without parsing
+   * 3. Validate response is a JSON object
+   * 4. Interpolate env placeholders and validate models using base class
+   * 5. Remember ETag / Last-Modified and return validated models
+   *
+   * @returns {Promise<Object|null>} Validated models, or null if not modified
+   * @throws {Error} If HTTP request fails or response is invalid
+   * @private
+   */
+  async fetchModels() {
     try {
       // Fetch JSON from HTTP endpoint
-      const response = await this.axiosInstance.get(this.endpoint);
+      const response = await this.axiosInstance.get(this.endpoint, {
+        headers: this.getRequestHeaders(),
+      });
 
       // Validate response is object (not array, null, or other type)
       if (!response.data || typeof response.data !== 'object' || Array.isArray(response.data)) {
@@ -170,13 +299,22 @@ class JsonHttpModelLoader extends ModelLoader {
 
       console.log(`Fetched models from HTTP endpoint: ${this.endpoint}`);
 
-      // Validate models using base class (graceful degradation)
-      const validatedModels = this.validateModels(response.data);
+      // Interpolate env placeholders, then validate models using base class (graceful degradation)
+      const validatedModels = this.validateModels(this.interpolateModels(response.data));
 
       console.log(`Loaded ${Object.keys(validatedModels).length} models from HTTP endpoint`);
 
+      this.etag = response.headers?.etag || null;
+      this.lastModified = response.headers?.['last-modified'] || null;
+      this.lastModels = validatedModels;
+
       return validatedModels;
     } catch (error) {
+      // 304 is not an error: the cached models are still current
+      if (error.response?.status === 304 && this.lastModels) {
+        return null;
+      }
+
       // Enhance error message with context
       if (error.response) {
         // HTTP error from endpoint
@@ -209,11 +347,12 @@ class JsonHttpModelLoader extends ModelLoader {
    * Watch for changes by polling HTTP endpoint at configured interval
    *
    * Polling Flow:
-   * 1. Start timer with configured interval
+   * 1. Schedule next poll (interval, or backoff after repeated failures)
    * 2. On timer: fetch JSON → validate → compare hash
-   * 3. If hash changed: notify callback with new models
-   * 4. On error: log but continue polling (don't give up on temporary failures)
-   * 5. Repeat until stopWatching() is called
+   * 3. On 304 Not Modified: nothing to do (no parsing, no hashing)
+   * 4. If hash changed: notify callback with new models
+   * 5. On error: log and keep polling, backing off while failures continue
+   * 6. Repeat until stopWatching() is called
    *
    * Change Detection:
    * - Uses hash-based comparison (consistent with other loaders)
@@ -237,15 +376,63 @@ class JsonHttpModelLoader extends ModelLoader {
     }
 
     this.watchCallback = callback;
+    this.consecutiveFailures = 0;
+    this.pollGeneration++;
 
     console.log(`Starting polling every ${this.pollingInterval}s for HTTP endpoint`);
 
-    // Start polling timer
-    this.pollingTimer = setInterval(async () => {
-      console.log('Polling for model changes...');
-      try {
-        const models = await this.load();
+    this.scheduleNextPoll();
+  }
+
+  /**
+   * Get the delay until the next poll in seconds
+   *
+   * The first failure is retried at the normal interval. Each further
+   * consecutive failure doubles the delay, up to JSON_HTTP_MAX_BACKOFF.
+   *
+   * @returns {number} Delay in seconds
+   * @private
+   */
+  getPollDelay() {
+    if (this.consecutiveFailures <= 1) {
+      return this.pollingInterval;
+    }
+
+    const delay = this.pollingInterval * 2 ** (this.consecutiveFailures - 1);
+    return Math.min(delay, Math.max(this.maxBackoff, this.pollingInterval));
+  }
+
+  /**
+   * Schedule the next poll
+   *
+   * @private
+   */
+  scheduleNextPoll() {
+    const generation = this.pollGeneration;
+    this.pollingTimer = setTimeout(() => this.poll(generation), this.getPollDelay() * 1000);
+  }
+
+  /**
+   * Poll the endpoint once and notify the callback on changes
+   *
+   * @param {number} generation Value of pollGeneration when the poll was scheduled
+   * @returns {Promise<void>}
+   * @private
+   */
+  async poll(generation) {
+    console.log('Polling for model changes...');
+    try {
+      const models = await this.fetchModels();
+
+      // stopWatching() (and maybe watch()) was called meanwhile
+      if (generation !== this.pollGeneration) {
+        return;
+      }
+
+      this.consecutiveFailures = 0;
 
+      // 304 Not Modified: models unchanged, skip hashing
+      if (models !== null) {
         // Calculate hash of current models
         const currentHash = this.getModelsHash(models);
 
@@ -259,12 +446,25 @@ class JsonHttpModelLoader extends ModelLoader {
             this.watchCallback(models);
           }
         }
-      } catch (error) {
-        // Log error but don't stop polling
-        // This allows recovery from temporary failures (network issues, endpoint down, etc)
-        console.error(`Polling error: ${error.message}`);
       }
-    }, this.pollingInterval * 1000); // Convert seconds to milliseconds
+    } catch (error) {
+      if (generation !== this.pollGeneration) {
+        return;
+      }
+
+      // Log error but don't stop polling
+      // This allows recovery from temporary failures (network issues, endpoint down, etc)
+      this.consecutiveFailures++;
+      console.error(`Polling error: ${error.message}`);
+
+      if (this.consecutiveFailures > 1) {
+        console.warn(
+          `HTTP endpoint failed ${this.consecutiveFailures} times in a row, next poll in ${this.getPollDelay()}s`,
+        );
+      }
+    }
+
+    this.scheduleNextPoll();
   }
 
   /**
@@ -277,10 +477,12 @@ class JsonHttpModelLoader extends ModelLoader {
    */
   stopWatching() {
     if (this.pollingTimer) {
-      clearInterval(this.pollingTimer);
+      this.pollGeneration++;
+      clearTimeout(this.pollingTimer);
       this.pollingTimer = null;
       this.watchCallback = null;
       this.lastHash = null;
+      this.consecutiveFailures = 0;
       console.log('Stopped polling HTTP endpoint');
     }
   }
@@ -17,6 +17,19 @@
  */
 
 const crypto = require('crypto');
+const ModelType = require('../constants/ModelType');
+const WebhookAuth = require('../constants/WebhookAuth');
+const LoadBalancing = require('../constants/LoadBalancing');
+const Config = require('../config/Config');
+
+/** @type {Array<string>} Capability flags supported in model metadata */
+const MODEL_CAPABILITIES = ['vision', 'tools', 'files'];
+
+/** @type {number} Largest Unix timestamp in seconds a JavaScript Date can represent */
+const MAX_CREATED_TIMESTAMP = 8.64e12;
+
+/** @type {RegExp} Environment placeholder: ${VAR} or ${VAR:-default} */
+const ENV_PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
 
 /**
  * Base class for model loaders
@@ -37,6 +50,7 @@ const crypto = require('crypto');
  * Subclasses MAY implement:
  * - watch() - Watch for changes and reload automatically
  * - stopWatching() - Cleanup watcher resources
+ * - isWritable() / saveModelEntry() - Persist changes made via /admin/models
  *
  * Validation:
  * - validateModels() uses graceful degradation: invalid entries are filtered
@@ -88,12 +102,12 @@ class ModelLoader {
    *
    * Contract:
    * - Returns a promise that resolves to models object
-   * - Models object: { "model-id": "https://webhook-url", ... }
+   * - Models object: { "model-id": "https://webhook-url" | { webhookUrl, type }, ... }
    * - MUST call validateModels() on loaded data
    * - MUST throw descriptive errors on failure
    * - SHOULD handle source-specific errors (file not found, permission denied, etc)
    *
-   * @returns {Promise<Object>} Object with model_id -> webhook_url mapping
+   * @returns {Promise<Object>} Object with model_id -> webhook_url (or model entry) mapping
    * @throws {Error} With descriptive message if loading fails
    */
   async load() {
@@ -128,6 +142,30 @@ class ModelLoader {
     // Optional: implement in subclass if watching is supported
   }
 
+  /**
+   * Whether model changes can be written back to the source (optional)
+   *
+   * Read-only loaders keep /admin/models changes as a runtime overlay
+   * in ModelRepository instead.
+   *
+   * @returns {boolean} True if saveModelEntry() is supported
+   */
+  isWritable() {
+    return false;
+  }
+
+  /**
+   * Add, replace or remove a single model in the source (optional)
+   *
+   * @param {string} _modelId Model ID
+   * @param {string|Object|null} _entry Raw model entry, or null to remove the model
+   * @returns {Promise<Object>} Validated models after the change
+   * @throws {Error} If the loader is read-only
+   */
+  async saveModelEntry(_modelId, _entry) {
+    throw new Error(`${this.constructor.name} does not support writing models`);
+  }
+
   /**
    * Calculate hash of models object
    *
@@ -135,19 +173,98 @@ class ModelLoader {
    * Ensures callbacks only fire when models actually change.
    *
    * Implementation:
-   * - Sorts object keys for consistent hash calculation
+   * - Sorts model IDs for consistent hash calculation
+   * - Serializes entries as [id, entry] pairs so object entries are hashed in full
    * - Uses MD5 for fast hashing (security not required here)
-   * - Works with any models object structure
    *
    * @param {Object} models Models object to hash
    * @returns {string} MD5 hash of models object
    * @protected
    */
   getModelsHash(models) {
-    const content = JSON.stringify(models, Object.keys(models).sort());
+    const entries = Object.keys(models)
+      .sort()
+      .map((modelId) => [modelId, models[modelId]]);
+    const content = JSON.stringify(entries);
     return crypto.createHash('md5').update(content).digest('hex');
   }
 
+  /**
+   * Replace environment placeholders in all string values of the models
+   *
+   * Supports `${VAR}` and `${VAR:-default}` (default used if VAR is unset or
+   * empty). Model IDs and object keys are left untouched. A model that
+   * references an unset variable without default is skipped with a warning
+   * naming the model and the variables: an empty replacement could still
+   * form a valid URL pointing at the wrong host (https:///webhook/abc).
+   *
+   * Must run before validateModels() so URLs are validated after interpolation.
+   *
+   * @param {Object} models Raw models object
+   * @param {Object} [env=process.env] Environment to resolve variables from
+   * @returns {Object} Models with interpolated values (input returned unchanged if not an object)
+   * @protected
+   */
+  interpolateModels(models, env = process.env) {
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+      return models;
+    }
+
+    const interpolated = {};
+    for (const [modelId, entry] of Object.entries(models)) {
+      const unresolved = new Set();
+      const value = this.interpolateValue(entry, env, unresolved);
+      if (unresolved.size > 0) {
+        console.warn(
+          `Skipping model "${modelId}": environment variable not set: ${[...unresolved].join(', ')}`,
+        );
+        continue;
+      }
+      interpolated[modelId] = value;
+    }
+    return interpolated;
+  }
+
+  /**
+   * Recursively interpolate environment placeholders in a value
+   *
+   * @param {*} value String, array, object or primitive
+   * @param {Object} env Environment to resolve variables from
+   * @param {Set<string>} unresolved Collects names of unset variables without default
+   * @returns {*} Value with interpolated strings
+   * @private
+   */
+  interpolateValue(value, env, unresolved) {
+    if (typeof value === 'string') {
+      return value.replace(ENV_PLACEHOLDER_PATTERN, (match, name, defaultValue) => {
+        const resolved = env[name];
+        if (defaultValue !== undefined) {
+          return resolved ? resolved : defaultValue;
+        }
+        if (resolved === undefined) {
+          unresolved.add(name);
+          return match;
+        }
+        return resolved;
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.interpolateValue(item, env, unresolved));
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.interpolateValue(item, env, unresolved),
+        ]),
+      );
+    }
+
+    return value;
+  }
+
   /**
    * Validate the loaded models structure
    *
@@ -156,11 +273,19 @@ class ModelLoader {
    * - Server continues running with partial model set
    * - This prevents one bad model from blocking the entire service
    *
+   * Entries are either a webhook URL string (chat model) or an object
+   * { webhookUrl, type, ...metadata, ...settings } where type is one of
+   * ModelType, metadata are the optional fields described in validateMetadata()
+   * and settings the per-model overrides described in validateSettings().
+   *
    * Validation checks:
    * 1. Root level: Must be a plain object (not array, null, etc)
    * 2. Model IDs: Must be non-empty strings
-   * 3. Webhook URLs: Must be non-empty strings
+   * 3. Webhook URLs: Must be non-empty strings (object entries may use an
+   *    array of upstreams, see validateUpstreams())
    * 4. URL format: Must be valid HTTP/HTTPS URLs (uses URL constructor)
+   * 5. Model type: Must be a known ModelType (object entries only)
+   * 6. Metadata and settings: Invalid optional fields are dropped, the model is kept
    *
    * Why URL constructor vs regex?
    * - URL constructor handles edge cases and international domains correctly
@@ -179,31 +304,356 @@ class ModelLoader {
 
     const validatedModels = {};
 
-    for (const [modelId, webhookUrl] of Object.entries(models)) {
+    for (const [modelId, entry] of Object.entries(models)) {
       // Skip invalid model IDs (graceful degradation)
       if (typeof modelId !== 'string' || !modelId.trim()) {
         console.warn(`Skipping invalid model ID: ${modelId}`);
         continue;
       }
 
+      const isObjectEntry = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+
       // Skip invalid webhook URLs (graceful degradation)
-      if (typeof webhookUrl !== 'string' || !webhookUrl.trim()) {
-        console.warn(`Skipping model "${modelId}": webhook URL must be a non-empty string`);
+      const webhookUrl =
+        isObjectEntry && Array.isArray(entry.webhookUrl)
+          ? this.validateUpstreams(modelId, entry.webhookUrl)
+          : this.validateWebhookUrl(modelId, isObjectEntry ? entry.webhookUrl : entry);
+      if (webhookUrl === null) {
         continue;
       }
 
-      // Validate URL format using URL constructor
-      // Only accepts valid HTTP/HTTPS URLs
-      try {
-        new URL(webhookUrl);
+      if (!isObjectEntry) {
         validatedModels[modelId] = webhookUrl;
-      } catch {
-        console.warn(`Skipping model "${modelId}": invalid webhook URL: ${webhookUrl}`);
+        continue;
+      }
+
+      const type = entry.type ?? ModelType.CHAT;
+      if (!Object.values(ModelType).includes(type)) {
+        console.warn(`Skipping model "${modelId}": unknown model type: ${type}`);
+        continue;
       }
+
+      validatedModels[modelId] = {
+        webhookUrl,
+        type,
+        ...this.validateMetadata(modelId, entry),
+        ...this.validateSettings(modelId, entry),
+        ...this.validateAliases(modelId, entry),
+      };
     }
 
     return validatedModels;
   }
+
+  /**
+   * Validate a single webhook URL
+   *
+   * Uses the URL constructor, so only well-formed absolute URLs are accepted.
+   *
+   * @param {string} modelId Model ID (for warnings)
+   * @param {*} webhookUrl Webhook URL to check
+   * @returns {string|null} The webhook URL, or null (with a warning) if invalid
+   * @protected
+   */
+  validateWebhookUrl(modelId, webhookUrl) {
+    if (typeof webhookUrl !== 'string' || !webhookUrl.trim()) {
+      console.warn(`Skipping model "${modelId}": webhook URL must be a non-empty string`);
+      return null;
+    }
+
+    try {
+      new URL(webhookUrl);
+    } catch {
+      console.warn(`Skipping model "${modelId}": invalid webhook URL: ${webhookUrl}`);
+      return null;
+    }
+
+    return webhookUrl;
+  }
+
+  /**
+   * Validate a list of upstream webhook URLs (load balancing)
+   *
+   * Each upstream is either a URL string or { url, weight } with a positive
+   * integer weight (default 1, used by the weighted strategy). Unlike
+   * optional fields, one invalid upstream skips the whole model, so traffic
+   * is never silently shifted to the remaining upstreams.
+   *
+   * @param {string} modelId Model ID (for warnings)
+   * @param {Array<string|Object>} upstreams Configured upstreams
+   * @returns {Array<string|{url: string, weight?: number}>|null} Valid upstreams, or null if invalid
+   * @protected
+   */
+  validateUpstreams(modelId, upstreams) {
+    if (upstreams.length === 0) {
+      console.warn(`Skipping model "${modelId}": webhook URL list must not be empty`);
+      return null;
+    }
+
+    const validated = [];
+
+    for (const upstream of upstreams) {
+      if (typeof upstream === 'string') {
+        if (this.validateWebhookUrl(modelId, upstream) === null) {
+          return null;
+        }
+        validated.push(upstream);
+        continue;
+      }
+
+      const isObject = upstream !== null && typeof upstream === 'object';
+      if (!isObject || this.validateWebhookUrl(modelId, upstream.url) === null) {
+        return null;
+      }
+
+      if (upstream.weight === undefined) {
+        validated.push({ url: upstream.url });
+      } else if (Number.isInteger(upstream.weight) && upstream.weight > 0) {
+        validated.push({ url: upstream.url, weight: upstream.weight });
+      } else {
+        console.warn(`Skipping model "${modelId}": invalid upstream weight: ${upstream.weight}`);
+        return null;
+      }
+    }
+
+    return validated;
+  }
+
+  /**
+   * Validate optional metadata fields of an object model entry
+   *
+   * Supported fields:
+   * - description: string
+   * - owned_by: string
+   * - created: Unix timestamp in seconds (integer from 0 to 8.64e12)
+   * - context_length: positive integer
+   * - capabilities: object with boolean vision, tools and files flags
+   * - tags: array of strings
+   *
+   * Invalid fields are dropped with a warning, unknown fields are ignored.
+   * Unknown or non-boolean capability flags are dropped one by one, so a
+   * typo does not cost the model its other capabilities.
+   *
+   * @param {string} modelId Model ID (for warnings)
+   * @param {Object} entry Object model entry
+   * @returns {Object} Valid metadata fields
+   * @protected
+   */
+  validateMetadata(modelId, entry) {
+    const metadata = {};
+    const skip = (field) => console.warn(`Model "${modelId}": ignoring invalid ${field}`);
+
+    for (const field of ['description', 'owned_by']) {
+      if (entry[field] === undefined) {
+        continue;
+      }
+      if (typeof entry[field] === 'string' && entry[field].trim()) {
+        metadata[field] = entry[field];
+      } else {
+        skip(field);
+      }
+    }
+
+    if (entry.created !== undefined) {
+      if (
+        Number.isInteger(entry.created) &&
+        entry.created >= 0 &&
+        entry.created <= MAX_CREATED_TIMESTAMP
+      ) {
+        metadata.created = entry.created;
+      } else {
+        skip('created');
+      }
+    }
+
+    if (entry.context_length !== undefined) {
+      if (Number.isInteger(entry.context_length) && entry.context_length > 0) {
+        metadata.context_length = entry.context_length;
+      } else {
+        skip('context_length');
+      }
+    }
+
+    if (entry.capabilities !== undefined) {
+      const capabilities = entry.capabilities;
+      if (
+        capabilities !== null &&
+        typeof capabilities === 'object' &&
+        !Array.isArray(capabilities)
+      ) {
+        const flags = Object.entries(capabilities).filter(([name, value]) => {
+          if (!MODEL_CAPABILITIES.includes(name)) {
+            skip(`capability "${name}" (supported: ${MODEL_CAPABILITIES.join(', ')})`);
+            return false;
+          }
+          if (typeof value !== 'boolean') {
+            skip(`capability "${name}" (must be a boolean)`);
+            return false;
+          }
+          return true;
+        });
+        if (flags.length > 0) {
+          metadata.capabilities = Object.fromEntries(flags);
+        }
+      } else {
+        skip('capabilities');
+      }
+    }
+
+    if (entry.tags !== undefined) {
+      if (Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === 'string')) {
+        metadata.tags = [...entry.tags];
+      } else {
+        skip('tags');
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Validate optional alias fields of an object model entry
+   *
+   * Supported fields:
+   * - aliases: additional model IDs that resolve to this model
+   * - deprecatedIds: former model IDs that still resolve, but are answered
+   *   with a deprecation warning
+   *
+   * Both must be arrays of non-empty strings other than the model ID itself.
+   * Invalid fields are dropped with a warning. Conflicts with other models
+   * are resolved by ModelRepository.
+   *
+   * @param {string} modelId Model ID (for warnings)
+   * @param {Object} entry Object model entry
+   * @returns {Object} Valid alias fields
+   * @protected
+   */
+  validateAliases(modelId, entry) {
+    const aliases = {};
+
+    for (const field of ['aliases', 'deprecatedIds']) {
+      const ids = entry[field];
+      if (ids === undefined) {
+        continue;
+      }
+      const isValid =
+        Array.isArray(ids) &&
+        ids.every((id) => typeof id === 'string' && id.trim() && id !== modelId);
+      if (isValid) {
+        aliases[field] = [...ids];
+      } else {
+        console.warn(`Model "${modelId}": ignoring invalid ${field}`);
+      }
+    }
+
+    return aliases;
+  }
+
+  /**
+   * Validate optional per-model settings of an object model entry
+   *
+   * Supported fields (override the global Config values for this model):
+   * - timeout: webhook timeout in milliseconds (positive integer)
+   * - fileUploadMode: one of Config.FILE_UPLOAD_MODES
+   * - agentTurnSeparator: string (may be empty)
+   * - bearerToken: bearer token sent to the webhook
+   * - headers: object of extra static headers (string values)
+   * - webhookAuth: authentication of the n8n webhook, one of WebhookAuth
+   * - basicAuth: "user:password" credentials for basic auth webhooks
+   * - loadBalancing: upstream selection for webhook URL arrays, one of LoadBalancing
+   * - stickySessions: boolean, route requests of a session to the same upstream
+   *
+   * Invalid fields are dropped with a warning.
+   *
+   * @param {string} modelId Model ID (for warnings)
+   * @param {Object} entry Object model entry
+   * @returns {Object} Valid settings fields
+   * @protected
+   */
+  validateSettings(modelId, entry) {
+    const settings = {};
+    const skip = (field) => console.warn(`Model "${modelId}": ignoring invalid ${field}`);
+
+    if (entry.timeout !== undefined) {
+      if (Number.isInteger(entry.timeout) && entry.timeout > 0) {
+        settings.timeout = entry.timeout;
+      } else {
+        skip('timeout');
+      }
+    }
+
+    if (entry.fileUploadMode !== undefined) {
+      if (Config.FILE_UPLOAD_MODES.includes(entry.fileUploadMode)) {
+        settings.fileUploadMode = entry.fileUploadMode;
+      } else {
+        skip('fileUploadMode');
+      }
+    }
+
+    if (entry.agentTurnSeparator !== undefined) {
+      if (typeof entry.agentTurnSeparator === 'string') {
+        settings.agentTurnSeparator = entry.agentTurnSeparator;
+      } else {
+        skip('agentTurnSeparator');
+      }
+    }
+
+    if (entry.bearerToken !== undefined) {
+      if (typeof entry.bearerToken === 'string' && entry.bearerToken.trim()) {
+        settings.bearerToken = entry.bearerToken;
+      } else {
+        skip('bearerToken');
+      }
+    }
+
+    if (entry.headers !== undefined) {
+      const headers = entry.headers;
+      const isValid =
+        headers !== null &&
+        typeof headers === 'object' &&
+        !Array.isArray(headers) &&
+        Object.values(headers).every((value) => typeof value === 'string');
+      if (isValid) {
+        settings.headers = { ...headers };
+      } else {
+        skip('headers');
+      }
+    }
+
+    if (entry.webhookAuth !== undefined) {
+      if (Object.values(WebhookAuth).includes(entry.webhookAuth)) {
+        settings.webhookAuth = entry.webhookAuth;
+      } else {
+        skip('webhookAuth');
+      }
+    }
+
+    if (entry.basicAuth !== undefined) {
+      if (typeof entry.basicAuth === 'string' && entry.basicAuth.includes(':')) {
+        settings.basicAuth = entry.basicAuth;
+      } else {
+        skip('basicAuth');
+      }
+    }
+
+    if (entry.loadBalancing !== undefined) {
+      if (Object.values(LoadBalancing).includes(entry.loadBalancing)) {
+        settings.loadBalancing = entry.loadBalancing;
+      } else {
+        skip('loadBalancing');
+      }
+    }
+
+    if (entry.stickySessions !== undefined) {
+      if (typeof entry.stickySessions === 'boolean') {
+        settings.stickySessions = entry.stickySessions;
+      } else {
+        skip('stickySessions');
+      }
+    }
+
+    return settings;
+  }
 }
 
 module.exports = ModelLoader;
@@ -18,6 +18,7 @@
 
 const axios = require('axios');
 const ModelLoader = require('./ModelLoader');
+const WebhookAuth = require('../constants/WebhookAuth');
 
 /**
  * Loads models from n8n workflows via n8n REST API
@@ -28,29 +29,35 @@ const ModelLoader = require('./ModelLoader');
  *
  * Features:
  * - Auto-discovery of workflows via n8n API
- * - Tag-based filtering
- * - Webhook URL extraction from workflow nodes
+ * - Tag-based filtering with AND/OR/NOT tag expressions
+ * - Optional n8n project filter
+ * - Cursor pagination across all workflow pages
+ * - Webhook URL extraction from workflow nodes (node marker, HTTP method check)
+ * - Webhook authentication detection (header, basic, JWT)
  * - Polling mechanism for auto-reload
  * - Model ID generation from workflow names/tags
+ * - Model metadata from workflow description and capability tags
  *
  * Architecture:
  * 1. Fetch workflows from n8n API (GET /api/v1/workflows)
  * 2. Filter by configured tag
  * 3. Extract webhook URLs from workflow nodes
- * 4. Generate model IDs (priority: custom tag > name > workflow ID)
- * 5. Validate models using base class
- * 6. Optional: Poll for changes at configured interval
+ * 4. Generate model IDs (priority: "model:" tag > AUTO_DISCOVERY_MODEL_ID_MODE fallback)
+ * 5. Read metadata (workflow description, "capability:" tags)
+ * 6. Validate models using base class
+ * 7. Optional: Poll for changes at configured interval
  *
  * Requirements:
  * - n8n API key (X-N8N-API-KEY header)
  * - n8n base URL
- * - Workflows must be active
+ * - Workflows must be active (unless AUTO_DISCOVERY_INCLUDE_INACTIVE=true)
  * - Workflows must have webhook nodes
  * - Workflows must be tagged with configured tag
  *
  * Security Considerations:
  * - API key has read/write access to n8n (handle securely!)
- * - Only production webhook URLs are used (not test URLs)
+ * - Only production webhook URLs are used, test URLs only with the opt-in
+ *   development mode AUTO_DISCOVERY_INCLUDE_INACTIVE=true
  * - HTTPS recommended for API communication
  *
  * Error Handling:
@@ -64,6 +71,42 @@ class N8nApiModelLoader extends ModelLoader {
    */
   static TYPE = 'n8n-api';
 
+  /**
+   * Supported fallback modes for model IDs (AUTO_DISCOVERY_MODEL_ID_MODE)
+   * - name: original workflow name
+   * - slug: slugified workflow name ("GPT-4 Agent" → "gpt-4-agent")
+   * - id: n8n workflow ID
+   */
+  static MODEL_ID_MODES = ['name', 'slug', 'id'];
+
+  /**
+   * Tag prefix for an explicit model ID (e.g. "model:support-bot")
+   */
+  static MODEL_TAG_PREFIX = 'model:';
+
+  /**
+   * Tag prefix for model capabilities (e.g. "capability:vision")
+   */
+  static CAPABILITY_TAG_PREFIX = 'capability:';
+
+  /**
+   * Supported trigger node types
+   */
+  static NODE_TYPES = Object.freeze({
+    CHAT_TRIGGER: '@n8n/n8n-nodes-langchain.chatTrigger',
+    WEBHOOK: 'n8n-nodes-base.webhook',
+  });
+
+  /**
+   * Mapping of n8n node "authentication" parameter values to WebhookAuth
+   */
+  static NODE_AUTHENTICATION = Object.freeze({
+    none: WebhookAuth.NONE,
+    headerAuth: WebhookAuth.HEADER,
+    basicAuth: WebhookAuth.BASIC,
+    jwtAuth: WebhookAuth.JWT,
+  });
+
   /**
    * Get required environment variables for this loader
    *
@@ -83,7 +126,7 @@ class N8nApiModelLoader extends ModelLoader {
       },
       {
         name: 'AUTO_DISCOVERY_TAG',
-        description: 'Tag to filter workflows',
+        description: 'Tag or tag expression to filter workflows ("," = AND, "|" = OR, "!" = NOT)',
         required: false,
         defaultValue: 'n8n-openai-bridge',
       },
@@ -93,9 +136,84 @@ class N8nApiModelLoader extends ModelLoader {
         required: false,
         defaultValue: '300',
       },
+      {
+        name: 'AUTO_DISCOVERY_PAGE_LIMIT',
+        description: 'Workflows per API page (1-250)',
+        required: false,
+        defaultValue: '100',
+      },
+      {
+        name: 'AUTO_DISCOVERY_MAX_PAGES',
+        description: 'Maximum number of API pages to fetch',
+        required: false,
+        defaultValue: '50',
+      },
+      {
+        name: 'AUTO_DISCOVERY_MODEL_ID_MODE',
+        description: 'Model ID fallback without "model:" tag (name, slug, id)',
+        required: false,
+        defaultValue: 'name',
+      },
+      {
+        name: 'AUTO_DISCOVERY_PROJECT_ID',
+        description: 'Only discover workflows of this n8n project',
+        required: false,
+        defaultValue: '',
+      },
+      {
+        name: 'AUTO_DISCOVERY_INCLUDE_INACTIVE',
+        description: 'Expose inactive workflows via /webhook-test/ URLs (development only)',
+        required: false,
+        defaultValue: 'false',
+      },
+      {
+        name: 'AUTO_DISCOVERY_TEST_SUFFIX',
+        description: 'Model ID suffix for inactive workflows in test-webhook mode',
+        required: false,
+        defaultValue: '(test)',
+      },
+      {
+        name: 'AUTO_DISCOVERY_NODE_MARKER',
+        description: 'Node name marker selecting the trigger node in multi-trigger workflows',
+        required: false,
+        defaultValue: '[bridge]',
+      },
     ];
   }
 
+  /**
+   * Parse a tag expression into clauses
+   *
+   * Syntax:
+   * - "," separates clauses that must all match (AND)
+   * - "|" separates alternatives within a clause (OR)
+   * - "!" before a tag negates it (NOT)
+   *
+   * "," binds weaker than "|", so "prod,support|sales,!deprecated" means
+   * prod AND (support OR sales) AND NOT deprecated.
+   *
+   * @param {string} expression Tag expression (e.g. "prod,llm")
+   * @returns {Array<Array<{tag: string, negate: boolean}>>} Clauses of alternatives
+   * @throws {Error} If the expression or one of its terms is empty
+   */
+  static parseTagExpression(expression) {
+    const clauses = (expression || '').split(',').map((clause) =>
+      clause.split('|').map((term) => {
+        const trimmed = term.trim();
+        const negate = trimmed.startsWith('!');
+        const tag = (negate ? trimmed.slice(1) : trimmed).trim();
+
+        if (!tag) {
+          throw new Error(`Invalid AUTO_DISCOVERY_TAG expression: "${expression}"`);
+        }
+
+        return { tag, negate };
+      }),
+    );
+
+    return clauses;
+  }
+
   /**
    * Constructor
    *
@@ -114,6 +232,19 @@ class N8nApiModelLoader extends ModelLoader {
     this.n8nBaseUrl = n8nBaseUrl.replace(/\/$/, '');
     this.apiToken = apiToken;
     this.tag = tag;
+    this.tagClauses = N8nApiModelLoader.parseTagExpression(tag);
+    this.projectId = envValues.AUTO_DISCOVERY_PROJECT_ID || null;
+
+    this.nodeMarker = (envValues.AUTO_DISCOVERY_NODE_MARKER || '[bridge]').toLowerCase();
+
+    // Test-webhook mode: expose inactive workflows via /webhook-test/ URLs
+    this.includeInactive = envValues.AUTO_DISCOVERY_INCLUDE_INACTIVE === 'true';
+    this.testSuffix = envValues.AUTO_DISCOVERY_TEST_SUFFIX || '(test)';
+    if (this.includeInactive) {
+      console.warn(
+        'Test-webhook mode enabled: inactive workflows are exposed via /webhook-test/ URLs (development only)',
+      );
+    }
 
     // Parse polling interval to number
     const pollingInterval = parseInt(pollingIntervalStr, 10);
@@ -132,6 +263,32 @@ class N8nApiModelLoader extends ModelLoader {
       this.pollingInterval = pollingInterval;
     }
 
+    // Validate pagination settings (page limit 1-250, max pages >= 1)
+    const pageLimit = parseInt(envValues.AUTO_DISCOVERY_PAGE_LIMIT || '100', 10);
+    if (isNaN(pageLimit) || pageLimit < 1) {
+      throw new Error('Page limit must be >= 1');
+    }
+    if (pageLimit > 250) {
+      console.warn(`Page limit ${pageLimit} is too high, setting to 250`);
+      this.pageLimit = 250;
+    } else {
+      this.pageLimit = pageLimit;
+    }
+
+    const maxPages = parseInt(envValues.AUTO_DISCOVERY_MAX_PAGES || '50', 10);
+    if (isNaN(maxPages) || maxPages < 1) {
+      throw new Error('Max pages must be >= 1');
+    }
+    this.maxPages = maxPages;
+
+    const modelIdMode = (envValues.AUTO_DISCOVERY_MODEL_ID_MODE || 'name').toLowerCase();
+    if (!N8nApiModelLoader.MODEL_ID_MODES.includes(modelIdMode)) {
+      throw new Error(
+        `Invalid AUTO_DISCOVERY_MODEL_ID_MODE: "${modelIdMode}". Must be one of: ${N8nApiModelLoader.MODEL_ID_MODES.join(', ')}`,
+      );
+    }
+    this.modelIdMode = modelIdMode;
+
     console.log(
       `N8nApiModelLoader: Polling every ${this.pollingInterval}s for workflows tagged "${this.tag}"`,
     );
@@ -155,9 +312,10 @@ class N8nApiModelLoader extends ModelLoader {
    *
    * Implementation Flow:
    * 1. Fetch workflows from n8n API
-   * 2. Convert workflows to models object
-   * 3. Validate models using base class
-   * 4. Return validated models
+   * 2. Filter workflows by tag expression
+   * 3. Convert workflows to models object
+   * 4. Validate models using base class
+   * 5. Return validated models
    *
    * @returns {Promise<Object>} Object with model_id -> webhook_url mapping
    * @throws {Error} If API request fails or no valid models found
@@ -167,12 +325,16 @@ class N8nApiModelLoader extends ModelLoader {
       // Fetch workflows from n8n API
       const workflows = await this.fetchWorkflows();
 
+      const activeFilter = this.includeInactive ? 'including inactive' : 'active: true';
       console.log(
-        `Fetched ${workflows.length} workflows from n8n (tag: "${this.tag}", active: true)`,
+        `Fetched ${workflows.length} workflows from n8n (tag: "${this.tag}", ${activeFilter})`,
       );
 
+      // Apply tag expression (no-op for a single plain tag)
+      const matchingWorkflows = this.filterWorkflows(workflows);
+
       // Convert workflows to models object
-      const models = this.workflowsToModels(workflows);
+      const models = this.workflowsToModels(matchingWorkflows);
 
       // Validate models using base class (graceful degradation)
       const validatedModels = this.validateModels(models);
@@ -211,23 +373,103 @@ class N8nApiModelLoader extends ModelLoader {
    *
    * API Endpoint: GET /api/v1/workflows
    * Query Parameters:
-   * - active=true: Only active workflows
-   * - tags=<tag>: Filter by tag
+   * - active=true: Only active workflows (omitted in test-webhook mode)
+   * - tags=<tag>: First required tag of the tag expression (omitted if none)
+   * - projectId=<id>: Project filter (AUTO_DISCOVERY_PROJECT_ID, omitted if unset)
+   * - limit=<n>: Page size (AUTO_DISCOVERY_PAGE_LIMIT)
+   * - cursor=<cursor>: Next page cursor (omitted on first request)
+   *
+   * Only one required tag is sent to the API to narrow the result, the full
+   * tag expression is evaluated afterwards by filterWorkflows().
    *
-   * @returns {Promise<Array>} Array of workflow objects
+   * Follows `nextCursor` until the list is exhausted. Stops after
+   * AUTO_DISCOVERY_MAX_PAGES pages with a warning, so a misbehaving API
+   * cannot cause an endless loop.
+   *
+   * @returns {Promise<Array>} Array of workflow objects from all pages
    * @throws {Error} If API request fails
    * @private
    */
   async fetchWorkflows() {
-    const response = await this.axiosInstance.get('/api/v1/workflows', {
-      params: {
-        active: true, // Only active workflows
-        tags: this.tag, // Filter by configured tag
-      },
+    const workflows = [];
+    const apiTag = this.getApiTag();
+    let cursor = null;
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      const params = {};
+      if (!this.includeInactive) {
+        params.active = true; // Only active workflows
+      }
+      if (apiTag) {
+        params.tags = apiTag; // Narrow by a tag every match must have
+      }
+      if (this.projectId) {
+        params.projectId = this.projectId;
+      }
+      params.limit = this.pageLimit;
+      if (cursor) {
+        params.cursor = cursor;
+      }
+
+      const response = await this.axiosInstance.get('/api/v1/workflows', { params });
+
+      // n8n API returns { data: [...workflows...], nextCursor: "..." | null }
+      workflows.push(...(response.data.data || []));
+      cursor = response.data.nextCursor;
+
+      if (!cursor) {
+        return workflows;
+      }
+    }
+
+    console.warn(
+      `Stopped fetching workflows after ${this.maxPages} pages (AUTO_DISCOVERY_MAX_PAGES), some workflows may be missing`,
+    );
+    return workflows;
+  }
+
+  /**
+   * Get the tag sent to the n8n API to pre-filter workflows
+   *
+   * Uses the first clause consisting of a single non-negated tag, since every
+   * matching workflow must carry it. Returns null if there is no such clause
+   * (e.g. "support|sales" or "!deprecated").
+   *
+   * @returns {string|null} Tag name or null
+   * @private
+   */
+  getApiTag() {
+    const required = this.tagClauses.find((clause) => clause.length === 1 && !clause[0].negate);
+    return required ? required[0].tag : null;
+  }
+
+  /**
+   * Filter workflows by the configured tag expression
+   *
+   * A single plain tag is already applied by the n8n API, so workflows are
+   * returned unchanged. Tag names are compared case-insensitively.
+   *
+   * @param {Array} workflows Array of workflow objects from n8n API
+   * @returns {Array} Workflows matching the tag expression
+   * @private
+   */
+  filterWorkflows(workflows) {
+    const isPlainTag = this.tagClauses.length === 1 && this.getApiTag() !== null;
+    if (isPlainTag) {
+      return workflows;
+    }
+
+    const matching = workflows.filter((workflow) => {
+      const tags = new Set(this.getTagNames(workflow).map((name) => name.toLowerCase()));
+
+      return this.tagClauses.every((clause) =>
+        clause.some(({ tag, negate }) => tags.has(tag.toLowerCase()) !== negate),
+      );
     });
 
-    // n8n API returns { data: [...workflows...] }
-    return response.data.data || [];
+    console.log(`${matching.length} workflows match tag expression "${this.tag}"`);
+
+    return matching;
   }
 
   /**
@@ -235,24 +477,25 @@ class N8nApiModelLoader extends ModelLoader {
    *
    * Process:
    * 1. Extract webhook URL from each workflow
-   * 2. Generate model ID from workflow name (unsanitized)
-   * 3. Build models object { modelId: webhookUrl }
-   * 4. Handle duplicates and invalid workflows
+   * 2. Generate model ID (see generateModelId)
+   * 3. Extract metadata (see extractMetadata)
+   * 4. Build models object { modelId: webhookUrl | { webhookUrl, ...metadata, webhookAuth } }
+   * 5. Handle duplicates and invalid workflows
    *
-   * Model IDs are the original workflow names from n8n:
-   * - No sanitization or transformation
-   * - Duplicates are skipped (first one wins)
-   * - Workflow ID used as fallback if name is empty
+   * Duplicates are skipped (first one wins).
    *
    * Example output:
    * {
    *   "GPT-4 Agent": "https://n8n.example.com/webhook/...",
-   *   "Claude 3.5 Sonnet": "https://n8n.example.com/webhook/...",
-   *   "My Custom Model": "https://n8n.example.com/webhook/..."
+   *   "support-bot": {
+   *     "webhookUrl": "https://n8n.example.com/webhook/...",
+   *     "description": "Answers support tickets",
+   *     "capabilities": { "vision": true }
+   *   }
    * }
    *
    * @param {Array} workflows Array of workflow objects from n8n API
-   * @returns {Object} Models object { workflow_name: webhook_url }
+   * @returns {Object} Models object { model_id: webhook_url | model entry }
    * @private
    */
   workflowsToModels(workflows) {
@@ -261,13 +504,14 @@ class N8nApiModelLoader extends ModelLoader {
 
     for (const workflow of workflows) {
       // Skip inactive workflows (should already be filtered by API, but double-check)
-      if (!workflow.active) {
+      if (!workflow.active && !this.includeInactive) {
         console.warn(`Skipping inactive workflow: "${workflow.name}" (${workflow.id})`);
         continue;
       }
 
-      // Extract webhook URL
-      const webhookUrl = this.extractWebhookUrl(workflow);
+      // Select trigger node and build webhook URL
+      const triggerNode = this.selectTriggerNode(workflow);
+      const webhookUrl = triggerNode ? this.buildWebhookUrl(workflow, triggerNode) : null;
       if (!webhookUrl) {
         console.warn(
           `Skipping workflow "${workflow.name}" (${workflow.id}): No chatTrigger or webhook node found, or path/webhookId missing`,
@@ -275,8 +519,11 @@ class N8nApiModelLoader extends ModelLoader {
         continue;
       }
 
-      // Generate model ID
-      const modelId = this.generateModelId(workflow);
+      // Generate model ID (inactive workflows get the test suffix, e.g. "my-agent (test)")
+      let modelId = this.generateModelId(workflow);
+      if (!workflow.active) {
+        modelId = `${modelId} ${this.testSuffix}`;
+      }
 
       // Check for duplicate model IDs
       if (seenIds.has(modelId)) {
@@ -287,104 +534,317 @@ class N8nApiModelLoader extends ModelLoader {
       }
 
       seenIds.add(modelId);
-      models[modelId] = webhookUrl;
+
+      // Plain URL entry unless the workflow defines metadata or webhook auth
+      const entry = this.extractMetadata(workflow);
+      const webhookAuth = this.getWebhookAuth(triggerNode);
+      if (webhookAuth !== WebhookAuth.NONE) {
+        entry.webhookAuth = webhookAuth;
+      }
+
+      if (Object.keys(entry).length > 0) {
+        models[modelId] = { webhookUrl, ...entry };
+      } else {
+        models[modelId] = webhookUrl;
+      }
     }
 
     return models;
   }
 
+  /**
+   * Get tag names of a workflow
+   *
+   * @param {Object} workflow Workflow object from n8n API
+   * @returns {Array<string>} Trimmed tag names
+   * @private
+   */
+  getTagNames(workflow) {
+    return (workflow.tags || [])
+      .map((tag) => (typeof tag === 'string' ? tag : tag?.name))
+      .filter((name) => typeof name === 'string')
+      .map((name) => name.trim());
+  }
+
+  /**
+   * Get values of all tags starting with a prefix
+   *
+   * Prefix matching is case-insensitive, values keep their case.
+   * Example: prefix "model:" and tag "Model:support-bot" → "support-bot"
+   *
+   * @param {Object} workflow Workflow object from n8n API
+   * @param {string} prefix Tag prefix (e.g. "model:")
+   * @returns {Array<string>} Non-empty tag values
+   * @private
+   */
+  getPrefixedTagValues(workflow, prefix) {
+    return this.getTagNames(workflow)
+      .filter((name) => name.toLowerCase().startsWith(prefix))
+      .map((name) => name.slice(prefix.length).trim())
+      .filter((value) => value.length > 0);
+  }
+
   /**
    * Generate model ID from workflow
    *
    * Strategy:
-   * 1. Use original workflow name (unsanitized): "GPT-4 Agent" → "GPT-4 Agent"
-   * 2. Fallback to workflow ID if name is empty
+   * 1. Explicit "model:<id>" tag: "model:support-bot" → "support-bot"
+   * 2. Fallback according to AUTO_DISCOVERY_MODEL_ID_MODE:
+   *    - name (default): original workflow name "GPT-4 Agent" → "GPT-4 Agent"
+   *    - slug: slugified workflow name "GPT-4 Agent" → "gpt-4-agent"
+   *    - id: n8n workflow ID
+   * 3. Workflow ID if the name (or its slug) is empty
    *
-   * Why unsanitized name?
-   * - Preserves original workflow name from n8n
-   * - Users see exactly what they named in n8n
-   * - No information loss or transformation
-   * - Users manage model IDs directly in n8n workflow names
+   * An explicit tag keeps the model ID stable when the workflow is renamed.
    *
    * @param {Object} workflow Workflow object from n8n API
    * @returns {string} Model ID
    * @private
    */
   generateModelId(workflow) {
-    // Use original workflow name (unsanitized)
-    if (workflow.name && workflow.name.trim()) {
-      return workflow.name.trim();
+    const [explicitId] = this.getPrefixedTagValues(workflow, N8nApiModelLoader.MODEL_TAG_PREFIX);
+    if (explicitId) {
+      return explicitId;
     }
 
-    // Fallback to workflow ID if name is empty
+    const name = typeof workflow.name === 'string' ? workflow.name.trim() : '';
+
+    if (this.modelIdMode === 'slug') {
+      return this.slugify(name) || workflow.id;
+    }
+
+    if (this.modelIdMode === 'name' && name) {
+      return name;
+    }
+
+    // Workflow ID mode, or fallback if name is empty
     return workflow.id;
   }
 
   /**
-   * Extract webhook URL from workflow nodes
+   * Convert a workflow name into a URL-safe model ID
    *
-   * Logic (priority order):
-   * 1. Find chatTrigger node (type: "@n8n/n8n-nodes-langchain.chatTrigger") - highest priority
-   * 2. If not found, find webhook node (type: "n8n-nodes-base.webhook")
-   * 3. Extract webhookId/path from node
-   * 4. Construct production webhook URL with appropriate endpoint
-   * 5. Only return URL if workflow is active
+   * Lowercases, strips diacritics and replaces every run of characters
+   * other than a-z, 0-9, "." and "_" with a single "-".
+   * Example: "Café Support 🤖 Bot" → "cafe-support-bot"
    *
-   * URL Formats:
-   * - Chat Trigger: https://n8n.example.com/webhook/<webhookId>/chat
-   * - Webhook: https://n8n.example.com/webhook/<path>
+   * @param {string} name Workflow name
+   * @returns {string} Slug (empty string if nothing remains)
+   * @private
+   */
+  slugify(name) {
+    return name
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9._]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Extract model metadata from a workflow
    *
-   * Note: Only production webhook URLs are used.
-   * Test URLs are not supported (unreliable, not meant for production).
+   * Sources:
+   * - description: workflow description
+   * - capabilities: "capability:<name>" tags (e.g. "capability:vision")
+   *
+   * Values are validated by validateModels() like any other model entry.
+   *
+   * @param {Object} workflow Workflow object from n8n API
+   * @returns {Object} Metadata fields (empty if none defined)
+   * @private
+   */
+  extractMetadata(workflow) {
+    const metadata = {};
+
+    if (typeof workflow.description === 'string' && workflow.description.trim()) {
+      metadata.description = workflow.description.trim();
+    }
+
+    const capabilities = this.getPrefixedTagValues(
+      workflow,
+      N8nApiModelLoader.CAPABILITY_TAG_PREFIX,
+    );
+    if (capabilities.length > 0) {
+      metadata.capabilities = Object.fromEntries(
+        capabilities.map((capability) => [capability.toLowerCase(), true]),
+      );
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Extract webhook URL from workflow nodes
+   *
+   * Selects the trigger node (see selectTriggerNode) and builds its URL
+   * (see buildWebhookUrl).
    *
    * @param {Object} workflow Workflow object from n8n API
    * @returns {string|null} Webhook URL or null if not found
    * @private
    */
   extractWebhookUrl(workflow) {
-    // Only return URL if workflow is active (production URL)
-    if (!workflow.active) {
+    const triggerNode = this.selectTriggerNode(workflow);
+    return triggerNode ? this.buildWebhookUrl(workflow, triggerNode) : null;
+  }
+
+  /**
+   * Select the trigger node the bridge should call
+   *
+   * Candidates are enabled chatTrigger nodes with a webhookId and enabled
+   * webhook nodes with a path that accept POST requests.
+   *
+   * Logic (priority order):
+   * 1. Candidate whose name contains AUTO_DISCOVERY_NODE_MARKER (e.g. "Chat [bridge]")
+   * 2. First chatTrigger node (type: "@n8n/n8n-nodes-langchain.chatTrigger")
+   * 3. First webhook node (type: "n8n-nodes-base.webhook")
+   *
+   * Webhook nodes with an explicit HTTP method other than POST are skipped with
+   * a warning. A warning is also logged when several candidates exist and none
+   * is marked.
+   *
+   * @param {Object} workflow Workflow object from n8n API
+   * @returns {Object|null} Selected node or null if none qualifies
+   * @private
+   */
+  selectTriggerNode(workflow) {
+    // Only return a node if workflow is active (production URL) or test mode is enabled
+    if (!workflow.active && !this.includeInactive) {
       return null;
     }
 
-    const nodes = workflow.nodes || [];
+    const { CHAT_TRIGGER, WEBHOOK } = N8nApiModelLoader.NODE_TYPES;
+    const candidates = (workflow.nodes || []).filter((node) => {
+      if (node.disabled) {
+        return false;
+      }
 
-    // Priority 1: Find chatTrigger node with valid webhookId
-    const chatTriggerNode = nodes.find(
-      (node) => node.type === '@n8n/n8n-nodes-langchain.chatTrigger',
-    );
+      if (node.type === CHAT_TRIGGER) {
+        return Boolean(node.webhookId) && typeof node.webhookId === 'string';
+      }
+
+      if (node.type === WEBHOOK) {
+        const path = node.parameters?.path;
+        if (!path || typeof path !== 'string') {
+          return false;
+        }
 
-    if (chatTriggerNode) {
-      // Extract webhookId from chatTrigger node
-      const webhookId = chatTriggerNode.webhookId;
-      if (webhookId && typeof webhookId === 'string') {
-        // Construct production webhook URL for chat endpoint
-        // Format: https://n8n.example.com/webhook/<webhookId>/chat
-        return `${this.n8nBaseUrl}/webhook/${webhookId}/chat`;
+        if (!this.acceptsPost(node)) {
+          console.warn(
+            `Skipping webhook node "${node.name}" in workflow "${workflow.name}" (${workflow.id}): HTTP method ${node.parameters.httpMethod ?? 'GET'} does not accept POST`,
+          );
+          return false;
+        }
+
+        return true;
       }
-      // If chatTrigger exists but is invalid, fall through to webhook node
+
+      return false;
+    });
+
+    if (candidates.length === 0) {
+      return null;
     }
 
-    // Priority 2: Find webhook node
-    const webhookNode = nodes.find((node) => node.type === 'n8n-nodes-base.webhook');
+    const marked = candidates.find((node) =>
+      (node.name || '').toLowerCase().includes(this.nodeMarker),
+    );
+    if (marked) {
+      return marked;
+    }
 
-    if (webhookNode) {
-      // Extract path from webhook node parameters
-      const path = webhookNode.parameters?.path;
-      if (!path || typeof path !== 'string') {
-        return null;
-      }
+    if (candidates.length > 1) {
+      console.warn(
+        `Workflow "${workflow.name}" (${workflow.id}) has ${candidates.length} trigger nodes, add "${this.nodeMarker}" to a node name to select one`,
+      );
+    }
 
-      // Remove leading slash from path if present
-      const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
+    return candidates.find((node) => node.type === CHAT_TRIGGER) || candidates[0];
+  }
 
-      // Construct production webhook URL
-      // Format: https://n8n.example.com/webhook/<path>
-      return `${this.n8nBaseUrl}/webhook/${normalizedPath}`;
+  /**
+   * Check whether a webhook node accepts POST requests
+   *
+   * The httpMethod parameter may be a single method or, with "Allow Multiple
+   * HTTP Methods" enabled, an array. n8n omits the parameter for the default
+   * method GET, so a missing httpMethod does not accept POST.
+   *
+   * @param {Object} node Webhook node
+   * @returns {boolean} True if POST is accepted
+   * @private
+   */
+  acceptsPost(node) {
+    const httpMethod = node.parameters?.httpMethod ?? 'GET';
+    const methods = Array.isArray(httpMethod) ? httpMethod : [httpMethod];
+    return methods.some((method) => String(method).toUpperCase() === 'POST');
+  }
+
+  /**
+   * Build the webhook URL of a trigger node
+   *
+   * URL Formats:
+   * - Chat Trigger: https://n8n.example.com/webhook/<webhookId>/chat
+   * - Webhook: https://n8n.example.com/webhook/<path>
+   *
+   * Active workflows use production URLs. Inactive workflows are only
+   * exposed with AUTO_DISCOVERY_INCLUDE_INACTIVE=true and use test URLs
+   * (/webhook-test/...), which n8n only serves while the workflow is
+   * listening for a test event in the editor.
+   *
+   * @param {Object} workflow Workflow object from n8n API
+   * @param {Object} node Trigger node (see selectTriggerNode)
+   * @returns {string} Webhook URL
+   * @private
+   */
+  buildWebhookUrl(workflow, node) {
+    const basePath = workflow.active ? 'webhook' : 'webhook-test';
+
+    if (node.type === N8nApiModelLoader.NODE_TYPES.CHAT_TRIGGER) {
+      return `${this.n8nBaseUrl}/${basePath}/${node.webhookId}/chat`;
+    }
+
+    // Remove leading slash from path if present
+    const path = node.parameters.path;
+    const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
+
+    return `${this.n8nBaseUrl}/${basePath}/${normalizedPath}`;
+  }
+
+  /**
+   * Detect the authentication configured on a trigger node
+   *
+   * Maps the node's "authentication" parameter to WebhookAuth. Unknown
+   * values (e.g. the chat trigger's n8n user auth, which the bridge cannot
+   * satisfy) are reported as WebhookAuth.NONE with a warning. Header auth
+   * is logged as well: the bridge always sends "Authorization: Bearer", so
+   * credentials with another header name cannot be satisfied.
+   *
+   * @param {Object} node Trigger node
+   * @returns {string} WebhookAuth value
+   * @private
+   */
+  getWebhookAuth(node) {
+    const authentication = node.parameters?.authentication;
+    if (authentication === undefined) {
+      return WebhookAuth.NONE;
+    }
+
+    const webhookAuth = N8nApiModelLoader.NODE_AUTHENTICATION[authentication];
+    if (!webhookAuth) {
+      console.warn(
+        `Unsupported authentication "${authentication}" on node "${node.name}", no credentials will be sent`,
+      );
+      return WebhookAuth.NONE;
+    }
+
+    if (webhookAuth === WebhookAuth.HEADER) {
+      console.warn(
+        `Header auth on node "${node.name}": the bridge only sends "Authorization: Bearer <N8N_WEBHOOK_BEARER_TOKEN>", credentials with another header name are not supported`,
+      );
     }
 
-    // No supported node type found
-    return null;
+    return webhookAuth;
   }
 
   /**
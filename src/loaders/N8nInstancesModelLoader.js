@@ -0,0 +1,249 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const CompositeModelLoader = require('./CompositeModelLoader');
+const N8nApiModelLoader = require('./N8nApiModelLoader');
+
+/**
+ * Loads models from multiple n8n instances via n8n REST API
+ *
+ * Runs one N8nApiModelLoader per configured instance (e.g. staging,
+ * production, one per business unit) and merges their models into a
+ * single model set.
+ *
+ * Instances are configured as JSON array in N8N_INSTANCES:
+ * [
+ *   {
+ *     "name": "prod",                        // optional, used in logs
+ *     "baseUrl": "https://n8n.example.com",  // required
+ *     "apiToken": "n8n_api_xxx",             // required
+ *     "tag": "n8n-openai-bridge",            // optional, tag expression
+ *     "pollInterval": 300,                   // optional, seconds
+ *     "pageLimit": 100,                      // optional
+ *     "maxPages": 50,                        // optional
+ *     "modelIdMode": "name",                 // optional
+ *     "projectId": "abc",                    // optional
+ *     "includeInactive": false,              // optional
+ *     "testSuffix": "(test)",                // optional
+ *     "nodeMarker": "[bridge]",              // optional
+ *     "modelIdPrefix": "prod/"               // optional
+ *   }
+ * ]
+ *
+ * Failure Isolation:
+ * - An instance failing to load keeps its previous models (none at startup)
+ *   while the other instances are served normally
+ * - Startup only fails if every instance fails
+ * - Each instance polls independently and recovers on its own
+ *
+ * Duplicate model IDs across instances: first instance wins (use
+ * modelIdPrefix to keep them apart).
+ */
+class N8nInstancesModelLoader extends CompositeModelLoader {
+  /**
+   * Loader type identifier for MODEL_LOADER_TYPE env var
+   */
+  static TYPE = 'n8n-instances';
+
+  /**
+   * Mapping of instance config keys to N8nApiModelLoader ENV var names
+   */
+  static INSTANCE_ENV_KEYS = {
+    baseUrl: 'N8N_BASE_URL',
+    apiToken: 'N8N_API_BEARER_TOKEN',
+    tag: 'AUTO_DISCOVERY_TAG',
+    pollInterval: 'AUTO_DISCOVERY_POLL_INTERVAL',
+    pageLimit: 'AUTO_DISCOVERY_PAGE_LIMIT',
+    maxPages: 'AUTO_DISCOVERY_MAX_PAGES',
+    modelIdMode: 'AUTO_DISCOVERY_MODEL_ID_MODE',
+    projectId: 'AUTO_DISCOVERY_PROJECT_ID',
+    includeInactive: 'AUTO_DISCOVERY_INCLUDE_INACTIVE',
+    testSuffix: 'AUTO_DISCOVERY_TEST_SUFFIX',
+    nodeMarker: 'AUTO_DISCOVERY_NODE_MARKER',
+  };
+
+  /**
+   * Get required environment variables for this loader
+   *
+   * @returns {Array<{name: string, description: string, required: boolean, defaultValue?: string}>}
+   */
+  static getRequiredEnvVars() {
+    return [
+      {
+        name: 'N8N_INSTANCES',
+        description: 'JSON array of n8n instances ({ baseUrl, apiToken, tag, ... })',
+        required: true,
+      },
+    ];
+  }
+
+  /**
+   * Parse and validate the N8N_INSTANCES JSON
+   *
+   * @param {string} json JSON array of instance configs
+   * @returns {Array<Object>} Instance configs with a name set
+   * @throws {Error} If the JSON is invalid, empty, or an instance lacks baseUrl/apiToken
+   */
+  static parseInstances(json) {
+    let instances;
+    try {
+      instances = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid JSON in N8N_INSTANCES: ${error.message}`);
+    }
+
+    if (!Array.isArray(instances) || instances.length === 0) {
+      throw new Error('N8N_INSTANCES must be a non-empty JSON array');
+    }
+
+    const names = new Set();
+
+    return instances.map((instance, index) => {
+      if (!instance || typeof instance !== 'object' || Array.isArray(instance)) {
+        throw new Error(`N8N_INSTANCES[${index}] must be an object`);
+      }
+
+      for (const field of ['baseUrl', 'apiToken']) {
+        if (typeof instance[field] !== 'string' || !instance[field].trim()) {
+          throw new Error(`N8N_INSTANCES[${index}] is missing "${field}"`);
+        }
+      }
+
+      const name = instance.name || `instance-${index + 1}`;
+      if (names.has(name)) {
+        throw new Error(`N8N_INSTANCES contains instance name "${name}" more than once`);
+      }
+      names.add(name);
+
+      return { ...instance, name };
+    });
+  }
+
+  /**
+   * Build N8nApiModelLoader ENV values for one instance
+   *
+   * Missing settings fall back to the N8nApiModelLoader defaults.
+   *
+   * @param {Object} instance Instance config
+   * @returns {Object} ENV values for N8nApiModelLoader
+   */
+  static toEnvValues(instance) {
+    const envValues = {};
+
+    for (const def of N8nApiModelLoader.getRequiredEnvVars()) {
+      envValues[def.name] = def.defaultValue;
+    }
+
+    for (const [key, envName] of Object.entries(N8nInstancesModelLoader.INSTANCE_ENV_KEYS)) {
+      if (instance[key] !== undefined && instance[key] !== null) {
+        envValues[envName] = String(instance[key]).trim();
+      }
+    }
+
+    return envValues;
+  }
+
+  /**
+   * Constructor
+   *
+   * @param {Object} envValues Environment values object with ENV var names as keys
+   * @throws {Error} If N8N_INSTANCES is invalid
+   */
+  constructor(envValues) {
+    const instances = N8nInstancesModelLoader.parseInstances(envValues.N8N_INSTANCES);
+    const loaders = instances.map(
+      (instance) => new N8nApiModelLoader(N8nInstancesModelLoader.toEnvValues(instance)),
+    );
+
+    super({ COMPOSITE_CONFLICT_POLICY: 'first' }, loaders);
+
+    this.instances = instances;
+
+    console.log(
+      `N8nInstancesModelLoader: ${instances.length} instances (${instances.map((i) => i.name).join(', ')})`,
+    );
+  }
+
+  /**
+   * Use instance names in log messages
+   *
+   * @param {number} index Instance index
+   * @returns {string} Instance name
+   * @protected
+   */
+  getLoaderName(index) {
+    return this.instances[index].name;
+  }
+
+  /**
+   * Apply the instance's modelIdPrefix to its model IDs
+   *
+   * @param {number} index Instance index
+   * @param {Object} models Models returned by the instance loader
+   * @returns {Object} Models with prefixed IDs
+   * @protected
+   */
+  prepareChildModels(index, models) {
+    const prefix = this.instances[index].modelIdPrefix;
+    if (!prefix) {
+      return models;
+    }
+
+    const prefixed = {};
+    for (const [modelId, entry] of Object.entries(models)) {
+      prefixed[`${prefix}${modelId}`] = entry;
+    }
+    return prefixed;
+  }
+
+  /**
+   * Load models from all instances and merge them
+   *
+   * Failing instances are logged and keep their previously loaded models,
+   * so one unreachable instance does not drop the models of the others.
+   *
+   * @returns {Promise<Object>} Merged models object
+   * @throws {Error} If every instance fails to load
+   */
+  async load() {
+    const results = await Promise.allSettled(this.loaders.map((loader) => loader.load()));
+    let loadedCount = 0;
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        this.childModels[index] = this.prepareChildModels(index, result.value);
+        loadedCount++;
+      } else {
+        console.error(
+          `n8n instance "${this.getLoaderName(index)}" failed to load: ${result.reason.message}`,
+        );
+      }
+    });
+
+    if (loadedCount === 0) {
+      throw new Error(`All ${this.loaders.length} n8n instances failed to load`);
+    }
+
+    const merged = this.mergeModels(this.childModels);
+    this.lastHash = this.getModelsHash(merged);
+
+    return merged;
+  }
+}
+
+module.exports = N8nInstancesModelLoader;
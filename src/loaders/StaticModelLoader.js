@@ -64,10 +64,12 @@ class StaticModelLoader extends ModelLoader {
   /**
    * Load static models
    *
+   * Environment placeholders (${VAR}, ${VAR:-default}) are resolved on each load.
+   *
    * @returns {Promise<Object>} Object with model_id -> webhook_url mapping
    */
   async load() {
-    const validated = this.validateModels(this.staticModels);
+    const validated = this.validateModels(this.interpolateModels(this.staticModels));
     return validated;
   }
 }
@@ -0,0 +1,49 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const multer = require('multer');
+const { createErrorResponse } = require('../utils/errorResponse');
+
+/** Maximum audio file size in bytes (matches the OpenAI limit of 25 MB) */
+const MAX_AUDIO_FILE_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Audio upload middleware
+ * Parses multipart/form-data requests with a single "file" field into
+ * req.file (kept in memory) and the remaining fields into req.body.
+ * Upload errors (e.g. file too large) are returned as 400.
+ *
+ * @returns {Function} Express middleware function
+ */
+function audioUpload() {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AUDIO_FILE_SIZE, files: 1 },
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json(createErrorResponse(err.message, 'invalid_request_error'));
+      }
+      next();
+    });
+  };
+}
+
+module.exports = audioUpload;
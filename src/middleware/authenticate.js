@@ -47,9 +47,32 @@ function timingSafeEqual(a, b) {
   }
 }
 
+/**
+ * Extract the API token from the request
+ * Accepts "Authorization: Bearer <token>" (OpenAI style) and
+ * "x-api-key: <token>" (Anthropic style)
+ *
+ * @param {Object} headers - Request headers
+ * @returns {string|null} Token or null if no supported header is present
+ */
+function extractToken(headers) {
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  const apiKey = headers['x-api-key'];
+  if (typeof apiKey === 'string' && apiKey) {
+    return apiKey;
+  }
+
+  return null;
+}
+
 /**
  * Authentication middleware
- * Validates Bearer token from Authorization header using timing-safe comparison
+ * Validates the token from the Authorization (Bearer) or x-api-key header
+ * using timing-safe comparison
  *
  * @param {object} config - Configuration object with bearerToken
  * @returns {Function} Express middleware function
@@ -60,13 +83,11 @@ function authenticate(config) {
       return next();
     }
 
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const token = extractToken(req.headers);
+    if (token === null) {
       return sendError(res, 401, 'Unauthorized', 'authentication_error');
     }
 
-    const token = authHeader.substring(7);
-
     // Use timing-safe comparison to prevent timing attacks
     if (!timingSafeEqual(token, config.bearerToken)) {
       return sendError(res, 401, 'Invalid token', 'authentication_error');
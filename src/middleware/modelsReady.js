@@ -0,0 +1,41 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { sendError } = require('../utils/errorResponse');
+
+/**
+ * Models ready middleware
+ * While models are still loading in the background (MODELS_BACKGROUND_LOAD),
+ * answers 503 with a Retry-After header instead of letting the route report
+ * the requested model as not found
+ *
+ * @param {Object} bootstrap - Bootstrap instance with modelsPending state
+ * @returns {Function} Express middleware function
+ */
+function modelsReady(bootstrap) {
+  return (req, res, next) => {
+    if (!bootstrap.modelsPending) {
+      return next();
+    }
+
+    res.set('Retry-After', String(bootstrap.getRetryAfterSeconds()));
+    return sendError(res, 503, 'Models are still loading, please retry later');
+  };
+}
+
+module.exports = modelsReady;
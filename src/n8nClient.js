@@ -16,9 +16,13 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const FormData = require('form-data');
 const { StringDecoder } = require('string_decoder');
+const { v4: uuidv4 } = require('uuid');
+const WebhookAuth = require('./constants/WebhookAuth');
+const LoadBalancing = require('./constants/LoadBalancing');
 const {
   processMessages,
   filesToBuffers,
@@ -30,22 +34,262 @@ class N8nClient {
   /** @type {Set<string>} Chunk types treated as metadata (no content extracted) */
   static METADATA_TYPES = new Set(['begin', 'end', 'error', 'metadata']);
 
+  /** @type {string} Chunk type used by n8n workflows to request a client-side tool call */
+  static TOOL_CALL_TYPE = 'tool_call';
+
   constructor(config, taskDetectorService = null) {
     this.config = config;
     this.taskDetectorService = taskDetectorService;
     this.MAX_BUFFER_SIZE = 10 * 1024 * 1024; // 10MB max buffer size
+
+    // Load balancing state per model ID (round-robin cursor, weights, in-flight counts)
+    this.upstreamState = new Map();
+  }
+
+  /**
+   * Resolve the effective webhook settings for a request
+   *
+   * Per-model overrides (from the model configuration) take precedence over
+   * the global Config values.
+   *
+   * @param {Object} [overrides={}] - Per-model settings (see ModelRepository.getModelSettings)
+   * @param {number} [overrides.timeout] - Request timeout in milliseconds
+   * @param {string} [overrides.fileUploadMode] - File upload mode
+   * @param {string} [overrides.agentTurnSeparator] - Separator between agent turns
+   * @param {string} [overrides.bearerToken] - Bearer token for the webhook
+   * @param {Object<string, string>} [overrides.headers] - Extra static headers
+   * @param {string} [overrides.webhookAuth] - Webhook authentication (see WebhookAuth)
+   * @param {string} [overrides.basicAuth] - "user:password" for basic auth webhooks
+   * @param {string} [overrides.loadBalancing] - Upstream selection strategy (see LoadBalancing)
+   * @param {boolean} [overrides.stickySessions] - Route a session to the same upstream
+   * @returns {{timeout: number, fileUploadMode: string, agentTurnSeparator: string, bearerToken: string, headers: Object<string, string>, webhookAuth: string|null, basicAuth: string, loadBalancing: string, stickySessions: boolean}}
+   */
+  resolveSettings(overrides = {}) {
+    return {
+      timeout: overrides.timeout ?? this.config.n8nTimeout,
+      fileUploadMode: overrides.fileUploadMode ?? this.config.fileUploadMode ?? 'passthrough',
+      agentTurnSeparator: overrides.agentTurnSeparator ?? this.config.agentTurnSeparator ?? '\n\n',
+      bearerToken: overrides.bearerToken ?? this.config.n8nWebhookBearerToken,
+      headers: overrides.headers ?? {},
+      webhookAuth: overrides.webhookAuth ?? null,
+      basicAuth: overrides.basicAuth ?? this.config.n8nWebhookBasicAuth ?? '',
+      loadBalancing: overrides.loadBalancing ?? LoadBalancing.ROUND_ROBIN,
+      stickySessions: overrides.stickySessions ?? false,
+    };
+  }
+
+  /**
+   * Pick the upstream webhook URL for a request
+   *
+   * A single webhook URL is returned as is. For a list of upstreams the
+   * model's loadBalancing strategy decides (round-robin by default). With
+   * stickySessions, requests carrying a client-supplied session ID always go
+   * to the same upstream, so n8n memory nodes keep seeing the same instance.
+   * Callers pass no session ID for generated ones, which never repeat.
+   *
+   * release() must be called once the request has finished, so the
+   * least-in-flight strategy sees the current load.
+   *
+   * @param {string|Array<string|{url: string, weight?: number}>} webhookUrl - Webhook URL(s) of the model
+   * @param {Object} settings - Resolved settings (see resolveSettings)
+   * @param {Object} [context={}] - Request context
+   * @param {string} [context.modelId] - Model ID the balancing state belongs to
+   * @param {string} [context.sessionId] - Client-supplied session identifier (used for sticky sessions)
+   * @returns {{url: string, release: Function}} Selected URL and release callback
+   */
+  acquireUpstream(webhookUrl, settings, { modelId, sessionId } = {}) {
+    if (!Array.isArray(webhookUrl)) {
+      return { url: webhookUrl, release: () => {} };
+    }
+
+    const upstreams = webhookUrl.map((upstream) =>
+      typeof upstream === 'string'
+        ? { url: upstream, weight: 1 }
+        : { url: upstream.url, weight: upstream.weight ?? 1 },
+    );
+    const state = this.getUpstreamState(modelId, upstreams);
+
+    let index;
+    if (settings.stickySessions && sessionId) {
+      index = this.selectStickyUpstream(upstreams, sessionId);
+    } else if (settings.loadBalancing === LoadBalancing.WEIGHTED) {
+      index = this.selectWeightedUpstream(upstreams, state);
+    } else if (settings.loadBalancing === LoadBalancing.LEAST_IN_FLIGHT) {
+      index = this.selectLeastInFlightUpstream(upstreams, state);
+    } else {
+      index = state.next % upstreams.length;
+      state.next = index + 1;
+    }
+
+    state.inFlight[index]++;
+    let released = false;
+
+    return {
+      url: upstreams[index].url,
+      release: () => {
+        if (!released) {
+          released = true;
+          state.inFlight[index]--;
+        }
+      },
+    };
+  }
+
+  /**
+   * Get (or create) the balancing state of a model
+   *
+   * One entry per model ID, so the map stays as small as the model list.
+   * A changed upstream list (e.g. after a reload) starts with fresh state.
+   *
+   * @param {string} [modelId] - Model ID
+   * @param {Array<{url: string, weight: number}>} upstreams - Normalized upstreams
+   * @returns {{upstreams: string, next: number, currentWeights: Array<number>, inFlight: Array<number>}} Balancing state
+   * @private
+   */
+  getUpstreamState(modelId, upstreams) {
+    const signature = JSON.stringify(upstreams);
+    let state = this.upstreamState.get(modelId);
+
+    if (!state || state.upstreams !== signature) {
+      state = {
+        upstreams: signature,
+        next: 0,
+        currentWeights: upstreams.map(() => 0),
+        inFlight: upstreams.map(() => 0),
+      };
+      this.upstreamState.set(modelId, state);
+    }
+
+    return state;
+  }
+
+  /**
+   * Smooth weighted round-robin (as in nginx)
+   * Spreads requests proportionally to the weights without bursts to one upstream.
+   * @param {Array<{url: string, weight: number}>} upstreams - Normalized upstreams
+   * @param {Object} state - Balancing state (see getUpstreamState)
+   * @returns {number} Index of the selected upstream
+   * @private
+   */
+  selectWeightedUpstream(upstreams, state) {
+    let totalWeight = 0;
+    let best = 0;
+
+    upstreams.forEach((upstream, index) => {
+      state.currentWeights[index] += upstream.weight;
+      totalWeight += upstream.weight;
+      if (state.currentWeights[index] > state.currentWeights[best]) {
+        best = index;
+      }
+    });
+
+    state.currentWeights[best] -= totalWeight;
+    return best;
+  }
+
+  /**
+   * Select the upstream with the fewest requests in flight
+   * Ties are broken in round-robin order, so idle upstreams share the load.
+   * @param {Array<{url: string, weight: number}>} upstreams - Normalized upstreams
+   * @param {Object} state - Balancing state (see getUpstreamState)
+   * @returns {number} Index of the selected upstream
+   * @private
+   */
+  selectLeastInFlightUpstream(upstreams, state) {
+    let best = -1;
+
+    for (let offset = 0; offset < upstreams.length; offset++) {
+      const index = (state.next + offset) % upstreams.length;
+      if (best === -1 || state.inFlight[index] < state.inFlight[best]) {
+        best = index;
+      }
+    }
+
+    state.next = best + 1;
+    return best;
+  }
+
+  /**
+   * Select the upstream of a session (weighted rendezvous hashing)
+   *
+   * Every session/upstream pair gets a stable score, the highest wins.
+   * Adding or removing an upstream therefore only moves the sessions of
+   * that upstream, all other sessions keep their instance.
+   *
+   * @param {Array<{url: string, weight: number}>} upstreams - Normalized upstreams
+   * @param {string} sessionId - Session identifier
+   * @returns {number} Index of the selected upstream
+   * @private
+   */
+  selectStickyUpstream(upstreams, sessionId) {
+    let best = 0;
+    let bestScore = -Infinity;
+
+    upstreams.forEach((upstream, index) => {
+      const hash = crypto.createHash('md5').update(`${sessionId}\n${upstream.url}`).digest('hex');
+      // Uniform value in (0, 1) from the first 52 bits of the hash
+      const value = (parseInt(hash.slice(0, 13), 16) + 1) / (2 ** 52 + 1);
+      const score = upstream.weight / -Math.log(value);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Build the Authorization header value for a webhook request
+   *
+   * Basic auth webhooks get "Basic <base64(user:password)>", all others the
+   * bearer token. Header auth is therefore only satisfied by credentials with
+   * header name "Authorization" and value "Bearer <token>"; other header names
+   * need the model's static headers setting.
+   *
+   * @param {Object} settings - Resolved settings (see resolveSettings)
+   * @returns {string|null} Header value or null if no credentials are configured
+   */
+  getAuthorization(settings) {
+    if (settings.webhookAuth === WebhookAuth.BASIC) {
+      if (!settings.basicAuth) {
+        return null;
+      }
+      return `Basic ${Buffer.from(settings.basicAuth).toString('base64')}`;
+    }
+
+    return settings.bearerToken ? `Bearer ${settings.bearerToken}` : null;
   }
 
-  getHeaders() {
-    const headers = { 'Content-Type': 'application/json' };
-    if (this.config.n8nWebhookBearerToken) {
-      headers['Authorization'] = `Bearer ${this.config.n8nWebhookBearerToken}`;
+  /**
+   * Build request headers for a JSON webhook request
+   * @param {Object} [settings] - Resolved settings (see resolveSettings)
+   * @returns {Object<string, string>} Request headers
+   */
+  getHeaders(settings = this.resolveSettings()) {
+    const headers = { ...settings.headers, 'Content-Type': 'application/json' };
+    const authorization = this.getAuthorization(settings);
+    if (authorization) {
+      headers['Authorization'] = authorization;
     }
     return headers;
   }
 
-  buildPayload(messages, sessionId, userContext) {
-    const fileUploadMode = this.config.fileUploadMode || 'passthrough';
+  /**
+   * Build the webhook payload sent to n8n
+   * @param {Array<Object>} messages - OpenAI chat messages
+   * @param {string} sessionId - Session identifier
+   * @param {Object} userContext - User context (userId, userEmail, userName, userRole)
+   * @param {Object} [options={}] - Optional request fields
+   * @param {Array<Object>} [options.tools] - OpenAI tool definitions to forward
+   * @param {string|Object} [options.toolChoice] - OpenAI tool_choice to forward
+   * @param {Object} [options.settings] - Per-model settings (see resolveSettings)
+   * @param {string} [options.modelId] - Model ID (keys the load balancing state)
+   * @param {boolean} [options.sessionGenerated] - Session ID was generated by the bridge (not sticky)
+   * @returns {Object} Webhook payload
+   */
+  buildPayload(messages, sessionId, userContext, options = {}) {
+    const { fileUploadMode } = this.resolveSettings(options.settings);
 
     // Process messages according to file upload mode
     const { messages: processedMessages, files } = processMessages(messages, fileUploadMode);
@@ -77,6 +321,14 @@ class N8nClient {
       taskType: null,
     };
 
+    // Forward tool definitions so n8n agents can request client-side tool calls
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      payload.tools = options.tools;
+      if (options.toolChoice !== undefined) {
+        payload.toolChoice = options.toolChoice;
+      }
+    }
+
     // Add files array for extract-json mode
     if (fileUploadMode === 'extract-json' && files.length > 0) {
       payload.files = files;
@@ -111,14 +363,19 @@ class N8nClient {
   /**
    * Process response stream and extract JSON chunks
    * Shared method to eliminate duplication between streaming and non-streaming
+   *
+   * Yields content as strings and tool calls as objects
+   * ({ type: 'tool_call', id, name, arguments }).
+   * @param {Object} response - Axios stream response
+   * @param {Object} [settings] - Resolved settings (see resolveSettings)
    * @private
    */
-  async *processResponseStream(response) {
+  async *processResponseStream(response, settings = this.resolveSettings()) {
     let buffer = '';
     const decoder = new StringDecoder('utf8');
     let hasYieldedContent = false;
     let pendingTurnSeparator = false;
-    const turnSeparator = this.config.agentTurnSeparator ?? '\n\n';
+    const turnSeparator = settings.agentTurnSeparator;
 
     for await (const chunk of response.data) {
       const text = decoder.write(chunk);
@@ -135,7 +392,12 @@ class N8nClient {
         buffer = chunks.remainder;
 
         for (const jsonChunk of chunks.extracted) {
-          const { content, isEndOfTurn } = this.parseN8nChunk(jsonChunk);
+          const { content, isEndOfTurn, toolCall } = this.parseN8nChunk(jsonChunk);
+
+          if (toolCall) {
+            yield toolCall;
+            continue;
+          }
 
           // Track agent turn boundaries to inject separators
           if (isEndOfTurn && hasYieldedContent) {
@@ -161,8 +423,10 @@ class N8nClient {
 
     // Process remaining buffer
     if (buffer.trim()) {
-      const { content } = this.parseN8nChunk(buffer.trim());
-      if (content) {
+      const { content, toolCall } = this.parseN8nChunk(buffer.trim());
+      if (toolCall) {
+        yield toolCall;
+      } else if (content) {
         if (pendingTurnSeparator && turnSeparator) {
           yield turnSeparator;
         }
@@ -175,10 +439,11 @@ class N8nClient {
    * Build request config for axios, handling multipart mode
    * @param {Object} payload - JSON payload
    * @param {Array} files - Files to upload (for multipart mode)
+   * @param {Object} [settings] - Resolved settings (see resolveSettings)
    * @returns {Object} Axios request config
    * @private
    */
-  buildRequestConfig(payload, files) {
+  buildRequestConfig(payload, files, settings = this.resolveSettings()) {
     if (files && files.length > 0) {
       // Multipart mode - send payload fields directly for n8n compatibility
       const form = new FormData();
@@ -201,79 +466,290 @@ class N8nClient {
         });
       }
 
+      const authorization = this.getAuthorization(settings);
       return {
         headers: {
+          ...settings.headers,
           ...form.getHeaders(),
-          ...(this.config.n8nWebhookBearerToken && {
-            Authorization: `Bearer ${this.config.n8nWebhookBearerToken}`,
-          }),
+          ...(authorization && { Authorization: authorization }),
         },
         data: form,
         responseType: 'stream',
-        timeout: this.config.n8nTimeout,
+        timeout: settings.timeout,
       };
     }
 
     // JSON mode
     return {
-      headers: this.getHeaders(),
+      headers: this.getHeaders(settings),
       data: payload,
       responseType: 'stream',
-      timeout: this.config.n8nTimeout,
+      timeout: settings.timeout,
     };
   }
 
-  async *streamCompletion(webhookUrl, messages, sessionId, userContext) {
-    const payload = this.buildPayload(messages, sessionId, userContext);
+  /**
+   * Stream a completion from an n8n webhook
+   * @param {string|Array} webhookUrl - Webhook URL(s) of the model (see acquireUpstream)
+   * @param {Array<Object>} messages - OpenAI chat messages
+   * @param {string} sessionId - Session identifier
+   * @param {Object} userContext - User context
+   * @param {Object} [options={}] - Optional request fields and per-model settings (see buildPayload)
+   * @yields {string|Object} Content strings and tool call objects
+   */
+  async *streamCompletion(webhookUrl, messages, sessionId, userContext, options = {}) {
+    const settings = this.resolveSettings(options.settings);
+    const payload = this.buildPayload(messages, sessionId, userContext, options);
     const files = this._pendingFiles || [];
     this._pendingFiles = [];
+    const upstream = this.acquireUpstream(webhookUrl, settings, {
+      modelId: options.modelId,
+      sessionId: options.sessionGenerated ? undefined : sessionId,
+    });
 
     try {
-      const config = this.buildRequestConfig(payload, files);
-      const response = await axios.post(webhookUrl, config.data, {
+      const config = this.buildRequestConfig(payload, files, settings);
+      const response = await axios.post(upstream.url, config.data, {
         headers: config.headers,
         responseType: config.responseType,
         timeout: config.timeout,
       });
 
       // Use the shared stream processing method
-      yield* this.processResponseStream(response);
+      yield* this.processResponseStream(response, settings);
     } catch (error) {
       console.error('Streaming error:', error.message);
       throw error;
+    } finally {
+      upstream.release();
     }
   }
 
-  async nonStreamingCompletion(webhookUrl, messages, sessionId, userContext) {
-    const payload = this.buildPayload(messages, sessionId, userContext);
+  /**
+   * Collect a complete response from an n8n webhook
+   *
+   * Returns the collected content as a string. If the workflow emitted tool
+   * calls, returns { content, toolCalls } instead so callers can build a
+   * tool_calls response.
+   *
+   * @param {string|Array} webhookUrl - Webhook URL(s) of the model (see acquireUpstream)
+   * @param {Array<Object>} messages - OpenAI chat messages
+   * @param {string} sessionId - Session identifier
+   * @param {Object} userContext - User context
+   * @param {Object} [options={}] - Optional request fields and per-model settings (see buildPayload)
+   * @returns {Promise<string|{content: string, toolCalls: Array<Object>}>}
+   */
+  async nonStreamingCompletion(webhookUrl, messages, sessionId, userContext, options = {}) {
+    const settings = this.resolveSettings(options.settings);
+    const payload = this.buildPayload(messages, sessionId, userContext, options);
     const files = this._pendingFiles || [];
     this._pendingFiles = [];
+    const upstream = this.acquireUpstream(webhookUrl, settings, {
+      modelId: options.modelId,
+      sessionId: options.sessionGenerated ? undefined : sessionId,
+    });
 
     try {
       // n8n always sends streams, so we need to handle it as a stream
       // and collect all content chunks
-      const config = this.buildRequestConfig(payload, files);
-      const response = await axios.post(webhookUrl, config.data, {
+      const config = this.buildRequestConfig(payload, files, settings);
+      const response = await axios.post(upstream.url, config.data, {
         headers: config.headers,
         responseType: config.responseType,
         timeout: config.timeout,
       });
 
       const collectedContent = [];
+      const toolCalls = [];
 
       // Use the shared stream processing method
-      for await (const content of this.processResponseStream(response)) {
-        collectedContent.push(content);
+      for await (const item of this.processResponseStream(response, settings)) {
+        if (typeof item === 'string') {
+          collectedContent.push(item);
+        } else {
+          toolCalls.push(item);
+        }
       }
 
       // Return all collected content as a single string
-      return collectedContent.join('');
+      if (toolCalls.length === 0) {
+        return collectedContent.join('');
+      }
+
+      return { content: collectedContent.join(''), toolCalls };
     } catch (error) {
       console.error('Non-streaming error:', error.message);
       throw error;
+    } finally {
+      upstream.release();
     }
   }
 
+  /**
+   * Build user fields for non-chat webhook payloads
+   * @param {Object} userContext - User context (userId, userEmail, userName, userRole)
+   * @returns {Object} userId and the optional user fields that are set
+   * @private
+   */
+  buildUserFields(userContext) {
+    const fields = { userId: userContext.userId };
+
+    if (userContext.userEmail) {
+      fields.userEmail = userContext.userEmail;
+    }
+    if (userContext.userName) {
+      fields.userName = userContext.userName;
+    }
+    if (userContext.userRole) {
+      fields.userRole = userContext.userRole;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Request embeddings from an n8n embeddings workflow
+   *
+   * Sends { input, userId, ... } as JSON and returns the parsed JSON response
+   * without validation (see utils/embeddings for the expected vector format).
+   *
+   * @param {string|Array} webhookUrl - Webhook URL(s) of the embeddings model
+   * @param {Array<string>} input - Texts to embed
+   * @param {Object} userContext - User context
+   * @param {Object} [overrides={}] - Per-model settings (see resolveSettings)
+   * @param {string} [modelId] - Model ID (keys the load balancing state)
+   * @returns {Promise<*>} Parsed JSON response body
+   */
+  async createEmbeddings(webhookUrl, input, userContext, overrides = {}, modelId) {
+    const settings = this.resolveSettings(overrides);
+    const payload = {
+      input,
+      ...this.buildUserFields(userContext),
+    };
+
+    const upstream = this.acquireUpstream(webhookUrl, settings, { modelId });
+
+    try {
+      const response = await axios.post(upstream.url, payload, {
+        headers: this.getHeaders(settings),
+        responseType: 'json',
+        timeout: settings.timeout,
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Embeddings error:', error.message);
+      throw error;
+    } finally {
+      upstream.release();
+    }
+  }
+
+  /**
+   * Send an audio file to an n8n speech workflow
+   *
+   * Uses the multipart path of buildRequestConfig: fields are sent as form
+   * fields and the audio as the "files" binary. Plain text responses are
+   * returned as { text }.
+   *
+   * @param {string|Array} webhookUrl - Webhook URL(s) of the audio model
+   * @param {Object} file - Uploaded file ({ name, mimeType, buffer })
+   * @param {Object} fields - Form fields (task, language, prompt, temperature)
+   * @param {Object} userContext - User context
+   * @param {Object} [overrides={}] - Per-model settings (see resolveSettings)
+   * @param {string} [modelId] - Model ID (keys the load balancing state)
+   * @returns {Promise<Object>} Parsed JSON response body
+   */
+  async transcribeAudio(webhookUrl, file, fields, userContext, overrides = {}, modelId) {
+    const settings = this.resolveSettings(overrides);
+    const payload = {
+      ...fields,
+      ...this.buildUserFields(userContext),
+    };
+    const files = [
+      {
+        name: file.name,
+        mimeType: file.mimeType,
+        data: file.buffer.toString('base64'),
+      },
+    ];
+
+    const upstream = this.acquireUpstream(webhookUrl, settings, { modelId });
+
+    try {
+      const config = this.buildRequestConfig(payload, files, settings);
+      const response = await axios.post(upstream.url, config.data, {
+        headers: config.headers,
+        responseType: 'json',
+        timeout: config.timeout,
+      });
+
+      if (typeof response.data === 'string') {
+        return { text: response.data.trim() };
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Audio error:', error.message);
+      throw error;
+    } finally {
+      upstream.release();
+    }
+  }
+
+  /**
+   * Request images from an n8n image generation workflow
+   *
+   * Sends { prompt, n, size, responseFormat, userId, ... } as JSON and returns
+   * the parsed JSON response without validation (see utils/imageResponse).
+   *
+   * @param {string|Array} webhookUrl - Webhook URL(s) of the image model
+   * @param {Object} params - Generation parameters (prompt, n, size, responseFormat)
+   * @param {Object} userContext - User context
+   * @param {Object} [overrides={}] - Per-model settings (see resolveSettings)
+   * @param {string} [modelId] - Model ID (keys the load balancing state)
+   * @returns {Promise<*>} Parsed JSON response body
+   */
+  async generateImages(webhookUrl, params, userContext, overrides = {}, modelId) {
+    const settings = this.resolveSettings(overrides);
+    const payload = {
+      ...params,
+      ...this.buildUserFields(userContext),
+    };
+
+    const upstream = this.acquireUpstream(webhookUrl, settings, { modelId });
+
+    try {
+      const response = await axios.post(upstream.url, payload, {
+        headers: this.getHeaders(settings),
+        responseType: 'json',
+        timeout: settings.timeout,
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Image generation error:', error.message);
+      throw error;
+    } finally {
+      upstream.release();
+    }
+  }
+
+  /**
+   * Download an image returned by an n8n workflow as base64
+   * @param {string} url - Image URL
+   * @param {Object} [overrides={}] - Per-model settings (only the timeout is used)
+   * @returns {Promise<string>} Base64 encoded image
+   */
+  async fetchImageAsBase64(url, overrides = {}) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: this.resolveSettings(overrides).timeout,
+    });
+
+    return Buffer.from(response.data).toString('base64');
+  }
+
   extractJsonChunks(buffer) {
     const extracted = [];
     let remainder = buffer;
@@ -336,8 +812,13 @@ class N8nClient {
    * Parse an n8n response chunk and extract content and turn boundary info.
    * Handles JSON chunks with various content fields (content, text, output, message)
    * and detects agent turn boundaries (type: "end") in a single parse.
+   *
+   * Tool call chunks have the shape
+   * { "type": "tool_call", "id": "call_1", "name": "get_weather", "arguments": {...} }
+   * where arguments may be an object or a JSON string.
+   *
    * @param {string} chunkText - Raw chunk text (JSON or plain text)
-   * @returns {{ content: string|null, isEndOfTurn: boolean }} Parsed result
+   * @returns {{ content: string|null, isEndOfTurn: boolean, toolCall?: Object }} Parsed result
    */
   parseN8nChunk(chunkText) {
     if (!chunkText || !chunkText.trim()) {
@@ -349,6 +830,13 @@ class N8nClient {
 
       const isEndOfTurn = data.type === 'end';
 
+      if (data.type === N8nClient.TOOL_CALL_TYPE) {
+        const toolCall = this.parseToolCall(data);
+        return toolCall
+          ? { content: null, isEndOfTurn: false, toolCall }
+          : { content: null, isEndOfTurn: false };
+      }
+
       // Skip metadata chunks (but still report turn boundaries)
       if (data.type && N8nClient.METADATA_TYPES.has(data.type)) {
         return { content: null, isEndOfTurn };
@@ -364,6 +852,31 @@ class N8nClient {
       return { content, isEndOfTurn: false };
     }
   }
+
+  /**
+   * Normalize a tool_call chunk emitted by n8n
+   * @param {Object} data - Parsed chunk with type "tool_call"
+   * @returns {Object|null} { type, id, name, arguments } or null if the chunk has no name
+   * @private
+   */
+  parseToolCall(data) {
+    if (!data.name || typeof data.name !== 'string') {
+      console.warn('Ignoring tool_call chunk without a function name');
+      return null;
+    }
+
+    let args = data.arguments ?? {};
+    if (typeof args !== 'string') {
+      args = JSON.stringify(args);
+    }
+
+    return {
+      type: N8nClient.TOOL_CALL_TYPE,
+      id: data.id || `call_${uuidv4()}`,
+      name: data.name,
+      arguments: args,
+    };
+  }
 }
 
 module.exports = N8nClient;
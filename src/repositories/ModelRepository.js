@@ -23,42 +23,264 @@
  * - Manage model state (in-memory cache)
  * - Provide query methods for models
  * - Handle model reloading
+ * - Keep runtime overrides (overlay) on top of the loaded models
+ * - Resolve model aliases and deprecated model IDs
  *
  * Does NOT:
  * - Create ModelLoader instances (see ModelLoaderFactory)
  * - Parse configuration (see Config)
  * - Orchestrate lifecycle (see Bootstrap)
  */
+const ModelType = require('../constants/ModelType');
+const { diffModels } = require('../utils/modelDiff');
+
 class ModelRepository {
+  /** @type {Array<string>} Model entry fields that override global webhook settings */
+  static SETTINGS_FIELDS = [
+    'timeout',
+    'fileUploadMode',
+    'agentTurnSeparator',
+    'bearerToken',
+    'headers',
+    'webhookAuth',
+    'basicAuth',
+    'loadBalancing',
+    'stickySessions',
+  ];
+
   constructor() {
     /**
      * In-memory model cache
-     * Format: { "model-id": "https://webhook-url", ... }
-     * @type {Object<string, string>}
+     * Format: { "model-id": "https://webhook-url" | { webhookUrl, type, ...metadata }, ... }
+     * @type {Object<string, string|Object>}
      */
     this.models = {};
+
+    /**
+     * Unix timestamp (seconds) of when each model ID was first seen
+     * Used as "created" for models without configured created metadata
+     * @type {Map<string, number>}
+     */
+    this.firstSeen = new Map();
+
+    /**
+     * Models as delivered by the loader, before the overlay is applied
+     * @type {Object<string, string|Object>|null}
+     */
+    this.loadedModels = null;
+
+    /**
+     * Runtime overlay applied on top of every loaded model set
+     * Used by /admin/models for loaders that cannot be written to.
+     * Format: { "model-id": entry (added/changed) | null (removed) }
+     * @type {Object<string, string|Object|null>}
+     */
+    this.overlay = {};
+
+    /**
+     * Alias lookup table, rebuilt when the models object is replaced
+     * Format: alias -> { modelId, deprecated }
+     * @type {Map<string, {modelId: string, deprecated: boolean}>}
+     */
+    this.aliases = new Map();
+
+    /**
+     * Models object the alias table was built from
+     * @type {Object<string, string|Object>|null}
+     */
+    this.aliasesSource = null;
+  }
+
+  /**
+   * Get the alias lookup table for the current models
+   *
+   * Model IDs take precedence over aliases, and the first model declaring an
+   * alias wins. Conflicts are logged once per model set.
+   *
+   * @returns {Map<string, {modelId: string, deprecated: boolean}>} Alias lookup table
+   * @private
+   */
+  getAliases() {
+    if (this.aliasesSource === this.models) {
+      return this.aliases;
+    }
+
+    const aliases = new Map();
+
+    for (const [modelId, entry] of Object.entries(this.models)) {
+      if (!entry || typeof entry !== 'object') {
+        continue;
+      }
+
+      const declared = [
+        ...(entry.aliases ?? []).map((alias) => [alias, false]),
+        ...(entry.deprecatedIds ?? []).map((alias) => [alias, true]),
+      ];
+
+      for (const [alias, deprecated] of declared) {
+        if (Object.prototype.hasOwnProperty.call(this.models, alias)) {
+          console.warn(`Alias "${alias}" of model "${modelId}" ignored, "${alias}" is a model ID`);
+        } else if (aliases.has(alias)) {
+          console.warn(
+            `Alias "${alias}" of model "${modelId}" ignored, already used by "${aliases.get(alias).modelId}"`,
+          );
+        } else {
+          aliases.set(alias, { modelId, deprecated });
+        }
+      }
+    }
+
+    this.aliases = aliases;
+    this.aliasesSource = this.models;
+    return aliases;
+  }
+
+  /**
+   * Resolve an alias or deprecated ID to the model ID it points to
+   * @param {string} modelId - Requested model ID
+   * @returns {string} Target model ID, or the requested ID if it is not an alias
+   */
+  resolveModelId(modelId) {
+    if (Object.prototype.hasOwnProperty.call(this.models, modelId)) {
+      return modelId;
+    }
+    return this.getAliases().get(modelId)?.modelId ?? modelId;
+  }
+
+  /**
+   * Get the replacement of a deprecated model ID
+   * @param {string} modelId - Requested model ID
+   * @returns {string|null} Model ID to use instead, or null if the ID is not deprecated
+   */
+  getDeprecationTarget(modelId) {
+    if (Object.prototype.hasOwnProperty.call(this.models, modelId)) {
+      return null;
+    }
+    const alias = this.getAliases().get(modelId);
+    return alias?.deprecated ? alias.modelId : null;
+  }
+
+  /**
+   * Get a normalized model entry
+   *
+   * Plain webhook URL strings are treated as chat models. Aliases and
+   * deprecated IDs resolve to their model (id is the resolved model ID).
+   *
+   * @param {string} modelId - The model identifier or alias
+   * @returns {{id: string, webhookUrl: string|Array, type: string}|undefined} Model entry or undefined if not found
+   */
+  getModel(modelId) {
+    const resolvedId = this.resolveModelId(modelId);
+    if (!Object.prototype.hasOwnProperty.call(this.models, resolvedId)) {
+      return undefined;
+    }
+
+    const entry = this.models[resolvedId];
+    if (typeof entry === 'string') {
+      return { id: resolvedId, webhookUrl: entry, type: ModelType.CHAT };
+    }
+
+    return { ...entry, id: resolvedId, type: entry.type || ModelType.CHAT };
   }
 
   /**
    * Get webhook URL for a specific model
    * @param {string} modelId - The model identifier
-   * @returns {string|undefined} The webhook URL or undefined if model not found
+   * @returns {string|Array<string|Object>|undefined} The webhook URL (or list of upstreams for
+   *   load balancing, see N8nClient.acquireUpstream) or undefined if model not found
    */
   getModelWebhookUrl(modelId) {
-    return this.models[modelId];
+    return this.getModel(modelId)?.webhookUrl;
+  }
+
+  /**
+   * Get the type of a specific model
+   * @param {string} modelId - The model identifier
+   * @returns {string|undefined} Model type (see ModelType) or undefined if model not found
+   */
+  getModelType(modelId) {
+    return this.getModel(modelId)?.type;
+  }
+
+  /**
+   * Get per-model webhook settings that override the global Config
+   * @param {string} modelId - The model identifier
+   * @returns {Object} Configured overrides (fields listed in SETTINGS_FIELDS); empty if none
+   *   are set or the model is not found
+   */
+  getModelSettings(modelId) {
+    const model = this.getModel(modelId);
+    const settings = {};
+
+    if (!model) {
+      return settings;
+    }
+
+    for (const field of ModelRepository.SETTINGS_FIELDS) {
+      if (model[field] !== undefined) {
+        settings[field] = model[field];
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get a single model in OpenAI-compatible format
+   *
+   * Uses configured metadata where available: created falls back to the time
+   * the model was first seen, owned_by to "n8n". description, context_length,
+   * capabilities and tags are only included when configured. Aliases are
+   * returned with the alias as id and the metadata of their model.
+   *
+   * @param {string} modelId - The model identifier or alias
+   * @returns {Object|undefined} Model object or undefined if model not found
+   */
+  getModelInfo(modelId) {
+    const model = this.getModel(modelId);
+    if (!model) {
+      return undefined;
+    }
+
+    if (!this.firstSeen.has(model.id)) {
+      this.firstSeen.set(model.id, Math.floor(Date.now() / 1000));
+    }
+
+    const info = {
+      id: modelId,
+      object: 'model',
+      created: model.created ?? this.firstSeen.get(model.id),
+      owned_by: model.owned_by || 'n8n',
+    };
+
+    for (const field of ['description', 'context_length', 'capabilities', 'tags']) {
+      if (model[field] !== undefined) {
+        info[field] = model[field];
+      }
+    }
+
+    return info;
   }
 
   /**
    * Get all models in OpenAI-compatible format
+   * Deprecated IDs are never listed.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeAliases=false] - Also list aliases (after the models)
    * @returns {Array<Object>} Array of model objects
    */
-  getAllModels() {
-    return Object.keys(this.models).map((id) => ({
-      id,
-      object: 'model',
-      created: Math.floor(Date.now() / 1000),
-      owned_by: 'n8n',
-    }));
+  getAllModels({ includeAliases = false } = {}) {
+    const models = Object.keys(this.models).map((id) => this.getModelInfo(id));
+
+    if (includeAliases) {
+      for (const [alias, { deprecated }] of this.getAliases()) {
+        if (!deprecated) {
+          models.push(this.getModelInfo(alias));
+        }
+      }
+    }
+
+    return models;
   }
 
   /**
@@ -68,16 +290,77 @@ class ModelRepository {
    */
   async reloadModels(modelLoader) {
     const models = await modelLoader.load();
-    this.models = models;
+    this.updateModels(models);
     return models;
   }
 
   /**
    * Update models (used by watcher callbacks)
-   * @param {Object<string, string>} models - New models object
+   * The runtime overlay is applied on top of the new models.
+   * @param {Object<string, string|Object>} models - New models object
+   * @returns {{added: Array, removed: Array, changed: Array}} Changes compared to the previous models
    */
   updateModels(models) {
-    this.models = models;
+    const next = this.applyOverlay(models);
+    const changes = diffModels(this.models, next);
+    this.loadedModels = models;
+    this.models = next;
+    return changes;
+  }
+
+  /**
+   * Compute what updateModels() would change, without applying anything
+   * @param {Object<string, string|Object>} models - New models object
+   * @returns {{models: Object, changes: Object}} Resulting models (overlay applied) and changes
+   */
+  previewModels(models) {
+    const next = this.applyOverlay(models);
+    return { models: next, changes: diffModels(this.models, next) };
+  }
+
+  /**
+   * Add, replace or remove a model in the runtime overlay
+   * @param {string} modelId - The model identifier
+   * @param {string|Object|null} entry - Validated model entry, or null to remove the model
+   * @returns {{added: Array, removed: Array, changed: Array}} Changes compared to the previous models
+   */
+  setOverlayEntry(modelId, entry) {
+    this.overlay[modelId] = entry;
+    const next = this.applyOverlay(this.loadedModels ?? this.models);
+    const changes = diffModels(this.models, next);
+    this.models = next;
+    return changes;
+  }
+
+  /**
+   * Apply the runtime overlay to a model set
+   * @param {Object<string, string|Object>} models - Loaded models
+   * @returns {Object<string, string|Object>} Models with overlay entries added, replaced or removed
+   * @private
+   */
+  applyOverlay(models) {
+    const result = { ...models };
+
+    for (const [modelId, entry] of Object.entries(this.overlay)) {
+      if (entry === null) {
+        delete result[modelId];
+      } else {
+        result[modelId] = entry;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the raw model entry as configured
+   * @param {string} modelId - The model identifier
+   * @returns {string|Object|undefined} Model entry or undefined if model not found
+   */
+  getModelEntry(modelId) {
+    return Object.prototype.hasOwnProperty.call(this.models, modelId)
+      ? this.models[modelId]
+      : undefined;
   }
 
   /**
@@ -89,12 +372,12 @@ class ModelRepository {
   }
 
   /**
-   * Check if a model exists
-   * @param {string} modelId - The model identifier
+   * Check if a model exists (aliases and deprecated IDs included)
+   * @param {string} modelId - The model identifier or alias
    * @returns {boolean} True if model exists
    */
   hasModel(modelId) {
-    return modelId in this.models;
+    return this.getModel(modelId) !== undefined;
   }
 }
 
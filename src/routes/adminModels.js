@@ -0,0 +1,242 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/errorResponse');
+const WebhookNotifier = require('../services/webhookNotifier');
+
+const router = express.Router();
+
+/**
+ * Get the model ID from the wildcard path parameter
+ * Model IDs may contain slashes (e.g. "staging/my-agent")
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Model ID
+ */
+function getModelId(req) {
+  return req.params.id.join('/');
+}
+
+/**
+ * Build a model entry from request body fields
+ * A body with only webhookUrl becomes a plain URL string (chat model)
+ *
+ * @param {Object} fields - Model entry fields (webhookUrl, type, metadata, settings)
+ * @returns {string|Object} Model entry
+ */
+function toModelEntry(fields) {
+  const keys = Object.keys(fields);
+  if (keys.length === 1 && keys[0] === 'webhookUrl') {
+    return fields.webhookUrl;
+  }
+  return fields;
+}
+
+/**
+ * Check that the request body is a JSON object
+ *
+ * @param {*} body - Request body
+ * @returns {boolean} True if body is a plain object
+ */
+function isObjectBody(body) {
+  return body !== null && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * Validate and store a model entry, then send the response
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} modelId - Model ID
+ * @param {string|Object} entry - Raw model entry
+ * @param {number} statusCode - Success status code
+ * @param {string} message - Success message
+ * @returns {Promise<void>}
+ */
+async function saveModel(req, res, modelId, entry, statusCode, message) {
+  const bootstrap = req.app.locals.bootstrap;
+  const modelRepository = req.app.locals.modelRepository;
+
+  const validatedEntry = bootstrap.validateModelEntry(modelId, entry);
+  if (validatedEntry === null) {
+    return sendError(
+      res,
+      400,
+      `Invalid model '${modelId}': webhookUrl must be a valid URL and type a known model type`,
+      'invalid_request_error',
+    );
+  }
+
+  try {
+    const storage = await bootstrap.changeModel(modelId, entry, validatedEntry);
+    res.status(statusCode).json({
+      status: 'ok',
+      message,
+      id: modelId,
+      storage,
+      models: modelRepository.getModelCount(),
+    });
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+}
+
+/**
+ * GET /admin/models
+ * Lists all models as configured (per-model credentials removed)
+ *
+ * @route GET /admin/models
+ * @returns {Object} 200 - { storage, models, degraded? }
+ * @returns {string} 200.storage - Where changes are stored: "source" (models file) or "overlay" (runtime)
+ * @returns {Object} 200.models - Model entries by ID
+ * @returns {Object} [200.degraded] - Only while served from the models cache: reason, cachedAt, since
+ */
+router.get('/', (req, res) => {
+  const bootstrap = req.app.locals.bootstrap;
+  const modelRepository = req.app.locals.modelRepository;
+
+  const response = {
+    storage: bootstrap.modelLoader.isWritable() ? 'source' : 'overlay',
+    models: WebhookNotifier.sanitizeModels(modelRepository.models),
+  };
+  if (bootstrap.degraded) {
+    response.degraded = bootstrap.degraded;
+  }
+
+  res.json(response);
+});
+
+/**
+ * GET /admin/models/:id
+ * Returns a single model entry as configured (per-model credentials removed)
+ *
+ * @route GET /admin/models/:id
+ * @returns {Object} 200 - { id, entry }
+ * @returns {Object} 404 - Model not found
+ */
+router.get('/*id', (req, res) => {
+  const modelRepository = req.app.locals.modelRepository;
+  const modelId = getModelId(req);
+  const entry = modelRepository.getModelEntry(modelId);
+
+  if (entry === undefined) {
+    return sendError(res, 404, `Model '${modelId}' not found`, 'invalid_request_error');
+  }
+
+  const sanitized = WebhookNotifier.sanitizeModels({ [modelId]: entry });
+  res.json({ id: modelId, entry: sanitized[modelId] });
+});
+
+/**
+ * POST /admin/models
+ * Adds a model
+ *
+ * @route POST /admin/models
+ * @param {string} req.body.id - Model ID
+ * @param {string} req.body.webhookUrl - Webhook URL
+ * @returns {Object} 201 - Model created
+ * @returns {Object} 400 - Missing ID or invalid entry
+ * @returns {Object} 409 - Model already exists
+ * @returns {Object} 500 - Model could not be stored
+ *
+ * @example
+ * POST /admin/models
+ * { "id": "support-agent", "webhookUrl": "https://n8n.example.com/webhook/support/chat" }
+ * Response (201):
+ * { "status": "ok", "message": "Model created", "id": "support-agent", "storage": "source", "models": 4 }
+ */
+router.post('/', async (req, res) => {
+  const modelRepository = req.app.locals.modelRepository;
+
+  if (!isObjectBody(req.body)) {
+    return sendError(res, 400, 'Request body must be a JSON object', 'invalid_request_error');
+  }
+
+  const { id: modelId, ...fields } = req.body;
+  if (typeof modelId !== 'string' || !modelId.trim()) {
+    return sendError(res, 400, 'Model id must be a non-empty string', 'invalid_request_error');
+  }
+
+  if (modelRepository.getModelEntry(modelId) !== undefined) {
+    return sendError(res, 409, `Model '${modelId}' already exists`, 'invalid_request_error');
+  }
+
+  await saveModel(req, res, modelId, toModelEntry(fields), 201, 'Model created');
+});
+
+/**
+ * PUT /admin/models/:id
+ * Replaces an existing model entry
+ *
+ * @route PUT /admin/models/:id
+ * @param {string} req.body.webhookUrl - Webhook URL
+ * @returns {Object} 200 - Model updated
+ * @returns {Object} 400 - Invalid entry
+ * @returns {Object} 404 - Model not found
+ * @returns {Object} 500 - Model could not be stored
+ */
+router.put('/*id', async (req, res) => {
+  const modelRepository = req.app.locals.modelRepository;
+  const modelId = getModelId(req);
+
+  if (!isObjectBody(req.body)) {
+    return sendError(res, 400, 'Request body must be a JSON object', 'invalid_request_error');
+  }
+
+  if (modelRepository.getModelEntry(modelId) === undefined) {
+    return sendError(res, 404, `Model '${modelId}' not found`, 'invalid_request_error');
+  }
+
+  const { id: _id, ...fields } = req.body;
+  await saveModel(req, res, modelId, toModelEntry(fields), 200, 'Model updated');
+});
+
+/**
+ * DELETE /admin/models/:id
+ * Removes a model
+ *
+ * @route DELETE /admin/models/:id
+ * @returns {Object} 200 - Model deleted
+ * @returns {Object} 404 - Model not found
+ * @returns {Object} 500 - Change could not be stored
+ */
+router.delete('/*id', async (req, res) => {
+  const bootstrap = req.app.locals.bootstrap;
+  const modelRepository = req.app.locals.modelRepository;
+  const modelId = getModelId(req);
+
+  if (modelRepository.getModelEntry(modelId) === undefined) {
+    return sendError(res, 404, `Model '${modelId}' not found`, 'invalid_request_error');
+  }
+
+  try {
+    const storage = await bootstrap.changeModel(modelId, null, null);
+    res.json({
+      status: 'ok',
+      message: 'Model deleted',
+      id: modelId,
+      storage,
+      models: modelRepository.getModelCount(),
+    });
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+});
+
+module.exports = router;
@@ -25,32 +25,52 @@ const router = express.Router();
  * POST /admin/reload
  * Reloads the models configuration from models.json without restarting the server
  *
+ * With ?dry_run=true the loader runs, but the models are not applied. The
+ * response shows what a real reload would change.
+ *
  * @route POST /admin/reload
+ * @param {string} [req.query.dry_run] - "true" to only compute the changes
  * @returns {Object} 200 - Models reloaded successfully
  * @returns {Object} 200.status - Status: "ok"
- * @returns {Object} 200.message - Message: "Models reloaded"
- * @returns {number} 200.models - Number of models loaded
+ * @returns {Object} 200.message - Message: "Models reloaded" or "Dry run, models not applied"
+ * @returns {number} 200.models - Number of models loaded (or that would be loaded)
+ * @returns {boolean} 200.dry_run - Whether this was a dry run
+ * @returns {Object} 200.changes - Added, removed and changed models
  * @returns {Object} 500 - Failed to reload models (file error, JSON parse error, etc.)
  *
  * @example
- * POST /admin/reload
+ * POST /admin/reload?dry_run=true
  * Response:
  * {
  *   "status": "ok",
- *   "message": "Models reloaded",
- *   "models": 3
+ *   "message": "Dry run, models not applied",
+ *   "models": 3,
+ *   "dry_run": true,
+ *   "changes": {
+ *     "added": [{ "id": "new-agent", "webhookUrl": "https://n8n.example.com/webhook/new" }],
+ *     "removed": [],
+ *     "changed": [
+ *       {
+ *         "id": "support",
+ *         "oldWebhookUrl": "https://n8n.example.com/webhook/old",
+ *         "newWebhookUrl": "https://n8n.example.com/webhook/support"
+ *       }
+ *     ]
+ *   }
  * }
  */
 router.post('/', async (req, res) => {
   const bootstrap = req.app.locals.bootstrap;
-  const modelRepository = req.app.locals.modelRepository;
+  const dryRun = req.query.dry_run === 'true';
 
   try {
-    await modelRepository.reloadModels(bootstrap.modelLoader);
+    const { models, changes } = await bootstrap.reloadModels({ dryRun });
     res.json({
       status: 'ok',
-      message: 'Models reloaded',
-      models: modelRepository.getModelCount(),
+      message: dryRun ? 'Dry run, models not applied' : 'Models reloaded',
+      models: Object.keys(models).length,
+      dry_run: dryRun,
+      changes,
     });
   } catch (error) {
     res.status(500).json(createErrorResponse(error.message));
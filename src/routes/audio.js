@@ -0,0 +1,156 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const audioUpload = require('../middleware/audioUpload');
+const { extractUserContext } = require('../utils/userExtractor');
+const { validateAudioRequest } = require('../utils/requestValidator');
+const { createErrorResponse } = require('../utils/errorResponse');
+const { isValidTranscription, formatTranscription } = require('../utils/audioResponse');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+
+const router = express.Router();
+
+/**
+ * Create a route handler for an audio task
+ *
+ * The uploaded file is forwarded to the model's webhook as multipart form
+ * data together with the task and optional fields. The workflow must respond
+ * with { "text": "..." } (optionally with segments for srt/vtt).
+ *
+ * @param {string} task - "transcription" or "translation"
+ * @returns {Function} Express route handler
+ */
+function createAudioHandler(task) {
+  return async (req, res) => {
+    const config = req.app.locals.config;
+    const modelRepository = req.app.locals.modelRepository;
+    const n8nClient = req.app.locals.n8nClient;
+
+    const validation = validateAudioRequest(req.body, req.file);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { model, language, prompt, temperature, response_format: responseFormat } = req.body;
+
+    const webhookUrl = modelRepository.getModelWebhookUrl(model);
+    if (!webhookUrl) {
+      return res
+        .status(404)
+        .json(createErrorResponse(`Model '${model}' not found`, 'invalid_request_error'));
+    }
+
+    if (modelRepository.getModelType(model) !== ModelType.AUDIO) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(`Model '${model}' is not an audio model`, 'invalid_request_error'),
+        );
+    }
+
+    applyModelDeprecation(res, modelRepository, model);
+
+    const userContext = extractUserContext(req, config);
+
+    if (config.logRequests) {
+      console.log(`User ID: ${userContext.userId}`);
+      console.log(`Model: ${model}`);
+      console.log(`Task: ${task}`);
+      console.log(`File: ${req.file.originalname} (${req.file.size} bytes)`);
+    }
+
+    const fields = { task, prompt, temperature };
+    // Translations always target English, so the source language is not forwarded
+    if (task === 'transcription') {
+      fields.language = language;
+    }
+
+    try {
+      const transcription = await n8nClient.transcribeAudio(
+        webhookUrl,
+        {
+          name: req.file.originalname,
+          mimeType: req.file.mimetype,
+          buffer: req.file.buffer,
+        },
+        fields,
+        userContext,
+        modelRepository.getModelSettings(model),
+        modelRepository.resolveModelId(model),
+      );
+
+      if (!isValidTranscription(transcription)) {
+        console.error(`Invalid audio response from model '${model}'`);
+        return res
+          .status(502)
+          .json(
+            createErrorResponse('n8n workflow must respond with { "text": "..." }', 'server_error'),
+          );
+      }
+
+      const { contentType, body } = formatTranscription(transcription, responseFormat);
+      res.type(contentType).send(body);
+    } catch (error) {
+      console.error('Error:', error);
+      res.status(500).json(createErrorResponse('Internal server error', 'server_error'));
+    }
+  };
+}
+
+/**
+ * POST /v1/audio/transcriptions
+ * Transcribes an uploaded audio file via an n8n speech workflow
+ *
+ * @route POST /v1/audio/transcriptions
+ * @param {Object} req.file - Audio file (multipart field "file")
+ * @param {string} req.body.model - Audio model identifier
+ * @param {string} [req.body.language] - Spoken language (ISO-639-1)
+ * @param {string} [req.body.prompt] - Optional prompt
+ * @param {string} [req.body.temperature] - Optional sampling temperature
+ * @param {string} [req.body.response_format='json'] - json, text, srt or vtt
+ *
+ * @returns {Object} 200 - Transcription in the requested format
+ * @returns {Object} 400 - Validation error or model is not an audio model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ * @returns {Object} 502 - n8n workflow returned an invalid response
+ */
+router.post('/transcriptions', audioUpload(), createAudioHandler('transcription'));
+
+/**
+ * POST /v1/audio/translations
+ * Translates an uploaded audio file into English via an n8n speech workflow
+ *
+ * @route POST /v1/audio/translations
+ * @param {Object} req.file - Audio file (multipart field "file")
+ * @param {string} req.body.model - Audio model identifier
+ * @param {string} [req.body.prompt] - Optional prompt
+ * @param {string} [req.body.temperature] - Optional sampling temperature
+ * @param {string} [req.body.response_format='json'] - json, text, srt or vtt
+ *
+ * @returns {Object} 200 - Translation in the requested format
+ * @returns {Object} 400 - Validation error or model is not an audio model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ * @returns {Object} 502 - n8n workflow returned an invalid response
+ */
+router.post('/translations', audioUpload(), createAudioHandler('translation'));
+
+module.exports = router;
@@ -17,12 +17,15 @@
  */
 
 const express = require('express');
+const ModelType = require('../constants/ModelType');
 const { v4: uuidv4 } = require('uuid');
 const { extractSessionId } = require('../utils/sessionExtractor');
 const { extractUserContext } = require('../utils/userExtractor');
 const { validateChatCompletionRequest } = require('../utils/requestValidator');
 const { createErrorResponse } = require('../utils/errorResponse');
 const { debugSessionDetection } = require('../utils/debugSession');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+const { buildWebhookOptions } = require('../utils/webhookOptions');
 const { handleStreaming } = require('../handlers/streamingHandler');
 const { handleNonStreaming } = require('../handlers/nonStreamingHandler');
 
@@ -38,6 +41,8 @@ const router = express.Router();
  * @param {Array<Object>} req.body.messages - Array of chat messages with role and content
  * @param {boolean} [req.body.stream=false] - Enable Server-Sent Events streaming
  * @param {string} [req.body.session_id] - Optional session identifier
+ * @param {Array<Object>} [req.body.tools] - Optional OpenAI function tool definitions
+ * @param {string|Object} [req.body.tool_choice] - Optional OpenAI tool_choice
  * @param {Object} [req.headers] - HTTP headers
  * @param {string} [req.headers.x-session-id] - Session ID from header
  * @param {string} [req.headers.x-user-id] - User ID from header
@@ -46,7 +51,7 @@ const router = express.Router();
  * @param {string} [req.headers.x-user-role] - User role from header
  *
  * @returns {Object} 200 - Successful response
- * @returns {Object} 400 - Validation error (missing model, messages, or invalid format)
+ * @returns {Object} 400 - Validation error (missing model, messages, or invalid format) or not a chat model
  * @returns {Object} 404 - Model not found in configuration
  * @returns {Object} 500 - Internal server error or n8n webhook failure
  *
@@ -73,7 +78,7 @@ router.post('/', async (req, res) => {
   const modelRepository = req.app.locals.modelRepository;
   const n8nClient = req.app.locals.n8nClient;
 
-  const { model, messages, stream = false } = req.body;
+  const { model, messages, stream = false, tools, tool_choice: toolChoice } = req.body;
 
   // SESSION ID DETECTION (Debug logging)
   debugSessionDetection(req, config);
@@ -91,8 +96,20 @@ router.post('/', async (req, res) => {
       .json(createErrorResponse(`Model '${model}' not found`, 'invalid_request_error'));
   }
 
+  if (modelRepository.getModelType(model) !== ModelType.CHAT) {
+    return res
+      .status(400)
+      .json(createErrorResponse(`Model '${model}' is not a chat model`, 'invalid_request_error'));
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
   // Extract session ID using service
-  const { sessionId, sessionSource } = extractSessionId(req, config.sessionIdHeaders, uuidv4);
+  const { sessionId, sessionSource, generated } = extractSessionId(
+    req,
+    config.sessionIdHeaders,
+    uuidv4,
+  );
 
   // Extract user context using service
   const userContext = extractUserContext(req, config);
@@ -108,6 +125,15 @@ router.post('/', async (req, res) => {
     console.log(`Stream: ${stream}`);
   }
 
+  // Per-model options and optional fields forwarded to the n8n webhook
+  const options = buildWebhookOptions(modelRepository, model, generated);
+  if (tools !== undefined) {
+    options.tools = tools;
+  }
+  if (toolChoice !== undefined) {
+    options.toolChoice = toolChoice;
+  }
+
   try {
     if (stream) {
       await handleStreaming(
@@ -119,6 +145,7 @@ router.post('/', async (req, res) => {
         userContext,
         model,
         config,
+        options,
       );
     } else {
       await handleNonStreaming(
@@ -130,6 +157,7 @@ router.post('/', async (req, res) => {
         userContext,
         model,
         config,
+        options,
       );
     }
   } catch (error) {
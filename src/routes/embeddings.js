@@ -0,0 +1,122 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const { extractUserContext } = require('../utils/userExtractor');
+const { validateEmbeddingsRequest } = require('../utils/requestValidator');
+const { createErrorResponse } = require('../utils/errorResponse');
+const { isValidEmbeddingVectors, createEmbeddingsResponse } = require('../utils/embeddings');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+
+const router = express.Router();
+
+/**
+ * POST /v1/embeddings
+ * Handles OpenAI-compatible embeddings requests
+ *
+ * Only models configured with type "embeddings" are accepted. The input texts
+ * are sent to the model's webhook, which must respond with a JSON array of
+ * float vectors (one per input).
+ *
+ * @route POST /v1/embeddings
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Embeddings model identifier
+ * @param {string|Array<string>} req.body.input - Text or texts to embed
+ * @param {string} [req.body.encoding_format='float'] - 'float' or 'base64'
+ *
+ * @returns {Object} 200 - List of embedding objects
+ * @returns {Object} 400 - Validation error or model is not an embeddings model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ * @returns {Object} 502 - n8n workflow returned an invalid embeddings response
+ *
+ * @example
+ * POST /v1/embeddings
+ * {
+ *   "model": "my-embeddings",
+ *   "input": ["first text", "second text"]
+ * }
+ */
+router.post('/', async (req, res) => {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const n8nClient = req.app.locals.n8nClient;
+
+  const validation = validateEmbeddingsRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { model, encoding_format: encodingFormat = 'float' } = req.body;
+
+  const webhookUrl = modelRepository.getModelWebhookUrl(model);
+  if (!webhookUrl) {
+    return res
+      .status(404)
+      .json(createErrorResponse(`Model '${model}' not found`, 'invalid_request_error'));
+  }
+
+  if (modelRepository.getModelType(model) !== ModelType.EMBEDDINGS) {
+    return res
+      .status(400)
+      .json(
+        createErrorResponse(`Model '${model}' is not an embeddings model`, 'invalid_request_error'),
+      );
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
+  const input = Array.isArray(req.body.input) ? req.body.input : [req.body.input];
+  const userContext = extractUserContext(req, config);
+
+  if (config.logRequests) {
+    console.log(`User ID: ${userContext.userId}`);
+    console.log(`Model: ${model}`);
+    console.log(`Inputs: ${input.length}`);
+  }
+
+  try {
+    const vectors = await n8nClient.createEmbeddings(
+      webhookUrl,
+      input,
+      userContext,
+      modelRepository.getModelSettings(model),
+      modelRepository.resolveModelId(model),
+    );
+
+    if (!isValidEmbeddingVectors(vectors, input.length)) {
+      console.error(`Invalid embeddings response from model '${model}'`);
+      return res
+        .status(502)
+        .json(
+          createErrorResponse(
+            'n8n workflow must respond with an array of float vectors, one per input',
+            'server_error',
+          ),
+        );
+    }
+
+    res.json(createEmbeddingsResponse(model, vectors, encodingFormat));
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json(createErrorResponse('Internal server error', 'server_error'));
+  }
+});
+
+module.exports = router;
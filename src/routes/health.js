@@ -25,10 +25,16 @@ const router = express.Router();
  * Health check endpoint that returns server status and uptime
  * No authentication required
  *
+ * While models are served from the models cache because the model source
+ * is unavailable, status is "degraded" (still 200, the bridge is usable).
+ * The error details are only available via GET /admin/models, since this
+ * endpoint is public.
+ *
  * @route GET /health
  * @returns {Object} 200 - Health status
- * @returns {string} 200.status - Always "ok"
+ * @returns {string} 200.status - "ok" or "degraded"
  * @returns {number} 200.uptime - Server uptime in seconds
+ * @returns {string} [200.since] - Only when degraded: when the bridge entered degraded mode
  *
  * @example
  * GET /health
@@ -39,6 +45,18 @@ const router = express.Router();
  * }
  */
 router.get('/', (req, res) => {
+  const bootstrap = req.app.locals.bootstrap;
+  const degraded = bootstrap ? bootstrap.degraded : null;
+
+  if (degraded) {
+    res.json({
+      status: 'degraded',
+      uptime: process.uptime(),
+      since: degraded.since,
+    });
+    return;
+  }
+
   res.json({
     status: 'ok',
     uptime: process.uptime(),
@@ -0,0 +1,136 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const { extractUserContext } = require('../utils/userExtractor');
+const { validateImageGenerationRequest } = require('../utils/requestValidator');
+const { createErrorResponse } = require('../utils/errorResponse');
+const { normalizeImages, createImagesResponse } = require('../utils/imageResponse');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+
+const router = express.Router();
+
+/**
+ * POST /v1/images/generations
+ * Handles OpenAI-compatible image generation requests
+ *
+ * Only models configured with type "image" are accepted. The workflow may
+ * respond with URLs or base64 data; images are converted to the requested
+ * response_format (URLs are downloaded for b64_json, base64 data is returned
+ * as data URL for url). At most n images are returned.
+ *
+ * @route POST /v1/images/generations
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Image model identifier
+ * @param {string} req.body.prompt - Image prompt
+ * @param {number} [req.body.n=1] - Number of images (1-10)
+ * @param {string} [req.body.size] - Image size (e.g. "1024x1024")
+ * @param {string} [req.body.response_format='url'] - 'url' or 'b64_json'
+ *
+ * @returns {Object} 200 - Images response
+ * @returns {Object} 400 - Validation error or model is not an image model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ * @returns {Object} 502 - n8n workflow returned no usable images
+ *
+ * @example
+ * POST /v1/images/generations
+ * {
+ *   "model": "image-pipeline",
+ *   "prompt": "A lighthouse at dawn",
+ *   "n": 2,
+ *   "size": "1024x1024",
+ *   "response_format": "b64_json"
+ * }
+ */
+router.post('/generations', async (req, res) => {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const n8nClient = req.app.locals.n8nClient;
+
+  const validation = validateImageGenerationRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { model, prompt, n = 1, size, response_format: responseFormat = 'url' } = req.body;
+
+  const webhookUrl = modelRepository.getModelWebhookUrl(model);
+  if (!webhookUrl) {
+    return res
+      .status(404)
+      .json(createErrorResponse(`Model '${model}' not found`, 'invalid_request_error'));
+  }
+
+  if (modelRepository.getModelType(model) !== ModelType.IMAGE) {
+    return res
+      .status(400)
+      .json(createErrorResponse(`Model '${model}' is not an image model`, 'invalid_request_error'));
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
+  const userContext = extractUserContext(req, config);
+  const settings = modelRepository.getModelSettings(model);
+
+  if (config.logRequests) {
+    console.log(`User ID: ${userContext.userId}`);
+    console.log(`Model: ${model}`);
+    console.log(`Images: ${n} (${size || 'default size'}, ${responseFormat})`);
+  }
+
+  try {
+    const data = await n8nClient.generateImages(
+      webhookUrl,
+      { prompt, n, size, responseFormat },
+      userContext,
+      settings,
+      modelRepository.resolveModelId(model),
+    );
+
+    const images = normalizeImages(data).slice(0, n);
+    if (images.length === 0) {
+      console.error(`Invalid image response from model '${model}'`);
+      return res
+        .status(502)
+        .json(
+          createErrorResponse(
+            'n8n workflow must respond with image URLs or base64 data',
+            'server_error',
+          ),
+        );
+    }
+
+    for (const image of images) {
+      if (responseFormat === 'b64_json' && !image.b64) {
+        image.b64 = await n8nClient.fetchImageAsBase64(image.url, settings);
+      }
+      if (responseFormat === 'url' && !image.url) {
+        image.url = `data:${image.mimeType};base64,${image.b64}`;
+      }
+    }
+
+    res.json(createImagesResponse(images, responseFormat));
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json(createErrorResponse('Internal server error', 'server_error'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const { v4: uuidv4 } = require('uuid');
+const { extractSessionId } = require('../utils/sessionExtractor');
+const { extractUserContext } = require('../utils/userExtractor');
+const { validateMessagesRequest } = require('../utils/requestValidator');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+const { buildWebhookOptions } = require('../utils/webhookOptions');
+const {
+  convertAnthropicMessages,
+  createMessageId,
+  createAnthropicErrorResponse,
+} = require('../utils/anthropicMessages');
+const {
+  handleMessagesStreaming,
+  handleMessagesNonStreaming,
+} = require('../handlers/messagesHandler');
+
+const router = express.Router();
+
+/**
+ * POST /v1/messages
+ * Handles Anthropic Messages API requests with streaming support
+ *
+ * The system prompt and content-block messages are converted to chat messages
+ * and forwarded to the same n8n webhook payload as /v1/chat/completions.
+ * Errors use the Anthropic error format.
+ *
+ * @route POST /v1/messages
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Model identifier
+ * @param {Array<Object>} req.body.messages - Anthropic messages (string or content blocks)
+ * @param {string|Array<Object>} [req.body.system] - System prompt
+ * @param {number} [req.body.max_tokens] - Accepted for compatibility, not forwarded
+ * @param {boolean} [req.body.stream=false] - Enable Server-Sent Events streaming
+ *
+ * @returns {Object} 200 - Message object (or SSE stream of message events)
+ * @returns {Object} 400 - Validation error or model is not a chat model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ *
+ * @example
+ * POST /v1/messages
+ * {
+ *   "model": "my-agent",
+ *   "max_tokens": 1024,
+ *   "system": "You are helpful",
+ *   "messages": [{"role": "user", "content": "Hello"}]
+ * }
+ */
+router.post('/', async (req, res) => {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const n8nClient = req.app.locals.n8nClient;
+
+  const validation = validateMessagesRequest(req.body);
+  if (!validation.valid) {
+    return res
+      .status(400)
+      .json(createAnthropicErrorResponse(validation.error.message, 'invalid_request_error'));
+  }
+
+  const { model, system, stream = false } = req.body;
+
+  const webhookUrl = modelRepository.getModelWebhookUrl(model);
+  if (!webhookUrl) {
+    return res
+      .status(404)
+      .json(createAnthropicErrorResponse(`Model '${model}' not found`, 'not_found_error'));
+  }
+
+  if (modelRepository.getModelType(model) !== ModelType.CHAT) {
+    return res
+      .status(400)
+      .json(
+        createAnthropicErrorResponse(
+          `Model '${model}' is not a chat model`,
+          'invalid_request_error',
+        ),
+      );
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
+  const messages = convertAnthropicMessages(system, req.body.messages);
+
+  const { sessionId, sessionSource, generated } = extractSessionId(
+    req,
+    config.sessionIdHeaders,
+    uuidv4,
+  );
+  const userContext = extractUserContext(req, config);
+  const messageId = createMessageId();
+
+  if (config.logRequests) {
+    console.log(`Message ID: ${messageId}`);
+    console.log(`Session ID: ${sessionId}`);
+    console.log(`Session Source: ${sessionSource}`);
+    console.log(`User ID: ${userContext.userId}`);
+    console.log(`Model: ${model}`);
+    console.log(`Stream: ${stream}`);
+  }
+
+  const options = buildWebhookOptions(modelRepository, model, generated);
+
+  try {
+    if (stream) {
+      await handleMessagesStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        messageId,
+        model,
+        config,
+        options,
+      );
+    } else {
+      await handleMessagesNonStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        messageId,
+        model,
+        config,
+        options,
+      );
+    }
+  } catch (error) {
+    console.error('Error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json(createAnthropicErrorResponse('Internal server error'));
+    }
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,8 @@
  */
 
 const express = require('express');
+const { createErrorResponse } = require('../utils/errorResponse');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
 
 const router = express.Router();
 
@@ -24,14 +26,21 @@ const router = express.Router();
  * GET /v1/models
  * Returns a list of available models in OpenAI-compatible format
  *
+ * Aliases are listed after the models when MODELS_LIST_ALIASES=true,
+ * deprecated IDs are never listed.
+ *
  * @route GET /v1/models
  * @returns {Object} 200 - List of available models
  * @returns {string} 200.object - Always "list"
  * @returns {Array<Object>} 200.data - Array of model objects
  * @returns {string} 200.data[].id - Model identifier
  * @returns {string} 200.data[].object - Always "model"
- * @returns {number} 200.data[].created - Unix timestamp
- * @returns {string} 200.data[].owned_by - Always "n8n"
+ * @returns {number} 200.data[].created - Configured created timestamp or first-seen time
+ * @returns {string} 200.data[].owned_by - Configured owner or "n8n"
+ * @returns {string} [200.data[].description] - Configured description
+ * @returns {number} [200.data[].context_length] - Configured context length
+ * @returns {Object} [200.data[].capabilities] - Configured capabilities (vision, tools, files)
+ * @returns {Array<string>} [200.data[].tags] - Configured tags
  *
  * @example
  * GET /v1/models
@@ -49,8 +58,9 @@ const router = express.Router();
  * }
  */
 router.get('/', (req, res) => {
+  const config = req.app.locals.config;
   const modelRepository = req.app.locals.modelRepository;
-  const models = modelRepository.getAllModels();
+  const models = modelRepository.getAllModels({ includeAliases: config.modelsListAliases });
 
   res.json({
     object: 'list',
@@ -58,4 +68,34 @@ router.get('/', (req, res) => {
   });
 });
 
+/**
+ * GET /v1/models/:id
+ * Returns a single model in OpenAI-compatible format
+ *
+ * Model IDs may contain slashes, so the full remaining path is used as ID.
+ * Aliases and deprecated IDs resolve to their model (deprecated IDs with
+ * Deprecation and Warning headers).
+ *
+ * @route GET /v1/models/:id
+ * @returns {Object} 200 - Model object (same fields as in the list)
+ * @returns {Object} 404 - Model not found in configuration
+ *
+ * @example
+ * GET /v1/models/my-agent
+ */
+router.get('/*id', (req, res) => {
+  const modelRepository = req.app.locals.modelRepository;
+  const modelId = req.params.id.join('/');
+
+  const model = modelRepository.getModelInfo(modelId);
+  if (!model) {
+    return res
+      .status(404)
+      .json(createErrorResponse(`Model '${modelId}' not found`, 'invalid_request_error'));
+  }
+
+  applyModelDeprecation(res, modelRepository, modelId);
+  res.json(model);
+});
+
 module.exports = router;
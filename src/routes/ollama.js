@@ -0,0 +1,201 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const { v4: uuidv4 } = require('uuid');
+const { extractSessionId } = require('../utils/sessionExtractor');
+const { extractUserContext } = require('../utils/userExtractor');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+const { buildWebhookOptions } = require('../utils/webhookOptions');
+const {
+  validateOllamaChatRequest,
+  validateOllamaGenerateRequest,
+} = require('../utils/requestValidator');
+const {
+  convertOllamaMessages,
+  convertGenerateRequest,
+  createTagsResponse,
+  createChatChunk,
+  createGenerateChunk,
+} = require('../utils/ollamaApi');
+const { handleOllamaStreaming, handleOllamaNonStreaming } = require('../handlers/ollamaHandler');
+
+const router = express.Router();
+
+/**
+ * Forward a converted Ollama request to n8n
+ *
+ * Resolves the model, extracts session and user context and dispatches to the
+ * streaming (default in Ollama) or non-streaming handler. Errors use the
+ * Ollama error format {"error": "..."}.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} messages - Chat messages converted from the Ollama request
+ * @param {Function} createChunk - Chunk factory (model, text, done) => Object
+ * @returns {Promise<void>}
+ */
+async function forwardToN8n(req, res, messages, createChunk) {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const n8nClient = req.app.locals.n8nClient;
+
+  const { model, stream = true } = req.body;
+
+  const webhookUrl = modelRepository.getModelWebhookUrl(model);
+  if (!webhookUrl) {
+    return res.status(404).json({ error: `model '${model}' not found` });
+  }
+
+  if (modelRepository.getModelType(model) !== ModelType.CHAT) {
+    return res.status(400).json({ error: `model '${model}' is not a chat model` });
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
+  const { sessionId, sessionSource, generated } = extractSessionId(
+    req,
+    config.sessionIdHeaders,
+    uuidv4,
+  );
+  const userContext = extractUserContext(req, config);
+
+  if (config.logRequests) {
+    console.log(`Session ID: ${sessionId}`);
+    console.log(`Session Source: ${sessionSource}`);
+    console.log(`User ID: ${userContext.userId}`);
+    console.log(`Model: ${model}`);
+    console.log(`Stream: ${stream}`);
+  }
+
+  const options = buildWebhookOptions(modelRepository, model, generated);
+
+  try {
+    if (stream) {
+      await handleOllamaStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        model,
+        createChunk,
+        config,
+        options,
+      );
+    } else {
+      await handleOllamaNonStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        model,
+        createChunk,
+        config,
+        options,
+      );
+    }
+  } catch (error) {
+    console.error('Error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+/**
+ * GET /api/tags
+ * Returns the available chat models in Ollama format
+ *
+ * Ollama clients only chat with the listed models, so embeddings, audio and
+ * image models are left out.
+ *
+ * @route GET /api/tags
+ * @returns {Object} 200 - { models: [{ name, model, modified_at, size, digest, details }] }
+ */
+router.get('/tags', (req, res) => {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const models = modelRepository
+    .getAllModels({ includeAliases: config.modelsListAliases })
+    .filter((model) => modelRepository.getModelType(model.id) === ModelType.CHAT);
+
+  res.json(createTagsResponse(models));
+});
+
+/**
+ * POST /api/chat
+ * Handles Ollama chat requests, streaming newline-delimited JSON by default
+ *
+ * @route POST /api/chat
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Model identifier
+ * @param {Array<Object>} req.body.messages - Ollama messages ({role, content, images})
+ * @param {boolean} [req.body.stream=true] - Stream NDJSON chunks
+ *
+ * @returns {Object} 200 - Chat response (or NDJSON stream of chat chunks)
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ */
+router.post('/chat', async (req, res) => {
+  const validation = validateOllamaChatRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error.message });
+  }
+
+  const messages = convertOllamaMessages(req.body.messages);
+
+  await forwardToN8n(req, res, messages, createChatChunk);
+});
+
+/**
+ * POST /api/generate
+ * Handles Ollama generate requests, streaming newline-delimited JSON by default
+ *
+ * @route POST /api/generate
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Model identifier
+ * @param {string} req.body.prompt - Prompt text
+ * @param {string} [req.body.system] - System prompt
+ * @param {Array<string>} [req.body.images] - Base64 encoded images
+ * @param {boolean} [req.body.stream=true] - Stream NDJSON chunks
+ *
+ * @returns {Object} 200 - Generate response (or NDJSON stream of generate chunks)
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ */
+router.post('/generate', async (req, res) => {
+  const validation = validateOllamaGenerateRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error.message });
+  }
+
+  const { prompt, system, images } = req.body;
+  const messages = convertGenerateRequest(prompt, system, images);
+
+  await forwardToN8n(req, res, messages, createGenerateChunk);
+});
+
+module.exports = router;
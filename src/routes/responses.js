@@ -0,0 +1,203 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const ModelType = require('../constants/ModelType');
+const { v4: uuidv4 } = require('uuid');
+const { extractSessionId } = require('../utils/sessionExtractor');
+const { extractUserContext } = require('../utils/userExtractor');
+const { validateResponsesRequest } = require('../utils/requestValidator');
+const { createErrorResponse } = require('../utils/errorResponse');
+const { convertResponsesInput } = require('../utils/responsesApi');
+const { applyModelDeprecation } = require('../utils/modelDeprecation');
+const { buildWebhookOptions } = require('../utils/webhookOptions');
+const {
+  handleResponsesStreaming,
+  handleResponsesNonStreaming,
+} = require('../handlers/responsesHandler');
+
+const router = express.Router();
+
+/**
+ * Maximum number of response IDs remembered for previous_response_id lookups
+ * Oldest entries are evicted first
+ */
+const MAX_TRACKED_RESPONSES = 10000;
+
+/**
+ * Maps response IDs to the n8n session they belong to
+ * Lets clients continue a conversation via previous_response_id
+ * @type {Map<string, string>}
+ */
+const responseSessions = new Map();
+
+/**
+ * Remember the session of a response for later previous_response_id lookups
+ * @param {string} responseId - Response identifier
+ * @param {string} sessionId - Session identifier
+ */
+function trackResponseSession(responseId, sessionId) {
+  responseSessions.set(responseId, sessionId);
+
+  if (responseSessions.size > MAX_TRACKED_RESPONSES) {
+    const oldestId = responseSessions.keys().next().value;
+    responseSessions.delete(oldestId);
+  }
+}
+
+/**
+ * POST /v1/responses
+ * Handles OpenAI Responses API requests with streaming support
+ *
+ * Input is converted to chat messages and sent through the same n8n webhook
+ * payload as /v1/chat/completions. previous_response_id continues the n8n
+ * session of the referenced response, so memory nodes keep their context.
+ *
+ * @route POST /v1/responses
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Model identifier
+ * @param {string|Array<Object>} req.body.input - Text input or array of input items
+ * @param {string} [req.body.instructions] - System instructions
+ * @param {string} [req.body.previous_response_id] - Response to continue from
+ * @param {boolean} [req.body.stream=false] - Enable typed Server-Sent Events streaming
+ *
+ * @returns {Object} 200 - Response object (or SSE stream of response events)
+ * @returns {Object} 400 - Validation error or model is not a chat model
+ * @returns {Object} 404 - Model not found in configuration
+ * @returns {Object} 500 - Internal server error or n8n webhook failure
+ *
+ * @example
+ * POST /v1/responses
+ * {
+ *   "model": "my-agent",
+ *   "instructions": "Answer briefly",
+ *   "input": "Hello",
+ *   "stream": true
+ * }
+ */
+router.post('/', async (req, res) => {
+  const config = req.app.locals.config;
+  const modelRepository = req.app.locals.modelRepository;
+  const n8nClient = req.app.locals.n8nClient;
+
+  const validation = validateResponsesRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const {
+    model,
+    input,
+    instructions = null,
+    previous_response_id: previousResponseId = null,
+    stream = false,
+  } = req.body;
+
+  const webhookUrl = modelRepository.getModelWebhookUrl(model);
+  if (!webhookUrl) {
+    return res
+      .status(404)
+      .json(createErrorResponse(`Model '${model}' not found`, 'invalid_request_error'));
+  }
+
+  if (modelRepository.getModelType(model) !== ModelType.CHAT) {
+    return res
+      .status(400)
+      .json(createErrorResponse(`Model '${model}' is not a chat model`, 'invalid_request_error'));
+  }
+
+  applyModelDeprecation(res, modelRepository, model);
+
+  const messages = convertResponsesInput(input, instructions);
+  if (messages.length === 0) {
+    return res
+      .status(400)
+      .json(
+        createErrorResponse('input contains no supported message items', 'invalid_request_error'),
+      );
+  }
+
+  // Continue the session of the previous response if known
+  let sessionId = previousResponseId ? responseSessions.get(previousResponseId) : null;
+  let sessionSource = 'previous_response_id';
+  let generated = false;
+  if (!sessionId) {
+    ({ sessionId, sessionSource, generated } = extractSessionId(
+      req,
+      config.sessionIdHeaders,
+      uuidv4,
+    ));
+  }
+
+  const userContext = extractUserContext(req, config);
+
+  const responseParams = {
+    id: `resp_${uuidv4()}`,
+    model,
+    instructions,
+    previousResponseId,
+  };
+  trackResponseSession(responseParams.id, sessionId);
+
+  if (config.logRequests) {
+    console.log(`Response ID: ${responseParams.id}`);
+    console.log(`Session ID: ${sessionId}`);
+    console.log(`Session Source: ${sessionSource}`);
+    console.log(`User ID: ${userContext.userId}`);
+    console.log(`Model: ${model}`);
+    console.log(`Stream: ${stream}`);
+  }
+
+  const options = buildWebhookOptions(modelRepository, model, generated);
+
+  try {
+    if (stream) {
+      await handleResponsesStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        responseParams,
+        config,
+        options,
+      );
+    } else {
+      await handleResponsesNonStreaming(
+        res,
+        n8nClient,
+        webhookUrl,
+        messages,
+        sessionId,
+        userContext,
+        responseParams,
+        config,
+        options,
+      );
+    }
+  } catch (error) {
+    console.error('Error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json(createErrorResponse('Internal server error', 'server_error'));
+    }
+  }
+});
+
+module.exports = router;
@@ -27,12 +27,20 @@ const requestLogger = require('./middleware/requestLogger');
 const authenticate = require('./middleware/authenticate');
 const requestId = require('./middleware/requestId');
 const createRateLimiters = require('./middleware/rateLimiter');
+const modelsReady = require('./middleware/modelsReady');
 
 // Routes
 const healthRoute = require('./routes/health');
 const modelsRoute = require('./routes/models');
 const chatCompletionsRoute = require('./routes/chatCompletions');
+const embeddingsRoute = require('./routes/embeddings');
+const audioRoute = require('./routes/audio');
+const imagesRoute = require('./routes/images');
+const responsesRoute = require('./routes/responses');
+const messagesRoute = require('./routes/messages');
+const ollamaRoute = require('./routes/ollama');
 const adminReloadRoute = require('./routes/adminReload');
+const adminModelsRoute = require('./routes/adminModels');
 
 const app = express();
 const bootstrap = new Bootstrap();
@@ -63,10 +71,24 @@ app.use('/health', rateLimiters.health, healthRoute);
 // Apply authentication to all subsequent routes
 app.use(authenticate(bootstrap.config));
 
+// 503 + Retry-After on model endpoints until background loading has succeeded
+const requireModels = modelsReady(bootstrap);
+
 // Protected routes (authentication required)
 app.use('/admin/reload', rateLimiters.standard, adminReloadRoute);
+app.use('/admin/models', rateLimiters.standard, adminModelsRoute);
 app.use('/v1/models', rateLimiters.standard, modelsRoute);
-app.use('/v1/chat/completions', rateLimiters.chatCompletions, chatCompletionsRoute);
+app.use('/v1/chat/completions', rateLimiters.chatCompletions, requireModels, chatCompletionsRoute);
+app.use('/v1/embeddings', rateLimiters.standard, requireModels, embeddingsRoute);
+app.use('/v1/audio', rateLimiters.chatCompletions, requireModels, audioRoute);
+app.use('/v1/images', rateLimiters.chatCompletions, requireModels, imagesRoute);
+app.use('/v1/responses', rateLimiters.chatCompletions, requireModels, responsesRoute);
+app.use('/v1/messages', rateLimiters.chatCompletions, requireModels, messagesRoute);
+
+// Ollama-compatible routes
+app.use('/api/tags', rateLimiters.standard);
+app.use(['/api/chat', '/api/generate'], rateLimiters.chatCompletions, requireModels);
+app.use('/api', ollamaRoute);
 
 // Error handler
 app.use((err, _req, res, _next) => {
@@ -78,12 +100,14 @@ app.use((err, _req, res, _next) => {
  * Start the server
  *
  * Startup sequence:
- * 1. Wait for models to load (MUST succeed)
+ * 1. Wait for models to load (MUST succeed, or fall back to MODELS_CACHE_FILE;
+ *    skipped with MODELS_BACKGROUND_LOAD=true, model endpoints answer 503 meanwhile)
  * 2. Start HTTP server
  * 3. Setup graceful shutdown handlers
  *
  * Error Handling:
- * - Models fail to load → Server does NOT start (process.exit(1))
+ * - Models fail to load, cache available → Server starts degraded, loader retried
+ * - Models fail to load, no cache → Server does NOT start (process.exit(1))
  * - Empty models object → Server starts (0 models is acceptable)
  * - SIGTERM/SIGINT → Graceful shutdown (stop polling, close server)
  */
@@ -96,7 +120,15 @@ async function startServer() {
   try {
     // Initialize bootstrap (MUST succeed)
     await bootstrap.initialize();
-    console.log(`Models loaded: ${bootstrap.modelRepository.getModelCount()} available`);
+    if (bootstrap.modelsPending) {
+      console.warn('Models are loading in the background, model endpoints answer 503 until ready');
+    } else if (bootstrap.degraded) {
+      console.warn(
+        `Models loaded from cache: ${bootstrap.modelRepository.getModelCount()} available (degraded)`,
+      );
+    } else {
+      console.log(`Models loaded: ${bootstrap.modelRepository.getModelCount()} available`);
+    }
   } catch (error) {
     console.error('='.repeat(60));
     console.error('FATAL: Failed to load models');
@@ -134,7 +166,17 @@ async function startServer() {
     console.log('  GET  /health');
     console.log('  GET  /v1/models');
     console.log('  POST /v1/chat/completions');
+    console.log('  POST /v1/embeddings');
+    console.log('  POST /v1/audio/transcriptions');
+    console.log('  POST /v1/audio/translations');
+    console.log('  POST /v1/images/generations');
+    console.log('  POST /v1/responses');
+    console.log('  POST /v1/messages');
+    console.log('  GET  /api/tags');
+    console.log('  POST /api/chat');
+    console.log('  POST /api/generate');
     console.log('  POST /admin/reload');
+    console.log('  GET/POST/PUT/DELETE /admin/models');
     console.log('='.repeat(60));
   });
 
@@ -0,0 +1,96 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Last-known-good model cache
+ *
+ * Persists every successfully loaded model set to a local JSON file, so the
+ * bridge can start from the last snapshot when its model source is
+ * unreachable at startup (see Bootstrap).
+ *
+ * Snapshot format:
+ * ```json
+ * { "savedAt": "2025-01-01T00:00:00.000Z", "source": "N8nApiModelLoader", "models": { ... } }
+ * ```
+ *
+ * The file is written atomically (temp file + rename) with mode 0600, because
+ * model entries may contain per-model credentials.
+ */
+class ModelCache {
+  /**
+   * @param {string} filePath - Path to the cache file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Persist a model set
+   * @param {Object} models - Validated models object
+   * @param {string} source - Loader class name the models came from
+   * @throws {Error} If the file cannot be written
+   */
+  save(models, source) {
+    const snapshot = {
+      savedAt: new Date().toISOString(),
+      source,
+      models,
+    };
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Read the last persisted snapshot
+   * @returns {{savedAt: string, source: string, models: Object}|null} Snapshot, or null if no cache exists
+   * @throws {Error} If the cache file is unreadable or malformed
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Invalid JSON in models cache file: ${error.message}`);
+    }
+
+    const models = snapshot ? snapshot.models : null;
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+      throw new Error('Models cache file does not contain a models object');
+    }
+
+    return snapshot;
+  }
+}
+
+module.exports = ModelCache;
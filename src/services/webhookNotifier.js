@@ -49,6 +49,7 @@ class WebhookNotifier {
    * @param {Object} payload.models - Updated models object
    * @param {string} payload.source - Source of the change (loader class name)
    * @param {string} payload.timestamp - ISO timestamp of the change
+   * @param {Object} [payload.changes] - Added, removed and changed models (see utils/modelDiff)
    * @returns {Promise<void>}
    */
   async notify(payload) {
@@ -113,27 +114,62 @@ class WebhookNotifier {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
+  /**
+   * Remove per-model credentials (bearerToken, basicAuth, headers) from object model entries
+   * @param {Object} models - Models object
+   * @returns {Object} Models object safe to send to notification webhooks
+   */
+  static sanitizeModels(models) {
+    const sanitized = {};
+
+    for (const [modelId, entry] of Object.entries(models)) {
+      if (entry && typeof entry === 'object') {
+        const {
+          bearerToken: _bearerToken,
+          basicAuth: _basicAuth,
+          headers: _headers,
+          ...rest
+        } = entry;
+        sanitized[modelId] = rest;
+      } else {
+        sanitized[modelId] = entry;
+      }
+    }
+
+    return sanitized;
+  }
+
   /**
    * Create payload for model change notification
+   *
+   * Per-model credentials are removed from the models (see sanitizeModels).
+   *
    * @param {Object} models - Models object
    * @param {string} source - Source loader class name
    * @param {WebhookEventType} eventType - Event type (use WebhookNotifier.EventType enum, required)
+   * @param {Object} [changes] - Added, removed and changed models (result of diffModels)
    * @returns {Object} Notification payload
    */
-  static createPayload(models, source, eventType) {
+  static createPayload(models, source, eventType, changes) {
     if (!eventType) {
       throw new Error(
         'eventType is required. Use WebhookNotifier.EventType.MODELS_CHANGED or .MODELS_LOADED',
       );
     }
 
-    return {
+    const payload = {
       type: eventType,
       timestamp: new Date().toISOString(),
       source,
-      models,
+      models: WebhookNotifier.sanitizeModels(models),
       modelCount: Object.keys(models).length,
     };
+
+    if (changes) {
+      payload.changes = changes;
+    }
+
+    return payload;
   }
 }
 
@@ -0,0 +1,186 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Utilities for the Anthropic Messages API (/v1/messages)
+ *
+ * Converts Anthropic system prompts and content blocks into chat messages
+ * understood by N8nClient and builds Anthropic message objects, streaming
+ * events and errors.
+ */
+
+/**
+ * Extract text from an Anthropic system prompt (string or text blocks)
+ * @param {string|Array<Object>} system - Anthropic system prompt
+ * @returns {string} System prompt text
+ */
+function extractSystemText(system) {
+  if (typeof system === 'string') {
+    return system;
+  }
+
+  if (!Array.isArray(system)) {
+    return '';
+  }
+
+  return system
+    .filter((block) => block && block.type === 'text')
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Convert an Anthropic content block into a chat content part
+ * @param {Object} block - Anthropic content block (text, image)
+ * @returns {Object|null} Chat content part or null if unsupported
+ */
+function convertContentBlock(block) {
+  if (!block || typeof block !== 'object') {
+    return null;
+  }
+
+  if (block.type === 'text') {
+    return { type: 'text', text: block.text || '' };
+  }
+
+  if (block.type === 'image' && block.source) {
+    if (block.source.type === 'base64' && block.source.data) {
+      const url = `data:${block.source.media_type};base64,${block.source.data}`;
+      return { type: 'image_url', image_url: { url } };
+    }
+    if (block.source.type === 'url' && block.source.url) {
+      return { type: 'image_url', image_url: { url: block.source.url } };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert an Anthropic system prompt and messages into chat messages
+ *
+ * - The system prompt becomes a leading system message
+ * - Text and image blocks are converted to chat parts; text-only content is joined
+ * - Unsupported blocks (tool_use, tool_result, documents) are dropped
+ *
+ * @param {string|Array<Object>} system - Anthropic system prompt
+ * @param {Array<Object>} messages - Anthropic messages
+ * @returns {Array<Object>} Chat messages
+ */
+function convertAnthropicMessages(system, messages) {
+  const converted = [];
+
+  const systemText = extractSystemText(system);
+  if (systemText) {
+    converted.push({ role: 'system', content: systemText });
+  }
+
+  for (const message of messages) {
+    if (!message || !message.role) {
+      continue;
+    }
+
+    if (typeof message.content === 'string') {
+      converted.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const parts = (Array.isArray(message.content) ? message.content : [])
+      .map(convertContentBlock)
+      .filter(Boolean);
+
+    // Keep multimodal parts only when images are present
+    if (parts.some((part) => part.type === 'image_url')) {
+      converted.push({ role: message.role, content: parts });
+      continue;
+    }
+
+    const content = parts.map((part) => part.text).join('\n');
+    converted.push({ role: message.role, content });
+  }
+
+  return converted;
+}
+
+/**
+ * Create an Anthropic message object
+ * @param {string} id - Message identifier (msg_...)
+ * @param {string} model - Model identifier
+ * @param {string|null} text - Assistant text, null for the empty message_start message
+ * @returns {Object} Anthropic message object
+ */
+function createMessageObject(id, model, text) {
+  return {
+    id,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: text === null ? [] : [{ type: 'text', text }],
+    stop_reason: text === null ? null : 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: 0,
+      output_tokens: 0,
+    },
+  };
+}
+
+/**
+ * Generate an Anthropic style message identifier
+ * @returns {string} Message identifier
+ */
+function createMessageId() {
+  return `msg_${uuidv4().replace(/-/g, '')}`;
+}
+
+/**
+ * Format an Anthropic streaming event as SSE
+ * @param {string} type - Event type (message_start, content_block_delta, ...)
+ * @param {Object} [data={}] - Event fields
+ * @returns {string} SSE formatted event
+ */
+function formatAnthropicEvent(type, data = {}) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Create an Anthropic style error response
+ * @param {string} message - Error message
+ * @param {string} [type='api_error'] - Anthropic error type
+ * @returns {Object} Error response object
+ */
+function createAnthropicErrorResponse(message, type = 'api_error') {
+  return {
+    type: 'error',
+    error: {
+      type,
+      message,
+    },
+  };
+}
+
+module.exports = {
+  extractSystemText,
+  convertAnthropicMessages,
+  createMessageObject,
+  createMessageId,
+  formatAnthropicEvent,
+  createAnthropicErrorResponse,
+};
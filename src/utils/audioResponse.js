@@ -0,0 +1,123 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utilities for the audio endpoints (/v1/audio/transcriptions, /v1/audio/translations)
+ *
+ * n8n speech workflows respond with JSON such as
+ * { "text": "...", "segments": [{ "start": 0, "end": 2.5, "text": "..." }] }.
+ * These helpers validate that response and render it in the requested
+ * response_format (json, text, srt, vtt).
+ */
+
+/** @type {Array<string>} Supported response_format values */
+const AUDIO_RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt'];
+
+/**
+ * Check whether n8n returned a usable transcription
+ * @param {*} data - Parsed n8n response body
+ * @returns {boolean} True if data has a text string
+ */
+function isValidTranscription(data) {
+  return Boolean(data) && typeof data === 'object' && typeof data.text === 'string';
+}
+
+/**
+ * Get subtitle segments from a transcription
+ *
+ * Falls back to a single segment covering the full text when the workflow
+ * does not return segments.
+ *
+ * @param {Object} transcription - n8n transcription ({ text, segments, duration })
+ * @returns {Array<{start: number, end: number, text: string}>} Segments
+ */
+function getSegments(transcription) {
+  if (Array.isArray(transcription.segments) && transcription.segments.length > 0) {
+    return transcription.segments.map((segment) => ({
+      start: Number(segment.start) || 0,
+      end: Number(segment.end) || 0,
+      text: String(segment.text ?? '').trim(),
+    }));
+  }
+
+  return [
+    {
+      start: 0,
+      end: Number(transcription.duration) || 0,
+      text: transcription.text.trim(),
+    },
+  ];
+}
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS,mmm or HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator ("," for SRT, "." for VTT)
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Render a transcription in the requested response format
+ * @param {Object} transcription - n8n transcription ({ text, segments, duration })
+ * @param {string} [responseFormat='json'] - json, text, srt or vtt
+ * @returns {{contentType: string, body: Object|string}} Response content type and body
+ */
+function formatTranscription(transcription, responseFormat = 'json') {
+  if (responseFormat === 'text') {
+    return { contentType: 'text/plain', body: transcription.text };
+  }
+
+  if (responseFormat === 'srt') {
+    const body = getSegments(transcription)
+      .map(
+        (segment, index) =>
+          `${index + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${segment.text}\n`,
+      )
+      .join('\n');
+    return { contentType: 'application/x-subrip', body };
+  }
+
+  if (responseFormat === 'vtt') {
+    const cues = getSegments(transcription)
+      .map(
+        (segment) =>
+          `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${segment.text}\n`,
+      )
+      .join('\n');
+    return { contentType: 'text/vtt', body: `WEBVTT\n\n${cues}` };
+  }
+
+  return { contentType: 'application/json', body: { text: transcription.text } };
+}
+
+module.exports = {
+  AUDIO_RESPONSE_FORMATS,
+  isValidTranscription,
+  formatTimestamp,
+  formatTranscription,
+};
@@ -0,0 +1,92 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utilities for the embeddings endpoint (/v1/embeddings)
+ *
+ * n8n embeddings workflows respond with a JSON array of float vectors, one
+ * per input text. These helpers validate that response and wrap it in the
+ * OpenAI list/embedding shape.
+ */
+
+/**
+ * Check whether n8n returned one float vector per input
+ * @param {*} data - Parsed n8n response body
+ * @param {number} expectedCount - Number of input texts
+ * @returns {boolean} True if data is an array of non-empty number arrays
+ */
+function isValidEmbeddingVectors(data, expectedCount) {
+  if (!Array.isArray(data) || data.length !== expectedCount) {
+    return false;
+  }
+
+  return data.every(
+    (vector) =>
+      Array.isArray(vector) &&
+      vector.length > 0 &&
+      vector.every((value) => typeof value === 'number' && Number.isFinite(value)),
+  );
+}
+
+/**
+ * Encode a vector according to the requested encoding format
+ *
+ * base64 encodes the vector as little-endian float32 values, matching OpenAI.
+ *
+ * @param {Array<number>} vector - Embedding vector
+ * @param {string} [encodingFormat='float'] - 'float' or 'base64'
+ * @returns {Array<number>|string} Encoded embedding
+ */
+function encodeEmbedding(vector, encodingFormat = 'float') {
+  if (encodingFormat !== 'base64') {
+    return vector;
+  }
+
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, index) => buffer.writeFloatLE(value, index * 4));
+  return buffer.toString('base64');
+}
+
+/**
+ * Create an OpenAI-compatible embeddings response
+ * @param {string} model - Model identifier
+ * @param {Array<Array<number>>} vectors - Embedding vectors in input order
+ * @param {string} [encodingFormat='float'] - 'float' or 'base64'
+ * @returns {Object} Embeddings list response
+ */
+function createEmbeddingsResponse(model, vectors, encodingFormat = 'float') {
+  return {
+    object: 'list',
+    data: vectors.map((vector, index) => ({
+      object: 'embedding',
+      index,
+      embedding: encodeEmbedding(vector, encodingFormat),
+    })),
+    model,
+    usage: {
+      prompt_tokens: 0,
+      total_tokens: 0,
+    },
+  };
+}
+
+module.exports = {
+  isValidEmbeddingVectors,
+  encodeEmbedding,
+  createEmbeddingsResponse,
+};
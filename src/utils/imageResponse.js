@@ -0,0 +1,116 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utilities for the image generation endpoint (/v1/images/generations)
+ *
+ * n8n image workflows may respond with base64 data or URLs in several shapes
+ * (a bare array, { data: [...] } or { images: [...] }; items as strings or
+ * objects). These helpers normalize them into { url } / { b64 } entries and
+ * build the OpenAI images response.
+ */
+
+/** @type {RegExp} Matches data URLs and captures the MIME type and base64 data */
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.+)$/;
+
+/**
+ * Normalize a single image item returned by n8n
+ * @param {string|Object} item - URL, data URL, base64 string or object
+ * @returns {Object|null} { url } or { b64, mimeType } (plus revisedPrompt) or null if unusable
+ */
+function normalizeImageItem(item) {
+  const image = typeof item === 'string' ? { value: item } : item;
+  if (!image || typeof image !== 'object') {
+    return null;
+  }
+
+  const value = image.b64_json || image.base64 || image.url || image.value || image.data;
+  if (typeof value !== 'string' || value.length === 0) {
+    return null;
+  }
+
+  const normalized = {};
+  const dataUrl = value.match(DATA_URL_PATTERN);
+  if (dataUrl) {
+    normalized.b64 = dataUrl[2];
+    normalized.mimeType = dataUrl[1];
+  } else if (/^https?:\/\//.test(value)) {
+    normalized.url = value;
+  } else {
+    normalized.b64 = value;
+    normalized.mimeType = image.mimeType || 'image/png';
+  }
+
+  const revisedPrompt = image.revised_prompt || image.revisedPrompt;
+  if (revisedPrompt) {
+    normalized.revisedPrompt = revisedPrompt;
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize an n8n image generation response
+ * @param {*} data - Parsed n8n response body
+ * @returns {Array<Object>} Normalized images (empty if the response is unusable)
+ */
+function normalizeImages(data) {
+  let items = [];
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (data && typeof data === 'object') {
+    items = data.data || data.images || [data];
+  } else if (typeof data === 'string') {
+    items = [data];
+  }
+
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return items.map(normalizeImageItem).filter(Boolean);
+}
+
+/**
+ * Create an OpenAI-compatible images response
+ * @param {Array<Object>} images - Images with url or b64 set according to response_format
+ * @param {string} responseFormat - 'url' or 'b64_json'
+ * @returns {Object} Images response
+ */
+function createImagesResponse(images, responseFormat) {
+  return {
+    created: Math.floor(Date.now() / 1000),
+    data: images.map((image) => {
+      const entry = {};
+      if (responseFormat === 'b64_json') {
+        entry.b64_json = image.b64;
+      } else {
+        entry.url = image.url;
+      }
+      if (image.revisedPrompt) {
+        entry.revised_prompt = image.revisedPrompt;
+      }
+      return entry;
+    }),
+  };
+}
+
+module.exports = {
+  normalizeImages,
+  createImagesResponse,
+};
@@ -0,0 +1,72 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility functions for deprecated model IDs (see deprecatedIds in model entries)
+ */
+
+/**
+ * Make a model ID safe for the quoted text of a Warning header
+ *
+ * Model IDs come from configuration and may contain characters that are not
+ * allowed in HTTP headers (control characters, non-latin1), which would make
+ * res.set() throw. Those are replaced with "?"; quotes and backslashes are
+ * escaped as required in a quoted-string.
+ *
+ * @param {string} modelId - Model ID
+ * @returns {string} Header-safe model ID
+ */
+function sanitizeForWarning(modelId) {
+  return String(modelId)
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Mark a response as using a deprecated model ID
+ *
+ * Sets the Deprecation and Warning headers and logs the request, so clients
+ * and operators notice the renamed model. Does nothing for current IDs and
+ * aliases.
+ *
+ * @param {Object} res - Express response object
+ * @param {ModelRepository} modelRepository - Model repository
+ * @param {string} modelId - Requested model ID
+ * @returns {boolean} True if the model ID is deprecated
+ */
+function applyModelDeprecation(res, modelRepository, modelId) {
+  const replacement = modelRepository.getDeprecationTarget(modelId);
+  if (!replacement) {
+    return false;
+  }
+
+  res.set('Deprecation', 'true');
+  res.set(
+    'Warning',
+    `299 - "Model '${sanitizeForWarning(modelId)}' is deprecated, use '${sanitizeForWarning(replacement)}'"`,
+  );
+  console.warn(
+    `[${new Date().toISOString()}] Deprecated model ID '${modelId}' requested, use '${replacement}'`,
+  );
+
+  return true;
+}
+
+module.exports = {
+  applyModelDeprecation,
+};
@@ -0,0 +1,85 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility functions for comparing model sets (reload diffs and change notifications)
+ */
+
+/**
+ * Get the webhook URL of a model entry
+ * @param {string|Object} entry - Model entry (URL string or object with webhookUrl)
+ * @returns {string|Array|null} Webhook URL (list of upstreams for load balanced models) or null if not set
+ */
+function getEntryWebhookUrl(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  return entry?.webhookUrl ?? null;
+}
+
+/**
+ * Compare two model sets
+ *
+ * An entry counts as changed if any of its fields differ, not only the
+ * webhook URL. Only IDs and webhook URLs are reported, so per-model
+ * credentials never end up in responses or notifications.
+ *
+ * @param {Object} previous - Current models object
+ * @param {Object} next - New models object
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}} Changes,
+ *   added/removed as { id, webhookUrl }, changed as { id, oldWebhookUrl, newWebhookUrl }
+ */
+function diffModels(previous, next) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [modelId, entry] of Object.entries(next)) {
+    if (!Object.prototype.hasOwnProperty.call(previous, modelId)) {
+      added.push({ id: modelId, webhookUrl: getEntryWebhookUrl(entry) });
+    } else if (JSON.stringify(previous[modelId]) !== JSON.stringify(entry)) {
+      changed.push({
+        id: modelId,
+        oldWebhookUrl: getEntryWebhookUrl(previous[modelId]),
+        newWebhookUrl: getEntryWebhookUrl(entry),
+      });
+    }
+  }
+
+  for (const [modelId, entry] of Object.entries(previous)) {
+    if (!Object.prototype.hasOwnProperty.call(next, modelId)) {
+      removed.push({ id: modelId, webhookUrl: getEntryWebhookUrl(entry) });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Check whether a diff contains any changes
+ * @param {{added: Array, removed: Array, changed: Array}} changes - Result of diffModels()
+ * @returns {boolean} True if at least one model was added, removed or changed
+ */
+function hasModelChanges(changes) {
+  return changes.added.length > 0 || changes.removed.length > 0 || changes.changed.length > 0;
+}
+
+module.exports = {
+  diffModels,
+  hasModelChanges,
+};
@@ -0,0 +1,184 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utilities for the Ollama-compatible API (/api/tags, /api/chat, /api/generate)
+ *
+ * Converts Ollama requests into chat messages understood by N8nClient and
+ * builds Ollama model listings and newline-delimited JSON chunks.
+ */
+
+/**
+ * Convert base64 images of an Ollama message into chat image parts
+ * @param {Array<string>} images - Base64 encoded images
+ * @returns {Array<Object>} Chat image_url parts
+ */
+function convertImages(images) {
+  return images
+    .filter((image) => typeof image === 'string' && image.length > 0)
+    .map((image) => {
+      const url = image.startsWith('data:') ? image : `data:image/png;base64,${image}`;
+      return { type: 'image_url', image_url: { url } };
+    });
+}
+
+/**
+ * Convert a single Ollama message into a chat message
+ * @param {string} role - Message role
+ * @param {string} content - Message text
+ * @param {Array<string>} [images] - Base64 encoded images
+ * @returns {Object} Chat message
+ */
+function convertMessage(role, content, images) {
+  const text = content || '';
+
+  if (!Array.isArray(images) || images.length === 0) {
+    return { role, content: text };
+  }
+
+  return {
+    role,
+    content: [{ type: 'text', text }, ...convertImages(images)],
+  };
+}
+
+/**
+ * Convert Ollama /api/chat messages into chat messages
+ * @param {Array<Object>} messages - Ollama messages ({role, content, images})
+ * @returns {Array<Object>} Chat messages
+ */
+function convertOllamaMessages(messages) {
+  return messages
+    .filter((message) => message && message.role)
+    .map((message) => convertMessage(message.role, message.content, message.images));
+}
+
+/**
+ * Convert an Ollama /api/generate request into chat messages
+ * @param {string} prompt - Prompt text
+ * @param {string} [system] - System prompt
+ * @param {Array<string>} [images] - Base64 encoded images
+ * @returns {Array<Object>} Chat messages
+ */
+function convertGenerateRequest(prompt, system, images) {
+  const messages = [];
+
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  messages.push(convertMessage('user', prompt, images));
+
+  return messages;
+}
+
+/**
+ * Convert a Unix timestamp in seconds into an ISO date
+ * @param {number} created - Unix timestamp in seconds
+ * @returns {string} ISO date, or the Unix epoch if the timestamp is not a valid date
+ */
+function formatModifiedAt(created) {
+  const date = new Date(created * 1000);
+  return Number.isNaN(date.getTime()) ? new Date(0).toISOString() : date.toISOString();
+}
+
+/**
+ * Create the Ollama /api/tags response from the configured models
+ * @param {Array<Object>} models - Models as returned by ModelRepository.getAllModels()
+ * @returns {Object} Ollama tags response
+ */
+function createTagsResponse(models) {
+  return {
+    models: models.map((model) => ({
+      name: model.id,
+      model: model.id,
+      modified_at: formatModifiedAt(model.created),
+      size: 0,
+      digest: '',
+      details: {
+        format: 'n8n',
+        family: 'n8n',
+        families: ['n8n'],
+        parameter_size: '',
+        quantization_level: '',
+      },
+    })),
+  };
+}
+
+/**
+ * Create an Ollama /api/chat chunk
+ * @param {string} model - Model identifier
+ * @param {string} content - Assistant text
+ * @param {boolean} done - Whether this is the final chunk
+ * @returns {Object} Ollama chat chunk
+ */
+function createChatChunk(model, content, done) {
+  const chunk = {
+    model,
+    created_at: new Date().toISOString(),
+    message: { role: 'assistant', content },
+    done,
+  };
+
+  if (done) {
+    chunk.done_reason = 'stop';
+  }
+
+  return chunk;
+}
+
+/**
+ * Create an Ollama /api/generate chunk
+ * @param {string} model - Model identifier
+ * @param {string} response - Generated text
+ * @param {boolean} done - Whether this is the final chunk
+ * @returns {Object} Ollama generate chunk
+ */
+function createGenerateChunk(model, response, done) {
+  const chunk = {
+    model,
+    created_at: new Date().toISOString(),
+    response,
+    done,
+  };
+
+  if (done) {
+    chunk.done_reason = 'stop';
+  }
+
+  return chunk;
+}
+
+/**
+ * Format an object as a newline-delimited JSON line
+ * @param {Object} data - Chunk data
+ * @returns {string} NDJSON line
+ */
+function formatNdjsonLine(data) {
+  return `${JSON.stringify(data)}\n`;
+}
+
+module.exports = {
+  convertOllamaMessages,
+  convertGenerateRequest,
+  createTagsResponse,
+  createChatChunk,
+  createGenerateChunk,
+  formatNdjsonLine,
+};
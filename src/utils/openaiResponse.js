@@ -23,7 +23,7 @@ const { v4: uuidv4 } = require('uuid');
  *
  * @param {string} model - Model identifier
  * @param {string} content - Content to include in the delta
- * @param {string|null} finishReason - Finish reason ('stop' or null)
+ * @param {string|null} finishReason - Finish reason ('stop', 'tool_calls' or null)
  * @returns {Object} OpenAI-compatible chunk object
  */
 function createStreamingChunk(model, content, finishReason = null) {
@@ -42,14 +42,68 @@ function createStreamingChunk(model, content, finishReason = null) {
   };
 }
 
+/**
+ * Creates an OpenAI-compatible streaming chunk carrying a single tool call
+ *
+ * @param {string} model - Model identifier
+ * @param {Object} toolCall - Tool call emitted by n8n ({ id, name, arguments })
+ * @param {number} index - Position of the tool call within the response
+ * @returns {Object} OpenAI-compatible chunk object with delta.tool_calls
+ */
+function createToolCallChunk(model, toolCall, index) {
+  return {
+    id: `chatcmpl-${uuidv4()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        index: 0,
+        delta: {
+          tool_calls: [{ index, ...formatToolCall(toolCall) }],
+        },
+        finish_reason: null,
+      },
+    ],
+  };
+}
+
+/**
+ * Converts an n8n tool call into the OpenAI tool_calls entry format
+ *
+ * @param {Object} toolCall - Tool call ({ id, name, arguments })
+ * @returns {Object} OpenAI tool call ({ id, type, function: { name, arguments } })
+ */
+function formatToolCall(toolCall) {
+  return {
+    id: toolCall.id,
+    type: 'function',
+    function: {
+      name: toolCall.name,
+      arguments: toolCall.arguments,
+    },
+  };
+}
+
 /**
  * Creates an OpenAI-compatible non-streaming completion response
  *
  * @param {string} model - Model identifier
  * @param {string} content - Assistant response content
+ * @param {Array<Object>} [toolCalls=[]] - Tool calls emitted by n8n ({ id, name, arguments })
  * @returns {Object} OpenAI-compatible completion object
  */
-function createCompletionResponse(model, content) {
+function createCompletionResponse(model, content, toolCalls = []) {
+  const message = {
+    role: 'assistant',
+    content,
+  };
+
+  if (toolCalls.length > 0) {
+    message.content = content || null;
+    message.tool_calls = toolCalls.map(formatToolCall);
+  }
+
   return {
     id: `chatcmpl-${uuidv4()}`,
     object: 'chat.completion',
@@ -58,11 +112,8 @@ function createCompletionResponse(model, content) {
     choices: [
       {
         index: 0,
-        message: {
-          role: 'assistant',
-          content,
-        },
-        finish_reason: 'stop',
+        message,
+        finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
       },
     ],
     usage: {
@@ -75,5 +126,7 @@ function createCompletionResponse(model, content) {
 
 module.exports = {
   createStreamingChunk,
+  createToolCallChunk,
+  formatToolCall,
   createCompletionResponse,
 };
@@ -16,8 +16,11 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+const { AUDIO_RESPONSE_FORMATS } = require('./audioResponse');
+
 /**
- * Service for validating chat completion requests
+ * Service for validating chat completion, embeddings, audio, image, Responses API,
+ * Messages API and Ollama API requests
  */
 
 /**
@@ -48,9 +51,374 @@ function validateChatCompletionRequest(body) {
     };
   }
 
+  const toolsError = validateTools(body.tools, body.tool_choice);
+  if (toolsError) {
+    return {
+      valid: false,
+      error: {
+        message: toolsError,
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  const toolMessage = messages.find((m) => m && m.role === 'tool' && !m.tool_call_id);
+  if (toolMessage) {
+    return {
+      valid: false,
+      error: {
+        message: 'messages with role "tool" must include a tool_call_id',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates the optional tools and tool_choice fields
+ * @param {*} tools - Value of body.tools
+ * @param {*} toolChoice - Value of body.tool_choice
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTools(tools, toolChoice) {
+  if (tools !== undefined) {
+    if (!Array.isArray(tools)) {
+      return 'tools must be an array';
+    }
+
+    for (const tool of tools) {
+      if (!tool || tool.type !== 'function' || typeof tool.function?.name !== 'string') {
+        return 'Each tool must have type "function" and a function.name';
+      }
+    }
+  }
+
+  if (toolChoice === undefined) {
+    return null;
+  }
+
+  if (typeof toolChoice === 'string') {
+    if (!['none', 'auto', 'required'].includes(toolChoice)) {
+      return 'tool_choice must be "none", "auto", "required" or a function object';
+    }
+    return null;
+  }
+
+  if (toolChoice?.type !== 'function' || typeof toolChoice.function?.name !== 'string') {
+    return 'tool_choice must be "none", "auto", "required" or a function object';
+  }
+
+  return null;
+}
+
+/**
+ * Validates embeddings request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateEmbeddingsRequest(body) {
+  const { model, input, encoding_format: encodingFormat } = body;
+
+  if (!model || input === undefined || input === null) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, input',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  const isValidString = typeof input === 'string' && input.length > 0;
+  const isValidArray =
+    Array.isArray(input) &&
+    input.length > 0 &&
+    input.every((item) => typeof item === 'string' && item.length > 0);
+  if (!isValidString && !isValidArray) {
+    return {
+      valid: false,
+      error: {
+        message: 'input must be a non-empty string or a non-empty array of strings',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (encodingFormat !== undefined && !['float', 'base64'].includes(encodingFormat)) {
+    return {
+      valid: false,
+      error: {
+        message: 'encoding_format must be "float" or "base64"',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates audio transcription/translation request (multipart form)
+ * @param {Object} body - Parsed form fields
+ * @param {Object} [file] - Uploaded file (from multer)
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateAudioRequest(body, file) {
+  const { model, response_format: responseFormat } = body;
+
+  if (!model || !file) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: file, model',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (responseFormat !== undefined && !AUDIO_RESPONSE_FORMATS.includes(responseFormat)) {
+    return {
+      valid: false,
+      error: {
+        message: `response_format must be one of: ${AUDIO_RESPONSE_FORMATS.join(', ')}`,
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates image generation request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateImageGenerationRequest(body) {
+  const { model, prompt, n, size, response_format: responseFormat } = body;
+
+  if (!model || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, prompt',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > 10)) {
+    return {
+      valid: false,
+      error: {
+        message: 'n must be an integer between 1 and 10',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (size !== undefined && (typeof size !== 'string' || !/^(auto|\d+x\d+)$/.test(size))) {
+    return {
+      valid: false,
+      error: {
+        message: 'size must be "auto" or WIDTHxHEIGHT (e.g. "1024x1024")',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (responseFormat !== undefined && !['url', 'b64_json'].includes(responseFormat)) {
+    return {
+      valid: false,
+      error: {
+        message: 'response_format must be "url" or "b64_json"',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates Responses API request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateResponsesRequest(body) {
+  const { model, input, instructions, previous_response_id: previousResponseId } = body;
+
+  if (!model || input === undefined || input === null) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, input',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  const isValidString = typeof input === 'string' && input.trim().length > 0;
+  const isValidArray = Array.isArray(input) && input.length > 0;
+  if (!isValidString && !isValidArray) {
+    return {
+      valid: false,
+      error: {
+        message: 'input must be a non-empty string or a non-empty array of input items',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (instructions !== undefined && instructions !== null && typeof instructions !== 'string') {
+    return {
+      valid: false,
+      error: {
+        message: 'instructions must be a string',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (
+    previousResponseId !== undefined &&
+    previousResponseId !== null &&
+    typeof previousResponseId !== 'string'
+  ) {
+    return {
+      valid: false,
+      error: {
+        message: 'previous_response_id must be a string',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates Anthropic Messages API request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateMessagesRequest(body) {
+  const { model, messages, system, max_tokens: maxTokens } = body;
+
+  if (!model || !messages) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, messages',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return {
+      valid: false,
+      error: {
+        message: 'messages must be a non-empty array',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (system !== undefined && typeof system !== 'string' && !Array.isArray(system)) {
+    return {
+      valid: false,
+      error: {
+        message: 'system must be a string or an array of text blocks',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+    return {
+      valid: false,
+      error: {
+        message: 'max_tokens must be a positive integer',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates Ollama /api/chat request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateOllamaChatRequest(body) {
+  const { model, messages } = body;
+
+  if (!model || !messages) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, messages',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return {
+      valid: false,
+      error: {
+        message: 'messages must be a non-empty array',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validates Ollama /api/generate request body
+ * @param {Object} body - Request body
+ * @returns {Object} { valid: boolean, error: Object|null }
+ */
+function validateOllamaGenerateRequest(body) {
+  const { model, prompt, system } = body;
+
+  if (!model || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return {
+      valid: false,
+      error: {
+        message: 'Missing required fields: model, prompt',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
+  if (system !== undefined && system !== null && typeof system !== 'string') {
+    return {
+      valid: false,
+      error: {
+        message: 'system must be a string',
+        type: 'invalid_request_error',
+      },
+    };
+  }
+
   return { valid: true, error: null };
 }
 
 module.exports = {
   validateChatCompletionRequest,
+  validateEmbeddingsRequest,
+  validateAudioRequest,
+  validateImageGenerationRequest,
+  validateResponsesRequest,
+  validateMessagesRequest,
+  validateOllamaChatRequest,
+  validateOllamaGenerateRequest,
 };
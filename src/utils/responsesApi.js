@@ -0,0 +1,169 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Utilities for the OpenAI Responses API (/v1/responses)
+ *
+ * Converts Responses API input into chat messages understood by N8nClient
+ * and builds Responses API objects and streaming events.
+ */
+
+/**
+ * Convert a Responses API content part into a chat content part
+ * @param {Object} part - Responses content part (input_text, output_text, input_image)
+ * @returns {Object|null} Chat content part or null if unsupported
+ */
+function convertContentPart(part) {
+  if (!part || typeof part !== 'object') {
+    return null;
+  }
+
+  if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+    return { type: 'text', text: part.text || '' };
+  }
+
+  if (part.type === 'input_image' && part.image_url) {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+    return url ? { type: 'image_url', image_url: { url } } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Convert Responses API input and instructions into chat messages
+ *
+ * - String input becomes a single user message
+ * - Message items keep their role ("developer" is mapped to "system")
+ * - Content parts are converted to chat parts; text-only content is joined into a string
+ * - Instructions are prepended as a system message
+ *
+ * @param {string|Array<Object>} input - Responses API input
+ * @param {string} [instructions] - Optional system instructions
+ * @returns {Array<Object>} Chat messages
+ */
+function convertResponsesInput(input, instructions) {
+  const messages = [];
+
+  if (instructions) {
+    messages.push({ role: 'system', content: instructions });
+  }
+
+  if (typeof input === 'string') {
+    messages.push({ role: 'user', content: input });
+    return messages;
+  }
+
+  for (const item of input) {
+    if (!item || (item.type && item.type !== 'message') || !item.role) {
+      continue;
+    }
+
+    const role = item.role === 'developer' ? 'system' : item.role;
+
+    if (typeof item.content === 'string') {
+      messages.push({ role, content: item.content });
+      continue;
+    }
+
+    const parts = (Array.isArray(item.content) ? item.content : [])
+      .map(convertContentPart)
+      .filter(Boolean);
+
+    // Keep multimodal parts only when images are present
+    if (parts.some((part) => part.type === 'image_url')) {
+      messages.push({ role, content: parts });
+      continue;
+    }
+
+    const content = parts.map((part) => part.text).join('\n');
+    messages.push({ role, content });
+  }
+
+  return messages;
+}
+
+/**
+ * Create a Responses API response object
+ *
+ * @param {Object} params - Response parameters
+ * @param {string} params.id - Response identifier (resp_...)
+ * @param {string} params.model - Model identifier
+ * @param {string} params.status - Response status (in_progress, completed, failed)
+ * @param {string|null} [params.text] - Output text, omitted from output when null
+ * @param {string} [params.messageId] - Output message identifier (msg_...)
+ * @param {string|null} [params.instructions] - Instructions from the request
+ * @param {string|null} [params.previousResponseId] - previous_response_id from the request
+ * @returns {Object} Responses API response object
+ */
+function createResponseObject({
+  id,
+  model,
+  status,
+  text = null,
+  messageId = `msg_${uuidv4()}`,
+  instructions = null,
+  previousResponseId = null,
+}) {
+  const output = [];
+  if (text !== null) {
+    output.push({
+      id: messageId,
+      type: 'message',
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text, annotations: [] }],
+    });
+  }
+
+  return {
+    id,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status,
+    model,
+    instructions,
+    previous_response_id: previousResponseId,
+    output,
+    usage: {
+      input_tokens: 0,
+      output_tokens: 0,
+      total_tokens: 0,
+    },
+  };
+}
+
+/**
+ * Format a typed Responses API streaming event as SSE
+ * @param {string} type - Event type (e.g. response.output_text.delta)
+ * @param {number} sequenceNumber - Monotonic sequence number within the stream
+ * @param {Object} data - Event fields
+ * @returns {string} SSE formatted event
+ */
+function formatResponseEvent(type, sequenceNumber, data) {
+  const event = { type, sequence_number: sequenceNumber, ...data };
+  return `event: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+module.exports = {
+  convertResponsesInput,
+  createResponseObject,
+  formatResponseEvent,
+};
@@ -29,11 +29,12 @@
  * @param {Object} req - Express request object
  * @param {Array<string>} sessionIdHeaders - Configured header names to check
  * @param {Function} uuidGenerator - Function to generate UUID (for testing)
- * @returns {Object} { sessionId: string, source: string }
+ * @returns {Object} { sessionId: string, sessionSource: string, generated: boolean }
  */
 function extractSessionId(req, sessionIdHeaders, uuidGenerator) {
   let sessionId = null;
   let sessionSource = null;
+  let generated = false;
 
   // 1. Try body fields first
   if (req.body?.session_id) {
@@ -63,9 +64,10 @@ function extractSessionId(req, sessionIdHeaders, uuidGenerator) {
   if (!sessionId) {
     sessionId = uuidGenerator();
     sessionSource = 'generated (new UUID)';
+    generated = true;
   }
 
-  return { sessionId, sessionSource };
+  return { sessionId, sessionSource, generated };
 }
 
 module.exports = {
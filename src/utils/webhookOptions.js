@@ -0,0 +1,56 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility functions for the per-request options passed to N8nClient
+ */
+
+/**
+ * Build the N8nClient options shared by all chat-style routes
+ *
+ * - settings: per-model overrides of the global webhook settings, only if configured
+ * - modelId: keys the load balancing state; aliases resolve to their model so
+ *   they share its state
+ * - sessionGenerated: set for session IDs generated by the bridge, which are
+ *   new on every request and therefore must not pin a sticky upstream
+ *
+ * @param {ModelRepository} modelRepository - Model repository
+ * @param {string} model - Requested model ID or alias
+ * @param {boolean} sessionGenerated - Whether the session ID was generated (see extractSessionId)
+ * @returns {{settings?: Object, modelId: string, sessionGenerated?: boolean}} N8nClient options
+ */
+function buildWebhookOptions(modelRepository, model, sessionGenerated) {
+  const options = {};
+
+  const settings = modelRepository.getModelSettings(model);
+  if (Object.keys(settings).length > 0) {
+    options.settings = settings;
+  }
+
+  options.modelId = modelRepository.resolveModelId(model);
+
+  if (sessionGenerated) {
+    options.sessionGenerated = true;
+  }
+
+  return options;
+}
+
+module.exports = {
+  buildWebhookOptions,
+};
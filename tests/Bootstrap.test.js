@@ -12,6 +12,7 @@ const ModelRepository = require('../src/repositories/ModelRepository');
 const ModelLoaderFactory = require('../src/factories/ModelLoaderFactory');
 const WebhookNotifierFactory = require('../src/factories/WebhookNotifierFactory');
 const TaskDetectorService = require('../src/services/taskDetectorService');
+const ModelCache = require('../src/services/modelCache');
 
 // Mock console to reduce noise
 global.console = {
@@ -26,6 +27,7 @@ jest.mock('../src/repositories/ModelRepository');
 jest.mock('../src/factories/ModelLoaderFactory');
 jest.mock('../src/factories/WebhookNotifierFactory');
 jest.mock('../src/services/taskDetectorService');
+jest.mock('../src/services/modelCache');
 
 describe('Bootstrap', () => {
   let mockModelLoader;
@@ -59,7 +61,7 @@ describe('Bootstrap', () => {
     ModelLoaderFactory.createModelLoader.mockReturnValue(mockModelLoader);
     WebhookNotifierFactory.createWebhookNotifier.mockReturnValue(mockWebhookNotifier);
     ModelRepository.mockImplementation(() => ({
-      updateModels: jest.fn(),
+      updateModels: jest.fn().mockReturnValue({ added: [], removed: [], changed: [] }),
       getModelCount: jest.fn().mockReturnValue(1),
     }));
   });
@@ -174,7 +176,7 @@ describe('Bootstrap', () => {
   describe('setupModelWatcher', () => {
     test('should update models when watcher triggers', async () => {
       const bootstrap = new Bootstrap();
-      const mockUpdateModels = jest.fn();
+      const mockUpdateModels = jest.fn().mockReturnValue({ added: [], removed: [], changed: [] });
       bootstrap.modelRepository.updateModels = mockUpdateModels;
 
       await bootstrap.initialize();
@@ -199,11 +201,38 @@ describe('Bootstrap', () => {
       // Get the watch callback
       const watchCallback = mockModelLoader.watch.mock.calls[0][0];
       const newModels = { 'new-model': 'https://new.com' };
+      const repositoryModels = { ...newModels, 'overlay-model': 'https://overlay.com' };
+      bootstrap.modelRepository.models = repositoryModels;
+      bootstrap.modelRepository.updateModels.mockReturnValue({
+        added: [{ id: 'new-model', webhookUrl: 'https://new.com' }],
+        removed: [],
+        changed: [],
+      });
 
       // Trigger the watch callback
       watchCallback(newModels);
 
-      expect(mockWebhookNotifier.notify).toHaveBeenCalled();
+      expect(mockWebhookNotifier.notify).toHaveBeenCalledWith(
+        expect.objectContaining({ modelCount: 2 }),
+      );
+    });
+
+    test('should not notify webhook when no model changed', async () => {
+      mockWebhookNotifier.enabled = true;
+      const bootstrap = new Bootstrap();
+
+      await bootstrap.initialize();
+
+      const watchCallback = mockModelLoader.watch.mock.calls[0][0];
+      bootstrap.modelRepository.updateModels.mockReturnValue({
+        added: [],
+        removed: [],
+        changed: [],
+      });
+
+      watchCallback({ 'test-model': 'https://test.com' });
+
+      expect(mockWebhookNotifier.notify).not.toHaveBeenCalled();
     });
 
     test('should warn if webhook notification on model change fails', async () => {
@@ -216,6 +245,12 @@ describe('Bootstrap', () => {
       // Get the watch callback
       const watchCallback = mockModelLoader.watch.mock.calls[0][0];
       const newModels = { 'new-model': 'https://new.com' };
+      bootstrap.modelRepository.models = newModels;
+      bootstrap.modelRepository.updateModels.mockReturnValue({
+        added: [{ id: 'new-model', webhookUrl: 'https://new.com' }],
+        removed: [],
+        changed: [],
+      });
 
       // Trigger the watch callback
       await watchCallback(newModels);
@@ -229,6 +264,397 @@ describe('Bootstrap', () => {
     });
   });
 
+  describe('model cache', () => {
+    let mockCache;
+    const snapshot = {
+      savedAt: '2025-01-01T00:00:00.000Z',
+      source: 'MockLoader',
+      models: { 'cached-model': 'https://cached.com' },
+    };
+
+    beforeEach(() => {
+      mockConfig.modelsCacheFile = '/tmp/models-cache.json';
+      mockConfig.modelsCacheRetryInterval = 30000;
+      mockCache = {
+        filePath: '/tmp/models-cache.json',
+        save: jest.fn(),
+        load: jest.fn().mockReturnValue(snapshot),
+      };
+      ModelCache.mockImplementation(() => mockCache);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should not create cache when MODELS_CACHE_FILE is not set', () => {
+      mockConfig.modelsCacheFile = '';
+      const bootstrap = new Bootstrap();
+
+      expect(bootstrap.modelCache).toBeNull();
+    });
+
+    test('should save loaded models to cache', async () => {
+      const bootstrap = new Bootstrap();
+      await bootstrap.initialize();
+
+      expect(mockCache.save).toHaveBeenCalledWith(
+        { 'test-model': 'https://test.com' },
+        'MockLoader',
+      );
+      expect(bootstrap.degraded).toBeNull();
+    });
+
+    test('should save models to cache when watcher triggers', async () => {
+      const bootstrap = new Bootstrap();
+      await bootstrap.initialize();
+
+      const watchCallback = mockModelLoader.watch.mock.calls[0][0];
+      watchCallback({ 'new-model': 'https://new.com' });
+
+      expect(mockCache.save).toHaveBeenLastCalledWith(
+        { 'new-model': 'https://new.com' },
+        'MockLoader',
+      );
+    });
+
+    test('should warn but not fail when cache cannot be written', async () => {
+      mockCache.save.mockImplementation(() => {
+        throw new Error('EACCES');
+      });
+      const bootstrap = new Bootstrap();
+
+      await expect(bootstrap.initialize()).resolves.toBeUndefined();
+      expect(console.warn).toHaveBeenCalledWith(
+        'Could not write models cache /tmp/models-cache.json: EACCES',
+      );
+    });
+
+    test('should start degraded from cache when loading fails', async () => {
+      jest.useFakeTimers();
+      mockModelLoader.load.mockRejectedValue(new Error('n8n unreachable'));
+      const bootstrap = new Bootstrap();
+      const mockUpdateModels = jest.fn();
+      bootstrap.modelRepository.updateModels = mockUpdateModels;
+
+      await bootstrap.initialize();
+
+      expect(mockUpdateModels).toHaveBeenCalledWith(snapshot.models);
+      expect(bootstrap.degraded).toEqual({
+        reason: 'n8n unreachable',
+        cachedAt: snapshot.savedAt,
+        since: expect.any(String),
+      });
+      expect(mockModelLoader.watch).not.toHaveBeenCalled();
+      expect(bootstrap.retryTimer).not.toBeNull();
+
+      bootstrap.close();
+    });
+
+    test('should propagate error when cache is empty', async () => {
+      mockCache.load.mockReturnValue(null);
+      mockModelLoader.load.mockRejectedValue(new Error('Load failed'));
+      const bootstrap = new Bootstrap();
+
+      await expect(bootstrap.initialize()).rejects.toThrow('Load failed');
+    });
+
+    test('should propagate error when cache is unreadable', async () => {
+      mockCache.load.mockImplementation(() => {
+        throw new Error('Invalid JSON in models cache file');
+      });
+      mockModelLoader.load.mockRejectedValue(new Error('Load failed'));
+      const bootstrap = new Bootstrap();
+
+      await expect(bootstrap.initialize()).rejects.toThrow('Load failed');
+      expect(console.error).toHaveBeenCalledWith(
+        'Could not read models cache /tmp/models-cache.json: Invalid JSON in models cache file',
+      );
+    });
+
+    test('should retry loading and recover', async () => {
+      jest.useFakeTimers();
+      mockModelLoader.load
+        .mockRejectedValueOnce(new Error('n8n unreachable'))
+        .mockRejectedValueOnce(new Error('still down'))
+        .mockResolvedValue({ 'live-model': 'https://live.com' });
+      const bootstrap = new Bootstrap();
+      const mockUpdateModels = jest.fn();
+      bootstrap.modelRepository.updateModels = mockUpdateModels;
+
+      await bootstrap.initialize();
+
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(bootstrap.degraded.reason).toBe('still down');
+      expect(mockModelLoader.watch).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(bootstrap.degraded).toBeNull();
+      expect(bootstrap.retryTimer).toBeNull();
+      expect(mockUpdateModels).toHaveBeenLastCalledWith({ 'live-model': 'https://live.com' });
+      expect(mockCache.save).toHaveBeenCalledWith(
+        { 'live-model': 'https://live.com' },
+        'MockLoader',
+      );
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave degraded mode after a manual reload', async () => {
+      jest.useFakeTimers();
+      mockModelLoader.load
+        .mockRejectedValueOnce(new Error('n8n unreachable'))
+        .mockResolvedValue({ 'live-model': 'https://live.com' });
+      const bootstrap = new Bootstrap();
+      bootstrap.modelRepository.models = { 'live-model': 'https://live.com' };
+
+      await bootstrap.initialize();
+      expect(bootstrap.degraded).not.toBeNull();
+
+      await bootstrap.reloadModels();
+
+      expect(bootstrap.degraded).toBeNull();
+      expect(bootstrap.retryTimer).toBeNull();
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop retrying on close', async () => {
+      jest.useFakeTimers();
+      mockModelLoader.load.mockRejectedValue(new Error('n8n unreachable'));
+      const bootstrap = new Bootstrap();
+
+      await bootstrap.initialize();
+      bootstrap.close();
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(1);
+      expect(bootstrap.retryTimer).toBeNull();
+    });
+  });
+
+  describe('background loading', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockConfig.modelsBackgroundLoad = true;
+      mockConfig.modelsLoadRetryMaxDelay = 4000;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should resolve immediately with models pending', async () => {
+      mockModelLoader.load.mockReturnValue(new Promise(() => {}));
+      const bootstrap = new Bootstrap();
+
+      await bootstrap.initialize();
+
+      expect(bootstrap.modelsPending).toBe(true);
+      expect(mockModelLoader.watch).not.toHaveBeenCalled();
+      expect(bootstrap.getRetryAfterSeconds()).toBe(1);
+
+      bootstrap.close();
+    });
+
+    test('should load models and start watching on first success', async () => {
+      const bootstrap = new Bootstrap();
+      const mockUpdateModels = jest.fn();
+      bootstrap.modelRepository.updateModels = mockUpdateModels;
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+
+      expect(bootstrap.modelsPending).toBe(false);
+      expect(mockUpdateModels).toHaveBeenCalledWith({ 'test-model': 'https://test.com' });
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry with exponential backoff until loading succeeds', async () => {
+      mockModelLoader.load
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockResolvedValue({ 'test-model': 'https://test.com' });
+      const bootstrap = new Bootstrap();
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+      expect(bootstrap.getRetryAfterSeconds()).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(2);
+      expect(bootstrap.getRetryAfterSeconds()).toBe(2);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(3);
+      expect(bootstrap.getRetryAfterSeconds()).toBe(4);
+
+      // Capped at MODELS_LOAD_RETRY_MAX_DELAY
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(bootstrap.getRetryAfterSeconds()).toBe(4);
+      expect(bootstrap.modelsPending).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(5);
+      expect(bootstrap.modelsPending).toBe(false);
+      expect(bootstrap.retryTimer).toBeNull();
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+      expect(console.warn).toHaveBeenCalledWith(
+        'Model loading failed (attempt 1), retrying in 1s: n8n booting',
+      );
+    });
+
+    test('should stop answering 503 after a manual reload while pending', async () => {
+      mockModelLoader.load
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockResolvedValue({ 'test-model': 'https://test.com' });
+      const bootstrap = new Bootstrap();
+      bootstrap.modelRepository.models = { 'test-model': 'https://test.com' };
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+      expect(bootstrap.modelsPending).toBe(true);
+
+      await bootstrap.reloadModels();
+
+      expect(bootstrap.modelsPending).toBe(false);
+      expect(bootstrap.retryTimer).toBeNull();
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(2);
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore a retry that finishes after a manual reload', async () => {
+      let resolveRetry;
+      mockModelLoader.load
+        .mockRejectedValueOnce(new Error('n8n booting'))
+        .mockReturnValueOnce(new Promise((resolve) => (resolveRetry = resolve)))
+        .mockResolvedValue({ 'test-model': 'https://test.com' });
+      const bootstrap = new Bootstrap();
+      bootstrap.modelRepository.models = {};
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await bootstrap.reloadModels();
+      resolveRetry({ 'stale-model': 'https://stale.com' });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(bootstrap.modelRepository.updateModels).not.toHaveBeenCalledWith({
+        'stale-model': 'https://stale.com',
+      });
+      expect(mockModelLoader.watch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should serve cached models while retrying', async () => {
+      mockConfig.modelsCacheFile = '/tmp/models-cache.json';
+      ModelCache.mockImplementation(() => ({
+        filePath: '/tmp/models-cache.json',
+        save: jest.fn(),
+        load: jest.fn().mockReturnValue({
+          savedAt: '2025-01-01T00:00:00.000Z',
+          models: { 'cached-model': 'https://cached.com' },
+        }),
+      }));
+      mockModelLoader.load.mockRejectedValue(new Error('n8n booting'));
+      const bootstrap = new Bootstrap();
+      const mockUpdateModels = jest.fn();
+      bootstrap.modelRepository.updateModels = mockUpdateModels;
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+
+      expect(bootstrap.modelsPending).toBe(false);
+      expect(bootstrap.degraded.reason).toBe('n8n booting');
+      expect(mockUpdateModels).toHaveBeenCalledWith({ 'cached-model': 'https://cached.com' });
+      expect(bootstrap.retryTimer).not.toBeNull();
+
+      bootstrap.close();
+    });
+
+    test('should stop retrying on close', async () => {
+      mockModelLoader.load.mockRejectedValue(new Error('n8n booting'));
+      const bootstrap = new Bootstrap();
+
+      await bootstrap.initialize();
+      await bootstrap.loadingPromise;
+      bootstrap.close();
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(mockModelLoader.load).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('changeModel', () => {
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      mockModelLoader.isWritable = jest.fn().mockReturnValue(false);
+      mockModelLoader.saveModelEntry = jest.fn();
+      mockModelLoader.interpolateModels = jest.fn((models) => models);
+      mockModelLoader.validateModels = jest.fn((models) => models);
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    test('should validate a single entry through the loader', () => {
+      const bootstrap = new Bootstrap();
+
+      expect(bootstrap.validateModelEntry('m', 'https://m.example.com')).toBe(
+        'https://m.example.com',
+      );
+      expect(mockModelLoader.interpolateModels).toHaveBeenCalledWith({
+        m: 'https://m.example.com',
+      });
+
+      mockModelLoader.validateModels.mockReturnValue({});
+      expect(bootstrap.validateModelEntry('m', 'invalid')).toBeNull();
+    });
+
+    test('should write through writable loaders', async () => {
+      const models = { m: 'https://m.example.com' };
+      mockModelLoader.isWritable.mockReturnValue(true);
+      mockModelLoader.saveModelEntry.mockResolvedValue(models);
+      const bootstrap = new Bootstrap();
+      bootstrap.modelRepository.models = models;
+
+      const storage = await bootstrap.changeModel('m', '${M_URL}', 'https://m.example.com');
+
+      expect(storage).toBe('source');
+      expect(mockModelLoader.saveModelEntry).toHaveBeenCalledWith('m', '${M_URL}');
+      expect(bootstrap.modelRepository.updateModels).toHaveBeenCalledWith(models);
+      expect(mockWebhookNotifier.notify).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'models_changed' }),
+      );
+    });
+
+    test('should keep changes as overlay for read-only loaders', async () => {
+      const setOverlayEntry = jest.fn();
+      ModelRepository.mockImplementation(() => ({
+        updateModels: jest.fn(),
+        setOverlayEntry,
+        models: {},
+      }));
+      const bootstrap = new Bootstrap();
+
+      const storage = await bootstrap.changeModel('m', null, null);
+
+      expect(storage).toBe('overlay');
+      expect(setOverlayEntry).toHaveBeenCalledWith('m', null);
+      expect(mockModelLoader.saveModelEntry).not.toHaveBeenCalled();
+      expect(mockWebhookNotifier.notify).toHaveBeenCalled();
+    });
+  });
+
   describe('close', () => {
     test('should stop model loader watching', () => {
       const bootstrap = new Bootstrap();
@@ -64,6 +64,54 @@ describe('Config - Basic Properties', () => {
     expect(config.requestBodyLimit).toBe('50mb');
   });
 
+  test('should disable models cache by default', () => {
+    delete process.env.MODELS_CACHE_FILE;
+    delete process.env.MODELS_CACHE_RETRY_INTERVAL;
+
+    const config = new Config();
+
+    expect(config.modelsCacheFile).toBe('');
+    expect(config.modelsCacheRetryInterval).toBe(30000);
+  });
+
+  test('should load models cache settings from environment', () => {
+    process.env.MODELS_CACHE_FILE = '/data/models-cache.json';
+    process.env.MODELS_CACHE_RETRY_INTERVAL = '5000';
+
+    const config = new Config();
+
+    expect(config.modelsCacheFile).toBe('/data/models-cache.json');
+    expect(config.modelsCacheRetryInterval).toBe(5000);
+  });
+
+  test('should disable background model loading by default', () => {
+    delete process.env.MODELS_BACKGROUND_LOAD;
+    delete process.env.MODELS_LOAD_RETRY_MAX_DELAY;
+
+    const config = new Config();
+
+    expect(config.modelsBackgroundLoad).toBe(false);
+    expect(config.modelsLoadRetryMaxDelay).toBe(60000);
+  });
+
+  test('should load background model loading settings from environment', () => {
+    process.env.MODELS_BACKGROUND_LOAD = 'true';
+    process.env.MODELS_LOAD_RETRY_MAX_DELAY = '10000';
+
+    const config = new Config();
+
+    expect(config.modelsBackgroundLoad).toBe(true);
+    expect(config.modelsLoadRetryMaxDelay).toBe(10000);
+  });
+
+  test('should list model aliases only when enabled', () => {
+    delete process.env.MODELS_LIST_ALIASES;
+    expect(new Config().modelsListAliases).toBe(false);
+
+    process.env.MODELS_LIST_ALIASES = 'true';
+    expect(new Config().modelsListAliases).toBe(true);
+  });
+
   test('should load REQUEST_BODY_LIMIT from environment', () => {
     process.env.REQUEST_BODY_LIMIT = '100mb';
 
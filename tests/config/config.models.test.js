@@ -71,6 +71,64 @@ describe('ModelRepository - Model Operations', () => {
     });
   });
 
+  describe('getModel', () => {
+    test('should treat string entries as chat models', () => {
+      modelRepository.models = { 'test-model': 'https://n8n.example.com/webhook/test/chat' };
+
+      expect(modelRepository.getModel('test-model')).toEqual({
+        id: 'test-model',
+        webhookUrl: 'https://n8n.example.com/webhook/test/chat',
+        type: 'chat',
+      });
+    });
+
+    test('should return object entries with their type', () => {
+      modelRepository.models = {
+        embed: { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embeddings' },
+      };
+
+      expect(modelRepository.getModelWebhookUrl('embed')).toBe(
+        'https://n8n.example.com/webhook/embed',
+      );
+      expect(modelRepository.getModelType('embed')).toBe('embeddings');
+    });
+
+    test('should return undefined for non-existent or inherited keys', () => {
+      expect(modelRepository.getModel('nonexistent-model')).toBeUndefined();
+      expect(modelRepository.getModel('toString')).toBeUndefined();
+    });
+  });
+
+  describe('getModelSettings', () => {
+    test('should return only configured overrides', () => {
+      modelRepository.models = {
+        plain: 'https://n8n.example.com/webhook/plain',
+        slow: {
+          webhookUrl: 'https://n8n.example.com/webhook/slow',
+          type: 'chat',
+          description: 'Slow agent',
+          timeout: 600000,
+          headers: { 'X-Tenant': 'acme' },
+        },
+      };
+
+      expect(modelRepository.getModelSettings('plain')).toEqual({});
+      expect(modelRepository.getModelSettings('unknown')).toEqual({});
+      expect(modelRepository.getModelSettings('slow')).toEqual({
+        timeout: 600000,
+        headers: { 'X-Tenant': 'acme' },
+      });
+    });
+
+    test('should not expose settings in model info', () => {
+      modelRepository.models = {
+        slow: { webhookUrl: 'https://n8n.example.com/webhook/slow', bearerToken: 'secret' },
+      };
+
+      expect(modelRepository.getModelInfo('slow')).not.toHaveProperty('bearerToken');
+    });
+  });
+
   describe('getAllModels', () => {
     test('should return array of model objects', () => {
       modelRepository.models = {
@@ -141,6 +199,126 @@ describe('ModelRepository - Model Operations', () => {
     });
   });
 
+  describe('aliases', () => {
+    let consoleWarnSpy;
+
+    beforeEach(() => {
+      consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      modelRepository.updateModels({
+        'research-agent': {
+          webhookUrl: 'https://n8n.example.com/webhook/research',
+          type: 'chat',
+          aliases: ['gpt-4', 'writer'],
+          deprecatedIds: ['old-research'],
+        },
+        writer: {
+          webhookUrl: 'https://n8n.example.com/webhook/writer',
+          type: 'chat',
+          aliases: ['gpt-4'],
+        },
+      });
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+    });
+
+    test('should resolve aliases and deprecated IDs', () => {
+      expect(modelRepository.getModelWebhookUrl('gpt-4')).toBe(
+        'https://n8n.example.com/webhook/research',
+      );
+      expect(modelRepository.getModelWebhookUrl('old-research')).toBe(
+        'https://n8n.example.com/webhook/research',
+      );
+      expect(modelRepository.getModel('gpt-4').id).toBe('research-agent');
+      expect(modelRepository.hasModel('old-research')).toBe(true);
+    });
+
+    test('should prefer model IDs and the first declaration on conflicts', () => {
+      expect(modelRepository.getModelWebhookUrl('writer')).toBe(
+        'https://n8n.example.com/webhook/writer',
+      );
+      expect(modelRepository.resolveModelId('gpt-4')).toBe('research-agent');
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        'Alias "writer" of model "research-agent" ignored, "writer" is a model ID',
+      );
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        'Alias "gpt-4" of model "writer" ignored, already used by "research-agent"',
+      );
+    });
+
+    test('should report the replacement only for deprecated IDs', () => {
+      expect(modelRepository.getDeprecationTarget('old-research')).toBe('research-agent');
+      expect(modelRepository.getDeprecationTarget('gpt-4')).toBeNull();
+      expect(modelRepository.getDeprecationTarget('research-agent')).toBeNull();
+      expect(modelRepository.getDeprecationTarget('unknown')).toBeNull();
+    });
+
+    test('should drop aliases when models are replaced', () => {
+      modelRepository.updateModels({ 'research-agent': 'https://n8n.example.com/webhook/new' });
+
+      expect(modelRepository.hasModel('gpt-4')).toBe(false);
+    });
+  });
+
+  describe('overlay', () => {
+    beforeEach(() => {
+      modelRepository.updateModels({
+        'model-a': 'https://n8n.example.com/webhook/a',
+        'model-b': 'https://n8n.example.com/webhook/b',
+      });
+    });
+
+    test('should add, replace and remove models at runtime', () => {
+      modelRepository.setOverlayEntry('model-c', 'https://n8n.example.com/webhook/c');
+      modelRepository.setOverlayEntry('model-a', 'https://n8n.example.com/webhook/a2');
+      modelRepository.setOverlayEntry('model-b', null);
+
+      expect(modelRepository.models).toEqual({
+        'model-a': 'https://n8n.example.com/webhook/a2',
+        'model-c': 'https://n8n.example.com/webhook/c',
+      });
+    });
+
+    test('should keep overlay entries when models are reloaded', () => {
+      modelRepository.setOverlayEntry('model-c', 'https://n8n.example.com/webhook/c');
+      modelRepository.setOverlayEntry('model-b', null);
+
+      modelRepository.updateModels({
+        'model-a': 'https://n8n.example.com/webhook/a',
+        'model-b': 'https://n8n.example.com/webhook/b',
+        'model-d': 'https://n8n.example.com/webhook/d',
+      });
+
+      expect(Object.keys(modelRepository.models)).toEqual(['model-a', 'model-d', 'model-c']);
+    });
+
+    test('should return the changes of an overlay entry', () => {
+      expect(modelRepository.setOverlayEntry('model-b', null)).toEqual({
+        added: [],
+        removed: [{ id: 'model-b', webhookUrl: 'https://n8n.example.com/webhook/b' }],
+        changed: [],
+      });
+    });
+
+    test('should preview changes without applying them', () => {
+      const { models, changes } = modelRepository.previewModels({
+        'model-a': 'https://n8n.example.com/webhook/a',
+      });
+
+      expect(models).toEqual({ 'model-a': 'https://n8n.example.com/webhook/a' });
+      expect(changes.removed).toEqual([
+        { id: 'model-b', webhookUrl: 'https://n8n.example.com/webhook/b' },
+      ]);
+      expect(modelRepository.hasModel('model-b')).toBe(true);
+    });
+
+    test('should return raw entries with getModelEntry', () => {
+      expect(modelRepository.getModelEntry('model-a')).toBe('https://n8n.example.com/webhook/a');
+      expect(modelRepository.getModelEntry('toString')).toBeUndefined();
+    });
+  });
+
   describe('getModelCount', () => {
     test('should return count of models', () => {
       modelRepository.models = {
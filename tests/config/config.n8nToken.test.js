@@ -91,4 +91,20 @@ describe('Config - N8N Webhook Bearer Token', () => {
 
     expect(config.n8nWebhookBearerToken).toBe('');
   });
+
+  test('should read N8N_WEBHOOK_BASIC_AUTH', () => {
+    process.env.N8N_WEBHOOK_BASIC_AUTH = 'bridge:secret';
+
+    const config = new Config();
+
+    expect(config.n8nWebhookBasicAuth).toBe('bridge:secret');
+  });
+
+  test('should default N8N_WEBHOOK_BASIC_AUTH to empty string', () => {
+    delete process.env.N8N_WEBHOOK_BASIC_AUTH;
+
+    const config = new Config();
+
+    expect(config.n8nWebhookBasicAuth).toBe('');
+  });
 });
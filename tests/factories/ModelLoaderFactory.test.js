@@ -9,8 +9,10 @@
 const ModelLoaderFactory = require('../../src/factories/ModelLoaderFactory');
 const JsonFileModelLoader = require('../../src/loaders/JsonFileModelLoader');
 const N8nApiModelLoader = require('../../src/loaders/N8nApiModelLoader');
+const N8nInstancesModelLoader = require('../../src/loaders/N8nInstancesModelLoader');
 const JsonHttpModelLoader = require('../../src/loaders/JsonHttpModelLoader');
 const StaticModelLoader = require('../../src/loaders/StaticModelLoader');
+const CompositeModelLoader = require('../../src/loaders/CompositeModelLoader');
 
 // Mock console to reduce noise
 global.console = {
@@ -36,8 +38,10 @@ describe('ModelLoaderFactory', () => {
     test('should include all loader types', () => {
       expect(ModelLoaderFactory.MODEL_LOADERS).toContain(JsonFileModelLoader);
       expect(ModelLoaderFactory.MODEL_LOADERS).toContain(N8nApiModelLoader);
+      expect(ModelLoaderFactory.MODEL_LOADERS).toContain(N8nInstancesModelLoader);
       expect(ModelLoaderFactory.MODEL_LOADERS).toContain(JsonHttpModelLoader);
       expect(ModelLoaderFactory.MODEL_LOADERS).toContain(StaticModelLoader);
+      expect(ModelLoaderFactory.MODEL_LOADERS).toContain(CompositeModelLoader);
     });
   });
 
@@ -168,6 +172,18 @@ describe('ModelLoaderFactory', () => {
       expect(console.log).toHaveBeenCalledWith('Model Loader: n8n-api');
     });
 
+    test('should create N8nInstancesModelLoader when type is n8n-instances', () => {
+      process.env.MODEL_LOADER_TYPE = 'n8n-instances';
+      process.env.N8N_INSTANCES = JSON.stringify([
+        { baseUrl: 'https://prod.example.com', apiToken: 'token123' },
+      ]);
+
+      const loader = ModelLoaderFactory.createModelLoader();
+
+      expect(loader).toBeInstanceOf(N8nInstancesModelLoader);
+      expect(console.log).toHaveBeenCalledWith('Model Loader: n8n-instances');
+    });
+
     test('should create JsonHttpModelLoader when type is json-http', () => {
       process.env.MODEL_LOADER_TYPE = 'json-http';
       process.env.JSON_HTTP_ENDPOINT = 'https://api.test.com/models';
@@ -215,6 +231,87 @@ describe('ModelLoaderFactory', () => {
       expect(() => ModelLoaderFactory.createModelLoader()).toThrow('static');
     });
 
+    test('should create CompositeModelLoader with child loaders in order', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'static, file';
+      process.env.STATIC_MODELS = '{"test":"https://test.com"}';
+      process.env.MODELS_CONFIG_FILE = './test-models.json';
+      delete process.env.COMPOSITE_CONFLICT_POLICY;
+
+      const loader = ModelLoaderFactory.createModelLoader();
+
+      expect(loader).toBeInstanceOf(CompositeModelLoader);
+      expect(loader.conflictPolicy).toBe('first');
+      expect(loader.loaders).toHaveLength(2);
+      expect(loader.loaders[0]).toBeInstanceOf(StaticModelLoader);
+      expect(loader.loaders[1]).toBeInstanceOf(JsonFileModelLoader);
+      expect(console.log).toHaveBeenCalledWith('Model Loader: composite');
+    });
+
+    test('should pass conflict policy to CompositeModelLoader', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'static';
+      process.env.COMPOSITE_CONFLICT_POLICY = 'error';
+
+      const loader = ModelLoaderFactory.createModelLoader();
+
+      expect(loader.conflictPolicy).toBe('error');
+    });
+
+    test('should require COMPOSITE_LOADERS for composite type', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      delete process.env.COMPOSITE_LOADERS;
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow('COMPOSITE_LOADERS');
+    });
+
+    test('should reject empty COMPOSITE_LOADERS list', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = ' , ';
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow(
+        'COMPOSITE_LOADERS must list at least one loader type',
+      );
+    });
+
+    test('should reject nested composite loaders', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'static,composite';
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow(
+        'COMPOSITE_LOADERS cannot contain "composite"',
+      );
+    });
+
+    test('should reject duplicate child loader types', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'static,static';
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow(
+        'COMPOSITE_LOADERS contains "static" more than once',
+      );
+    });
+
+    test('should reject unknown child loader types', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'static,unknown';
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow(
+        'Invalid loader type in COMPOSITE_LOADERS: "unknown"',
+      );
+    });
+
+    test('should propagate child loader validation errors', () => {
+      process.env.MODEL_LOADER_TYPE = 'composite';
+      process.env.COMPOSITE_LOADERS = 'n8n-api';
+      delete process.env.N8N_BASE_URL;
+      delete process.env.N8N_API_BEARER_TOKEN;
+
+      expect(() => ModelLoaderFactory.createModelLoader()).toThrow(
+        'Missing required environment variables',
+      );
+    });
+
     test('should propagate validation errors from loader', () => {
       process.env.MODEL_LOADER_TYPE = 'n8n-api';
       // Missing required N8N_BASE_URL and N8N_API_BEARER_TOKEN
@@ -0,0 +1,64 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const CompositeModelLoader = require('../../../src/loaders/CompositeModelLoader');
+const StaticModelLoader = require('../../../src/loaders/StaticModelLoader');
+
+describe('CompositeModelLoader - Constructor', () => {
+  const child = () => new StaticModelLoader({ STATIC_MODELS: '{}' });
+
+  test('should store child loaders and default conflict policy', () => {
+    const children = [child(), child()];
+    const loader = new CompositeModelLoader({}, children);
+
+    expect(loader.loaders).toBe(children);
+    expect(loader.conflictPolicy).toBe('first');
+  });
+
+  test('should accept conflict policy case-insensitively', () => {
+    const loader = new CompositeModelLoader({ COMPOSITE_CONFLICT_POLICY: 'LAST' }, [child()]);
+
+    expect(loader.conflictPolicy).toBe('last');
+  });
+
+  test('should throw on invalid conflict policy', () => {
+    expect(() => {
+      new CompositeModelLoader({ COMPOSITE_CONFLICT_POLICY: 'merge' }, [child()]);
+    }).toThrow('Invalid COMPOSITE_CONFLICT_POLICY: "merge"');
+  });
+
+  test('should throw without child loaders', () => {
+    expect(() => new CompositeModelLoader({}, [])).toThrow(
+      'CompositeModelLoader requires at least one child loader',
+    );
+  });
+
+  describe('parseLoaderTypes', () => {
+    test('should split, trim and lowercase loader types', () => {
+      expect(CompositeModelLoader.parseLoaderTypes(' N8N-API , file ,,')).toEqual([
+        'n8n-api',
+        'file',
+      ]);
+    });
+
+    test('should return empty list for empty value', () => {
+      expect(CompositeModelLoader.parseLoaderTypes('')).toEqual([]);
+      expect(CompositeModelLoader.parseLoaderTypes(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const CompositeModelLoader = require('../../../src/loaders/CompositeModelLoader');
+const StaticModelLoader = require('../../../src/loaders/StaticModelLoader');
+
+describe('CompositeModelLoader - Load', () => {
+  const staticLoader = (models) => new StaticModelLoader({ STATIC_MODELS: JSON.stringify(models) });
+
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('should merge models from all child loaders', async () => {
+    const loader = new CompositeModelLoader({}, [
+      staticLoader({ 'model-a': 'https://a.example.com/webhook' }),
+      staticLoader({ 'model-b': 'https://b.example.com/webhook' }),
+    ]);
+
+    const models = await loader.load();
+
+    expect(models).toEqual({
+      'model-a': 'https://a.example.com/webhook',
+      'model-b': 'https://b.example.com/webhook',
+    });
+    expect(loader.lastHash).toBe(loader.getModelsHash(models));
+  });
+
+  test('should keep the first loader entry with first policy', async () => {
+    const loader = new CompositeModelLoader({ COMPOSITE_CONFLICT_POLICY: 'first' }, [
+      staticLoader({ shared: 'https://first.example.com/webhook' }),
+      staticLoader({ shared: 'https://second.example.com/webhook' }),
+    ]);
+
+    const models = await loader.load();
+
+    expect(models.shared).toBe('https://first.example.com/webhook');
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Model "shared" from "static" ignored, already provided by "static"',
+    );
+  });
+
+  test('should keep the last loader entry with last policy', async () => {
+    const loader = new CompositeModelLoader({ COMPOSITE_CONFLICT_POLICY: 'last' }, [
+      staticLoader({ shared: 'https://first.example.com/webhook' }),
+      staticLoader({ shared: 'https://second.example.com/webhook' }),
+    ]);
+
+    const models = await loader.load();
+
+    expect(models.shared).toBe('https://second.example.com/webhook');
+    expect(warnSpy).toHaveBeenCalledWith('Model "shared" from "static" overridden by "static"');
+  });
+
+  test('should throw on duplicate IDs with error policy', async () => {
+    const loader = new CompositeModelLoader({ COMPOSITE_CONFLICT_POLICY: 'error' }, [
+      staticLoader({ shared: 'https://first.example.com/webhook' }),
+      staticLoader({ shared: 'https://second.example.com/webhook' }),
+    ]);
+
+    await expect(loader.load()).rejects.toThrow(
+      'Model ID conflict: "shared" is provided by both "static" and "static"',
+    );
+  });
+
+  test('should fail when a child loader fails', async () => {
+    const failing = staticLoader({});
+    failing.load = jest.fn().mockRejectedValue(new Error('API unreachable'));
+
+    const loader = new CompositeModelLoader({}, [
+      staticLoader({ 'model-a': 'https://a.example.com/webhook' }),
+      failing,
+    ]);
+
+    await expect(loader.load()).rejects.toThrow('API unreachable');
+  });
+});
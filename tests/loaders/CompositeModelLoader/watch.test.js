@@ -0,0 +1,97 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const CompositeModelLoader = require('../../../src/loaders/CompositeModelLoader');
+const StaticModelLoader = require('../../../src/loaders/StaticModelLoader');
+
+describe('CompositeModelLoader - Watch', () => {
+  let children;
+  let childCallbacks;
+  let loader;
+
+  const createChild = (models, index) => {
+    const child = new StaticModelLoader({ STATIC_MODELS: JSON.stringify(models) });
+    child.watch = jest.fn((cb) => {
+      childCallbacks[index] = cb;
+    });
+    child.stopWatching = jest.fn();
+    return child;
+  };
+
+  beforeEach(async () => {
+    childCallbacks = [];
+    children = [
+      createChild({ 'model-a': 'https://a.example.com/webhook' }, 0),
+      createChild({ 'model-b': 'https://b.example.com/webhook' }, 1),
+    ];
+    loader = new CompositeModelLoader({}, children);
+    await loader.load();
+  });
+
+  test('should watch all child loaders', () => {
+    loader.watch(jest.fn());
+
+    expect(children[0].watch).toHaveBeenCalledTimes(1);
+    expect(children[1].watch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fire combined callback when a child changes', () => {
+    const callback = jest.fn();
+    loader.watch(callback);
+
+    childCallbacks[1]({ 'model-c': 'https://c.example.com/webhook' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({
+      'model-a': 'https://a.example.com/webhook',
+      'model-c': 'https://c.example.com/webhook',
+    });
+  });
+
+  test('should not fire callback when merged models are unchanged', () => {
+    const callback = jest.fn();
+    loader.watch(callback);
+
+    childCallbacks[0]({ 'model-a': 'https://a.example.com/webhook' });
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('should keep previous models when merge fails', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    loader.conflictPolicy = 'error';
+    const callback = jest.fn();
+    loader.watch(callback);
+
+    childCallbacks[1]({ 'model-a': 'https://other.example.com/webhook' });
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Composite reload failed'));
+    errorSpy.mockRestore();
+  });
+
+  test('should stop watching all child loaders', () => {
+    loader.watch(jest.fn());
+    loader.stopWatching();
+
+    expect(children[0].stopWatching).toHaveBeenCalled();
+    expect(children[1].stopWatching).toHaveBeenCalled();
+    expect(loader.watchCallback).toBeNull();
+    expect(loader.lastHash).toBeNull();
+  });
+});
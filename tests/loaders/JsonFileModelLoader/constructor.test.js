@@ -51,6 +51,29 @@ describe('JsonFileModelLoader - Constructor', () => {
     consoleWarnSpy.mockRestore();
   });
 
+  test('should default to poll watch mode', () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: './models.json' });
+    expect(loader.watchMode).toBe('poll');
+  });
+
+  test('should accept event watch mode', () => {
+    const loader = new JsonFileModelLoader({
+      MODELS_CONFIG_FILE: './models.json',
+      MODELS_WATCH_MODE: 'event',
+    });
+    expect(loader.watchMode).toBe('event');
+  });
+
+  test('should throw on invalid watch mode', () => {
+    expect(
+      () =>
+        new JsonFileModelLoader({
+          MODELS_CONFIG_FILE: './models.json',
+          MODELS_WATCH_MODE: 'inotify',
+        }),
+    ).toThrow('Invalid MODELS_WATCH_MODE: "inotify". Must be one of: poll, event');
+  });
+
   test('should prefer MODELS_CONFIG_FILE over MODELS_CONFIG', () => {
     const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
     const loader = new JsonFileModelLoader({
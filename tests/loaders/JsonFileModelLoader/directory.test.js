@@ -0,0 +1,137 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileModelLoader = require('../../../src/loaders/JsonFileModelLoader');
+
+describe('JsonFileModelLoader - directory', () => {
+  let testDir;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+  let consoleErrorSpy;
+
+  const writeFile = (name, content) => {
+    const data = typeof content === 'string' ? content : JSON.stringify(content);
+    fs.writeFileSync(path.join(testDir, name), data);
+  };
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'models.d-'));
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should merge all json files in the directory', () => {
+    writeFile('team-a.json', { 'model-a': 'https://example.com/a' });
+    writeFile('team-b.json', { 'model-b': 'https://example.com/b' });
+    writeFile('notes.txt', 'not a models file');
+    writeFile('.hidden.json', { 'model-hidden': 'https://example.com/hidden' });
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+
+    expect(loader.loadSync()).toEqual({
+      'model-a': 'https://example.com/a',
+      'model-b': 'https://example.com/b',
+    });
+  });
+
+  test('should ignore yaml files with a single warning', () => {
+    writeFile('team-a.json', { 'model-a': 'https://example.com/a' });
+    writeFile('team-b.yaml', 'model-b: https://example.com/b');
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+
+    expect(loader.loadSync()).toEqual({ 'model-a': 'https://example.com/a' });
+    loader.loadSync();
+
+    expect(consoleWarnSpy).toHaveBeenCalledTimes(1);
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Ignoring models file team-b.yaml: only *.json files are supported',
+    );
+  });
+
+  test('should keep first definition of duplicate ids and report filenames', () => {
+    writeFile('a.json', { shared: 'https://example.com/a' });
+    writeFile('b.json', { shared: 'https://example.com/b' });
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+
+    expect(loader.loadSync()).toEqual({ shared: 'https://example.com/a' });
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Model "shared" in b.json ignored, already defined in a.json',
+    );
+  });
+
+  test('should skip broken files without dropping other models', () => {
+    writeFile('a.json', { 'model-a': 'https://example.com/a' });
+    writeFile('broken.json', '{ invalid');
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+
+    expect(loader.loadSync()).toEqual({ 'model-a': 'https://example.com/a' });
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Skipping models file broken.json: Invalid JSON in models file'),
+    );
+  });
+
+  test('should keep previous models of a file that becomes broken', () => {
+    writeFile('a.json', { 'model-a': 'https://example.com/a' });
+    writeFile('b.json', { 'model-b': 'https://example.com/b' });
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+    loader.loadSync();
+
+    writeFile('b.json', '{ invalid');
+
+    expect(loader.loadSync()).toEqual({
+      'model-a': 'https://example.com/a',
+      'model-b': 'https://example.com/b',
+    });
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Keeping previous models of b.json'),
+    );
+  });
+
+  test('should drop models of removed files', () => {
+    writeFile('a.json', { 'model-a': 'https://example.com/a' });
+    writeFile('b.json', { 'model-b': 'https://example.com/b' });
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+    loader.loadSync();
+
+    fs.unlinkSync(path.join(testDir, 'b.json'));
+
+    expect(loader.loadSync()).toEqual({ 'model-a': 'https://example.com/a' });
+  });
+
+  test('should return no models for an empty directory', () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir });
+
+    expect(loader.loadSync()).toEqual({});
+  });
+});
@@ -57,6 +57,29 @@ describe('JsonFileModelLoader - load', () => {
     });
   });
 
+  test('should interpolate environment variables', async () => {
+    const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    process.env.FILE_TEST_N8N_HOST = 'https://n8n.example.com';
+    testFile = testSetup.createTestFile('test-models.json', {
+      prod: '${FILE_TEST_N8N_HOST}/webhook/prod',
+      dev: '${FILE_TEST_DEV_HOST:-https://dev.example.com}/webhook/dev',
+      broken: '${FILE_TEST_MISSING}/webhook/broken',
+    });
+
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+    const models = await loader.load();
+    delete process.env.FILE_TEST_N8N_HOST;
+
+    expect(models).toEqual({
+      prod: 'https://n8n.example.com/webhook/prod',
+      dev: 'https://dev.example.com/webhook/dev',
+    });
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Skipping model "broken": environment variable not set: FILE_TEST_MISSING',
+    );
+    consoleWarnSpy.mockRestore();
+  });
+
   test('should throw error for non-existent file', async () => {
     const loader = new JsonFileModelLoader({
       MODELS_CONFIG_FILE: testSetup.getTestFilePath('nonexistent.json'),
@@ -0,0 +1,103 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileModelLoader = require('../../../src/loaders/JsonFileModelLoader');
+
+describe('JsonFileModelLoader - saveModelEntry', () => {
+  let testDir;
+  let testFile;
+  let consoleLogSpy;
+
+  const readFile = () => JSON.parse(fs.readFileSync(testFile, 'utf8'));
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+    testFile = path.join(testDir, 'models.json');
+    fs.writeFileSync(
+      testFile,
+      JSON.stringify({
+        'model-a': 'https://example.com/a',
+        'model-b': { webhookUrl: 'https://example.com/b', bearerToken: '${B_TOKEN}' },
+      }),
+      { mode: 0o640 },
+    );
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should be writable for files and read-only for directories', () => {
+    expect(new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile }).isWritable()).toBe(true);
+    expect(new JsonFileModelLoader({ MODELS_CONFIG_FILE: testDir }).isWritable()).toBe(false);
+  });
+
+  test('should add a model and keep raw placeholders of other models', async () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+
+    const models = await loader.saveModelEntry('model-c', 'https://example.com/c');
+
+    expect(models['model-c']).toBe('https://example.com/c');
+    expect(readFile()).toEqual({
+      'model-a': 'https://example.com/a',
+      'model-b': { webhookUrl: 'https://example.com/b', bearerToken: '${B_TOKEN}' },
+      'model-c': 'https://example.com/c',
+    });
+  });
+
+  test('should replace and remove models', async () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+
+    await loader.saveModelEntry('model-a', { webhookUrl: 'https://example.com/a2' });
+    const models = await loader.saveModelEntry('model-b', null);
+
+    expect(Object.keys(models)).toEqual(['model-a']);
+    expect(readFile()).toEqual({ 'model-a': { webhookUrl: 'https://example.com/a2' } });
+  });
+
+  test('should keep file permissions and leave no temp file behind', async () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+
+    await loader.saveModelEntry('model-c', 'https://example.com/c');
+
+    expect(fs.statSync(testFile).mode & 0o777).toBe(0o640);
+    expect(fs.readdirSync(testDir)).toEqual(['models.json']);
+  });
+
+  test('should remember the new hash so the watcher does not report the change', async () => {
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+
+    const models = await loader.saveModelEntry('model-c', 'https://example.com/c');
+
+    expect(loader.lastHash).toBe(loader.getModelsHash(models));
+  });
+
+  test('should reject when the file contains invalid JSON', async () => {
+    fs.writeFileSync(testFile, '{ invalid');
+    const loader = new JsonFileModelLoader({ MODELS_CONFIG_FILE: testFile });
+
+    await expect(loader.saveModelEntry('model-c', 'https://example.com/c')).rejects.toThrow(
+      'Invalid JSON in models file',
+    );
+  });
+});
@@ -142,4 +142,51 @@ describe('JsonFileModelLoader - watch', () => {
       'updated-model': 'https://example.com/updated',
     });
   }, 5000); // 5s timeout for debugging
+
+  describe('event mode', () => {
+    test('should fall back to polling when file does not exist', () => {
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const loader = new JsonFileModelLoader({
+        MODELS_CONFIG_FILE: testSetup.getTestFilePath('nonexistent.json'),
+        MODELS_WATCH_MODE: 'event',
+      });
+      activeLoaders.push(loader);
+
+      loader.watch(() => {});
+
+      expect(loader.watcher).toBeNull();
+      expect(loader.pollingInterval).not.toBeNull();
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('falling back to polling'),
+      );
+      consoleWarnSpy.mockRestore();
+    });
+
+    test('should reload once after debounced file system events', async () => {
+      const loader = new JsonFileModelLoader({
+        MODELS_CONFIG_FILE: testFile,
+        MODELS_WATCH_MODE: 'event',
+      });
+      activeLoaders.push(loader);
+      loader.lastHash = loader.getModelsHash(loader.loadSync());
+
+      const callback = jest.fn();
+      loader.watch(callback);
+
+      expect(loader.watcher).not.toBeNull();
+      expect(loader.pollingInterval).toBeNull();
+
+      const newModels = { 'updated-model': 'https://example.com/updated' };
+      fs.writeFileSync(testFile, JSON.stringify(newModels));
+      fs.writeFileSync(testFile, JSON.stringify(newModels, null, 2));
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(newModels);
+
+      loader.stopWatching();
+      expect(loader.watcher).toBeNull();
+    });
+  });
 });
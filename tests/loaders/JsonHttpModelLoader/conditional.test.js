@@ -0,0 +1,255 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const JsonHttpModelLoader = require('../../../src/loaders/JsonHttpModelLoader');
+
+const BASE_ENV = {
+  JSON_HTTP_ENDPOINT: 'https://api.example.com/models',
+  JSON_HTTP_POLL_INTERVAL: '60',
+  JSON_HTTP_TIMEOUT: '10000',
+};
+
+function notModified() {
+  const error = new Error('Request failed with status code 304');
+  error.response = { status: 304 };
+  return error;
+}
+
+describe('JsonHttpModelLoader - Auth, Conditional Requests and Backoff', () => {
+  let consoleLogSpy;
+  let consoleWarnSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('auth headers', () => {
+    test('should send bearer token', async () => {
+      const loader = new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_BEARER_TOKEN: 'secret' });
+      const mockGet = jest.fn().mockResolvedValue({ data: {}, headers: {} });
+      loader.axiosInstance = { get: mockGet };
+
+      await loader.load();
+
+      expect(mockGet).toHaveBeenCalledWith(BASE_ENV.JSON_HTTP_ENDPOINT, {
+        headers: { Authorization: 'Bearer secret' },
+      });
+    });
+
+    test('should send basic auth credentials', () => {
+      const loader = new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_BASIC_AUTH: 'user:pass' });
+
+      expect(loader.headers.Authorization).toBe(
+        `Basic ${Buffer.from('user:pass').toString('base64')}`,
+      );
+    });
+
+    test('should merge custom headers with auth', () => {
+      const loader = new JsonHttpModelLoader({
+        ...BASE_ENV,
+        JSON_HTTP_HEADERS: '{"X-Api-Key":"abc","Authorization":"Custom x"}',
+        JSON_HTTP_BEARER_TOKEN: 'secret',
+      });
+
+      expect(loader.headers).toEqual({ 'X-Api-Key': 'abc', Authorization: 'Bearer secret' });
+    });
+
+    test('should throw on invalid JSON_HTTP_HEADERS', () => {
+      expect(() => new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_HEADERS: '{bad' })).toThrow(
+        'Invalid JSON in JSON_HTTP_HEADERS',
+      );
+      expect(
+        () => new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_HEADERS: '{"X-Count":1}' }),
+      ).toThrow('JSON_HTTP_HEADERS must be a JSON object with string values');
+    });
+
+    test('should throw on malformed basic auth', () => {
+      expect(() => new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_BASIC_AUTH: 'user' })).toThrow(
+        'JSON_HTTP_BASIC_AUTH must use the format user:password',
+      );
+    });
+
+    test('should throw when bearer token and basic auth are both set', () => {
+      expect(
+        () =>
+          new JsonHttpModelLoader({
+            ...BASE_ENV,
+            JSON_HTTP_BEARER_TOKEN: 'secret',
+            JSON_HTTP_BASIC_AUTH: 'user:pass',
+          }),
+      ).toThrow('not both');
+    });
+  });
+
+  describe('conditional requests', () => {
+    test('should send If-None-Match and If-Modified-Since after first load', async () => {
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      const mockGet = jest.fn().mockResolvedValue({
+        data: { 'gpt-4': 'https://webhook.example.com/gpt4' },
+        headers: { etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 10:00:00 GMT' },
+      });
+      loader.axiosInstance = { get: mockGet };
+
+      await loader.load();
+      await loader.load();
+
+      expect(mockGet).toHaveBeenNthCalledWith(1, BASE_ENV.JSON_HTTP_ENDPOINT, { headers: {} });
+      expect(mockGet).toHaveBeenNthCalledWith(2, BASE_ENV.JSON_HTTP_ENDPOINT, {
+        headers: {
+          'If-None-Match': '"v1"',
+          'If-Modified-Since': 'Mon, 19 Oct 2026 10:00:00 GMT',
+        },
+      });
+    });
+
+    test('should return cached models on 304', async () => {
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      const models = { 'gpt-4': 'https://webhook.example.com/gpt4' };
+      const mockGet = jest
+        .fn()
+        .mockResolvedValueOnce({ data: models, headers: { etag: '"v1"' } })
+        .mockRejectedValueOnce(notModified());
+      loader.axiosInstance = { get: mockGet };
+
+      await loader.load();
+      const result = await loader.load();
+
+      expect(result).toEqual(models);
+    });
+
+    test('should treat 304 without cached models as an error', async () => {
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      loader.axiosInstance = { get: jest.fn().mockRejectedValue(notModified()) };
+
+      await expect(loader.load()).rejects.toThrow('HTTP endpoint error (304)');
+    });
+
+    test('should skip hashing on 304 during polling', async () => {
+      jest.useFakeTimers();
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      const mockGet = jest
+        .fn()
+        .mockResolvedValueOnce({
+          data: { 'gpt-4': 'https://webhook.example.com/gpt4' },
+          headers: { etag: '"v1"' },
+        })
+        .mockRejectedValue(notModified());
+      loader.axiosInstance = { get: mockGet };
+      const hashSpy = jest.spyOn(loader, 'getModelsHash');
+
+      await loader.load();
+      const callback = jest.fn();
+      loader.watch(callback);
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(mockGet).toHaveBeenCalledTimes(2);
+      expect(hashSpy).not.toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
+
+      loader.stopWatching();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('backoff', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should double the delay after repeated failures up to the maximum', () => {
+      const loader = new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_MAX_BACKOFF: '300' });
+
+      const delays = [0, 1, 2, 3, 4, 5].map((failures) => {
+        loader.consecutiveFailures = failures;
+        return loader.getPollDelay();
+      });
+
+      expect(delays).toEqual([60, 60, 120, 240, 300, 300]);
+    });
+
+    test('should throw on invalid JSON_HTTP_MAX_BACKOFF', () => {
+      expect(() => new JsonHttpModelLoader({ ...BASE_ENV, JSON_HTTP_MAX_BACKOFF: '10' })).toThrow(
+        'JSON_HTTP_MAX_BACKOFF must be >= 60 seconds',
+      );
+    });
+
+    test('should back off while failing and reset after success', async () => {
+      jest.useFakeTimers();
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      const mockGet = jest
+        .fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValue({ data: { 'gpt-4': 'https://webhook.example.com/gpt4' } });
+      loader.axiosInstance = { get: mockGet };
+
+      const callback = jest.fn();
+      loader.watch(callback);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('failed 2 times in a row, next poll in 120s'),
+      );
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(mockGet).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(loader.consecutiveFailures).toBe(0);
+
+      loader.stopWatching();
+    });
+
+    test('should not reschedule after stopWatching during a poll', async () => {
+      jest.useFakeTimers();
+      const loader = new JsonHttpModelLoader(BASE_ENV);
+      let resolveGet;
+      loader.axiosInstance = {
+        get: jest.fn(
+          () =>
+            new Promise((resolve) => {
+              resolveGet = resolve;
+            }),
+        ),
+      };
+
+      loader.watch(jest.fn());
+      await jest.advanceTimersByTimeAsync(60000);
+      loader.stopWatching();
+      resolveGet({ data: {} });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(loader.pollingTimer).toBeNull();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
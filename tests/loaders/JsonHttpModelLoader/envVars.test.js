@@ -54,6 +54,16 @@ describe('JsonHttpModelLoader - Environment Variables', () => {
       expect(timeoutVar.defaultValue).toBe('10000');
     });
 
+    test('should have auth and backoff variables as optional with defaults', () => {
+      const envVars = JsonHttpModelLoader.getRequiredEnvVars();
+      const defaults = Object.fromEntries(envVars.map((v) => [v.name, v.defaultValue]));
+
+      expect(defaults.JSON_HTTP_BEARER_TOKEN).toBe('');
+      expect(defaults.JSON_HTTP_BASIC_AUTH).toBe('');
+      expect(defaults.JSON_HTTP_HEADERS).toBe('{}');
+      expect(defaults.JSON_HTTP_MAX_BACKOFF).toBe('3600');
+    });
+
     test('should have descriptions for all variables', () => {
       const envVars = JsonHttpModelLoader.getRequiredEnvVars();
 
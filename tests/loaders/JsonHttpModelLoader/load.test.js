@@ -54,7 +54,7 @@ describe('JsonHttpModelLoader - load', () => {
     const models = await loader.load();
 
     expect(models).toEqual(mockResponse);
-    expect(mockGet).toHaveBeenCalledWith('https://api.example.com/models');
+    expect(mockGet).toHaveBeenCalledWith('https://api.example.com/models', { headers: {} });
     expect(consoleLogSpy).toHaveBeenCalledWith(
       expect.stringContaining('Fetched models from HTTP endpoint'),
     );
@@ -63,6 +63,26 @@ describe('JsonHttpModelLoader - load', () => {
     );
   });
 
+  test('should interpolate environment variables in response values', async () => {
+    process.env.HTTP_TEST_N8N_HOST = 'https://n8n.example.com';
+    const mockGet = jest.fn().mockResolvedValue({
+      data: { 'gpt-4': '${HTTP_TEST_N8N_HOST}/webhook/gpt4' },
+    });
+
+    const loader = new JsonHttpModelLoader({
+      JSON_HTTP_ENDPOINT: 'https://api.example.com/models',
+      JSON_HTTP_POLL_INTERVAL: '300',
+      JSON_HTTP_TIMEOUT: '10000',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    const models = await loader.load();
+    delete process.env.HTTP_TEST_N8N_HOST;
+
+    expect(models).toEqual({ 'gpt-4': 'https://n8n.example.com/webhook/gpt4' });
+  });
+
   test('should throw error if response is not an object', async () => {
     const mockGet = jest.fn().mockResolvedValue({
       data: ['model1', 'model2'],
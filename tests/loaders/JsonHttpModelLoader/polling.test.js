@@ -245,6 +245,44 @@ describe('JsonHttpModelLoader - Polling', () => {
     });
   });
 
+  describe('restart while polling', () => {
+    test('should not reschedule a poll that was in flight during stop and watch', async () => {
+      let resolveFirst;
+      const mockGet = jest
+        .fn()
+        .mockReturnValueOnce(new Promise((resolve) => (resolveFirst = resolve)))
+        .mockResolvedValue({ data: { 'gpt-4': 'https://webhook.example.com/gpt4' } });
+
+      const loader = new JsonHttpModelLoader({
+        JSON_HTTP_ENDPOINT: 'https://api.example.com/models',
+        JSON_HTTP_POLL_INTERVAL: '300',
+        JSON_HTTP_TIMEOUT: '10000',
+      });
+      loaders.push(loader);
+      loader.axiosInstance = { get: mockGet };
+
+      const staleCallback = jest.fn();
+      const callback = jest.fn();
+      loader.watch(staleCallback);
+      await jest.advanceTimersByTimeAsync(300 * 1000);
+      expect(mockGet).toHaveBeenCalledTimes(1);
+
+      loader.stopWatching();
+      loader.watch(callback);
+      resolveFirst({ data: { stale: 'https://webhook.example.com/stale' } });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(jest.getTimerCount()).toBe(1);
+      expect(staleCallback).not.toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(300 * 1000);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(jest.getTimerCount()).toBe(1);
+    });
+  });
+
   describe('stopWatching', () => {
     test('should stop active polling', () => {
       const loader = new JsonHttpModelLoader({
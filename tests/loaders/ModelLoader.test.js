@@ -121,6 +121,414 @@ describe('ModelLoader', () => {
         'valid-model-2': 'https://example.com/webhook2',
       });
     });
+
+    it('should accept object entries with a model type', () => {
+      const result = loader.validateModels({
+        embed: { webhookUrl: 'https://example.com/embed', type: 'embeddings' },
+        chat: { webhookUrl: 'https://example.com/chat' },
+      });
+
+      expect(result).toEqual({
+        embed: { webhookUrl: 'https://example.com/embed', type: 'embeddings' },
+        chat: { webhookUrl: 'https://example.com/chat', type: 'chat' },
+      });
+    });
+
+    it('should filter out object entries with invalid URL or unknown type', () => {
+      const result = loader.validateModels({
+        'no-url': { type: 'embeddings' },
+        'bad-type': { webhookUrl: 'https://example.com/x', type: 'video' },
+      });
+
+      expect(result).toEqual({});
+    });
+  });
+
+  describe('validateMetadata()', () => {
+    let loader;
+
+    beforeEach(() => {
+      loader = new ModelLoader();
+    });
+
+    it('should keep valid metadata fields', () => {
+      const result = loader.validateModels({
+        agent: {
+          webhookUrl: 'https://example.com/webhook',
+          description: 'Agent',
+          owned_by: 'team',
+          created: 1700000000,
+          context_length: 8192,
+          capabilities: { vision: true, tools: true, files: false },
+          tags: ['a', 'b'],
+          unknown: 'ignored',
+        },
+      });
+
+      expect(result.agent).toEqual({
+        webhookUrl: 'https://example.com/webhook',
+        type: 'chat',
+        description: 'Agent',
+        owned_by: 'team',
+        created: 1700000000,
+        context_length: 8192,
+        capabilities: { vision: true, tools: true, files: false },
+        tags: ['a', 'b'],
+      });
+    });
+
+    it('should drop invalid metadata fields but keep the model', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const result = loader.validateModels({
+        agent: {
+          webhookUrl: 'https://example.com/webhook',
+          description: 42,
+          created: 'yesterday',
+          context_length: -1,
+          capabilities: { vision: 'yes' },
+          tags: 'a,b',
+        },
+      });
+
+      expect(result.agent).toEqual({ webhookUrl: 'https://example.com/webhook', type: 'chat' });
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Model "agent": ignoring invalid capability "vision" (must be a boolean)',
+      );
+      warnSpy.mockRestore();
+    });
+
+    it('should drop created timestamps outside the Date range', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const result = loader.validateModels({
+        agent: { webhookUrl: 'https://example.com/webhook', created: 8.64e12 + 1 },
+      });
+
+      expect(result.agent).toEqual({ webhookUrl: 'https://example.com/webhook', type: 'chat' });
+      expect(warnSpy).toHaveBeenCalledWith('Model "agent": ignoring invalid created');
+      warnSpy.mockRestore();
+    });
+
+    it('should drop only unknown capability flags', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const result = loader.validateModels({
+        agent: {
+          webhookUrl: 'https://example.com/webhook',
+          capabilities: { vision: true, audio: true },
+        },
+        other: { webhookUrl: 'https://example.com/other', capabilities: { audio: true } },
+      });
+
+      expect(result.agent.capabilities).toEqual({ vision: true });
+      expect(result.other).not.toHaveProperty('capabilities');
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Model "agent": ignoring invalid capability "audio" (supported: vision, tools, files)',
+      );
+      warnSpy.mockRestore();
+    });
+
+    it('should ignore capabilities that are not an object', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const result = loader.validateModels({
+        agent: { webhookUrl: 'https://example.com/webhook', capabilities: ['vision'] },
+      });
+
+      expect(result.agent).not.toHaveProperty('capabilities');
+      expect(warnSpy).toHaveBeenCalledWith('Model "agent": ignoring invalid capabilities');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('validateSettings()', () => {
+    let loader;
+    let warnSpy;
+
+    beforeEach(() => {
+      loader = new ModelLoader();
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should keep valid per-model settings', () => {
+      const result = loader.validateModels({
+        slow: {
+          webhookUrl: 'https://example.com/webhook',
+          timeout: 600000,
+          fileUploadMode: 'extract-json',
+          agentTurnSeparator: '',
+          bearerToken: 'secret',
+          headers: { 'X-Tenant': 'acme' },
+          webhookAuth: 'basic',
+          basicAuth: 'bridge:secret',
+        },
+      });
+
+      expect(result.slow).toEqual({
+        webhookUrl: 'https://example.com/webhook',
+        type: 'chat',
+        timeout: 600000,
+        fileUploadMode: 'extract-json',
+        agentTurnSeparator: '',
+        bearerToken: 'secret',
+        headers: { 'X-Tenant': 'acme' },
+        webhookAuth: 'basic',
+        basicAuth: 'bridge:secret',
+      });
+    });
+
+    it('should drop invalid per-model settings', () => {
+      const result = loader.validateModels({
+        slow: {
+          webhookUrl: 'https://example.com/webhook',
+          timeout: '10s',
+          fileUploadMode: 'upload-everything',
+          bearerToken: '',
+          headers: { 'X-Count': 1 },
+          webhookAuth: 'oauth',
+          basicAuth: 'no-colon',
+        },
+      });
+
+      expect(result.slow).toEqual({ webhookUrl: 'https://example.com/webhook', type: 'chat' });
+      expect(warnSpy).toHaveBeenCalledWith('Model "slow": ignoring invalid fileUploadMode');
+      expect(warnSpy).toHaveBeenCalledWith('Model "slow": ignoring invalid webhookAuth');
+      expect(warnSpy).toHaveBeenCalledWith('Model "slow": ignoring invalid basicAuth');
+    });
+
+    it('should validate load balancing settings', () => {
+      const result = loader.validateModels({
+        valid: {
+          webhookUrl: 'https://example.com/webhook',
+          loadBalancing: 'least-in-flight',
+          stickySessions: true,
+        },
+        invalid: {
+          webhookUrl: 'https://example.com/webhook',
+          loadBalancing: 'random',
+          stickySessions: 'yes',
+        },
+      });
+
+      expect(result.valid.loadBalancing).toBe('least-in-flight');
+      expect(result.valid.stickySessions).toBe(true);
+      expect(result.invalid).toEqual({ webhookUrl: 'https://example.com/webhook', type: 'chat' });
+      expect(warnSpy).toHaveBeenCalledWith('Model "invalid": ignoring invalid loadBalancing');
+      expect(warnSpy).toHaveBeenCalledWith('Model "invalid": ignoring invalid stickySessions');
+    });
+  });
+
+  describe('validateUpstreams()', () => {
+    let loader;
+    let warnSpy;
+
+    beforeEach(() => {
+      loader = new ModelLoader();
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should accept a list of URLs and weighted upstreams', () => {
+      const result = loader.validateModels({
+        heavy: {
+          webhookUrl: [
+            'https://a.example.com/webhook',
+            { url: 'https://b.example.com/webhook', weight: 3, note: 'ignored' },
+            { url: 'https://c.example.com/webhook' },
+          ],
+        },
+      });
+
+      expect(result.heavy.webhookUrl).toEqual([
+        'https://a.example.com/webhook',
+        { url: 'https://b.example.com/webhook', weight: 3 },
+        { url: 'https://c.example.com/webhook' },
+      ]);
+    });
+
+    it('should skip the model if any upstream is invalid', () => {
+      const result = loader.validateModels({
+        empty: { webhookUrl: [] },
+        badUrl: { webhookUrl: ['https://a.example.com/webhook', 'not a url'] },
+        badWeight: { webhookUrl: [{ url: 'https://a.example.com/webhook', weight: 0 }] },
+      });
+
+      expect(result).toEqual({});
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model "empty": webhook URL list must not be empty',
+      );
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model "badUrl": invalid webhook URL: not a url',
+      );
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model "badWeight": invalid upstream weight: 0',
+      );
+    });
+
+    it('should not accept a list as plain model entry', () => {
+      expect(loader.validateModels({ m: ['https://a.example.com/webhook'] })).toEqual({});
+    });
+  });
+
+  describe('interpolateModels()', () => {
+    let loader;
+    let warnSpy;
+    const env = { N8N_HOST: 'https://n8n.example.com', TOKEN: 'secret', EMPTY: '' };
+
+    beforeEach(() => {
+      loader = new ModelLoader();
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should replace variables in string entries', () => {
+      const models = loader.interpolateModels({ chat: '${N8N_HOST}/webhook/chat' }, env);
+
+      expect(models).toEqual({ chat: 'https://n8n.example.com/webhook/chat' });
+    });
+
+    it('should replace variables in nested object values but not in keys', () => {
+      const models = loader.interpolateModels(
+        {
+          '${N8N_HOST}': {
+            webhookUrl: '${N8N_HOST}/webhook/a',
+            bearerToken: '${TOKEN}',
+            headers: { 'X-Env': '${STAGE:-dev}' },
+            tags: ['${STAGE:-dev}'],
+            timeout: 1000,
+          },
+        },
+        env,
+      );
+
+      expect(models).toEqual({
+        '${N8N_HOST}': {
+          webhookUrl: 'https://n8n.example.com/webhook/a',
+          bearerToken: 'secret',
+          headers: { 'X-Env': 'dev' },
+          tags: ['dev'],
+          timeout: 1000,
+        },
+      });
+    });
+
+    it('should use default for unset or empty variables', () => {
+      const models = loader.interpolateModels(
+        { a: '${MISSING:-https://fallback.example.com}', b: '${EMPTY:-x}' },
+        env,
+      );
+
+      expect(models).toEqual({ a: 'https://fallback.example.com', b: 'x' });
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should skip models with unset variables without default', () => {
+      const models = loader.interpolateModels(
+        {
+          broken: { webhookUrl: '${MISSING}/webhook', bearerToken: '${ALSO_MISSING}' },
+          chat: '${N8N_HOST}/webhook/chat',
+        },
+        env,
+      );
+
+      expect(models).toEqual({ chat: 'https://n8n.example.com/webhook/chat' });
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model "broken": environment variable not set: MISSING, ALSO_MISSING',
+      );
+    });
+
+    it('should not turn an unset host into a valid URL', () => {
+      const models = loader.validateModels(
+        loader.interpolateModels({ agent: 'https://${UNSET_HOST}/webhook/abc' }, env),
+      );
+
+      expect(models).toEqual({});
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping model "agent": environment variable not set: UNSET_HOST',
+      );
+    });
+
+    it('should keep empty variables without warning', () => {
+      expect(loader.interpolateModels({ a: 'x${EMPTY}y' }, env)).toEqual({ a: 'xy' });
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should return non-object input unchanged', () => {
+      expect(loader.interpolateModels(null, env)).toBeNull();
+      expect(loader.interpolateModels(['a'], env)).toEqual(['a']);
+    });
+  });
+
+  describe('getModelsHash()', () => {
+    it('should change when an object entry changes', () => {
+      const loader = new ModelLoader();
+      const hashA = loader.getModelsHash({ m: { webhookUrl: 'https://a.example.com' } });
+      const hashB = loader.getModelsHash({ m: { webhookUrl: 'https://b.example.com' } });
+
+      expect(hashA).not.toBe(hashB);
+    });
+
+    it('should not depend on key order', () => {
+      const loader = new ModelLoader();
+
+      expect(loader.getModelsHash({ a: 'https://a', b: 'https://b' })).toBe(
+        loader.getModelsHash({ b: 'https://b', a: 'https://a' }),
+      );
+    });
+  });
+
+  describe('validateAliases()', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should keep valid aliases and deprecated IDs', () => {
+      const loader = new ModelLoader();
+      const models = loader.validateModels({
+        m: { webhookUrl: 'https://a.example.com', aliases: ['gpt-4'], deprecatedIds: ['old-m'] },
+      });
+
+      expect(models.m.aliases).toEqual(['gpt-4']);
+      expect(models.m.deprecatedIds).toEqual(['old-m']);
+    });
+
+    it('should drop invalid alias fields with a warning', () => {
+      const loader = new ModelLoader();
+      const models = loader.validateModels({
+        m: { webhookUrl: 'https://a.example.com', aliases: 'gpt-4', deprecatedIds: ['m'] },
+      });
+
+      expect(models.m).not.toHaveProperty('aliases');
+      expect(models.m).not.toHaveProperty('deprecatedIds');
+      expect(warnSpy).toHaveBeenCalledWith('Model "m": ignoring invalid aliases');
+      expect(warnSpy).toHaveBeenCalledWith('Model "m": ignoring invalid deprecatedIds');
+    });
+  });
+
+  describe('isWritable() and saveModelEntry()', () => {
+    it('should be read-only by default', async () => {
+      const loader = new ModelLoader();
+
+      expect(loader.isWritable()).toBe(false);
+      await expect(loader.saveModelEntry('m', 'https://a')).rejects.toThrow(
+        'ModelLoader does not support writing models',
+      );
+    });
   });
 
   describe('watch() and stopWatching()', () => {
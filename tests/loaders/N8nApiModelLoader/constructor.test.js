@@ -114,6 +114,55 @@ describe('N8nApiModelLoader - Constructor', () => {
     }).toThrow('Polling interval must be >= 0');
   });
 
+  test('should default pagination settings', () => {
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+
+    expect(loader.pageLimit).toBe(100);
+    expect(loader.maxPages).toBe(50);
+  });
+
+  test('should cap page limit at 250', () => {
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_PAGE_LIMIT: '1000',
+    });
+
+    expect(loader.pageLimit).toBe(250);
+    expect(consoleWarnSpy).toHaveBeenCalledWith('Page limit 1000 is too high, setting to 250');
+  });
+
+  test('should throw error for invalid page limit', () => {
+    expect(() => {
+      new N8nApiModelLoader({
+        N8N_BASE_URL: 'https://n8n.example.com',
+        N8N_API_BEARER_TOKEN: 'test-token',
+        AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+        AUTO_DISCOVERY_POLL_INTERVAL: '300',
+        AUTO_DISCOVERY_PAGE_LIMIT: '0',
+      });
+    }).toThrow('Page limit must be >= 1');
+  });
+
+  test('should throw error for invalid max pages', () => {
+    expect(() => {
+      new N8nApiModelLoader({
+        N8N_BASE_URL: 'https://n8n.example.com',
+        N8N_API_BEARER_TOKEN: 'test-token',
+        AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+        AUTO_DISCOVERY_POLL_INTERVAL: '300',
+        AUTO_DISCOVERY_MAX_PAGES: 'abc',
+      });
+    }).toThrow('Max pages must be >= 1');
+  });
+
   test('should configure axios instance with correct headers', () => {
     const mockAxiosCreate = jest.fn(() => ({
       get: jest.fn(),
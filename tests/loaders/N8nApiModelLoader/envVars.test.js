@@ -22,7 +22,7 @@ describe('N8nApiModelLoader - Environment Variables', () => {
   test('should return required environment variables', () => {
     const envVars = N8nApiModelLoader.getRequiredEnvVars();
 
-    expect(envVars).toHaveLength(4);
+    expect(envVars).toHaveLength(11);
     expect(envVars).toContainEqual({
       name: 'N8N_BASE_URL',
       description: 'Base URL of n8n instance',
@@ -35,7 +35,7 @@ describe('N8nApiModelLoader - Environment Variables', () => {
     });
     expect(envVars).toContainEqual({
       name: 'AUTO_DISCOVERY_TAG',
-      description: 'Tag to filter workflows',
+      description: 'Tag or tag expression to filter workflows ("," = AND, "|" = OR, "!" = NOT)',
       required: false,
       defaultValue: 'n8n-openai-bridge',
     });
@@ -45,6 +45,48 @@ describe('N8nApiModelLoader - Environment Variables', () => {
       required: false,
       defaultValue: '300',
     });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_PAGE_LIMIT',
+      description: 'Workflows per API page (1-250)',
+      required: false,
+      defaultValue: '100',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_MAX_PAGES',
+      description: 'Maximum number of API pages to fetch',
+      required: false,
+      defaultValue: '50',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_MODEL_ID_MODE',
+      description: 'Model ID fallback without "model:" tag (name, slug, id)',
+      required: false,
+      defaultValue: 'name',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_PROJECT_ID',
+      description: 'Only discover workflows of this n8n project',
+      required: false,
+      defaultValue: '',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_INCLUDE_INACTIVE',
+      description: 'Expose inactive workflows via /webhook-test/ URLs (development only)',
+      required: false,
+      defaultValue: 'false',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_TEST_SUFFIX',
+      description: 'Model ID suffix for inactive workflows in test-webhook mode',
+      required: false,
+      defaultValue: '(test)',
+    });
+    expect(envVars).toContainEqual({
+      name: 'AUTO_DISCOVERY_NODE_MARKER',
+      description: 'Node name marker selecting the trigger node in multi-trigger workflows',
+      required: false,
+      defaultValue: '[bridge]',
+    });
   });
 
   test('should have TYPE property set to "n8n-api"', () => {
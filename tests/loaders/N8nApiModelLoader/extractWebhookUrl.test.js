@@ -166,6 +166,7 @@ describe('N8nApiModelLoader - extractWebhookUrl', () => {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: 'my-webhook-path',
+            httpMethod: 'POST',
           },
         },
       ],
@@ -185,6 +186,7 @@ describe('N8nApiModelLoader - extractWebhookUrl', () => {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: '/my-webhook-path',
+            httpMethod: 'POST',
           },
         },
       ],
@@ -257,6 +259,7 @@ describe('N8nApiModelLoader - extractWebhookUrl', () => {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: 'webhook-path',
+            httpMethod: 'POST',
           },
         },
         {
@@ -284,6 +287,7 @@ describe('N8nApiModelLoader - extractWebhookUrl', () => {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: 'fallback-webhook-path',
+            httpMethod: 'POST',
           },
         },
       ],
@@ -303,12 +307,14 @@ describe('N8nApiModelLoader - extractWebhookUrl', () => {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: 'first-webhook-path',
+            httpMethod: 'POST',
           },
         },
         {
           type: 'n8n-nodes-base.webhook',
           parameters: {
             path: 'second-webhook-path',
+            httpMethod: 'POST',
           },
         },
       ],
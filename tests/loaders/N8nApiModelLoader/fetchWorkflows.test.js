@@ -63,11 +63,128 @@ describe('N8nApiModelLoader - fetchWorkflows', () => {
       params: {
         active: true,
         tags: 'n8n-openai-bridge',
+        limit: 100,
       },
     });
     expect(workflows).toEqual(mockWorkflows);
   });
 
+  test('should follow nextCursor across multiple pages', async () => {
+    const mockGet = jest
+      .fn()
+      .mockResolvedValueOnce({ data: { data: [{ id: 'wf-1' }, { id: 'wf-2' }], nextCursor: 'c1' } })
+      .mockResolvedValueOnce({ data: { data: [{ id: 'wf-3' }], nextCursor: 'c2' } })
+      .mockResolvedValueOnce({ data: { data: [{ id: 'wf-4' }], nextCursor: null } });
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_PAGE_LIMIT: '2',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    const workflows = await loader.fetchWorkflows();
+
+    expect(workflows.map((w) => w.id)).toEqual(['wf-1', 'wf-2', 'wf-3', 'wf-4']);
+    expect(mockGet).toHaveBeenCalledTimes(3);
+    expect(mockGet.mock.calls[0][1].params).toEqual({
+      active: true,
+      tags: 'n8n-openai-bridge',
+      limit: 2,
+    });
+    expect(mockGet.mock.calls[1][1].params.cursor).toBe('c1');
+    expect(mockGet.mock.calls[2][1].params.cursor).toBe('c2');
+  });
+
+  test('should stop at AUTO_DISCOVERY_MAX_PAGES and warn', async () => {
+    const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    const mockGet = jest.fn().mockResolvedValue({
+      data: { data: [{ id: 'wf' }], nextCursor: 'always-more' },
+    });
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_MAX_PAGES: '3',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    const workflows = await loader.fetchWorkflows();
+
+    expect(mockGet).toHaveBeenCalledTimes(3);
+    expect(workflows).toHaveLength(3);
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Stopped fetching workflows after 3 pages'),
+    );
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('should send project filter and first required tag of an expression', async () => {
+    const mockGet = jest.fn().mockResolvedValue({ data: { data: [] } });
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'support|sales,prod,!deprecated',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_PROJECT_ID: 'project-42',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    await loader.fetchWorkflows();
+
+    expect(mockGet).toHaveBeenCalledWith('/api/v1/workflows', {
+      params: {
+        active: true,
+        tags: 'prod',
+        projectId: 'project-42',
+        limit: 100,
+      },
+    });
+  });
+
+  test('should omit tags parameter when expression has no required tag', async () => {
+    const mockGet = jest.fn().mockResolvedValue({ data: { data: [] } });
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'support|sales',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    await loader.fetchWorkflows();
+
+    expect(mockGet.mock.calls[0][1].params).toEqual({ active: true, limit: 100 });
+  });
+
+  test('should propagate errors from later pages', async () => {
+    const mockGet = jest
+      .fn()
+      .mockResolvedValueOnce({ data: { data: [{ id: 'wf-1' }], nextCursor: 'c1' } })
+      .mockRejectedValueOnce(new Error('Network error'));
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+
+    loader.axiosInstance = { get: mockGet };
+
+    await expect(loader.fetchWorkflows()).rejects.toThrow('Network error');
+  });
+
   test('should return empty array when no workflows found', async () => {
     const mockGet = jest.fn().mockResolvedValue({
       data: { data: [] },
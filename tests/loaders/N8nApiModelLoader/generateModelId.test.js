@@ -139,4 +139,73 @@ describe('N8nApiModelLoader - generateModelId', () => {
     const modelId = loader.generateModelId(workflow);
     expect(modelId).toBe('Test Workflow');
   });
+
+  test('should prefer explicit model: tag over workflow name', () => {
+    const workflow = {
+      id: 'workflow-1',
+      name: '🤖 Support Bot (v2)',
+      tags: [
+        { id: 'tag-1', name: 'n8n-openai-bridge' },
+        { id: 'tag-2', name: 'model:support-bot' },
+      ],
+    };
+
+    expect(loader.generateModelId(workflow)).toBe('support-bot');
+  });
+
+  test('should match model: prefix case-insensitively and ignore empty values', () => {
+    expect(
+      loader.generateModelId({ id: 'wf-1', name: 'Name', tags: [{ name: 'Model:My-Bot' }] }),
+    ).toBe('My-Bot');
+    expect(loader.generateModelId({ id: 'wf-2', name: 'Name', tags: [{ name: 'model:' }] })).toBe(
+      'Name',
+    );
+  });
+
+  describe('AUTO_DISCOVERY_MODEL_ID_MODE', () => {
+    const createLoader = (mode) =>
+      new N8nApiModelLoader({
+        N8N_BASE_URL: 'https://n8n.example.com',
+        N8N_API_BEARER_TOKEN: 'test-token',
+        AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+        AUTO_DISCOVERY_POLL_INTERVAL: '300',
+        AUTO_DISCOVERY_MODEL_ID_MODE: mode,
+      });
+
+    test('should slugify workflow name in slug mode', () => {
+      const slugLoader = createLoader('slug');
+
+      expect(slugLoader.generateModelId({ id: 'wf-1', name: 'GPT-4 Agent' })).toBe('gpt-4-agent');
+      expect(slugLoader.generateModelId({ id: 'wf-2', name: 'Café Support 🤖 Bot' })).toBe(
+        'cafe-support-bot',
+      );
+      expect(slugLoader.generateModelId({ id: 'wf-3', name: 'Claude 3.5 Sonnet' })).toBe(
+        'claude-3.5-sonnet',
+      );
+    });
+
+    test('should fallback to workflow ID when slug is empty', () => {
+      const slugLoader = createLoader('slug');
+
+      expect(slugLoader.generateModelId({ id: 'wf-1', name: '🤖🤖' })).toBe('wf-1');
+    });
+
+    test('should use workflow ID in id mode', () => {
+      const idLoader = createLoader('id');
+
+      expect(idLoader.generateModelId({ id: 'wf-1', name: 'GPT-4 Agent' })).toBe('wf-1');
+    });
+
+    test('should still prefer model: tag in slug mode', () => {
+      const slugLoader = createLoader('slug');
+
+      expect(
+        slugLoader.generateModelId({ id: 'wf-1', name: 'Name', tags: [{ name: 'model:Custom' }] }),
+      ).toBe('Custom');
+    });
+
+    test('should throw for invalid mode', () => {
+      expect(() => createLoader('uuid')).toThrow('Invalid AUTO_DISCOVERY_MODEL_ID_MODE: "uuid"');
+    });
+  });
 });
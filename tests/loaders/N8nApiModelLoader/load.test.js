@@ -72,6 +72,56 @@ describe('N8nApiModelLoader - load', () => {
     expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Loaded 1 models from n8n'));
   });
 
+  test('should load workflow metadata as validated model entries', async () => {
+    const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    const mockWorkflows = [
+      {
+        id: 'workflow-1',
+        name: 'Support Bot',
+        description: 'Answers support tickets',
+        active: true,
+        tags: [{ name: 'model:support-bot' }, { name: 'capability:vision' }],
+        nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'support-id' }],
+      },
+      {
+        id: 'workflow-2',
+        name: 'Typo Bot',
+        active: true,
+        tags: [{ name: 'capability:telepathy' }, { name: 'capability:tools' }],
+        nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'typo-id' }],
+      },
+    ];
+
+    const loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+
+    loader.axiosInstance = {
+      get: jest.fn().mockResolvedValue({ data: { data: mockWorkflows } }),
+    };
+
+    const models = await loader.load();
+
+    expect(models['support-bot']).toEqual({
+      webhookUrl: 'https://n8n.example.com/webhook/support-id/chat',
+      type: 'chat',
+      description: 'Answers support tickets',
+      capabilities: { vision: true },
+    });
+    expect(models['Typo Bot']).toEqual({
+      webhookUrl: 'https://n8n.example.com/webhook/typo-id/chat',
+      type: 'chat',
+      capabilities: { tools: true },
+    });
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Model "Typo Bot": ignoring invalid capability "telepathy" (supported: vision, tools, files)',
+    );
+    consoleWarnSpy.mockRestore();
+  });
+
   test('should throw descriptive error on 401 Unauthorized', async () => {
     const mockGet = jest.fn().mockRejectedValue({
       response: {
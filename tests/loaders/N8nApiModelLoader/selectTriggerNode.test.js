@@ -0,0 +1,184 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nApiModelLoader = require('../../../src/loaders/N8nApiModelLoader');
+
+describe('N8nApiModelLoader - selectTriggerNode', () => {
+  let loader;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    loader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  const chatTrigger = (name, webhookId, parameters = {}) => ({
+    name,
+    type: '@n8n/n8n-nodes-langchain.chatTrigger',
+    webhookId,
+    parameters,
+  });
+
+  const webhook = (name, parameters) => ({
+    name,
+    type: 'n8n-nodes-base.webhook',
+    parameters: { httpMethod: 'POST', ...parameters },
+  });
+
+  const workflow = (...nodes) => ({ id: 'wf-1', name: 'Agent', active: true, nodes });
+
+  test('should prefer node marked with [bridge] over other candidates', () => {
+    const node = loader.selectTriggerNode(
+      workflow(
+        chatTrigger('Chat', 'chat-id'),
+        webhook('Health check', { path: 'health' }),
+        webhook('API [bridge]', { path: 'api', httpMethod: 'POST' }),
+      ),
+    );
+
+    expect(node.name).toBe('API [bridge]');
+  });
+
+  test('should support a custom node marker', () => {
+    const customLoader = new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_NODE_MARKER: '#OpenAI',
+    });
+
+    const node = customLoader.selectTriggerNode(
+      workflow(webhook('Other', { path: 'other' }), webhook('Entry #openai', { path: 'entry' })),
+    );
+
+    expect(node.name).toBe('Entry #openai');
+  });
+
+  test('should warn when several candidates exist without marker', () => {
+    const node = loader.selectTriggerNode(
+      workflow(webhook('First', { path: 'first' }), webhook('Second', { path: 'second' })),
+    );
+
+    expect(node.name).toBe('First');
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Workflow "Agent" (wf-1) has 2 trigger nodes, add "[bridge]" to a node name to select one',
+    );
+  });
+
+  test('should skip disabled nodes', () => {
+    const disabled = { ...chatTrigger('Chat', 'chat-id'), disabled: true };
+
+    const node = loader.selectTriggerNode(workflow(disabled, webhook('Hook', { path: 'hook' })));
+
+    expect(node.name).toBe('Hook');
+  });
+
+  test('should skip webhook nodes that do not accept POST', () => {
+    const node = loader.selectTriggerNode(
+      workflow(
+        webhook('Get', { path: 'get', httpMethod: 'GET' }),
+        webhook('Post', { path: 'post', httpMethod: 'POST' }),
+      ),
+    );
+
+    expect(node.name).toBe('Post');
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Skipping webhook node "Get"'),
+    );
+  });
+
+  test('should accept webhook nodes with multiple methods including POST', () => {
+    expect(loader.acceptsPost(webhook('Multi', { httpMethod: ['GET', 'POST'] }))).toBe(true);
+    expect(loader.acceptsPost(webhook('Multi', { httpMethod: ['GET', 'PUT'] }))).toBe(false);
+  });
+
+  test('should treat a missing httpMethod as GET', () => {
+    const node = loader.selectTriggerNode(
+      workflow({ name: 'Default', type: 'n8n-nodes-base.webhook', parameters: { path: 'x' } }),
+    );
+
+    expect(node).toBeNull();
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Skipping webhook node "Default"'),
+    );
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('HTTP method GET does not accept POST'),
+    );
+  });
+
+  test('should return null when only GET webhooks exist', () => {
+    expect(
+      loader.extractWebhookUrl(workflow(webhook('Get', { path: 'get', httpMethod: 'GET' }))),
+    ).toBeNull();
+  });
+
+  describe('getWebhookAuth', () => {
+    test('should map node authentication settings', () => {
+      expect(loader.getWebhookAuth(webhook('Hook', { authentication: 'headerAuth' }))).toBe(
+        'header',
+      );
+      expect(loader.getWebhookAuth(webhook('Hook', { authentication: 'basicAuth' }))).toBe('basic');
+      expect(loader.getWebhookAuth(webhook('Hook', { authentication: 'jwtAuth' }))).toBe('jwt');
+      expect(loader.getWebhookAuth(webhook('Hook', { authentication: 'none' }))).toBe('none');
+      expect(loader.getWebhookAuth(webhook('Hook', {}))).toBe('none');
+    });
+
+    test('should warn on unsupported authentication', () => {
+      const node = chatTrigger('Chat', 'chat-id', { authentication: 'n8nUserAuth' });
+
+      expect(loader.getWebhookAuth(node)).toBe('none');
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        'Unsupported authentication "n8nUserAuth" on node "Chat", no credentials will be sent',
+      );
+    });
+
+    test('should warn that header auth only sends the Authorization header', () => {
+      expect(loader.getWebhookAuth(webhook('Hook', { authentication: 'headerAuth' }))).toBe(
+        'header',
+      );
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Header auth on node "Hook"'),
+      );
+    });
+
+    test('should record webhook auth in model entries', () => {
+      const models = loader.workflowsToModels([
+        workflow(
+          webhook('Hook', { path: 'secure', httpMethod: 'POST', authentication: 'basicAuth' }),
+        ),
+      ]);
+
+      expect(models).toEqual({
+        Agent: { webhookUrl: 'https://n8n.example.com/webhook/secure', webhookAuth: 'basic' },
+      });
+    });
+  });
+});
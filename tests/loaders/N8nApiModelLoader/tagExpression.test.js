@@ -0,0 +1,138 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nApiModelLoader = require('../../../src/loaders/N8nApiModelLoader');
+
+describe('N8nApiModelLoader - Tag Expressions', () => {
+  let consoleLogSpy;
+
+  beforeAll(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterAll(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  const createLoader = (tag) =>
+    new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: tag,
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+    });
+
+  const workflow = (id, ...tags) => ({ id, tags: tags.map((name) => ({ id: name, name })) });
+
+  describe('parseTagExpression', () => {
+    test('should parse a single tag', () => {
+      expect(N8nApiModelLoader.parseTagExpression('n8n-openai-bridge')).toEqual([
+        [{ tag: 'n8n-openai-bridge', negate: false }],
+      ]);
+    });
+
+    test('should parse AND, OR and NOT', () => {
+      expect(N8nApiModelLoader.parseTagExpression('prod, support | sales, !deprecated')).toEqual([
+        [{ tag: 'prod', negate: false }],
+        [
+          { tag: 'support', negate: false },
+          { tag: 'sales', negate: false },
+        ],
+        [{ tag: 'deprecated', negate: true }],
+      ]);
+    });
+
+    test('should throw on empty terms', () => {
+      expect(() => N8nApiModelLoader.parseTagExpression('prod,,llm')).toThrow(
+        'Invalid AUTO_DISCOVERY_TAG expression: "prod,,llm"',
+      );
+      expect(() => N8nApiModelLoader.parseTagExpression('prod|!')).toThrow(
+        'Invalid AUTO_DISCOVERY_TAG expression',
+      );
+    });
+
+    test('should reject invalid expression in constructor', () => {
+      expect(() => createLoader('prod,')).toThrow('Invalid AUTO_DISCOVERY_TAG expression');
+    });
+  });
+
+  describe('getApiTag', () => {
+    test('should return first required tag', () => {
+      expect(createLoader('a|b,prod,llm').getApiTag()).toBe('prod');
+    });
+
+    test('should return null without required tag', () => {
+      expect(createLoader('a|b').getApiTag()).toBeNull();
+      expect(createLoader('!deprecated').getApiTag()).toBeNull();
+    });
+  });
+
+  describe('filterWorkflows', () => {
+    const workflows = [
+      workflow('wf-1', 'prod', 'llm'),
+      workflow('wf-2', 'prod'),
+      workflow('wf-3', 'prod', 'llm', 'deprecated'),
+      workflow('wf-4', 'support'),
+      workflow('wf-5', 'Sales'),
+      workflow('wf-6'),
+    ];
+
+    const ids = (loader) => loader.filterWorkflows(workflows).map((w) => w.id);
+
+    test('should return workflows unchanged for a single plain tag', () => {
+      expect(createLoader('prod').filterWorkflows(workflows)).toBe(workflows);
+    });
+
+    test('should require all tags with AND', () => {
+      expect(ids(createLoader('prod,llm'))).toEqual(['wf-1', 'wf-3']);
+    });
+
+    test('should accept any tag with OR (case-insensitive)', () => {
+      expect(ids(createLoader('support|sales'))).toEqual(['wf-4', 'wf-5']);
+    });
+
+    test('should exclude tags with NOT', () => {
+      expect(ids(createLoader('prod,llm,!deprecated'))).toEqual(['wf-1']);
+      expect(ids(createLoader('!deprecated'))).toEqual(['wf-1', 'wf-2', 'wf-4', 'wf-5', 'wf-6']);
+    });
+
+    test('should be applied during load', async () => {
+      const loader = createLoader('prod,!deprecated');
+      const chatNode = (id) => [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: id }];
+      loader.axiosInstance = {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            data: [
+              { ...workflow('wf-1', 'prod'), name: 'Live', active: true, nodes: chatNode('a') },
+              {
+                ...workflow('wf-2', 'prod', 'deprecated'),
+                name: 'Old',
+                active: true,
+                nodes: chatNode('b'),
+              },
+            ],
+          },
+        }),
+      };
+
+      const models = await loader.load();
+
+      expect(Object.keys(models)).toEqual(['Live']);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nApiModelLoader = require('../../../src/loaders/N8nApiModelLoader');
+
+describe('N8nApiModelLoader - Test-webhook mode', () => {
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  const createLoader = (extra = {}) =>
+    new N8nApiModelLoader({
+      N8N_BASE_URL: 'https://n8n.example.com',
+      N8N_API_BEARER_TOKEN: 'test-token',
+      AUTO_DISCOVERY_TAG: 'n8n-openai-bridge',
+      AUTO_DISCOVERY_POLL_INTERVAL: '300',
+      AUTO_DISCOVERY_INCLUDE_INACTIVE: 'true',
+      ...extra,
+    });
+
+  const workflows = [
+    {
+      id: 'wf-1',
+      name: 'my-agent',
+      active: false,
+      nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'draft-id' }],
+    },
+    {
+      id: 'wf-2',
+      name: 'webhook-agent',
+      active: false,
+      nodes: [
+        { type: 'n8n-nodes-base.webhook', parameters: { path: '/draft-path', httpMethod: 'POST' } },
+      ],
+    },
+    {
+      id: 'wf-3',
+      name: 'live-agent',
+      active: true,
+      nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'live-id' }],
+    },
+  ];
+
+  test('should be disabled by default', () => {
+    const loader = createLoader({ AUTO_DISCOVERY_INCLUDE_INACTIVE: 'false' });
+
+    expect(loader.includeInactive).toBe(false);
+    expect(loader.extractWebhookUrl(workflows[0])).toBeNull();
+  });
+
+  test('should warn when enabled', () => {
+    const loader = createLoader();
+
+    expect(loader.includeInactive).toBe(true);
+    expect(loader.testSuffix).toBe('(test)');
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Test-webhook mode enabled'),
+    );
+  });
+
+  test('should build /webhook-test/ URLs for inactive workflows', () => {
+    const loader = createLoader();
+
+    expect(loader.extractWebhookUrl(workflows[0])).toBe(
+      'https://n8n.example.com/webhook-test/draft-id/chat',
+    );
+    expect(loader.extractWebhookUrl(workflows[1])).toBe(
+      'https://n8n.example.com/webhook-test/draft-path',
+    );
+    expect(loader.extractWebhookUrl(workflows[2])).toBe(
+      'https://n8n.example.com/webhook/live-id/chat',
+    );
+  });
+
+  test('should add the test suffix to inactive workflow model IDs', () => {
+    const loader = createLoader();
+
+    expect(loader.workflowsToModels(workflows)).toEqual({
+      'my-agent (test)': 'https://n8n.example.com/webhook-test/draft-id/chat',
+      'webhook-agent (test)': 'https://n8n.example.com/webhook-test/draft-path',
+      'live-agent': 'https://n8n.example.com/webhook/live-id/chat',
+    });
+  });
+
+  test('should use a custom test suffix', () => {
+    const loader = createLoader({ AUTO_DISCOVERY_TEST_SUFFIX: '[draft]' });
+
+    expect(Object.keys(loader.workflowsToModels([workflows[0]]))).toEqual(['my-agent [draft]']);
+  });
+
+  test('should not filter by active state in the API request', async () => {
+    const loader = createLoader();
+    const mockGet = jest.fn().mockResolvedValue({ data: { data: [] } });
+    loader.axiosInstance = { get: mockGet };
+
+    await loader.fetchWorkflows();
+
+    expect(mockGet.mock.calls[0][1].params).toEqual({ tags: 'n8n-openai-bridge', limit: 100 });
+  });
+});
@@ -190,4 +190,49 @@ describe('N8nApiModelLoader - workflowsToModels', () => {
     const models = loader.workflowsToModels([]);
     expect(models).toEqual({});
   });
+
+  test('should include description and capabilities as model metadata', () => {
+    const workflows = [
+      {
+        id: 'workflow-1',
+        name: 'Support Bot',
+        description: '  Answers support tickets  ',
+        active: true,
+        tags: [
+          { name: 'n8n-openai-bridge' },
+          { name: 'model:support-bot' },
+          { name: 'capability:vision' },
+          { name: 'Capability:Tools' },
+        ],
+        nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'support-id' }],
+      },
+    ];
+
+    const models = loader.workflowsToModels(workflows);
+
+    expect(models).toEqual({
+      'support-bot': {
+        webhookUrl: 'https://n8n.example.com/webhook/support-id/chat',
+        description: 'Answers support tickets',
+        capabilities: { vision: true, tools: true },
+      },
+    });
+  });
+
+  test('should keep plain URL entries when no metadata is defined', () => {
+    const workflows = [
+      {
+        id: 'workflow-1',
+        name: 'Plain',
+        description: '   ',
+        active: true,
+        tags: [{ name: 'n8n-openai-bridge' }],
+        nodes: [{ type: '@n8n/n8n-nodes-langchain.chatTrigger', webhookId: 'plain-id' }],
+      },
+    ];
+
+    expect(loader.workflowsToModels(workflows)).toEqual({
+      Plain: 'https://n8n.example.com/webhook/plain-id/chat',
+    });
+  });
 });
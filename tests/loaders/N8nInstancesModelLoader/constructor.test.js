@@ -0,0 +1,105 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nInstancesModelLoader = require('../../../src/loaders/N8nInstancesModelLoader');
+const N8nApiModelLoader = require('../../../src/loaders/N8nApiModelLoader');
+
+describe('N8nInstancesModelLoader - Constructor', () => {
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  beforeAll(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterAll(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  const create = (instances) =>
+    new N8nInstancesModelLoader({ N8N_INSTANCES: JSON.stringify(instances) });
+
+  test('should create one N8nApiModelLoader per instance', () => {
+    const loader = create([
+      { name: 'prod', baseUrl: 'https://prod.example.com/', apiToken: 'prod-token' },
+      {
+        baseUrl: 'https://staging.example.com',
+        apiToken: 'staging-token',
+        tag: 'llm,!deprecated',
+        pollInterval: 0,
+        modelIdMode: 'slug',
+        projectId: 'p1',
+        includeInactive: true,
+        testSuffix: '[draft]',
+      },
+    ]);
+
+    expect(loader.loaders).toHaveLength(2);
+    expect(loader.loaders[0]).toBeInstanceOf(N8nApiModelLoader);
+    expect(loader.loaders[0].n8nBaseUrl).toBe('https://prod.example.com');
+    expect(loader.loaders[0].apiToken).toBe('prod-token');
+    expect(loader.loaders[0].tag).toBe('n8n-openai-bridge');
+    expect(loader.loaders[0].pollingInterval).toBe(300);
+    expect(loader.loaders[1].tag).toBe('llm,!deprecated');
+    expect(loader.loaders[1].pollingInterval).toBe(0);
+    expect(loader.loaders[1].modelIdMode).toBe('slug');
+    expect(loader.loaders[1].projectId).toBe('p1');
+    expect(loader.loaders[1].includeInactive).toBe(true);
+    expect(loader.loaders[1].testSuffix).toBe('[draft]');
+    expect(loader.loaders[0].includeInactive).toBe(false);
+    expect(loader.instances.map((i) => i.name)).toEqual(['prod', 'instance-2']);
+    expect(loader.conflictPolicy).toBe('first');
+  });
+
+  test('should throw on invalid JSON', () => {
+    expect(() => new N8nInstancesModelLoader({ N8N_INSTANCES: '[{' })).toThrow(
+      'Invalid JSON in N8N_INSTANCES',
+    );
+  });
+
+  test('should throw on empty or non-array value', () => {
+    expect(() => create([])).toThrow('N8N_INSTANCES must be a non-empty JSON array');
+    expect(() => create({ baseUrl: 'https://n8n.example.com' })).toThrow(
+      'N8N_INSTANCES must be a non-empty JSON array',
+    );
+  });
+
+  test('should throw when an instance is missing baseUrl or apiToken', () => {
+    expect(() => create([{ apiToken: 'token' }])).toThrow('N8N_INSTANCES[0] is missing "baseUrl"');
+    expect(() => create([{ baseUrl: 'https://n8n.example.com', apiToken: ' ' }])).toThrow(
+      'N8N_INSTANCES[0] is missing "apiToken"',
+    );
+  });
+
+  test('should throw on duplicate instance names', () => {
+    expect(() =>
+      create([
+        { name: 'prod', baseUrl: 'https://a.example.com', apiToken: 'a' },
+        { name: 'prod', baseUrl: 'https://b.example.com', apiToken: 'b' },
+      ]),
+    ).toThrow('N8N_INSTANCES contains instance name "prod" more than once');
+  });
+
+  test('should propagate instance validation errors', () => {
+    expect(() =>
+      create([{ baseUrl: 'https://a.example.com', apiToken: 'a', pollInterval: -1 }]),
+    ).toThrow('Polling interval must be >= 0');
+  });
+});
@@ -0,0 +1,37 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nInstancesModelLoader = require('../../../src/loaders/N8nInstancesModelLoader');
+
+describe('N8nInstancesModelLoader - Environment Variables', () => {
+  test('should require N8N_INSTANCES', () => {
+    const envVars = N8nInstancesModelLoader.getRequiredEnvVars();
+
+    expect(envVars).toEqual([
+      {
+        name: 'N8N_INSTANCES',
+        description: 'JSON array of n8n instances ({ baseUrl, apiToken, tag, ... })',
+        required: true,
+      },
+    ]);
+  });
+
+  test('should have TYPE property set to "n8n-instances"', () => {
+    expect(N8nInstancesModelLoader.TYPE).toBe('n8n-instances');
+  });
+});
@@ -0,0 +1,134 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const N8nInstancesModelLoader = require('../../../src/loaders/N8nInstancesModelLoader');
+
+describe('N8nInstancesModelLoader - Load', () => {
+  let consoleLogSpy;
+  let consoleErrorSpy;
+  let consoleWarnSpy;
+  let loader;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+    loader = new N8nInstancesModelLoader({
+      N8N_INSTANCES: JSON.stringify([
+        { name: 'prod', baseUrl: 'https://prod.example.com', apiToken: 'a' },
+        {
+          name: 'staging',
+          baseUrl: 'https://staging.example.com',
+          apiToken: 'b',
+          modelIdPrefix: 'staging/',
+        },
+      ]),
+    });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('should merge models from all instances with prefixes', async () => {
+    loader.loaders[0].load = jest.fn().mockResolvedValue({ agent: 'https://prod.example.com/a' });
+    loader.loaders[1].load = jest
+      .fn()
+      .mockResolvedValue({ agent: 'https://staging.example.com/a' });
+
+    const models = await loader.load();
+
+    expect(models).toEqual({
+      agent: 'https://prod.example.com/a',
+      'staging/agent': 'https://staging.example.com/a',
+    });
+  });
+
+  test('should keep models of other instances when one instance fails', async () => {
+    loader.loaders[0].load = jest.fn().mockResolvedValue({ agent: 'https://prod.example.com/a' });
+    loader.loaders[1].load = jest
+      .fn()
+      .mockRejectedValue(new Error('Cannot reach n8n API at https://staging.example.com'));
+
+    const models = await loader.load();
+
+    expect(models).toEqual({ agent: 'https://prod.example.com/a' });
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      'n8n instance "staging" failed to load: Cannot reach n8n API at https://staging.example.com',
+    );
+  });
+
+  test('should keep previously loaded models of a failing instance', async () => {
+    loader.loaders[0].load = jest.fn().mockResolvedValue({ agent: 'https://prod.example.com/a' });
+    loader.loaders[1].load = jest
+      .fn()
+      .mockResolvedValueOnce({ agent: 'https://staging.example.com/a' })
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    await loader.load();
+    const models = await loader.load();
+
+    expect(models['staging/agent']).toBe('https://staging.example.com/a');
+  });
+
+  test('should throw when all instances fail', async () => {
+    loader.loaders[0].load = jest.fn().mockRejectedValue(new Error('down'));
+    loader.loaders[1].load = jest.fn().mockRejectedValue(new Error('down'));
+
+    await expect(loader.load()).rejects.toThrow('All 2 n8n instances failed to load');
+  });
+
+  test('should keep first instance on duplicate model IDs', async () => {
+    loader.instances[1].modelIdPrefix = undefined;
+    loader.loaders[0].load = jest.fn().mockResolvedValue({ agent: 'https://prod.example.com/a' });
+    loader.loaders[1].load = jest
+      .fn()
+      .mockResolvedValue({ agent: 'https://staging.example.com/a' });
+
+    const models = await loader.load();
+
+    expect(models.agent).toBe('https://prod.example.com/a');
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Model "agent" from "staging" ignored, already provided by "prod"',
+    );
+  });
+
+  test('should prefix models reported by instance polling', async () => {
+    loader.loaders[0].load = jest.fn().mockResolvedValue({ agent: 'https://prod.example.com/a' });
+    loader.loaders[1].load = jest.fn().mockResolvedValue({});
+    const childCallbacks = [];
+    loader.loaders.forEach((child, index) => {
+      child.watch = jest.fn((cb) => {
+        childCallbacks[index] = cb;
+      });
+    });
+    await loader.load();
+
+    const callback = jest.fn();
+    loader.watch(callback);
+    childCallbacks[1]({ 'new-agent': 'https://staging.example.com/new' });
+
+    expect(callback).toHaveBeenCalledWith({
+      agent: 'https://prod.example.com/a',
+      'staging/new-agent': 'https://staging.example.com/new',
+    });
+  });
+});
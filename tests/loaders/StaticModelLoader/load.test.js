@@ -41,6 +41,19 @@ describe('StaticModelLoader - load', () => {
     expect(models).toEqual({});
   });
 
+  test('should interpolate environment variables before validation', async () => {
+    process.env.STATIC_TEST_N8N_HOST = 'https://n8n.example.com';
+    const modelsJson = JSON.stringify({
+      'model-1': '${STATIC_TEST_N8N_HOST}/webhook/1',
+    });
+
+    const loader = new StaticModelLoader({ STATIC_MODELS: modelsJson });
+    const models = await loader.load();
+    delete process.env.STATIC_TEST_N8N_HOST;
+
+    expect(models).toEqual({ 'model-1': 'https://n8n.example.com/webhook/1' });
+  });
+
   test('should validate models through base class', async () => {
     const modelsJson = JSON.stringify({
       'valid-model': 'https://n8n.example.com/webhook/valid',
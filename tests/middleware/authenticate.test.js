@@ -96,5 +96,39 @@ describe('authenticate middleware', () => {
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
+
+    it('should call next() if x-api-key header is valid', () => {
+      req.headers['x-api-key'] = 'secret-token-123';
+      const middleware = authenticate(config);
+
+      middleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 if x-api-key header is invalid', () => {
+      req.headers['x-api-key'] = 'wrong-token';
+      const middleware = authenticate(config);
+
+      middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Invalid token', type: 'authentication_error' },
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the Authorization header over x-api-key', () => {
+      req.headers.authorization = 'Bearer wrong-token';
+      req.headers['x-api-key'] = 'secret-token-123';
+      const middleware = authenticate(config);
+
+      middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 });
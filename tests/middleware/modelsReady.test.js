@@ -0,0 +1,72 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const modelsReady = require('../../src/middleware/modelsReady');
+
+describe('modelsReady middleware', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    req = {};
+    res = {
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should call next() when models are available', () => {
+    const bootstrap = { modelsPending: false, getRetryAfterSeconds: jest.fn() };
+
+    modelsReady(bootstrap)(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should answer 503 with Retry-After while models are loading', () => {
+    const bootstrap = { modelsPending: true, getRetryAfterSeconds: jest.fn().mockReturnValue(4) };
+
+    modelsReady(bootstrap)(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '4');
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'Models are still loading, please retry later',
+        type: 'server_error',
+      },
+    });
+  });
+
+  it('should evaluate loading state per request', () => {
+    const bootstrap = { modelsPending: true, getRetryAfterSeconds: () => 1 };
+    const middleware = modelsReady(bootstrap);
+
+    middleware(req, res, next);
+    bootstrap.modelsPending = false;
+    middleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
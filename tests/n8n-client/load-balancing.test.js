@@ -0,0 +1,167 @@
+/**
+ * Integration Tests: N8nClient - Load Balancing
+ * Tests upstream selection for models with several webhook URLs
+ *
+ * Copyright (c) 2025 Sven Eisenschmidt
+ * Licensed under AGPL-3.0
+ */
+
+const axios = require('axios');
+const { createTestClient } = require('../helpers/test-client');
+
+jest.mock('axios');
+
+const A = 'https://worker-a.example.com/webhook/agent';
+const B = 'https://worker-b.example.com/webhook/agent';
+const C = 'https://worker-c.example.com/webhook/agent';
+
+describe('N8nClient - Load Balancing', () => {
+  let client;
+
+  const pick = (webhookUrl, settings = {}, sessionId) => {
+    const upstream = client.acquireUpstream(webhookUrl, client.resolveSettings(settings), {
+      modelId: 'agent',
+      sessionId,
+    });
+    upstream.release();
+    return upstream.url;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = createTestClient();
+  });
+
+  test('should return a single webhook URL unchanged', () => {
+    expect(pick(A)).toBe(A);
+  });
+
+  test('should rotate round-robin by default', () => {
+    const urls = [A, B, C];
+
+    expect([1, 2, 3, 4].map(() => pick(urls))).toEqual([A, B, C, A]);
+  });
+
+  test('should spread requests by weight without bursts', () => {
+    const urls = [{ url: A, weight: 3 }, B];
+
+    const picks = [1, 2, 3, 4, 5, 6, 7, 8].map(() => pick(urls, { loadBalancing: 'weighted' }));
+
+    expect(picks.filter((url) => url === A)).toHaveLength(6);
+    expect(picks.slice(0, 4)).toEqual([A, A, B, A]);
+  });
+
+  test('should prefer the upstream with the fewest requests in flight', () => {
+    const settings = client.resolveSettings({ loadBalancing: 'least-in-flight' });
+    const urls = [A, B];
+
+    const context = { modelId: 'agent' };
+
+    const first = client.acquireUpstream(urls, settings, context);
+    const second = client.acquireUpstream(urls, settings, context);
+    expect([first.url, second.url]).toEqual([A, B]);
+
+    first.release();
+    expect(client.acquireUpstream(urls, settings, context).url).toBe(A);
+    expect(client.acquireUpstream(urls, settings, context).url).toBe(B);
+  });
+
+  test('should ignore repeated release calls', () => {
+    const settings = client.resolveSettings({ loadBalancing: 'least-in-flight' });
+    const upstream = client.acquireUpstream([A, B], settings, { modelId: 'agent' });
+
+    upstream.release();
+    upstream.release();
+
+    expect(client.upstreamState.get('agent').inFlight).toEqual([0, 0]);
+  });
+
+  test('should route a session to the same upstream with sticky sessions', () => {
+    const urls = [A, B, C];
+    const settings = { stickySessions: true };
+
+    const first = pick(urls, settings, 'session-1');
+    const repeated = [1, 2, 3, 4, 5].map(() => pick(urls, settings, 'session-1'));
+
+    expect(repeated.every((url) => url === first)).toBe(true);
+  });
+
+  test('should only move sessions of a removed upstream', () => {
+    const settings = { stickySessions: true };
+    const sessions = Array.from({ length: 50 }, (_, i) => `session-${i}`);
+
+    const before = sessions.map((id) => pick([A, B, C], settings, id));
+
+    const kept = sessions.filter((_, i) => before[i] !== C);
+
+    expect(kept.map((id) => pick([A, B], settings, id))).toEqual(before.filter((url) => url !== C));
+    expect(new Set(before).size).toBe(3);
+  });
+
+  test('should fall back to the strategy for requests without session', () => {
+    expect([1, 2].map(() => pick([A, B], { stickySessions: true }))).toEqual([A, B]);
+  });
+
+  test('should not pin generated session IDs with sticky sessions', async () => {
+    axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+    jest.spyOn(console, 'error').mockImplementation();
+    const options = {
+      settings: { stickySessions: true },
+      modelId: 'agent',
+      sessionGenerated: true,
+    };
+
+    for (let i = 0; i < 2; i++) {
+      await expect(
+        client.nonStreamingCompletion(
+          [A, B],
+          [{ role: 'user', content: 'Hi' }],
+          'generated-session',
+          { userId: 'user' },
+          options,
+        ),
+      ).rejects.toThrow('ECONNREFUSED');
+    }
+
+    expect(axios.post.mock.calls.map((call) => call[0])).toEqual([A, B]);
+    console.error.mockRestore();
+  });
+
+  test('should keep one balancing state per model', () => {
+    [A, B, C].forEach(() => pick([A, B, C]));
+    pick([A, B]);
+
+    expect([...client.upstreamState.keys()]).toEqual(['agent']);
+    expect(client.upstreamState.get('agent').inFlight).toEqual([0, 0]);
+    expect(pick([A, B])).toBe(B);
+  });
+
+  test('should send the request to the selected upstream and release it', async () => {
+    axios.post.mockResolvedValue({ data: { data: [] } });
+    const overrides = { loadBalancing: 'least-in-flight' };
+
+    await client.createEmbeddings([A, B], ['text'], { userId: 'user' }, overrides, 'agent');
+    await client.createEmbeddings([A, B], ['text'], { userId: 'user' }, overrides, 'agent');
+
+    expect(axios.post.mock.calls.map((call) => call[0])).toEqual([A, B]);
+    expect(client.upstreamState.get('agent').inFlight).toEqual([0, 0]);
+  });
+
+  test('should release the upstream when the request fails', async () => {
+    axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+    jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(
+      client.nonStreamingCompletion(
+        [A, B],
+        [{ role: 'user', content: 'Hi' }],
+        's',
+        { userId: 'user' },
+        { modelId: 'agent' },
+      ),
+    ).rejects.toThrow('ECONNREFUSED');
+
+    expect(client.upstreamState.get('agent').inFlight).toEqual([0, 0]);
+    console.error.mockRestore();
+  });
+});
@@ -43,6 +43,130 @@ describe('N8nClient', () => {
       expect(headers).toHaveProperty('Content-Type', 'application/json');
       expect(headers).not.toHaveProperty('Authorization');
     });
+
+    test('should apply per-model bearer token and static headers', () => {
+      mockConfig.n8nWebhookBearerToken = 'global-token';
+
+      const headers = client.getHeaders(
+        client.resolveSettings({
+          bearerToken: 'model-token',
+          headers: { 'X-Tenant': 'acme', 'Content-Type': 'text/plain' },
+        }),
+      );
+
+      expect(headers).toEqual({
+        'X-Tenant': 'acme',
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer model-token',
+      });
+    });
+  });
+
+  describe('webhook authentication', () => {
+    test('should send basic auth for basic auth webhooks', () => {
+      mockConfig.n8nWebhookBearerToken = 'global-token';
+
+      const headers = client.getHeaders(
+        client.resolveSettings({ webhookAuth: 'basic', basicAuth: 'bridge:secret' }),
+      );
+
+      expect(headers.Authorization).toBe(
+        `Basic ${Buffer.from('bridge:secret').toString('base64')}`,
+      );
+    });
+
+    test('should fall back to global basic auth credentials', () => {
+      mockConfig.n8nWebhookBasicAuth = 'global:pass';
+
+      const headers = client.getHeaders(client.resolveSettings({ webhookAuth: 'basic' }));
+
+      expect(headers.Authorization).toBe(`Basic ${Buffer.from('global:pass').toString('base64')}`);
+    });
+
+    test('should omit Authorization for basic auth without credentials', () => {
+      mockConfig.n8nWebhookBearerToken = 'global-token';
+
+      const headers = client.getHeaders(client.resolveSettings({ webhookAuth: 'basic' }));
+
+      expect(headers).not.toHaveProperty('Authorization');
+    });
+
+    test('should send bearer token for header and jwt auth webhooks', () => {
+      mockConfig.n8nWebhookBearerToken = 'global-token';
+
+      expect(client.getAuthorization(client.resolveSettings({ webhookAuth: 'header' }))).toBe(
+        'Bearer global-token',
+      );
+      expect(client.getAuthorization(client.resolveSettings({ webhookAuth: 'jwt' }))).toBe(
+        'Bearer global-token',
+      );
+    });
+
+    test('should send basic auth for multipart requests', () => {
+      const config = client.buildRequestConfig(
+        { messages: [] },
+        [{ name: 'a.txt', mimeType: 'text/plain', data: Buffer.from('a').toString('base64') }],
+        client.resolveSettings({ webhookAuth: 'basic', basicAuth: 'bridge:secret' }),
+      );
+
+      expect(config.headers.Authorization).toBe(
+        `Basic ${Buffer.from('bridge:secret').toString('base64')}`,
+      );
+    });
+  });
+
+  describe('resolveSettings', () => {
+    test('should fall back to global config values', () => {
+      Object.assign(mockConfig, {
+        n8nTimeout: 1000,
+        fileUploadMode: 'extract-json',
+        agentTurnSeparator: '---',
+        n8nWebhookBearerToken: 'global-token',
+      });
+
+      expect(client.resolveSettings()).toEqual({
+        timeout: 1000,
+        fileUploadMode: 'extract-json',
+        agentTurnSeparator: '---',
+        bearerToken: 'global-token',
+        headers: {},
+        webhookAuth: null,
+        basicAuth: '',
+        loadBalancing: 'round-robin',
+        stickySessions: false,
+      });
+    });
+
+    test('should prefer per-model overrides including empty separator', () => {
+      mockConfig.n8nTimeout = 1000;
+
+      const settings = client.resolveSettings({ timeout: 5000, agentTurnSeparator: '' });
+
+      expect(settings.timeout).toBe(5000);
+      expect(settings.agentTurnSeparator).toBe('');
+      expect(settings.fileUploadMode).toBe('passthrough');
+    });
+
+    test('should use per-model timeout and headers for completions', async () => {
+      mockConfig.n8nTimeout = 1000;
+      axios.post.mockResolvedValue({
+        data: (async function* () {
+          yield Buffer.from('{"type":"item","content":"Hi"}');
+        })(),
+      });
+
+      await client.nonStreamingCompletion(
+        'https://n8n.example.com/webhook/test',
+        [{ role: 'user', content: 'Hello' }],
+        'session-1',
+        { userId: 'user-1' },
+        { settings: { timeout: 60000, headers: { 'X-Team': 'research' } } },
+      );
+
+      const options = axios.post.mock.calls[0][2];
+      expect(options.timeout).toBe(60000);
+      expect(options.headers['X-Team']).toBe('research');
+    });
   });
 
   describe('buildPayload', () => {
@@ -131,6 +255,48 @@ describe('N8nClient', () => {
       expect(payload).not.toHaveProperty('userName');
       expect(payload.userRole).toBe('admin');
     });
+
+    test('should forward tools and toolChoice when provided', () => {
+      const tools = [{ type: 'function', function: { name: 'get_weather' } }];
+
+      const payload = client.buildPayload(
+        [{ role: 'user', content: 'Weather?' }],
+        'session-123',
+        { userId: 'user-456' },
+        { tools, toolChoice: 'required' },
+      );
+
+      expect(payload.tools).toEqual(tools);
+      expect(payload.toolChoice).toBe('required');
+    });
+
+    test('should not include tools when none are provided', () => {
+      const payload = client.buildPayload([{ role: 'user', content: 'Hi' }], 'session-123', {
+        userId: 'user-456',
+      });
+
+      expect(payload).not.toHaveProperty('tools');
+      expect(payload).not.toHaveProperty('toolChoice');
+    });
+
+    test('should keep tool role messages and assistant tool_calls', () => {
+      const messages = [
+        { role: 'user', content: 'Weather?' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+      ];
+
+      const payload = client.buildPayload(messages, 'session-123', { userId: 'user-456' });
+
+      expect(payload.messages).toEqual(messages);
+      expect(payload.currentMessage).toBe('Sunny');
+    });
   });
 
   describe('nonStreamingCompletion', () => {
@@ -207,6 +373,40 @@ describe('N8nClient', () => {
       expect(result).toBe('Part 1 Part 2 Part 3');
     });
 
+    test('should return content and tool calls when n8n emits tool_call chunks', async () => {
+      const mockStream = {
+        async *[Symbol.asyncIterator]() {
+          yield Buffer.from('{"type":"item","content":"Checking"}');
+          yield Buffer.from(
+            '{"type":"tool_call","id":"call_1","name":"get_weather","arguments":{"city":"Berlin"}}',
+          );
+        },
+      };
+
+      axios.post.mockResolvedValue({
+        data: mockStream,
+      });
+
+      const result = await client.nonStreamingCompletion(
+        'https://n8n.example.com/webhook/test/chat',
+        [{ role: 'user', content: 'Hello' }],
+        'session-123',
+        { userId: 'user-456' },
+      );
+
+      expect(result).toEqual({
+        content: 'Checking',
+        toolCalls: [
+          {
+            type: 'tool_call',
+            id: 'call_1',
+            name: 'get_weather',
+            arguments: '{"city":"Berlin"}',
+          },
+        ],
+      });
+    });
+
     test('should handle errors gracefully', async () => {
       axios.post.mockRejectedValue(new Error('Network error'));
 
@@ -222,6 +422,110 @@ describe('N8nClient', () => {
     });
   });
 
+  describe('transcribeAudio', () => {
+    const file = { name: 'speech.mp3', mimeType: 'audio/mpeg', buffer: Buffer.from('audio') };
+
+    test('should send the file as multipart form data', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hello' } });
+
+      const result = await client.transcribeAudio(
+        'https://n8n.example.com/webhook/audio',
+        file,
+        { task: 'transcription', language: 'en' },
+        { userId: 'user-1' },
+      );
+
+      expect(result).toEqual({ text: 'Hello' });
+      const [url, data, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://n8n.example.com/webhook/audio');
+      expect(options.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+      expect(options.responseType).toBe('json');
+
+      const body = data.getBuffer().toString();
+      expect(body).toContain('name="task"');
+      expect(body).toContain('name="language"');
+      expect(body).toContain('name="userId"');
+      expect(body).not.toContain('name="userEmail"');
+      expect(body).toContain('filename="speech.mp3"');
+    });
+
+    test('should wrap plain text responses', async () => {
+      axios.post.mockResolvedValue({ data: 'Hello\n' });
+
+      const result = await client.transcribeAudio(
+        'https://n8n.example.com/webhook/audio',
+        file,
+        {},
+        {
+          userId: 'user-1',
+        },
+      );
+
+      expect(result).toEqual({ text: 'Hello' });
+    });
+  });
+
+  describe('generateImages', () => {
+    test('should post parameters and user context and return the JSON body', async () => {
+      axios.post.mockResolvedValue({ data: { data: [{ url: 'https://cdn.example.com/a.png' }] } });
+
+      const result = await client.generateImages(
+        'https://n8n.example.com/webhook/image',
+        { prompt: 'A cat', n: 1 },
+        { userId: 'user-1', userRole: 'admin' },
+      );
+
+      expect(result).toEqual({ data: [{ url: 'https://cdn.example.com/a.png' }] });
+      expect(axios.post.mock.calls[0][1]).toEqual({
+        prompt: 'A cat',
+        n: 1,
+        userId: 'user-1',
+        userRole: 'admin',
+      });
+    });
+  });
+
+  describe('fetchImageAsBase64', () => {
+    test('should download the image and encode it', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('png') });
+
+      const result = await client.fetchImageAsBase64('https://cdn.example.com/a.png');
+
+      expect(result).toBe(Buffer.from('png').toString('base64'));
+      expect(axios.get.mock.calls[0][1].responseType).toBe('arraybuffer');
+    });
+  });
+
+  describe('createEmbeddings', () => {
+    test('should post input and user context and return the JSON body', async () => {
+      mockConfig.n8nTimeout = 5000;
+      axios.post.mockResolvedValue({ data: [[0.1, 0.2]] });
+
+      const result = await client.createEmbeddings(
+        'https://n8n.example.com/webhook/embed',
+        ['Hello'],
+        { userId: 'user-1', userEmail: 'user@example.com' },
+      );
+
+      expect(result).toEqual([[0.1, 0.2]]);
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://n8n.example.com/webhook/embed',
+        { input: ['Hello'], userId: 'user-1', userEmail: 'user@example.com' },
+        { headers: { 'Content-Type': 'application/json' }, responseType: 'json', timeout: 5000 },
+      );
+    });
+
+    test('should rethrow request errors', async () => {
+      axios.post.mockRejectedValue(new Error('Network error'));
+
+      await expect(
+        client.createEmbeddings('https://n8n.example.com/webhook/embed', ['Hello'], {
+          userId: 'user-1',
+        }),
+      ).rejects.toThrow('Network error');
+    });
+  });
+
   describe('processResponseStream', () => {
     test('should preserve whitespace in JSON content fields', async () => {
       const mockResponse = {
@@ -470,5 +774,32 @@ describe('N8nClient', () => {
 
       expect(result).toEqual({ content: null, isEndOfTurn: false });
     });
+
+    test('should parse tool_call chunks', () => {
+      const result = client.parseN8nChunk(
+        '{"type":"tool_call","id":"call_1","name":"lookup","arguments":"{\\"q\\":1}"}',
+      );
+
+      expect(result.content).toBeNull();
+      expect(result.toolCall).toEqual({
+        type: 'tool_call',
+        id: 'call_1',
+        name: 'lookup',
+        arguments: '{"q":1}',
+      });
+    });
+
+    test('should generate an id for tool_call chunks without one', () => {
+      const result = client.parseN8nChunk('{"type":"tool_call","name":"lookup"}');
+
+      expect(result.toolCall.id).toMatch(/^call_/);
+      expect(result.toolCall.arguments).toBe('{}');
+    });
+
+    test('should ignore tool_call chunks without a name', () => {
+      const result = client.parseN8nChunk('{"type":"tool_call","arguments":{}}');
+
+      expect(result).toEqual({ content: null, isEndOfTurn: false });
+    });
   });
 });
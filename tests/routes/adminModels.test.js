@@ -0,0 +1,250 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const adminModelsRoute = require('../../src/routes/adminModels');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+describe('adminModels route', () => {
+  let app;
+  let modelRepository;
+  let mockModelLoader;
+  let mockBootstrap;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    modelRepository = new ModelRepository();
+    modelRepository.updateModels({
+      'model-1': 'https://n8n.example.com/webhook/1',
+      'team/model-2': {
+        webhookUrl: 'https://n8n.example.com/webhook/2',
+        bearerToken: 'secret',
+      },
+    });
+
+    mockModelLoader = {
+      isWritable: jest.fn().mockReturnValue(false),
+    };
+
+    // Validation mock: entries need a webhookUrl starting with https://
+    mockBootstrap = {
+      modelLoader: mockModelLoader,
+      validateModelEntry: jest.fn((id, entry) => {
+        const url = typeof entry === 'string' ? entry : entry.webhookUrl;
+        return typeof url === 'string' && url.startsWith('https://') ? entry : null;
+      }),
+      changeModel: jest.fn(async (id, entry, validatedEntry) => {
+        modelRepository.setOverlayEntry(id, validatedEntry);
+        return 'overlay';
+      }),
+    };
+
+    app.locals.bootstrap = mockBootstrap;
+    app.locals.modelRepository = modelRepository;
+
+    app.use('/', adminModelsRoute);
+  });
+
+  describe('GET /', () => {
+    it('should list models without per-model credentials', async () => {
+      const response = await request(app).get('/');
+
+      expect(response.status).toBe(200);
+      expect(response.body.storage).toBe('overlay');
+      expect(response.body.models['model-1']).toBe('https://n8n.example.com/webhook/1');
+      expect(response.body.models['team/model-2'].webhookUrl).toBe(
+        'https://n8n.example.com/webhook/2',
+      );
+      expect(JSON.stringify(response.body)).not.toContain('secret');
+      expect(response.body).not.toHaveProperty('degraded');
+    });
+
+    it('should report source storage for writable loaders', async () => {
+      mockModelLoader.isWritable.mockReturnValue(true);
+
+      const response = await request(app).get('/');
+
+      expect(response.body.storage).toBe('source');
+    });
+
+    it('should include the degraded state while serving cached models', async () => {
+      mockBootstrap.degraded = {
+        reason: 'Cannot connect to n8n',
+        cachedAt: '2025-01-01T00:00:00.000Z',
+        since: '2025-01-02T00:00:00.000Z',
+      };
+
+      const response = await request(app).get('/');
+
+      expect(response.body.degraded).toEqual(mockBootstrap.degraded);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('should return a single model including IDs with slashes', async () => {
+      const response = await request(app).get('/team/model-2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe('team/model-2');
+      expect(response.body.entry.webhookUrl).toBe('https://n8n.example.com/webhook/2');
+      expect(JSON.stringify(response.body)).not.toContain('secret');
+    });
+
+    it('should return 404 for unknown model', async () => {
+      const response = await request(app).get('/unknown');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.message).toBe("Model 'unknown' not found");
+    });
+  });
+
+  describe('POST /', () => {
+    it('should create a model and store a URL-only entry as string', async () => {
+      const response = await request(app)
+        .post('/')
+        .send({ id: 'model-3', webhookUrl: 'https://n8n.example.com/webhook/3' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        status: 'ok',
+        message: 'Model created',
+        id: 'model-3',
+        storage: 'overlay',
+        models: 3,
+      });
+      expect(mockBootstrap.changeModel).toHaveBeenCalledWith(
+        'model-3',
+        'https://n8n.example.com/webhook/3',
+        'https://n8n.example.com/webhook/3',
+      );
+      expect(modelRepository.hasModel('model-3')).toBe(true);
+    });
+
+    it('should keep additional fields as object entry', async () => {
+      const body = {
+        id: 'embedder',
+        webhookUrl: 'https://n8n.example.com/webhook/embed',
+        type: 'embedding',
+      };
+
+      await request(app).post('/').send(body);
+
+      expect(mockBootstrap.changeModel).toHaveBeenCalledWith(
+        'embedder',
+        { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embedding' },
+        { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embedding' },
+      );
+    });
+
+    it('should return 400 when id is missing', async () => {
+      const response = await request(app)
+        .post('/')
+        .send({ webhookUrl: 'https://n8n.example.com/webhook/3' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.type).toBe('invalid_request_error');
+      expect(mockBootstrap.changeModel).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when entry fails validation', async () => {
+      const response = await request(app).post('/').send({ id: 'model-3', webhookUrl: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain("Invalid model 'model-3'");
+      expect(mockBootstrap.changeModel).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when model already exists', async () => {
+      const response = await request(app)
+        .post('/')
+        .send({ id: 'model-1', webhookUrl: 'https://n8n.example.com/webhook/new' });
+
+      expect(response.status).toBe(409);
+      expect(mockBootstrap.changeModel).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the change cannot be stored', async () => {
+      mockBootstrap.changeModel.mockRejectedValue(new Error('EACCES: permission denied'));
+
+      const response = await request(app)
+        .post('/')
+        .send({ id: 'model-3', webhookUrl: 'https://n8n.example.com/webhook/3' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.message).toBe('EACCES: permission denied');
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('should replace an existing model', async () => {
+      const response = await request(app)
+        .put('/model-1')
+        .send({ webhookUrl: 'https://n8n.example.com/webhook/updated' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Model updated');
+      expect(modelRepository.getModelWebhookUrl('model-1')).toBe(
+        'https://n8n.example.com/webhook/updated',
+      );
+    });
+
+    it('should return 404 for unknown model', async () => {
+      const response = await request(app)
+        .put('/unknown')
+        .send({ webhookUrl: 'https://n8n.example.com/webhook/x' });
+
+      expect(response.status).toBe(404);
+      expect(mockBootstrap.changeModel).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for non-object body', async () => {
+      const response = await request(app)
+        .put('/model-1')
+        .set('Content-Type', 'application/json')
+        .send('["https://n8n.example.com/webhook/x"]');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('should remove a model', async () => {
+      const response = await request(app).delete('/team/model-2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        status: 'ok',
+        message: 'Model deleted',
+        id: 'team/model-2',
+        storage: 'overlay',
+        models: 1,
+      });
+      expect(mockBootstrap.changeModel).toHaveBeenCalledWith('team/model-2', null, null);
+      expect(modelRepository.hasModel('team/model-2')).toBe(false);
+    });
+
+    it('should return 404 for unknown model', async () => {
+      const response = await request(app).delete('/unknown');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
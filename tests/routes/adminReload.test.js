@@ -20,11 +20,13 @@ const express = require('express');
 const request = require('supertest');
 const adminReloadRoute = require('../../src/routes/adminReload');
 const ModelRepository = require('../../src/repositories/ModelRepository');
+const Bootstrap = require('../../src/Bootstrap');
 
 describe('adminReload route', () => {
   let app;
   let modelRepository;
   let mockModelLoader;
+  let mockWebhookNotifier;
 
   beforeEach(() => {
     // Create Express app with route
@@ -41,13 +43,21 @@ describe('adminReload route', () => {
     // Mock ModelLoader
     mockModelLoader = {
       load: jest.fn(),
+      constructor: { name: 'MockLoader' },
     };
 
-    // Mock Bootstrap (minimal - only what's needed)
-    const mockBootstrap = {
-      modelLoader: mockModelLoader,
+    mockWebhookNotifier = {
+      notify: jest.fn().mockResolvedValue(),
     };
 
+    // Bootstrap with real reload logic, but without config and loader setup
+    const mockBootstrap = Object.assign(Object.create(Bootstrap.prototype), {
+      modelLoader: mockModelLoader,
+      modelRepository,
+      webhookNotifier: mockWebhookNotifier,
+      saveModelCache: jest.fn(),
+    });
+
     // Store in app.locals (new structure)
     app.locals.bootstrap = mockBootstrap;
     app.locals.modelRepository = modelRepository;
@@ -72,6 +82,12 @@ describe('adminReload route', () => {
         status: 'ok',
         message: 'Models reloaded',
         models: 3,
+        dry_run: false,
+        changes: {
+          added: [{ id: 'model-3', webhookUrl: 'https://n8n.example.com/webhook/3' }],
+          removed: [],
+          changed: [],
+        },
       });
       expect(mockModelLoader.load).toHaveBeenCalled();
       expect(modelRepository.models).toEqual(newModels);
@@ -96,14 +112,83 @@ describe('adminReload route', () => {
       const response = await request(app).post('/').send();
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({
+      expect(response.body).toMatchObject({
         status: 'ok',
         message: 'Models reloaded',
         models: 0,
       });
+      expect(response.body.changes.removed).toHaveLength(2);
       expect(modelRepository.models).toEqual({});
     });
 
+    it('should report changed webhook URLs and notify subscribers with the diff', async () => {
+      mockModelLoader.load.mockResolvedValue({
+        'model-1': 'https://n8n.example.com/webhook/1-new',
+        'model-2': 'https://n8n.example.com/webhook/2',
+      });
+
+      const response = await request(app).post('/').send();
+
+      expect(response.body.changes).toEqual({
+        added: [],
+        removed: [],
+        changed: [
+          {
+            id: 'model-1',
+            oldWebhookUrl: 'https://n8n.example.com/webhook/1',
+            newWebhookUrl: 'https://n8n.example.com/webhook/1-new',
+          },
+        ],
+      });
+      expect(mockWebhookNotifier.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'models_changed',
+          source: 'MockLoader',
+          changes: response.body.changes,
+        }),
+      );
+    });
+
+    it('should not notify subscribers when nothing changed', async () => {
+      mockModelLoader.load.mockResolvedValue({ ...modelRepository.models });
+
+      const response = await request(app).post('/').send();
+
+      expect(response.body.changes).toEqual({ added: [], removed: [], changed: [] });
+      expect(mockWebhookNotifier.notify).not.toHaveBeenCalled();
+    });
+
+    it('should return the diff without applying it on dry run', async () => {
+      const previousModels = { ...modelRepository.models };
+      mockModelLoader.load.mockResolvedValue({
+        'model-2': 'https://n8n.example.com/webhook/2-new',
+        'model-3': 'https://n8n.example.com/webhook/3',
+      });
+
+      const response = await request(app).post('/?dry_run=true').send();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        status: 'ok',
+        message: 'Dry run, models not applied',
+        models: 2,
+        dry_run: true,
+        changes: {
+          added: [{ id: 'model-3', webhookUrl: 'https://n8n.example.com/webhook/3' }],
+          removed: [{ id: 'model-1', webhookUrl: 'https://n8n.example.com/webhook/1' }],
+          changed: [
+            {
+              id: 'model-2',
+              oldWebhookUrl: 'https://n8n.example.com/webhook/2',
+              newWebhookUrl: 'https://n8n.example.com/webhook/2-new',
+            },
+          ],
+        },
+      });
+      expect(modelRepository.models).toEqual(previousModels);
+      expect(mockWebhookNotifier.notify).not.toHaveBeenCalled();
+    });
+
     it('should return 500 if reload fails', async () => {
       mockModelLoader.load.mockRejectedValue(new Error('Failed to read models.json'));
 
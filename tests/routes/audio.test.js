@@ -0,0 +1,192 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const audioRoute = require('../../src/routes/audio');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+describe('audio routes', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'chat-model': 'https://n8n.example.com/webhook/chat',
+      whisper: { webhookUrl: 'https://n8n.example.com/webhook/audio', type: 'audio' },
+    };
+
+    mockN8nClient = {
+      transcribeAudio: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/v1/audio', audioRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  /**
+   * Build a multipart transcription request
+   * @param {string} path - Route path
+   * @param {Object} fields - Form fields
+   * @returns {Object} supertest request
+   */
+  function upload(path, fields) {
+    const req = request(app).post(path).attach('file', Buffer.from('fake audio'), {
+      filename: 'speech.mp3',
+      contentType: 'audio/mpeg',
+    });
+    for (const [key, value] of Object.entries(fields)) {
+      req.field(key, value);
+    }
+    return req;
+  }
+
+  it('should return 400 if file is missing', async () => {
+    const response = await request(app).post('/v1/audio/transcriptions').field('model', 'whisper');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Missing required fields: file, model');
+  });
+
+  it('should return 400 for unsupported response_format', async () => {
+    const response = await upload('/v1/audio/transcriptions', {
+      model: 'whisper',
+      response_format: 'verbose_json',
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe(
+      'response_format must be one of: json, text, srt, vtt',
+    );
+  });
+
+  it('should return 404 if model is not found', async () => {
+    const response = await upload('/v1/audio/transcriptions', { model: 'unknown' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 400 for non-audio models', async () => {
+    const response = await upload('/v1/audio/transcriptions', { model: 'chat-model' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe("Model 'chat-model' is not an audio model");
+  });
+
+  it('should forward the file and fields and return json', async () => {
+    mockN8nClient.transcribeAudio.mockResolvedValue({ text: 'Hello world' });
+
+    const response = await upload('/v1/audio/transcriptions', {
+      model: 'whisper',
+      language: 'de',
+      prompt: 'Names: Sven',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ text: 'Hello world' });
+
+    const [webhookUrl, file, fields] = mockN8nClient.transcribeAudio.mock.calls[0];
+    expect(webhookUrl).toBe('https://n8n.example.com/webhook/audio');
+    expect(file.name).toBe('speech.mp3');
+    expect(file.mimeType).toBe('audio/mpeg');
+    expect(file.buffer.toString()).toBe('fake audio');
+    expect(fields).toEqual({
+      task: 'transcription',
+      language: 'de',
+      prompt: 'Names: Sven',
+      temperature: undefined,
+    });
+  });
+
+  it('should not forward language for translations', async () => {
+    mockN8nClient.transcribeAudio.mockResolvedValue({ text: 'Hello' });
+
+    const response = await upload('/v1/audio/translations', {
+      model: 'whisper',
+      language: 'de',
+      response_format: 'text',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.text).toBe('Hello');
+    expect(mockN8nClient.transcribeAudio.mock.calls[0][2]).not.toHaveProperty('language');
+    expect(mockN8nClient.transcribeAudio.mock.calls[0][2].task).toBe('translation');
+  });
+
+  it('should render srt from segments', async () => {
+    mockN8nClient.transcribeAudio.mockResolvedValue({
+      text: 'Hello world',
+      segments: [
+        { start: 0, end: 1.5, text: 'Hello' },
+        { start: 1.5, end: 3, text: 'world' },
+      ],
+    });
+
+    const response = await upload('/v1/audio/transcriptions', {
+      model: 'whisper',
+      response_format: 'srt',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nHello\n\n2\n00:00:01,500 --> 00:00:03,000\nworld\n',
+    );
+  });
+
+  it('should return 502 if n8n does not return text', async () => {
+    mockN8nClient.transcribeAudio.mockResolvedValue({ output: 'nope' });
+
+    const response = await upload('/v1/audio/transcriptions', { model: 'whisper' });
+
+    expect(response.status).toBe(502);
+  });
+
+  it('should return 500 on n8nClient error', async () => {
+    mockN8nClient.transcribeAudio.mockRejectedValue(new Error('Connection failed'));
+
+    const response = await upload('/v1/audio/transcriptions', { model: 'whisper' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.message).toBe('Internal server error');
+  });
+});
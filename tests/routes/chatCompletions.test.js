@@ -132,6 +132,94 @@ describe('chatCompletions route', () => {
           type: 'invalid_request_error',
         });
       });
+
+      it('should forward per-model settings to n8nClient', async () => {
+        modelRepository.models = {
+          'slow-model': {
+            webhookUrl: 'https://n8n.example.com/webhook/slow',
+            type: 'chat',
+            timeout: 600000,
+          },
+        };
+        mockN8nClient.nonStreamingCompletion.mockResolvedValue('OK');
+
+        await request(app)
+          .post('/')
+          .send({ model: 'slow-model', messages: [{ role: 'user', content: 'Hello' }] });
+
+        expect(mockN8nClient.nonStreamingCompletion.mock.calls[0][4]).toEqual({
+          settings: { timeout: 600000 },
+          modelId: 'slow-model',
+          sessionGenerated: true,
+        });
+      });
+
+      it('should return 400 if model is not a chat model', async () => {
+        modelRepository.models = {
+          'embed-model': {
+            webhookUrl: 'https://n8n.example.com/webhook/embed',
+            type: 'embeddings',
+          },
+        };
+
+        const response = await request(app)
+          .post('/')
+          .send({
+            model: 'embed-model',
+            messages: [{ role: 'user', content: 'Hello' }],
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toBe("Model 'embed-model' is not a chat model");
+        expect(mockN8nClient.nonStreamingCompletion).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('model aliases', () => {
+      let consoleWarnSpy;
+
+      beforeEach(() => {
+        consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+        modelRepository.models = {
+          'research-agent': {
+            webhookUrl: 'https://n8n.example.com/webhook/research',
+            type: 'chat',
+            aliases: ['gpt-4'],
+            deprecatedIds: ['old-research'],
+          },
+        };
+        mockN8nClient.nonStreamingCompletion.mockResolvedValue('Hello');
+      });
+
+      afterEach(() => {
+        consoleWarnSpy.mockRestore();
+      });
+
+      it('should forward alias requests to the target webhook without warning', async () => {
+        const response = await request(app)
+          .post('/')
+          .send({ model: 'gpt-4', messages: [{ role: 'user', content: 'Hello' }] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.model).toBe('gpt-4');
+        expect(response.headers.warning).toBeUndefined();
+        expect(mockN8nClient.nonStreamingCompletion.mock.calls[0][0]).toBe(
+          'https://n8n.example.com/webhook/research',
+        );
+      });
+
+      it('should add a warning header and log line for deprecated IDs', async () => {
+        const response = await request(app)
+          .post('/')
+          .send({ model: 'old-research', messages: [{ role: 'user', content: 'Hello' }] });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.deprecation).toBe('true');
+        expect(response.headers.warning).toContain("use 'research-agent'");
+        expect(consoleWarnSpy).toHaveBeenCalledWith(
+          expect.stringContaining("Deprecated model ID 'old-research' requested"),
+        );
+      });
     });
 
     describe('non-streaming mode', () => {
@@ -202,6 +290,7 @@ describe('chatCompletions route', () => {
           [{ role: 'user', content: 'Hello' }],
           'session-123',
           expect.objectContaining({ userId: 'anonymous' }),
+          { modelId: 'test-model' },
         );
       });
 
@@ -229,9 +318,85 @@ describe('chatCompletions route', () => {
             userName: 'Test User',
             userRole: 'admin',
           },
+          { modelId: 'test-model', sessionGenerated: true },
+        );
+      });
+
+      it('should forward tools and tool_choice to n8nClient', async () => {
+        mockN8nClient.nonStreamingCompletion.mockResolvedValue('Response');
+        const tools = [
+          { type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } },
+        ];
+
+        await request(app)
+          .post('/')
+          .send({
+            model: 'test-model',
+            messages: [{ role: 'user', content: 'Weather in Berlin?' }],
+            tools,
+            tool_choice: 'auto',
+          });
+
+        expect(mockN8nClient.nonStreamingCompletion).toHaveBeenCalledWith(
+          'https://n8n.example.com/webhook/test',
+          expect.any(Array),
+          expect.any(String),
+          expect.any(Object),
+          { tools, toolChoice: 'auto', modelId: 'test-model', sessionGenerated: true },
         );
       });
 
+      it('should return tool_calls when n8n emits tool calls', async () => {
+        mockN8nClient.nonStreamingCompletion.mockResolvedValue({
+          content: '',
+          toolCalls: [
+            {
+              type: 'tool_call',
+              id: 'call_1',
+              name: 'get_weather',
+              arguments: '{"city":"Berlin"}',
+            },
+          ],
+        });
+
+        const response = await request(app)
+          .post('/')
+          .send({
+            model: 'test-model',
+            messages: [{ role: 'user', content: 'Weather in Berlin?' }],
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.choices[0]).toEqual({
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              {
+                id: 'call_1',
+                type: 'function',
+                function: { name: 'get_weather', arguments: '{"city":"Berlin"}' },
+              },
+            ],
+          },
+          finish_reason: 'tool_calls',
+        });
+      });
+
+      it('should return 400 for invalid tools', async () => {
+        const response = await request(app)
+          .post('/')
+          .send({
+            model: 'test-model',
+            messages: [{ role: 'user', content: 'Hello' }],
+            tools: [{ type: 'function' }],
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.type).toBe('invalid_request_error');
+      });
+
       it('should return 500 on n8nClient error', async () => {
         mockN8nClient.nonStreamingCompletion.mockRejectedValue(new Error('Connection failed'));
 
@@ -285,6 +450,40 @@ describe('chatCompletions route', () => {
         expect(response.text).toContain('data: [DONE]');
       });
 
+      it('should stream tool calls as tool_calls deltas', async () => {
+        async function* mockStreamGenerator() {
+          yield { type: 'tool_call', id: 'call_1', name: 'get_weather', arguments: '{}' };
+          yield { type: 'tool_call', id: 'call_2', name: 'get_time', arguments: '{}' };
+        }
+
+        mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+        const response = await request(app)
+          .post('/')
+          .send({
+            model: 'test-model',
+            messages: [{ role: 'user', content: 'Hello' }],
+            stream: true,
+          });
+
+        const chunks = response.text
+          .split('\n\n')
+          .filter((line) => line.startsWith('data: {'))
+          .map((line) => JSON.parse(line.slice(6)));
+
+        expect(chunks[0].choices[0].delta.tool_calls).toEqual([
+          {
+            index: 0,
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{}' },
+          },
+        ]);
+        expect(chunks[1].choices[0].delta.tool_calls[0].index).toBe(1);
+        expect(chunks[2].choices[0].finish_reason).toBe('tool_calls');
+        expect(response.text).toContain('data: [DONE]');
+      });
+
       it('should handle streaming error gracefully', async () => {
         async function* mockStreamGenerator() {
           yield 'Start';
@@ -327,6 +526,7 @@ describe('chatCompletions route', () => {
           [{ role: 'user', content: 'Hello' }],
           'session-789',
           expect.objectContaining({ userId: 'user-123' }),
+          { modelId: 'test-model' },
         );
       });
     });
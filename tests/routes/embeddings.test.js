@@ -0,0 +1,146 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const embeddingsRoute = require('../../src/routes/embeddings');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+describe('embeddings route', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'chat-model': 'https://n8n.example.com/webhook/chat',
+      'embed-model': { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embeddings' },
+    };
+
+    mockN8nClient = {
+      createEmbeddings: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/', embeddingsRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should return 400 if input is missing', async () => {
+    const response = await request(app).post('/').send({ model: 'embed-model' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Missing required fields: model, input');
+  });
+
+  it('should return 404 if model is not found', async () => {
+    const response = await request(app).post('/').send({ model: 'unknown', input: 'Hello' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 400 for chat models', async () => {
+    const response = await request(app).post('/').send({ model: 'chat-model', input: 'Hello' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe("Model 'chat-model' is not an embeddings model");
+    expect(mockN8nClient.createEmbeddings).not.toHaveBeenCalled();
+  });
+
+  it('should wrap vectors in the OpenAI list shape', async () => {
+    mockN8nClient.createEmbeddings.mockResolvedValue([
+      [0.1, 0.2],
+      [0.3, 0.4],
+    ]);
+
+    const response = await request(app)
+      .post('/')
+      .set('X-User-Id', 'user-1')
+      .send({ model: 'embed-model', input: ['first', 'second'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      object: 'list',
+      data: [
+        { object: 'embedding', index: 0, embedding: [0.1, 0.2] },
+        { object: 'embedding', index: 1, embedding: [0.3, 0.4] },
+      ],
+      model: 'embed-model',
+      usage: { prompt_tokens: 0, total_tokens: 0 },
+    });
+    expect(mockN8nClient.createEmbeddings).toHaveBeenCalledWith(
+      'https://n8n.example.com/webhook/embed',
+      ['first', 'second'],
+      expect.objectContaining({ userId: 'user-1' }),
+      {},
+      'embed-model',
+    );
+  });
+
+  it('should send string input as a single-item array', async () => {
+    mockN8nClient.createEmbeddings.mockResolvedValue([[0.5]]);
+
+    const response = await request(app)
+      .post('/')
+      .send({ model: 'embed-model', input: 'Hello', encoding_format: 'base64' });
+
+    expect(response.status).toBe(200);
+    expect(mockN8nClient.createEmbeddings.mock.calls[0][1]).toEqual(['Hello']);
+    expect(response.body.data[0].embedding).toBe('AAAAPw==');
+  });
+
+  it('should return 502 if n8n does not return float vectors', async () => {
+    mockN8nClient.createEmbeddings.mockResolvedValue({ output: 'not vectors' });
+
+    const response = await request(app).post('/').send({ model: 'embed-model', input: 'Hello' });
+
+    expect(response.status).toBe(502);
+    expect(response.body.error.type).toBe('server_error');
+  });
+
+  it('should return 500 on n8nClient error', async () => {
+    mockN8nClient.createEmbeddings.mockRejectedValue(new Error('Connection failed'));
+
+    const response = await request(app).post('/').send({ model: 'embed-model', input: 'Hello' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.message).toBe('Internal server error');
+  });
+});
@@ -66,6 +66,34 @@ describe('Health Route - GET /health', () => {
     });
   });
 
+  describe('Degraded State', () => {
+    test('should return "ok" when bootstrap is not degraded', async () => {
+      app.locals.bootstrap = { degraded: null };
+
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.body.status).toBe('ok');
+      expect(response.body).not.toHaveProperty('since');
+    });
+
+    test('should report degraded state while serving cached models', async () => {
+      const degraded = {
+        reason: 'Cannot connect to n8n',
+        cachedAt: '2025-01-01T00:00:00.000Z',
+        since: '2025-01-02T00:00:00.000Z',
+      };
+      app.locals.bootstrap = { degraded };
+
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.body.status).toBe('degraded');
+      expect(response.body.since).toBe('2025-01-02T00:00:00.000Z');
+      expect(typeof response.body.uptime).toBe('number');
+      expect(response.body).not.toHaveProperty('degraded');
+      expect(JSON.stringify(response.body)).not.toContain('Cannot connect to n8n');
+    });
+  });
+
   describe('Uptime Values', () => {
     test('should return non-negative uptime', async () => {
       const response = await request(app).get('/').expect(200);
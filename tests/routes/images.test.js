@@ -0,0 +1,163 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const imagesRoute = require('../../src/routes/images');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+describe('images route', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'chat-model': 'https://n8n.example.com/webhook/chat',
+      painter: { webhookUrl: 'https://n8n.example.com/webhook/image', type: 'image' },
+    };
+
+    mockN8nClient = {
+      generateImages: jest.fn(),
+      fetchImageAsBase64: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/v1/images', imagesRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should return 400 if prompt is missing', async () => {
+    const response = await request(app).post('/v1/images/generations').send({ model: 'painter' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Missing required fields: model, prompt');
+  });
+
+  it('should return 404 if model is not found', async () => {
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'unknown', prompt: 'A cat' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 400 for non-image models', async () => {
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'chat-model', prompt: 'A cat' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe("Model 'chat-model' is not an image model");
+  });
+
+  it('should forward parameters and return URLs', async () => {
+    mockN8nClient.generateImages.mockResolvedValue({
+      data: [{ url: 'https://cdn.example.com/1.png', revised_prompt: 'A fluffy cat' }],
+    });
+
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .set('X-User-Id', 'user-1')
+      .send({ model: 'painter', prompt: 'A cat', size: '512x512' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      { url: 'https://cdn.example.com/1.png', revised_prompt: 'A fluffy cat' },
+    ]);
+    expect(response.body.created).toEqual(expect.any(Number));
+    expect(mockN8nClient.generateImages).toHaveBeenCalledWith(
+      'https://n8n.example.com/webhook/image',
+      { prompt: 'A cat', n: 1, size: '512x512', responseFormat: 'url' },
+      expect.objectContaining({ userId: 'user-1' }),
+      {},
+      'painter',
+    );
+  });
+
+  it('should return base64 data as data URL when url is requested', async () => {
+    mockN8nClient.generateImages.mockResolvedValue(['iVBORw0KGgo=']);
+
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'painter', prompt: 'A cat' });
+
+    expect(response.body.data).toEqual([{ url: 'data:image/png;base64,iVBORw0KGgo=' }]);
+  });
+
+  it('should download URLs when b64_json is requested and honor n', async () => {
+    mockN8nClient.generateImages.mockResolvedValue({
+      images: ['https://cdn.example.com/1.png', 'https://cdn.example.com/2.png'],
+    });
+    mockN8nClient.fetchImageAsBase64.mockResolvedValue('AAAA');
+
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'painter', prompt: 'A cat', n: 1, response_format: 'b64_json' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([{ b64_json: 'AAAA' }]);
+    expect(mockN8nClient.fetchImageAsBase64).toHaveBeenCalledTimes(1);
+    expect(mockN8nClient.fetchImageAsBase64).toHaveBeenCalledWith(
+      'https://cdn.example.com/1.png',
+      {},
+    );
+  });
+
+  it('should return 502 if n8n returns no images', async () => {
+    mockN8nClient.generateImages.mockResolvedValue({ output: 42 });
+
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'painter', prompt: 'A cat' });
+
+    expect(response.status).toBe(502);
+  });
+
+  it('should return 500 on n8nClient error', async () => {
+    mockN8nClient.generateImages.mockRejectedValue(new Error('Connection failed'));
+
+    const response = await request(app)
+      .post('/v1/images/generations')
+      .send({ model: 'painter', prompt: 'A cat' });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,227 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const messagesRoute = require('../../src/routes/messages');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+/**
+ * Parse SSE events from a response body
+ * @param {string} text - Raw SSE body
+ * @returns {Array<Object>} Parsed event data objects
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter((block) => block.includes('data: '))
+    .map((block) => JSON.parse(block.split('data: ')[1]));
+}
+
+describe('messages route', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.sessionIdHeaders = ['X-Session-Id'];
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'test-model': 'https://n8n.example.com/webhook/test',
+    };
+
+    mockN8nClient = {
+      streamCompletion: jest.fn(),
+      nonStreamingCompletion: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/', messagesRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('validation', () => {
+    it('should return 400 in Anthropic error format if messages are missing', async () => {
+      const response = await request(app).post('/').send({ model: 'test-model' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        type: 'error',
+        error: {
+          type: 'invalid_request_error',
+          message: 'Missing required fields: model, messages',
+        },
+      });
+    });
+
+    it('should return 404 if model is not found', async () => {
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'unknown', messages: [{ role: 'user', content: 'Hi' }] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.type).toBe('not_found_error');
+    });
+  });
+
+  describe('non-streaming mode', () => {
+    it('should return an Anthropic message', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('Hello there');
+
+      const response = await request(app)
+        .post('/')
+        .send({
+          model: 'test-model',
+          max_tokens: 1024,
+          messages: [{ role: 'user', content: 'Hello' }],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        type: 'message',
+        role: 'assistant',
+        model: 'test-model',
+        content: [{ type: 'text', text: 'Hello there' }],
+        stop_reason: 'end_turn',
+      });
+      expect(response.body.id).toMatch(/^msg_/);
+    });
+
+    it('should convert system and content blocks into chat messages', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('OK');
+
+      await request(app)
+        .post('/')
+        .set('X-Session-Id', 'session-1')
+        .send({
+          model: 'test-model',
+          system: [{ type: 'text', text: 'Be brief' }],
+          messages: [
+            { role: 'user', content: [{ type: 'text', text: 'Hello' }] },
+            { role: 'assistant', content: 'Hi!' },
+            { role: 'user', content: 'Bye' },
+          ],
+        });
+
+      expect(mockN8nClient.nonStreamingCompletion).toHaveBeenCalledWith(
+        'https://n8n.example.com/webhook/test',
+        [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Hello' },
+          { role: 'assistant', content: 'Hi!' },
+          { role: 'user', content: 'Bye' },
+        ],
+        'session-1',
+        expect.objectContaining({ userId: 'anonymous' }),
+        { modelId: 'test-model' },
+      );
+    });
+
+    it('should return 500 in Anthropic error format on n8nClient error', async () => {
+      mockN8nClient.nonStreamingCompletion.mockRejectedValue(new Error('Connection failed'));
+
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'test-model', messages: [{ role: 'user', content: 'Hi' }] });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({
+        type: 'error',
+        error: { type: 'api_error', message: 'Internal server error' },
+      });
+    });
+  });
+
+  describe('streaming mode', () => {
+    it('should stream Anthropic message events', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Hello';
+        yield ' World';
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/')
+        .send({
+          model: 'test-model',
+          messages: [{ role: 'user', content: 'Hi' }],
+          stream: true,
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/event-stream');
+      expect(response.text).toContain('event: message_start');
+
+      const events = parseEvents(response.text);
+      expect(events.map((e) => e.type)).toEqual([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop',
+      ]);
+      expect(events[2].delta).toEqual({ type: 'text_delta', text: 'Hello' });
+      expect(events[5].delta.stop_reason).toBe('end_turn');
+    });
+
+    it('should emit an error event on stream errors', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Start';
+        throw new Error('Stream error');
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/')
+        .send({
+          model: 'test-model',
+          messages: [{ role: 'user', content: 'Hi' }],
+          stream: true,
+        });
+
+      const events = parseEvents(response.text);
+      expect(events[events.length - 1]).toEqual({
+        type: 'error',
+        error: { type: 'api_error', message: 'Error during streaming' },
+      });
+    });
+  });
+});
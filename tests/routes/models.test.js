@@ -39,6 +39,7 @@ describe('Models Route - GET /v1/models', () => {
 
     // Store modelRepository in app.locals (new structure)
     app.locals.modelRepository = modelRepository;
+    app.locals.config = { modelsListAliases: false };
 
     // Mount route
     app.use('/', modelsRoute);
@@ -228,3 +229,135 @@ describe('Models Route - GET /v1/models', () => {
     });
   });
 });
+
+describe('Models Route - metadata and GET /v1/models/:id', () => {
+  let app;
+  let modelRepository;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'plain-model': 'https://n8n.example.com/webhook/plain/chat',
+      'team/rich-model': {
+        webhookUrl: 'https://n8n.example.com/webhook/rich/chat',
+        type: 'chat',
+        description: 'Research agent',
+        owned_by: 'research-team',
+        created: 1700000000,
+        context_length: 128000,
+        capabilities: { vision: true, tools: false },
+        tags: ['research'],
+      },
+    };
+
+    app.locals.modelRepository = modelRepository;
+    app.locals.config = { modelsListAliases: false };
+    app.use('/', modelsRoute);
+  });
+
+  test('should expose configured metadata in the list', async () => {
+    const response = await request(app).get('/').expect(200);
+    const model = response.body.data.find((m) => m.id === 'team/rich-model');
+
+    expect(model).toEqual({
+      id: 'team/rich-model',
+      object: 'model',
+      created: 1700000000,
+      owned_by: 'research-team',
+      description: 'Research agent',
+      context_length: 128000,
+      capabilities: { vision: true, tools: false },
+      tags: ['research'],
+    });
+  });
+
+  test('should keep created stable for models without metadata', async () => {
+    const first = await request(app).get('/plain-model').expect(200);
+    const second = await request(app).get('/').expect(200);
+
+    expect(first.body.owned_by).toBe('n8n');
+    expect(second.body.data.find((m) => m.id === 'plain-model').created).toBe(first.body.created);
+  });
+
+  test('should retrieve models with slashes in the ID', async () => {
+    const response = await request(app).get('/team/rich-model').expect(200);
+
+    expect(response.body.id).toBe('team/rich-model');
+    expect(response.body).not.toHaveProperty('webhookUrl');
+  });
+
+  test('should return 404 for unknown models', async () => {
+    const response = await request(app).get('/unknown').expect(404);
+
+    expect(response.body.error).toEqual({
+      message: "Model 'unknown' not found",
+      type: 'invalid_request_error',
+    });
+  });
+});
+
+describe('Models Route - aliases', () => {
+  let app;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    app = express();
+
+    const modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'research-agent': {
+        webhookUrl: 'https://n8n.example.com/webhook/research/chat',
+        type: 'chat',
+        aliases: ['gpt-4'],
+        deprecatedIds: ['old-research'],
+      },
+    };
+
+    app.locals.modelRepository = modelRepository;
+    app.locals.config = { modelsListAliases: false };
+    app.use('/', modelsRoute);
+  });
+
+  afterEach(() => {
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('should not list aliases by default', async () => {
+    const response = await request(app).get('/');
+
+    expect(response.body.data.map((model) => model.id)).toEqual(['research-agent']);
+  });
+
+  test('should list aliases but not deprecated IDs when enabled', async () => {
+    app.locals.config.modelsListAliases = true;
+
+    const response = await request(app).get('/');
+
+    expect(response.body.data.map((model) => model.id)).toEqual(['research-agent', 'gpt-4']);
+  });
+
+  test('should retrieve a model by alias', async () => {
+    const response = await request(app).get('/gpt-4');
+
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe('gpt-4');
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+
+  test('should retrieve a deprecated ID with deprecation headers', async () => {
+    const response = await request(app).get('/old-research');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.deprecation).toBe('true');
+    expect(response.headers.warning).toBe(
+      "299 - \"Model 'old-research' is deprecated, use 'research-agent'\"",
+    );
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining("Deprecated model ID 'old-research' requested, use 'research-agent'"),
+    );
+  });
+});
@@ -0,0 +1,247 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const ollamaRoute = require('../../src/routes/ollama');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+/**
+ * Parse newline-delimited JSON from a response body
+ * @param {string} text - Raw NDJSON body
+ * @returns {Array<Object>} Parsed lines
+ */
+function parseLines(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.trim().length > 0)
+    .map((line) => JSON.parse(line));
+}
+
+describe('ollama routes', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.sessionIdHeaders = ['X-Session-Id'];
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'test-model': 'https://n8n.example.com/webhook/test',
+    };
+
+    mockN8nClient = {
+      streamCompletion: jest.fn(),
+      nonStreamingCompletion: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/api', ollamaRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('GET /api/tags', () => {
+    it('should list models in Ollama format', async () => {
+      const response = await request(app).get('/api/tags');
+
+      expect(response.status).toBe(200);
+      expect(response.body.models).toHaveLength(1);
+      expect(response.body.models[0]).toMatchObject({
+        name: 'test-model',
+        model: 'test-model',
+        size: 0,
+      });
+      expect(response.body.models[0].modified_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('should only list chat models', async () => {
+      modelRepository.models = {
+        'test-model': 'https://n8n.example.com/webhook/test',
+        'embed-model': { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embeddings' },
+        painter: { webhookUrl: 'https://n8n.example.com/webhook/image', type: 'image' },
+      };
+
+      const response = await request(app).get('/api/tags');
+
+      expect(response.body.models.map((model) => model.name)).toEqual(['test-model']);
+    });
+  });
+
+  describe('POST /api/chat', () => {
+    it('should return 400 if messages are missing', async () => {
+      const response = await request(app).post('/api/chat').send({ model: 'test-model' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Missing required fields: model, messages' });
+    });
+
+    it('should return 404 if model is not found', async () => {
+      const response = await request(app)
+        .post('/api/chat')
+        .send({ model: 'unknown', messages: [{ role: 'user', content: 'Hi' }] });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: "model 'unknown' not found" });
+    });
+
+    it('should stream NDJSON chunks by default', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Hello';
+        yield ' World';
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/api/chat')
+        .send({ model: 'test-model', messages: [{ role: 'user', content: 'Hi' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/x-ndjson');
+
+      const lines = parseLines(response.text);
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatchObject({
+        model: 'test-model',
+        message: { role: 'assistant', content: 'Hello' },
+        done: false,
+      });
+      expect(lines[2]).toMatchObject({
+        message: { role: 'assistant', content: '' },
+        done: true,
+        done_reason: 'stop',
+      });
+    });
+
+    it('should return a single response when stream is false', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('Hello there');
+
+      const response = await request(app)
+        .post('/api/chat')
+        .set('X-Session-Id', 'session-1')
+        .send({
+          model: 'test-model',
+          stream: false,
+          messages: [{ role: 'user', content: 'Describe', images: ['AAA'] }],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        model: 'test-model',
+        message: { role: 'assistant', content: 'Hello there' },
+        done: true,
+      });
+      expect(mockN8nClient.nonStreamingCompletion).toHaveBeenCalledWith(
+        'https://n8n.example.com/webhook/test',
+        [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Describe' },
+              { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } },
+            ],
+          },
+        ],
+        'session-1',
+        expect.objectContaining({ userId: 'anonymous' }),
+        { modelId: 'test-model' },
+      );
+    });
+
+    it('should write an error line on stream errors', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Start';
+        throw new Error('Stream error');
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/api/chat')
+        .send({ model: 'test-model', messages: [{ role: 'user', content: 'Hi' }] });
+
+      const lines = parseLines(response.text);
+      expect(lines[lines.length - 1]).toEqual({ error: 'Error during streaming' });
+    });
+  });
+
+  describe('POST /api/generate', () => {
+    it('should return 400 if prompt is missing', async () => {
+      const response = await request(app).post('/api/generate').send({ model: 'test-model' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Missing required fields: model, prompt' });
+    });
+
+    it('should stream generate chunks', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Once';
+        yield ' upon';
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/api/generate')
+        .send({ model: 'test-model', prompt: 'Tell a story', system: 'Be brief' });
+
+      const lines = parseLines(response.text);
+      expect(lines.map((line) => line.response)).toEqual(['Once', ' upon', '']);
+      expect(lines[2].done).toBe(true);
+      expect(mockN8nClient.streamCompletion).toHaveBeenCalledWith(
+        'https://n8n.example.com/webhook/test',
+        [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Tell a story' },
+        ],
+        expect.any(String),
+        expect.any(Object),
+        { modelId: 'test-model', sessionGenerated: true },
+      );
+    });
+
+    it('should return 500 on n8nClient error', async () => {
+      mockN8nClient.nonStreamingCompletion.mockRejectedValue(new Error('Connection failed'));
+
+      const response = await request(app)
+        .post('/api/generate')
+        .send({ model: 'test-model', prompt: 'Hi', stream: false });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Internal server error' });
+    });
+  });
+});
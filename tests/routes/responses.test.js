@@ -0,0 +1,233 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const responsesRoute = require('../../src/routes/responses');
+const Config = require('../../src/config/Config');
+const ModelRepository = require('../../src/repositories/ModelRepository');
+
+/**
+ * Parse typed SSE events from a response body
+ * @param {string} text - Raw SSE body
+ * @returns {Array<Object>} Parsed event data objects
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter((block) => block.includes('data: '))
+    .map((block) => JSON.parse(block.split('data: ')[1]));
+}
+
+describe('responses route', () => {
+  let app;
+  let config;
+  let modelRepository;
+  let mockN8nClient;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    app = express();
+    app.use(express.json());
+
+    config = new Config();
+    config.logRequests = false;
+    config.sessionIdHeaders = ['X-Session-Id'];
+    config.userIdHeaders = ['X-User-Id'];
+    config.userEmailHeaders = ['X-User-Email'];
+    config.userNameHeaders = ['X-User-Name'];
+    config.userRoleHeaders = ['X-User-Role'];
+
+    modelRepository = new ModelRepository();
+    modelRepository.models = {
+      'test-model': 'https://n8n.example.com/webhook/test',
+    };
+
+    mockN8nClient = {
+      streamCompletion: jest.fn(),
+      nonStreamingCompletion: jest.fn(),
+    };
+
+    app.locals.config = config;
+    app.locals.modelRepository = modelRepository;
+    app.locals.n8nClient = mockN8nClient;
+
+    app.use('/', responsesRoute);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('validation', () => {
+    it('should return 400 if input is missing', async () => {
+      const response = await request(app).post('/').send({ model: 'test-model' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.type).toBe('invalid_request_error');
+    });
+
+    it('should return 400 if input has no message items', async () => {
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'test-model', input: [{ type: 'reasoning' }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 if model is not found', async () => {
+      const response = await request(app).post('/').send({ model: 'unknown', input: 'Hi' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.message).toBe("Model 'unknown' not found");
+    });
+  });
+
+  describe('non-streaming mode', () => {
+    it('should return a response object with output_text', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('Hello there');
+
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'test-model', input: 'Hello', instructions: 'Be brief' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        object: 'response',
+        status: 'completed',
+        model: 'test-model',
+        instructions: 'Be brief',
+        previous_response_id: null,
+        output: [
+          {
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'output_text', text: 'Hello there', annotations: [] }],
+          },
+        ],
+      });
+      expect(response.body.id).toMatch(/^resp_/);
+    });
+
+    it('should convert input and instructions into chat messages', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('OK');
+
+      await request(app)
+        .post('/')
+        .set('X-Session-Id', 'session-1')
+        .send({
+          model: 'test-model',
+          instructions: 'Be brief',
+          input: [
+            { role: 'user', content: [{ type: 'input_text', text: 'Hello' }] },
+            { type: 'message', role: 'assistant', content: 'Hi!' },
+            { role: 'user', content: 'How are you?' },
+          ],
+        });
+
+      expect(mockN8nClient.nonStreamingCompletion).toHaveBeenCalledWith(
+        'https://n8n.example.com/webhook/test',
+        [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Hello' },
+          { role: 'assistant', content: 'Hi!' },
+          { role: 'user', content: 'How are you?' },
+        ],
+        'session-1',
+        expect.objectContaining({ userId: 'anonymous' }),
+        { modelId: 'test-model' },
+      );
+    });
+
+    it('should continue the session of previous_response_id', async () => {
+      mockN8nClient.nonStreamingCompletion.mockResolvedValue('OK');
+
+      const first = await request(app)
+        .post('/')
+        .set('X-Session-Id', 'session-abc')
+        .send({ model: 'test-model', input: 'Hello' });
+
+      await request(app)
+        .post('/')
+        .send({ model: 'test-model', input: 'Again', previous_response_id: first.body.id });
+
+      expect(mockN8nClient.nonStreamingCompletion.mock.calls[1][2]).toBe('session-abc');
+    });
+
+    it('should return 500 on n8nClient error', async () => {
+      mockN8nClient.nonStreamingCompletion.mockRejectedValue(new Error('Connection failed'));
+
+      const response = await request(app).post('/').send({ model: 'test-model', input: 'Hi' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.type).toBe('server_error');
+    });
+  });
+
+  describe('streaming mode', () => {
+    it('should stream typed Responses events', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Hello';
+        yield ' World';
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'test-model', input: 'Hi', stream: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/event-stream');
+      expect(response.text).toContain('event: response.created');
+
+      const events = parseEvents(response.text);
+      expect(events.map((e) => e.type)).toEqual([
+        'response.created',
+        'response.output_text.delta',
+        'response.output_text.delta',
+        'response.output_text.done',
+        'response.completed',
+      ]);
+      expect(events.map((e) => e.sequence_number)).toEqual([0, 1, 2, 3, 4]);
+      expect(events[0].response.status).toBe('in_progress');
+      expect(events[1].delta).toBe('Hello');
+      expect(events[3].text).toBe('Hello World');
+      expect(events[4].response.output[0].content[0].text).toBe('Hello World');
+      expect(events[4].response.id).toBe(events[0].response.id);
+    });
+
+    it('should emit response.failed on stream errors', async () => {
+      async function* mockStreamGenerator() {
+        yield 'Start';
+        throw new Error('Stream error');
+      }
+      mockN8nClient.streamCompletion.mockReturnValue(mockStreamGenerator());
+
+      const response = await request(app)
+        .post('/')
+        .send({ model: 'test-model', input: 'Hi', stream: true });
+
+      const events = parseEvents(response.text);
+      const last = events[events.length - 1];
+      expect(last.type).toBe('response.failed');
+      expect(last.response.status).toBe('failed');
+    });
+  });
+});
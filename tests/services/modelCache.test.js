@@ -0,0 +1,91 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelCache = require('../../src/services/modelCache');
+
+describe('ModelCache', () => {
+  let testDir;
+  let cacheFile;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-cache-'));
+    cacheFile = path.join(testDir, 'cache', 'models-cache.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should return null when no cache file exists', () => {
+    const cache = new ModelCache(cacheFile);
+
+    expect(cache.load()).toBeNull();
+  });
+
+  test('should save and load a snapshot', () => {
+    const cache = new ModelCache(cacheFile);
+    const models = {
+      chat: 'https://n8n.example.com/webhook/chat',
+      embed: { webhookUrl: 'https://n8n.example.com/webhook/embed', type: 'embeddings' },
+    };
+
+    cache.save(models, 'N8nApiModelLoader');
+    const snapshot = cache.load();
+
+    expect(snapshot.models).toEqual(models);
+    expect(snapshot.source).toBe('N8nApiModelLoader');
+    expect(new Date(snapshot.savedAt).toISOString()).toBe(snapshot.savedAt);
+  });
+
+  test('should write the cache file readable by owner only', () => {
+    const cache = new ModelCache(cacheFile);
+
+    cache.save({}, 'StaticModelLoader');
+
+    expect(fs.statSync(cacheFile).mode & 0o777).toBe(0o600);
+    expect(fs.existsSync(`${cacheFile}.tmp`)).toBe(false);
+  });
+
+  test('should overwrite previous snapshot', () => {
+    const cache = new ModelCache(cacheFile);
+
+    cache.save({ old: 'https://old.example.com' }, 'StaticModelLoader');
+    cache.save({ new: 'https://new.example.com' }, 'StaticModelLoader');
+
+    expect(cache.load().models).toEqual({ new: 'https://new.example.com' });
+  });
+
+  test('should throw on invalid JSON', () => {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, '{ invalid');
+    const cache = new ModelCache(cacheFile);
+
+    expect(() => cache.load()).toThrow('Invalid JSON in models cache file');
+  });
+
+  test('should throw when snapshot has no models object', () => {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({ savedAt: 'x', models: ['a'] }));
+    const cache = new ModelCache(cacheFile);
+
+    expect(() => cache.load()).toThrow('Models cache file does not contain a models object');
+  });
+});
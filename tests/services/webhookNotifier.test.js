@@ -260,6 +260,55 @@ describe('WebhookNotifier', () => {
       expect(payload.models).toEqual({});
     });
 
+    test('should remove per-model credentials from models', () => {
+      const payload = WebhookNotifier.createPayload(
+        {
+          plain: 'https://n8n.example.com/webhook/plain',
+          secure: {
+            webhookUrl: 'https://n8n.example.com/webhook/secure',
+            type: 'chat',
+            bearerToken: 'secret',
+            basicAuth: 'bridge:secret',
+            headers: { 'X-Api-Key': 'secret' },
+          },
+        },
+        'JsonFileModelLoader',
+        WebhookNotifier.EventType.MODELS_LOADED,
+      );
+
+      expect(payload.models).toEqual({
+        plain: 'https://n8n.example.com/webhook/plain',
+        secure: { webhookUrl: 'https://n8n.example.com/webhook/secure', type: 'chat' },
+      });
+    });
+
+    test('should include changes when provided', () => {
+      const changes = {
+        added: [{ id: 'model-1', webhookUrl: 'https://n8n.example.com/webhook/1' }],
+        removed: [],
+        changed: [],
+      };
+
+      const payload = WebhookNotifier.createPayload(
+        { 'model-1': 'https://n8n.example.com/webhook/1' },
+        'JsonFileModelLoader',
+        WebhookNotifier.EventType.MODELS_CHANGED,
+        changes,
+      );
+
+      expect(payload.changes).toEqual(changes);
+    });
+
+    test('should omit changes when not provided', () => {
+      const payload = WebhookNotifier.createPayload(
+        {},
+        'JsonFileModelLoader',
+        WebhookNotifier.EventType.MODELS_LOADED,
+      );
+
+      expect(payload).not.toHaveProperty('changes');
+    });
+
     test('should use current timestamp', () => {
       const beforeTime = Date.now();
       const payload = WebhookNotifier.createPayload(
@@ -0,0 +1,120 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  extractSystemText,
+  convertAnthropicMessages,
+  createMessageObject,
+  formatAnthropicEvent,
+  createAnthropicErrorResponse,
+} = require('../../src/utils/anthropicMessages');
+
+describe('anthropicMessages', () => {
+  describe('extractSystemText', () => {
+    test('should return string system prompts unchanged', () => {
+      expect(extractSystemText('Be brief')).toBe('Be brief');
+    });
+
+    test('should join text blocks', () => {
+      const system = [
+        { type: 'text', text: 'Line 1' },
+        { type: 'text', text: 'Line 2', cache_control: { type: 'ephemeral' } },
+      ];
+
+      expect(extractSystemText(system)).toBe('Line 1\nLine 2');
+    });
+
+    test('should return empty string when system is missing', () => {
+      expect(extractSystemText(undefined)).toBe('');
+    });
+  });
+
+  describe('convertAnthropicMessages', () => {
+    test('should convert base64 image blocks to data URLs', () => {
+      const messages = convertAnthropicMessages(undefined, [
+        {
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAA' } },
+            { type: 'text', text: 'What is this?' },
+          ],
+        },
+      ]);
+
+      expect(messages).toEqual([
+        {
+          role: 'user',
+          content: [
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } },
+            { type: 'text', text: 'What is this?' },
+          ],
+        },
+      ]);
+    });
+
+    test('should drop unsupported blocks', () => {
+      const messages = convertAnthropicMessages('System', [
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: '42' },
+            { type: 'text', text: 'Thanks' },
+          ],
+        },
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'system', content: 'System' },
+        { role: 'user', content: 'Thanks' },
+      ]);
+    });
+  });
+
+  describe('createMessageObject', () => {
+    test('should create an empty message for message_start', () => {
+      const message = createMessageObject('msg_1', 'm', null);
+
+      expect(message.content).toEqual([]);
+      expect(message.stop_reason).toBeNull();
+    });
+
+    test('should create a completed text message', () => {
+      const message = createMessageObject('msg_1', 'm', 'Hi');
+
+      expect(message.content).toEqual([{ type: 'text', text: 'Hi' }]);
+      expect(message.stop_reason).toBe('end_turn');
+    });
+  });
+
+  describe('formatAnthropicEvent', () => {
+    test('should format SSE events with type field', () => {
+      expect(formatAnthropicEvent('message_stop')).toBe(
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+      );
+    });
+  });
+
+  describe('createAnthropicErrorResponse', () => {
+    test('should default to api_error', () => {
+      expect(createAnthropicErrorResponse('Boom')).toEqual({
+        type: 'error',
+        error: { type: 'api_error', message: 'Boom' },
+      });
+    });
+  });
+});
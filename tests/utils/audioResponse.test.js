@@ -0,0 +1,56 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  isValidTranscription,
+  formatTimestamp,
+  formatTranscription,
+} = require('../../src/utils/audioResponse');
+
+describe('audioResponse', () => {
+  describe('isValidTranscription', () => {
+    test('should require a text string', () => {
+      expect(isValidTranscription({ text: '' })).toBe(true);
+      expect(isValidTranscription({ output: 'x' })).toBe(false);
+      expect(isValidTranscription(null)).toBe(false);
+    });
+  });
+
+  describe('formatTimestamp', () => {
+    test('should format hours, minutes, seconds and milliseconds', () => {
+      expect(formatTimestamp(3723.456, ',')).toBe('01:02:03,456');
+      expect(formatTimestamp(0, '.')).toBe('00:00:00.000');
+    });
+  });
+
+  describe('formatTranscription', () => {
+    test('should default to json', () => {
+      expect(formatTranscription({ text: 'Hi', language: 'en' })).toEqual({
+        contentType: 'application/json',
+        body: { text: 'Hi' },
+      });
+    });
+
+    test('should render vtt with a single cue when segments are missing', () => {
+      const { contentType, body } = formatTranscription({ text: 'Hi', duration: 2 }, 'vtt');
+
+      expect(contentType).toBe('text/vtt');
+      expect(body).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nHi\n');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  isValidEmbeddingVectors,
+  encodeEmbedding,
+  createEmbeddingsResponse,
+} = require('../../src/utils/embeddings');
+
+describe('embeddings', () => {
+  describe('isValidEmbeddingVectors', () => {
+    test('should accept one float vector per input', () => {
+      expect(isValidEmbeddingVectors([[0.1, -0.2], [1]], 2)).toBe(true);
+    });
+
+    test('should reject count mismatches', () => {
+      expect(isValidEmbeddingVectors([[0.1]], 2)).toBe(false);
+    });
+
+    test('should reject non-numeric or empty vectors', () => {
+      expect(isValidEmbeddingVectors([['0.1']], 1)).toBe(false);
+      expect(isValidEmbeddingVectors([[]], 1)).toBe(false);
+      expect(isValidEmbeddingVectors([0.1, 0.2], 2)).toBe(false);
+      expect(isValidEmbeddingVectors(null, 1)).toBe(false);
+    });
+  });
+
+  describe('encodeEmbedding', () => {
+    test('should return float vectors unchanged', () => {
+      expect(encodeEmbedding([0.5, 1])).toEqual([0.5, 1]);
+    });
+
+    test('should encode base64 as little-endian float32', () => {
+      const encoded = encodeEmbedding([0.5, 1], 'base64');
+      const buffer = Buffer.from(encoded, 'base64');
+
+      expect(buffer.readFloatLE(0)).toBe(0.5);
+      expect(buffer.readFloatLE(4)).toBe(1);
+    });
+  });
+
+  describe('createEmbeddingsResponse', () => {
+    test('should index embeddings in input order', () => {
+      const response = createEmbeddingsResponse('m', [[1], [2]]);
+
+      expect(response.data.map((item) => item.index)).toEqual([0, 1]);
+      expect(response.model).toBe('m');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { normalizeImages, createImagesResponse } = require('../../src/utils/imageResponse');
+
+describe('imageResponse', () => {
+  describe('normalizeImages', () => {
+    test('should accept objects with b64_json or url', () => {
+      expect(
+        normalizeImages({ data: [{ b64_json: 'AAAA' }, { url: 'https://cdn.example.com/a.png' }] }),
+      ).toEqual([{ b64: 'AAAA', mimeType: 'image/png' }, { url: 'https://cdn.example.com/a.png' }]);
+    });
+
+    test('should split data URLs into MIME type and base64', () => {
+      expect(normalizeImages('data:image/jpeg;base64,BBBB')).toEqual([
+        { b64: 'BBBB', mimeType: 'image/jpeg' },
+      ]);
+    });
+
+    test('should accept a single image object', () => {
+      expect(normalizeImages({ base64: 'CCCC', mimeType: 'image/webp' })).toEqual([
+        { b64: 'CCCC', mimeType: 'image/webp' },
+      ]);
+    });
+
+    test('should drop unusable items', () => {
+      expect(normalizeImages([null, 42, { text: 'no image' }])).toEqual([]);
+      expect(normalizeImages(undefined)).toEqual([]);
+    });
+  });
+
+  describe('createImagesResponse', () => {
+    test('should only include the requested field', () => {
+      const response = createImagesResponse([{ url: 'https://x', b64: 'AAAA' }], 'b64_json');
+
+      expect(response.data).toEqual([{ b64_json: 'AAAA' }]);
+    });
+  });
+});
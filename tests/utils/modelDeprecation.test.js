@@ -0,0 +1,72 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const http = require('http');
+const { applyModelDeprecation } = require('../../src/utils/modelDeprecation');
+
+describe('modelDeprecation', () => {
+  describe('applyModelDeprecation', () => {
+    let res;
+    let modelRepository;
+    let warnSpy;
+
+    beforeEach(() => {
+      // Validates like a real Node response, so invalid header values throw
+      res = {
+        headers: {},
+        set: jest.fn((name, value) => {
+          http.validateHeaderValue(name, value);
+          res.headers[name] = value;
+        }),
+      };
+      modelRepository = {
+        getDeprecationTarget: jest.fn((modelId) => (modelId === 'agent' ? null : 'agent')),
+      };
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    test('should not set headers for current model IDs', () => {
+      expect(applyModelDeprecation(res, modelRepository, 'agent')).toBe(false);
+      expect(res.set).not.toHaveBeenCalled();
+    });
+
+    test('should set Deprecation and Warning headers for deprecated model IDs', () => {
+      expect(applyModelDeprecation(res, modelRepository, 'old-agent')).toBe(true);
+      expect(res.headers).toEqual({
+        Deprecation: 'true',
+        Warning: "299 - \"Model 'old-agent' is deprecated, use 'agent'\"",
+      });
+    });
+
+    test('should replace characters not allowed in headers', () => {
+      expect(applyModelDeprecation(res, modelRepository, 'agenté☃\n')).toBe(true);
+      expect(res.headers.Warning).toBe("299 - \"Model 'agent???' is deprecated, use 'agent'\"");
+    });
+
+    test('should escape quotes and backslashes', () => {
+      applyModelDeprecation(res, modelRepository, 'say "hi"\\');
+      expect(res.headers.Warning).toBe(
+        '299 - "Model \'say \\"hi\\"\\\\\' is deprecated, use \'agent\'"',
+      );
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { diffModels, hasModelChanges } = require('../../src/utils/modelDiff');
+
+describe('modelDiff', () => {
+  describe('diffModels', () => {
+    test('should report added, removed and changed models', () => {
+      const changes = diffModels(
+        {
+          kept: 'https://n8n.example.com/webhook/kept',
+          moved: 'https://n8n.example.com/webhook/old',
+          gone: { webhookUrl: 'https://n8n.example.com/webhook/gone', type: 'chat' },
+        },
+        {
+          kept: 'https://n8n.example.com/webhook/kept',
+          moved: 'https://n8n.example.com/webhook/new',
+          fresh: { webhookUrl: 'https://n8n.example.com/webhook/fresh', type: 'embeddings' },
+        },
+      );
+
+      expect(changes).toEqual({
+        added: [{ id: 'fresh', webhookUrl: 'https://n8n.example.com/webhook/fresh' }],
+        removed: [{ id: 'gone', webhookUrl: 'https://n8n.example.com/webhook/gone' }],
+        changed: [
+          {
+            id: 'moved',
+            oldWebhookUrl: 'https://n8n.example.com/webhook/old',
+            newWebhookUrl: 'https://n8n.example.com/webhook/new',
+          },
+        ],
+      });
+    });
+
+    test('should report entries whose other fields changed', () => {
+      const changes = diffModels(
+        { m: 'https://n8n.example.com/webhook/m' },
+        { m: { webhookUrl: 'https://n8n.example.com/webhook/m', type: 'chat', timeout: 60000 } },
+      );
+
+      expect(changes.changed).toEqual([
+        {
+          id: 'm',
+          oldWebhookUrl: 'https://n8n.example.com/webhook/m',
+          newWebhookUrl: 'https://n8n.example.com/webhook/m',
+        },
+      ]);
+    });
+
+    test('should not expose per-model credentials', () => {
+      const changes = diffModels(
+        { m: { webhookUrl: 'https://n8n.example.com/webhook/m', bearerToken: 'old-secret' } },
+        { m: { webhookUrl: 'https://n8n.example.com/webhook/m', bearerToken: 'new-secret' } },
+      );
+
+      expect(changes.changed).toHaveLength(1);
+      expect(JSON.stringify(changes)).not.toContain('secret');
+    });
+  });
+
+  describe('hasModelChanges', () => {
+    test('should detect empty and non-empty diffs', () => {
+      expect(hasModelChanges({ added: [], removed: [], changed: [] })).toBe(false);
+      expect(hasModelChanges({ added: [], removed: [{ id: 'm' }], changed: [] })).toBe(true);
+    });
+  });
+});
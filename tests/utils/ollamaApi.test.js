@@ -0,0 +1,97 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  convertOllamaMessages,
+  convertGenerateRequest,
+  createTagsResponse,
+  createChatChunk,
+  createGenerateChunk,
+  formatNdjsonLine,
+} = require('../../src/utils/ollamaApi');
+
+describe('ollamaApi', () => {
+  describe('convertOllamaMessages', () => {
+    test('should keep text-only messages as strings', () => {
+      const messages = convertOllamaMessages([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' },
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' },
+      ]);
+    });
+
+    test('should keep data URLs unchanged', () => {
+      const messages = convertOllamaMessages([
+        { role: 'user', content: 'What?', images: ['data:image/jpeg;base64,BBB'] },
+      ]);
+
+      expect(messages[0].content[1]).toEqual({
+        type: 'image_url',
+        image_url: { url: 'data:image/jpeg;base64,BBB' },
+      });
+    });
+  });
+
+  describe('convertGenerateRequest', () => {
+    test('should create a single user message without system prompt', () => {
+      expect(convertGenerateRequest('Hi')).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+  });
+
+  describe('createTagsResponse', () => {
+    test('should convert the created timestamp to modified_at', () => {
+      const tags = createTagsResponse([
+        { id: 'agent', object: 'model', created: 0, owned_by: 'n8n' },
+      ]);
+
+      expect(tags.models[0].name).toBe('agent');
+      expect(tags.models[0].modified_at).toBe('1970-01-01T00:00:00.000Z');
+    });
+
+    test('should fall back to the epoch for timestamps outside the Date range', () => {
+      const tags = createTagsResponse([
+        { id: 'agent', object: 'model', created: 1e13, owned_by: 'n8n' },
+      ]);
+
+      expect(tags.models[0].modified_at).toBe('1970-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('chunks', () => {
+    test('should only set done_reason on the final chat chunk', () => {
+      expect(createChatChunk('m', 'Hi', false).done_reason).toBeUndefined();
+      expect(createChatChunk('m', '', true).done_reason).toBe('stop');
+    });
+
+    test('should create generate chunks with response field', () => {
+      expect(createGenerateChunk('m', 'Hi', false)).toMatchObject({
+        model: 'm',
+        response: 'Hi',
+        done: false,
+      });
+    });
+
+    test('should format NDJSON lines', () => {
+      expect(formatNdjsonLine({ done: true })).toBe('{"done":true}\n');
+    });
+  });
+});
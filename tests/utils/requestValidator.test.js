@@ -1,4 +1,13 @@
-const { validateChatCompletionRequest } = require('../../src/utils/requestValidator');
+const {
+  validateChatCompletionRequest,
+  validateEmbeddingsRequest,
+  validateAudioRequest,
+  validateImageGenerationRequest,
+  validateResponsesRequest,
+  validateMessagesRequest,
+  validateOllamaChatRequest,
+  validateOllamaGenerateRequest,
+} = require('../../src/utils/requestValidator');
 
 describe('ValidationService', () => {
   describe('validateChatCompletionRequest', () => {
@@ -117,5 +126,236 @@ describe('ValidationService', () => {
 
       expect(result.valid).toBe(true);
     });
+
+    test('should accept valid tools and tool_choice', () => {
+      const body = {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Hello' }],
+        tools: [{ type: 'function', function: { name: 'get_weather', parameters: {} } }],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      };
+
+      const result = validateChatCompletionRequest(body);
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject non-array tools', () => {
+      const body = {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Hello' }],
+        tools: { type: 'function' },
+      };
+
+      const result = validateChatCompletionRequest(body);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.message).toBe('tools must be an array');
+    });
+
+    test('should reject tools without a function name', () => {
+      const body = {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Hello' }],
+        tools: [{ type: 'function', function: {} }],
+      };
+
+      const result = validateChatCompletionRequest(body);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.type).toBe('invalid_request_error');
+    });
+
+    test('should reject unknown tool_choice values', () => {
+      const body = {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Hello' }],
+        tool_choice: 'sometimes',
+      };
+
+      const result = validateChatCompletionRequest(body);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.message).toContain('tool_choice');
+    });
+
+    test('should reject tool messages without tool_call_id', () => {
+      const body = {
+        model: 'test-model',
+        messages: [
+          { role: 'user', content: 'Hello' },
+          { role: 'tool', content: 'Sunny' },
+        ],
+      };
+
+      const result = validateChatCompletionRequest(body);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.message).toContain('tool_call_id');
+    });
+  });
+
+  describe('validateResponsesRequest', () => {
+    test('should accept string input', () => {
+      expect(validateResponsesRequest({ model: 'm', input: 'Hello' }).valid).toBe(true);
+    });
+
+    test('should accept array input', () => {
+      const body = { model: 'm', input: [{ role: 'user', content: 'Hello' }] };
+
+      expect(validateResponsesRequest(body).valid).toBe(true);
+    });
+
+    test('should reject missing model or input', () => {
+      const result = validateResponsesRequest({ model: 'm' });
+
+      expect(result.valid).toBe(false);
+      expect(result.error.message).toBe('Missing required fields: model, input');
+    });
+
+    test('should reject empty input', () => {
+      expect(validateResponsesRequest({ model: 'm', input: '  ' }).valid).toBe(false);
+      expect(validateResponsesRequest({ model: 'm', input: [] }).valid).toBe(false);
+    });
+
+    test('should reject non-string instructions and previous_response_id', () => {
+      expect(validateResponsesRequest({ model: 'm', input: 'x', instructions: 1 }).valid).toBe(
+        false,
+      );
+      expect(
+        validateResponsesRequest({ model: 'm', input: 'x', previous_response_id: {} }).valid,
+      ).toBe(false);
+    });
+  });
+
+  describe('validateMessagesRequest', () => {
+    test('should accept a valid request', () => {
+      const body = {
+        model: 'm',
+        max_tokens: 1024,
+        system: 'Be brief',
+        messages: [{ role: 'user', content: 'Hello' }],
+      };
+
+      expect(validateMessagesRequest(body).valid).toBe(true);
+    });
+
+    test('should reject missing messages', () => {
+      const result = validateMessagesRequest({ model: 'm' });
+
+      expect(result.valid).toBe(false);
+      expect(result.error.message).toBe('Missing required fields: model, messages');
+    });
+
+    test('should reject invalid system prompt', () => {
+      const body = { model: 'm', system: 42, messages: [{ role: 'user', content: 'Hi' }] };
+
+      expect(validateMessagesRequest(body).valid).toBe(false);
+    });
+
+    test('should reject invalid max_tokens', () => {
+      const body = { model: 'm', max_tokens: 0, messages: [{ role: 'user', content: 'Hi' }] };
+
+      expect(validateMessagesRequest(body).error.message).toBe(
+        'max_tokens must be a positive integer',
+      );
+    });
+  });
+
+  describe('validateOllamaChatRequest', () => {
+    test('should accept a valid request', () => {
+      const body = { model: 'm', messages: [{ role: 'user', content: 'Hi' }] };
+
+      expect(validateOllamaChatRequest(body).valid).toBe(true);
+    });
+
+    test('should reject empty messages', () => {
+      const result = validateOllamaChatRequest({ model: 'm', messages: [] });
+
+      expect(result.error.message).toBe('messages must be a non-empty array');
+    });
+  });
+
+  describe('validateOllamaGenerateRequest', () => {
+    test('should accept a valid request', () => {
+      expect(validateOllamaGenerateRequest({ model: 'm', prompt: 'Hi' }).valid).toBe(true);
+    });
+
+    test('should reject empty prompt', () => {
+      expect(validateOllamaGenerateRequest({ model: 'm', prompt: ' ' }).valid).toBe(false);
+    });
+
+    test('should reject non-string system prompt', () => {
+      const result = validateOllamaGenerateRequest({ model: 'm', prompt: 'Hi', system: 1 });
+
+      expect(result.error.message).toBe('system must be a string');
+    });
+  });
+
+  describe('validateEmbeddingsRequest', () => {
+    test('should accept string and string array input', () => {
+      expect(validateEmbeddingsRequest({ model: 'm', input: 'Hello' }).valid).toBe(true);
+      expect(validateEmbeddingsRequest({ model: 'm', input: ['a', 'b'] }).valid).toBe(true);
+    });
+
+    test('should reject missing input', () => {
+      expect(validateEmbeddingsRequest({ model: 'm' }).error.message).toBe(
+        'Missing required fields: model, input',
+      );
+    });
+
+    test('should reject token arrays', () => {
+      expect(validateEmbeddingsRequest({ model: 'm', input: [1, 2, 3] }).valid).toBe(false);
+    });
+
+    test('should reject unknown encoding_format', () => {
+      const result = validateEmbeddingsRequest({ model: 'm', input: 'a', encoding_format: 'hex' });
+
+      expect(result.error.message).toBe('encoding_format must be "float" or "base64"');
+    });
+  });
+
+  describe('validateAudioRequest', () => {
+    const file = { originalname: 'a.mp3', buffer: Buffer.from('a') };
+
+    test('should accept a file and model', () => {
+      expect(validateAudioRequest({ model: 'm', response_format: 'vtt' }, file).valid).toBe(true);
+    });
+
+    test('should reject missing file', () => {
+      expect(validateAudioRequest({ model: 'm' }, undefined).error.message).toBe(
+        'Missing required fields: file, model',
+      );
+    });
+
+    test('should reject unknown response_format', () => {
+      expect(validateAudioRequest({ model: 'm', response_format: 'xml' }, file).valid).toBe(false);
+    });
+  });
+
+  describe('validateImageGenerationRequest', () => {
+    test('should accept a valid request', () => {
+      const body = { model: 'm', prompt: 'A cat', n: 2, size: '1024x1024' };
+
+      expect(validateImageGenerationRequest(body).valid).toBe(true);
+    });
+
+    test('should reject invalid n', () => {
+      expect(validateImageGenerationRequest({ model: 'm', prompt: 'A', n: 11 }).valid).toBe(false);
+    });
+
+    test('should reject invalid size', () => {
+      expect(validateImageGenerationRequest({ model: 'm', prompt: 'A', size: 'big' }).valid).toBe(
+        false,
+      );
+    });
+
+    test('should reject unknown response_format', () => {
+      const body = { model: 'm', prompt: 'A', response_format: 'png' };
+
+      expect(validateImageGenerationRequest(body).error.message).toBe(
+        'response_format must be "url" or "b64_json"',
+      );
+    });
   });
 });
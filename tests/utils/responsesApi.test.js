@@ -0,0 +1,118 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {
+  convertResponsesInput,
+  createResponseObject,
+  formatResponseEvent,
+} = require('../../src/utils/responsesApi');
+
+describe('responsesApi', () => {
+  describe('convertResponsesInput', () => {
+    test('should convert string input to a user message', () => {
+      expect(convertResponsesInput('Hello')).toEqual([{ role: 'user', content: 'Hello' }]);
+    });
+
+    test('should prepend instructions as system message', () => {
+      expect(convertResponsesInput('Hello', 'Be brief')).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' },
+      ]);
+    });
+
+    test('should map developer role to system', () => {
+      const messages = convertResponsesInput([{ role: 'developer', content: 'Rules' }]);
+
+      expect(messages).toEqual([{ role: 'system', content: 'Rules' }]);
+    });
+
+    test('should keep images as multimodal chat content', () => {
+      const messages = convertResponsesInput([
+        {
+          role: 'user',
+          content: [
+            { type: 'input_text', text: 'What is this?' },
+            { type: 'input_image', image_url: 'data:image/png;base64,AAA' },
+          ],
+        },
+      ]);
+
+      expect(messages).toEqual([
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } },
+          ],
+        },
+      ]);
+    });
+
+    test('should skip non-message items', () => {
+      const messages = convertResponsesInput([
+        { type: 'function_call_output', call_id: 'call_1', output: '42' },
+        { role: 'user', content: 'Hi' },
+      ]);
+
+      expect(messages).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+  });
+
+  describe('createResponseObject', () => {
+    test('should create an empty in-progress response without output', () => {
+      const response = createResponseObject({ id: 'resp_1', model: 'm', status: 'in_progress' });
+
+      expect(response).toMatchObject({
+        id: 'resp_1',
+        object: 'response',
+        status: 'in_progress',
+        output: [],
+      });
+    });
+
+    test('should include output text message', () => {
+      const response = createResponseObject({
+        id: 'resp_1',
+        model: 'm',
+        status: 'completed',
+        text: 'Hi',
+        messageId: 'msg_1',
+      });
+
+      expect(response.output).toEqual([
+        {
+          id: 'msg_1',
+          type: 'message',
+          status: 'completed',
+          role: 'assistant',
+          content: [{ type: 'output_text', text: 'Hi', annotations: [] }],
+        },
+      ]);
+    });
+  });
+
+  describe('formatResponseEvent', () => {
+    test('should format typed SSE event', () => {
+      const event = formatResponseEvent('response.output_text.delta', 3, { delta: 'x' });
+
+      expect(event).toBe(
+        'event: response.output_text.delta\ndata: {"type":"response.output_text.delta","sequence_number":3,"delta":"x"}\n\n',
+      );
+    });
+  });
+});
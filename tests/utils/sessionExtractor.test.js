@@ -15,6 +15,7 @@ describe('SessionService', () => {
 
       expect(result.sessionId).toBe('body-session-123');
       expect(result.sessionSource).toBe('req.body.session_id');
+      expect(result.generated).toBe(false);
     });
 
     test('should extract from req.body.conversation_id as fallback', () => {
@@ -90,6 +91,7 @@ describe('SessionService', () => {
 
       expect(result.sessionId).toBe('mock-uuid-12345');
       expect(result.sessionSource).toBe('generated (new UUID)');
+      expect(result.generated).toBe(true);
     });
 
     test('should handle missing body gracefully', () => {
@@ -0,0 +1,60 @@
+/*
+ * n8n OpenAI Bridge
+ * Copyright (C) 2025 Sven Eisenschmidt
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const ModelRepository = require('../../src/repositories/ModelRepository');
+const { buildWebhookOptions } = require('../../src/utils/webhookOptions');
+
+describe('webhookOptions', () => {
+  describe('buildWebhookOptions', () => {
+    let modelRepository;
+
+    beforeEach(() => {
+      modelRepository = new ModelRepository();
+      modelRepository.models = {
+        plain: 'https://n8n.example.com/webhook/plain',
+        slow: {
+          webhookUrl: 'https://n8n.example.com/webhook/slow',
+          timeout: 600000,
+          aliases: ['slow-alias'],
+        },
+      };
+    });
+
+    test('should only include the model ID without settings', () => {
+      expect(buildWebhookOptions(modelRepository, 'plain', false)).toEqual({ modelId: 'plain' });
+    });
+
+    test('should include per-model settings', () => {
+      expect(buildWebhookOptions(modelRepository, 'slow', false)).toEqual({
+        settings: { timeout: 600000 },
+        modelId: 'slow',
+      });
+    });
+
+    test('should resolve aliases to the model ID', () => {
+      expect(buildWebhookOptions(modelRepository, 'slow-alias', false).modelId).toBe('slow');
+    });
+
+    test('should mark generated session IDs', () => {
+      expect(buildWebhookOptions(modelRepository, 'plain', true)).toEqual({
+        modelId: 'plain',
+        sessionGenerated: true,
+      });
+    });
+  });
+});